@@ -0,0 +1,232 @@
+const { MongoClient } = require('mongodb');
+
+// ============ DATA ACCESS ============
+// One MongoDB connection per process (reused across serverless invocations). Routes and
+// services reach collections through `collections`, which is only usable once connected.
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'street_management';
+
+// Property name used in code -> MongoDB collection name
+const COLLECTION_NAMES = {
+  streets: 'streets',
+  users: 'users',
+  packages: 'packages',
+  employees: 'employees',
+  equipment: 'equipment',
+  reminders: 'reminders',
+  routers: 'routers',
+  fiberCables: 'fiberCables',
+  vouchers: 'vouchers',
+  // One document per voucher month (see services/voucherMonths.js)
+  voucherMonths: 'voucher_months',
+  transactions: 'transactions',
+  expenses: 'expenses',
+  employeeExpenses: 'employee_expense',
+  monthlySales: 'monthlySales',
+  complaints: 'complaints',
+  notifications: 'notifications',
+  incomes: 'incomes',
+  loans: 'loans',
+  refunds: 'refunds',
+  // Business timezone, expiry cutoff and reminder time (one document)
+  settings: 'settings',
+  // Fee collector -> admin transfers
+  transfers: 'collections',
+  // Service status changes (active, grace, suspended, ...)
+  serviceTransitions: 'service_transitions',
+  // Issued payment receipts, and the sequence their numbers come from
+  receipts: 'receipts',
+  counters: 'counters',
+  // Late fee rules (flat or percentage, after N days, per package or global)
+  lateFeeRules: 'late_fee_rules',
+  // Coupons, offers and referral promotions, their uses, and referral credits
+  promotions: 'promotions',
+  promotionRedemptions: 'promotion_redemptions',
+  referrals: 'referrals',
+  // Credit wallet movements (the balance is walletBalance on the user)
+  walletEntries: 'wallet_entries'
+};
+
+let db;
+let client;
+let isConnected = false;
+
+// Run after the indexes are created on every new connection (index setup, scheduled tasks)
+const connectHooks = [];
+
+const getDb = () => db;
+const getClient = () => client;
+const isDbConnected = () => isConnected;
+
+// collections.users, collections.vouchers, ... (undefined until connected)
+const collections = {};
+for (const [property, name] of Object.entries(COLLECTION_NAMES)) {
+  Object.defineProperty(collections, property, {
+    enumerable: true,
+    get: () => (db ? db.collection(name) : undefined)
+  });
+}
+
+const onConnect = (hook) => {
+  connectHooks.push(hook);
+};
+
+const TRANSACTION_OPTIONS = {
+  readPreference: 'primary',
+  readConcern: { level: 'snapshot' },
+  writeConcern: { w: 'majority' },
+  maxCommitTimeMS: 10000
+};
+
+// Run a multi-step write as a single MongoDB transaction and return what work() returns.
+// The driver retries work() on TransientTransactionError and the commit on
+// UnknownTransactionCommitResult, so work() must do all its reads and writes through the
+// session and keep no state outside it. If it throws, every write in it is rolled back.
+async function runInTransaction(work) {
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    }, TRANSACTION_OPTIONS);
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Error response for a failed transaction - nothing was saved
+const transactionErrorResponse = (res, message, error) => {
+  const isTransient = typeof error.hasErrorLabel === 'function' &&
+    (error.hasErrorLabel('TransientTransactionError') || error.hasErrorLabel('UnknownTransactionCommitResult'));
+
+  return res.status(isTransient ? 503 : 500).json({
+    success: false,
+    message: `${message}. No changes were saved${isTransient ? ', please try again' : ''}.`,
+    error: error.message
+  });
+};
+
+// Connect to MongoDB with connection reuse for serverless
+async function connectToDatabase() {
+  if (isConnected && db) {
+    console.log('Using existing database connection');
+    return db;
+  }
+
+  try {
+    // Validate MongoDB URI
+    if (!MONGODB_URI) {
+      throw new Error('MONGODB_URI environment variable is not set');
+    }
+
+    console.log('Creating new database connection...');
+    console.log('MONGODB_URI exists:', !!MONGODB_URI);
+
+    client = await MongoClient.connect(MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      serverSelectionTimeoutMS: 10000, // 10 second timeout
+    });
+
+    console.log('MongoDB client connected');
+
+    db = client.db(DB_NAME);
+
+    // Create unique index on name field
+    await collections.streets.createIndex({ name: 1 }, { unique: true }).catch(err => {
+      console.log('Index may already exist:', err.message);
+    });
+
+    // Add critical performance indexes
+    console.log('Creating performance indexes...');
+    await collections.users.createIndex({ status: 1 });
+    await collections.users.createIndex({ feeCollector: 1 });
+    await collections.users.createIndex({ assignTo: 1 });
+    await collections.users.createIndex({ userName: 1 });
+    await collections.users.createIndex({ userId: 1 });
+    await collections.users.createIndex({ simNo: 1 });
+    await collections.users.createIndex({ rechargeDate: 1 });
+    await collections.users.createIndex({ expiryDate: 1 });
+    await collections.vouchers.createIndex({ userId: 1 });
+    await collections.vouchers.createIndex({ expiryDate: 1 });
+    // One month per user and billing period. Databases indexed on { userId, month } get it from
+    // POST /api/migrate/voucher-month-keys; until then this fails and is logged.
+    await collections.voucherMonths.createIndex(
+      { userId: 1, 'period.key': 1 },
+      { unique: true, partialFilterExpression: { 'period.key': { $type: 'string' } } }
+    ).catch(err => {
+      console.log('Voucher month key index not created:', err.message);
+    });
+    await collections.voucherMonths.createIndex({ voucherId: 1, 'period.key': 1 });
+    await collections.voucherMonths.createIndex({ status: 1 });
+    await collections.voucherMonths.createIndex({ monthDate: 1 });
+    await collections.voucherMonths.createIndex({ receivedBy: 1 });
+    await collections.voucherMonths.createIndex({ 'paymentHistory.receivedBy': 1 });
+    await collections.serviceTransitions.createIndex({ userId: 1, createdAt: -1 });
+    await collections.receipts.createIndex({ receiptNo: 1 }, { unique: true });
+    await collections.receipts.createIndex({ verificationCode: 1 }, { unique: true });
+    // One receipt per payment and revision. Receipts issued before revisions get them from
+    // POST /api/migrate/receipt-periods, which builds the index; until then this can fail and is logged.
+    await collections.receipts.createIndex(
+      { voucherId: 1, periodKey: 1, paymentIndex: 1, revision: 1 },
+      { unique: true, partialFilterExpression: { periodKey: { $type: 'string' }, revision: { $type: 'number' } } }
+    ).catch(err => {
+      console.log('Receipt revision index not created:', err.message);
+    });
+    await collections.promotions.createIndex({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+    await collections.promotionRedemptions.createIndex({ promotionId: 1, userId: 1 });
+    await collections.referrals.createIndex({ referrerId: 1, status: 1 });
+    await collections.referrals.createIndex({ referredId: 1 }, { unique: true });
+    await collections.walletEntries.createIndex({ userId: 1, createdAt: -1 });
+    console.log('Performance indexes created successfully');
+
+    for (const hook of connectHooks) {
+      await hook(db);
+    }
+
+    isConnected = true;
+    console.log('MongoDB connected successfully');
+
+    return db;
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    console.error('Error details:', error.stack);
+    throw error;
+  }
+}
+
+// Middleware to ensure database connection
+async function ensureDbConnection(req, res, next) {
+  try {
+    console.log(`[${req.method}] ${req.path} - Connection: ${isConnected}, DB: ${!!db}`);
+
+    if (!isConnected || !db) {
+      console.log('Database not connected, connecting now...');
+      await connectToDatabase();
+      console.log('Database connected successfully in middleware');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Database connection error in middleware:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Database connection error',
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  collections,
+  connectToDatabase,
+  ensureDbConnection,
+  getClient,
+  getDb,
+  isDbConnected,
+  onConnect,
+  runInTransaction,
+  transactionErrorResponse
+};
@@ -0,0 +1,698 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, getDb, runInTransaction, ensureDbConnection } = require('../db');
+const { ledger } = require('../services');
+const { hashPassword } = require('../services/auth');
+const { toBusinessTime, parseExpiryYMD, startOfToday, toStoredDate } = require('../services/dates');
+const { getSettings } = require('../services/settings');
+const { moveTodayExpiredToUnpaid, checkTomorrowExpiringUsers, checkAndSendReminders } = require('../services/scheduler');
+const { recalculateAllStatuses } = require('../services/status');
+const { runServiceTransitions } = require('../services/serviceStatus');
+const { applyLateFees } = require('../services/lateFees');
+const { expireReferralCredits } = require('../services/promotions');
+const { backfillReceiptPeriods } = require('../services/receipts');
+const { WALLET_ENTRY_TYPES, planWallet } = require('../services/wallet');
+const { backfillPeriods, findVouchers, keyMonthsByPeriod, migrateVoucherMonths, saveMonths } = require('../services/voucherMonths');
+const { customerIdFor } = require('../services/users');
+
+// Admin-only maintenance routes: cron triggers, migrations and debugging (mounted at /api)
+const router = express.Router();
+
+// DEBUG endpoint to check collections
+router.get('/debug/collections', ensureDbConnection, async (req, res) => {
+  try {
+    const existingCollections = await getDb().listCollections().toArray();
+    const collectionNames = existingCollections.map(c => c.name);
+
+    // Check expenses collection specifically
+    const expensesExists = collectionNames.includes('expenses');
+    let expenseCount = 0;
+    let sampleExpense = null;
+
+    if (expensesExists) {
+      expenseCount = await collections.expenses.countDocuments();
+      sampleExpense = await collections.expenses.findOne({});
+    }
+
+    res.status(200).json({
+      success: true,
+      database: getDb().databaseName,
+      allCollections: collectionNames,
+      expensesCollection: {
+        exists: expensesExists,
+        initialized: !!collections.expenses,
+        count: expenseCount,
+        sampleData: sampleExpense
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============ ADMIN TRIGGERS (FOR EXTERNAL CRON SERVICE) ============
+// Endpoint for expiry processing - called by cron-job.org at 12 PM daily
+// Supports both GET (for cron-job.org) and POST (for manual triggers)
+const handleExpiryProcessing = async (req, res) => {
+  try {
+    console.log('⚙️ Expiry Processing: Running now...');
+    await moveTodayExpiredToUnpaid();
+    await checkTomorrowExpiringUsers();
+    const lateFees = await applyLateFees();
+    const expiredReferralCredits = await expireReferralCredits();
+    // Grace, suspension and disconnection follow the unpaid days (after today's expiries)
+    const { scanned, changed } = await runServiceTransitions();
+    res.status(200).json({
+      success: true,
+      message: 'Expiry processing executed successfully',
+      lateFees: { chargedCount: lateFees.charged.length, totalAmount: lateFees.totalAmount },
+      expiredReferralCredits,
+      serviceStatus: { scanned, changedCount: changed.length },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Expiry processing failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run expiry processing',
+      error: error.message
+    });
+  }
+};
+
+router.get('/admin/run-expiry-processing', ensureDbConnection, handleExpiryProcessing);
+router.post('/admin/run-expiry-processing', ensureDbConnection, handleExpiryProcessing);
+
+// Endpoint for reminder processing - called by cron-job.org at 8 PM daily
+// Supports both GET (for cron-job.org) and POST (for manual triggers)
+const handleReminderProcessing = async (req, res) => {
+  try {
+    console.log('⚙️ Reminder Processing: Running now...');
+    await checkAndSendReminders();
+    res.status(200).json({
+      success: true,
+      message: 'Reminder processing executed successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Reminder processing failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run reminder processing',
+      error: error.message
+    });
+  }
+};
+
+router.get('/admin/run-reminders', ensureDbConnection, handleReminderProcessing);
+router.post('/admin/run-reminders', ensureDbConnection, handleReminderProcessing);
+
+// Endpoint for bulk status recalculation - re-derives every user's status from their vouchers
+// and reports who changed. Pass ?dryRun=true to see the changes without saving them.
+// Supports both GET (for cron-job.org) and POST (for manual triggers)
+const handleStatusRecalculation = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun || req.body?.dryRun || '') === 'true';
+    console.log(`⚙️ Status Recalculation: Running now${dryRun ? ' (dry run)' : ''}...`);
+    const { scanned, changed } = await recalculateAllStatuses({ dryRun });
+    console.log(`✅ Status Recalculation: ${changed.length} of ${scanned} users ${dryRun ? 'would change' : 'updated'}`);
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${changed.length} of ${scanned} users would change status`
+        : `Status recalculated for ${scanned} users, ${changed.length} changed`,
+      dryRun,
+      scanned,
+      changedCount: changed.length,
+      changed,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Status recalculation failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run status recalculation',
+      error: error.message
+    });
+  }
+};
+
+router.get('/admin/run-status-recalculation', ensureDbConnection, handleStatusRecalculation);
+router.post('/admin/run-status-recalculation', ensureDbConnection, handleStatusRecalculation);
+
+// Endpoint for the service status steps on their own (they also run with expiry processing).
+// Pass ?dryRun=true to see the changes without saving them.
+// Supports both GET (for cron-job.org) and POST (for manual triggers)
+const handleServiceTransitions = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun || req.body?.dryRun || '') === 'true';
+    console.log(`⚙️ Service Status: Running now${dryRun ? ' (dry run)' : ''}...`);
+    const { scanned, changed } = await runServiceTransitions({ dryRun });
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${changed.length} of ${scanned} users would change service status`
+        : `Service status checked for ${scanned} users, ${changed.length} changed`,
+      dryRun,
+      scanned,
+      changedCount: changed.length,
+      changed,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Service status run failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run service status',
+      error: error.message
+    });
+  }
+};
+
+router.get('/admin/run-service-status', ensureDbConnection, handleServiceTransitions);
+router.post('/admin/run-service-status', ensureDbConnection, handleServiceTransitions);
+
+// Endpoint for the late fee rules on their own (they also run with expiry processing).
+// Pass ?dryRun=true to see the fees without charging them.
+// Supports both GET (for cron-job.org) and POST (for manual triggers)
+const handleLateFees = async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun || req.body?.dryRun || '') === 'true';
+    console.log(`⚙️ Late Fees: Running now${dryRun ? ' (dry run)' : ''}...`);
+    const { scanned, charged, totalAmount } = await applyLateFees({ dryRun });
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `${charged.length} months would be charged ${totalAmount} in late fees`
+        : `Charged ${totalAmount} in late fees on ${charged.length} months`,
+      dryRun,
+      scanned,
+      chargedCount: charged.length,
+      totalAmount,
+      charged,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Late fee run failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run late fees',
+      error: error.message
+    });
+  }
+};
+
+router.get('/admin/run-late-fees', ensureDbConnection, handleLateFees);
+router.post('/admin/run-late-fees', ensureDbConnection, handleLateFees);
+
+// ============ MIGRATION ENDPOINT ============
+// One-time migration to add serviceStatus field to existing users
+router.post('/migrate/add-service-status', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Adding serviceStatus to existing users...');
+
+    // Update all users without serviceStatus field
+    const result = await collections.users.updateMany(
+      { serviceStatus: { $exists: false } }, // Only users without serviceStatus
+      { $set: { serviceStatus: 'active' } }  // Set default to 'active'
+    );
+
+    console.log(`✅ Migration complete: ${result.modifiedCount} users updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration to replace plain-text employee passwords with scrypt hashes
+router.post('/migrate/hash-employee-passwords', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Hashing employee passwords...');
+
+    const employees = await collections.employees.find({
+      password: { $exists: true },
+      passwordHash: { $exists: false }
+    }).toArray();
+
+    let hashedCount = 0;
+    for (const employee of employees) {
+      const plainPassword = typeof employee.password === 'string' ? employee.password.trim() : '';
+      const update = plainPassword
+        ? { $set: { passwordHash: await hashPassword(plainPassword), passwordChangedAt: new Date() }, $unset: { password: '' } }
+        // Empty passwords cannot be kept; force an admin reset
+        : { $set: { mustChangePassword: true }, $unset: { password: '' } };
+
+      await collections.employees.updateOne({ _id: employee._id }, update);
+      if (plainPassword) hashedCount++;
+    }
+
+    console.log(`✅ Migration complete: ${hashedCount} of ${employees.length} employee passwords hashed`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      matchedCount: employees.length,
+      modifiedCount: hashedCount
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// Migration endpoint to open the ledger with the current incomes balances.
+// Run once after deploying the ledger; running it again only posts balances the ledger does not explain.
+router.post('/migrate/ledger-opening-balances', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Posting opening balances to the ledger...');
+
+    const entries = await ledger.recordOpeningBalances(req.user);
+
+    console.log(`✅ Migration complete: ${entries.length} opening balance entries posted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: DD-MM-YYYY (and other legacy) expiry/recharge date strings on users and
+// vouchers -> BSON dates at 12:00 business time. Values that are not real dates are left as they
+// are and listed in the response so they can be fixed by hand. Safe to run again.
+router.post('/migrate/dates-to-bson', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Converting expiry/recharge dates to BSON dates...');
+
+    const fields = ['expiryDate', 'rechargeDate'];
+    const summary = {};
+    const invalid = [];
+
+    for (const [name, collection] of [['users', collections.users], ['vouchers', collections.vouchers]]) {
+      const docs = await collection.find({
+        $or: fields.map((field) => ({ [field]: { $type: 'string' } }))
+      }).project({ expiryDate: 1, rechargeDate: 1, userName: 1 }).toArray();
+
+      const updates = [];
+      for (const doc of docs) {
+        const $set = {};
+        for (const field of fields) {
+          if (typeof doc[field] !== 'string') continue;
+          const converted = toStoredDate(doc[field]);
+          if (converted || doc[field].trim() === '') {
+            $set[field] = converted;
+          } else {
+            invalid.push({ collection: name, _id: doc._id, userName: doc.userName, field, value: doc[field] });
+          }
+        }
+        if (Object.keys($set).length > 0) {
+          updates.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+        }
+      }
+
+      if (updates.length > 0) {
+        await collection.bulkWrite(updates, { ordered: false });
+      }
+      summary[name] = updates.length;
+      console.log(`✅ ${name}: ${updates.length} of ${docs.length} documents converted`);
+    }
+
+    console.log(`✅ Migration complete: ${invalid.length} values could not be converted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: summary,
+      invalidCount: invalid.length,
+      invalid
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: 'superbalance' (advance payment) months become ordinary months. What they
+// hold beyond what the month owes moves to the user's credit wallet, then every status is
+// re-derived (nobody is 'superbalance' any more). Run after /api/migrate/voucher-months.
+// Safe to run again.
+router.post('/migrate/superbalance-to-wallet', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Moving superbalance months to credit wallets...');
+
+    const vouchers = await findVouchers({}, { months: { status: 'superbalance' } });
+    const moved = [];
+    for (const voucher of vouchers) {
+      const user = ObjectId.isValid(String(voucher.userId))
+        ? await collections.users.findOne({ _id: new ObjectId(String(voucher.userId)) })
+        : null;
+      if (!user) continue;
+
+      const wallet = planWallet({
+        user,
+        months: voucher.months,
+        creditMonths: voucher.months.filter(m => m.status === 'superbalance'),
+        creditType: WALLET_ENTRY_TYPES.SUPERBALANCE,
+        actor: req.user
+      });
+      await runInTransaction(async (session) => {
+        await saveMonths(voucher, wallet.months, { session });
+        await collections.vouchers.updateOne({ _id: voucher._id }, { $set: { updatedAt: new Date() } }, { session });
+        await wallet.commit({ voucherId: voucher._id, session });
+      });
+
+      moved.push({
+        userId: user._id,
+        userName: user.userName,
+        credited: wallet.credits.reduce((sum, entry) => sum + entry.amount, 0),
+        months: wallet.credits.map(entry => entry.month)
+      });
+    }
+
+    const { changed } = await recalculateAllStatuses();
+
+    console.log(`✅ Migration complete: ${moved.length} vouchers moved, ${changed.length} statuses re-derived`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: moved.length,
+      statusChanges: changed.length,
+      data: moved
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: the months array of every voucher -> one voucher_months document per month
+// (see services/voucherMonths.js). Months repeated for a user are set aside on the voucher as
+// duplicateMonths and listed in the response. Safe to run again.
+router.post('/migrate/voucher-months', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Moving voucher months into voucher_months...');
+
+    const { moved, months, duplicates } = await migrateVoucherMonths();
+
+    console.log(`✅ Migration complete: ${months} months from ${moved} vouchers`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: moved,
+      monthCount: months,
+      duplicateCount: duplicates.length,
+      duplicates
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: billing period (see services/periods.js) on voucher months saved before
+// periods existed. Run after /api/migrate/voucher-months. Months whose label and date cannot be
+// read are listed in the response. Safe to run again.
+router.post('/migrate/voucher-periods', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Filling billing periods of voucher months...');
+
+    const { updated, unreadable } = await backfillPeriods();
+
+    console.log(`✅ Migration complete: ${updated} months updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: updated,
+      unreadableCount: unreadable.length,
+      unreadable
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: billing period key and revision on receipts issued before they were stored,
+// so that reprints find them, then the unique receipt index. Run after /api/migrate/voucher-periods.
+// Receipts whose month cannot be read are listed in the response. Safe to run again.
+router.post('/migrate/receipt-periods', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Filling billing periods of receipts...');
+
+    const { updated, unreadable } = await backfillReceiptPeriods();
+
+    console.log(`✅ Migration complete: ${updated} receipts updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount: updated,
+      unreadableCount: unreadable.length,
+      unreadable
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: voucher months unique by { userId, 'period.key' } instead of { userId, month }.
+// Run after /api/migrate/voucher-periods. When a user has two months of one billing period nothing
+// is changed and they are listed. Safe to run again.
+router.post('/migrate/voucher-month-keys', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Keying voucher months by billing period...');
+
+    const { indexed, duplicates } = await keyMonthsByPeriod();
+
+    if (!indexed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some users have two months of one billing period. Remove or merge them, then run again.',
+        duplicateCount: duplicates.length,
+        duplicates
+      });
+    }
+
+    console.log('✅ Migration complete: voucher months keyed by billing period');
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully'
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// One-time migration: customerId (the user's _id as a string) on complaints filed before it was
+// stored, from their userId. Complaints whose userId names no user are listed. Safe to run again.
+router.post('/migrate/complaint-customer-ids', async (req, res) => {
+  try {
+    console.log('🔄 Starting migration: Filling customerId on complaints...');
+
+    const complaints = await collections.complaints
+      .find({ customerId: null }, { projection: { _id: 1, userId: 1 } })
+      .toArray();
+
+    let modifiedCount = 0;
+    const unmatched = [];
+    for (const complaint of complaints) {
+      const customerId = await customerIdFor(complaint.userId);
+      if (!customerId) {
+        unmatched.push({ complaintId: complaint._id, userId: complaint.userId });
+        continue;
+      }
+      await collections.complaints.updateOne({ _id: complaint._id }, { $set: { customerId } });
+      modifiedCount++;
+    }
+
+    console.log(`✅ Migration complete: ${modifiedCount} complaints updated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Migration completed successfully',
+      modifiedCount,
+      unmatchedCount: unmatched.length,
+      unmatched
+    });
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: error.message
+    });
+  }
+});
+
+// ============ DEBUG ENDPOINT ============
+// Check if specific user should be expired
+router.get('/admin/check-user-expiry/:userId', ensureDbConnection, async (req, res) => {
+  try {
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.userId) });
+
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const userExpiryDate = toStoredDate(user.expiryDate) || new Date(0);
+    // Expiry processing moves users whose expiry day is today or earlier (business timezone)
+    const endOfToday = startOfToday(1);
+
+    const nowUTC = new Date();
+    const businessNow = toBusinessTime(nowUTC);
+
+    res.status(200).json({
+      success: true,
+      user: {
+        userName: user.userName,
+        status: user.status,
+        expiryDate: user.expiryDate,
+        showInExpiringSoon: user.showInExpiringSoon
+      },
+      debug: {
+        userExpiryDate: userExpiryDate.toISOString(),
+        timezone: getSettings().timezone,
+        endOfTodayPKT: endOfToday.toISOString(),
+        todayPKT: businessNow.toISOString(),
+        isExpired: userExpiryDate < endOfToday,
+        shouldBeUnpaid: userExpiryDate < endOfToday && user.status !== 'unpaid'
+      }
+    });
+  } catch (error) {
+    console.error('Debug error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============ CLEANUP ENDPOINT ============
+// Clean up stale showInExpiringSoon flags for users not expiring within 2 days
+router.post('/admin/cleanup-expiring-flags', ensureDbConnection, async (req, res) => {
+  try {
+    console.log('🧹 Cleaning up stale expiring-soon flags...');
+
+    // Get current business date
+    const nowUTC = new Date();
+    const businessNow = toBusinessTime(nowUTC);
+    const todayY = businessNow.getUTCFullYear();
+    const todayM = businessNow.getUTCMonth();
+    const todayD = businessNow.getUTCDate();
+
+    const tomorrowDate = new Date(Date.UTC(todayY, todayM, todayD) + 24 * 60 * 60 * 1000);
+    const tomorrowY = tomorrowDate.getUTCFullYear();
+    const tomorrowM = tomorrowDate.getUTCMonth();
+    const tomorrowD = tomorrowDate.getUTCDate();
+
+    // Find all users with showInExpiringSoon flag
+    const flaggedUsers = await collections.users.find({
+      showInExpiringSoon: true
+    }).toArray();
+
+    console.log(`📋 Found ${flaggedUsers.length} users with expiring-soon flag`);
+
+    let cleanedCount = 0;
+
+    for (const user of flaggedUsers) {
+      const ymd = parseExpiryYMD(user.expiryDate);
+      if (!ymd) {
+        // Invalid expiry date - clear flag
+        await collections.users.updateOne(
+          { _id: user._id },
+          { $set: { showInExpiringSoon: false } }
+        );
+        cleanedCount++;
+        console.log(`   ❌ Cleared flag for ${user.userName} (invalid expiry date)`);
+        continue;
+      }
+
+      const isToday = (ymd.y === todayY && ymd.m === todayM && ymd.d === todayD);
+      const isTomorrow = (ymd.y === tomorrowY && ymd.m === tomorrowM && ymd.d === tomorrowD);
+
+      if (!isToday && !isTomorrow) {
+        // Not expiring within 2 days - clear flag
+        await collections.users.updateOne(
+          { _id: user._id },
+          { $set: { showInExpiringSoon: false } }
+        );
+        cleanedCount++;
+        console.log(`   ❌ Cleared flag for ${user.userName} (expires ${user.expiryDate}, not within 2 days)`);
+      } else {
+        console.log(`   ✅ Kept flag for ${user.userName} (expires ${user.expiryDate})`);
+      }
+    }
+
+    console.log(`✅ Cleanup complete: ${cleanedCount} stale flags cleared`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cleanup completed',
+      totalFlagged: flaggedUsers.length,
+      cleaned: cleanedCount,
+      remaining: flaggedUsers.length - cleanedCount
+    });
+  } catch (error) {
+    console.error('❌ Cleanup failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Cleanup failed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,802 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, getDb, isDbConnected, runInTransaction, transactionErrorResponse, ensureDbConnection } = require('../db');
+const { ledger, idempotent } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const { LEDGER_TYPES, cashMovement } = require('../services/ledger');
+const { formatYMD } = require('../services/dates');
+const { samePeriod } = require('../services/periods');
+const { findVoucher, findVouchers, saveMonths } = require('../services/voucherMonths');
+
+// Fee collector collections and transfers to Admin (mounted at /api/collections)
+const router = express.Router();
+
+// GET my collection - Returns specific payments made by a collector with accurate dates
+router.get('/my-collection', async (req, res) => {
+  try {
+    const { fromDate, toDate, collector } = req.query;
+
+    if (!collector) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collector name is required'
+      });
+    }
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range (fromDate and toDate) is required'
+      });
+    }
+
+    console.log(`📊 Fetching My Collection for "${collector}" from ${fromDate} to ${toDate}`);
+
+    const collectorTrimmed = collector.trim();
+    const collectorRegex = new RegExp(`^${collectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    // STRICT: No backward compatibility for "Myself" - only match explicit receivedBy
+    // Admin should only see payments where receivedBy is explicitly "admin" or "Admin"
+    const shouldMatchMyself = false;
+    console.log(`🔒 STRICT mode: Only matching explicit receivedBy "${collectorTrimmed}"`);
+
+    // Get all vouchers with their paid/partial months
+    const vouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+
+    console.log(`🔍 Total vouchers with paid/partial months: ${vouchers.length}`);
+
+    const collectedPayments = [];
+    let totalAmount = 0;
+    let skippedCount = 0;
+    let matchedMonthsCount = 0;
+
+    // Get all users for mapping
+    const allUsers = await collections.users.find({}).toArray();
+    const userMap = new Map();
+    allUsers.forEach(user => {
+      userMap.set(user._id.toString(), user);
+    });
+
+    for (const voucher of vouchers) {
+      const months = Array.isArray(voucher.months) ? voucher.months : [];
+      const user = userMap.get(voucher.userId?.toString());
+      const userName = user?.userName || 'Unknown User';
+
+      for (const month of months) {
+        if (!['paid', 'partial'].includes(month.status)) continue;
+
+        matchedMonthsCount++;
+
+        // Normalize date helper
+        const normalizeDate = (dateValue) => {
+          if (!dateValue) return null;
+          const d = new Date(dateValue);
+          // Convert to business-timezone YYYY-MM-DD
+          if (!isNaN(d.getTime())) return formatYMD(d);
+          if (typeof dateValue === 'string' && dateValue.includes('T')) {
+            return dateValue.split('T')[0];
+          }
+          return null;
+        };
+
+        // Check paymentHistory FIRST (more specific and accurate)
+        const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+        let addedFromHistory = false;
+
+        for (const payment of paymentHistory) {
+          const histReceivedBy = payment.receivedBy || '';
+          // STRICT: Only match explicit collector name, never "Myself"
+          const histMatchesCollector = collectorRegex.test(histReceivedBy) &&
+            histReceivedBy.toLowerCase() !== 'myself';
+
+          if (histMatchesCollector && payment.date && payment.amount) {
+            const dateStr = normalizeDate(payment.date);
+
+            // Check if date is in range
+            if (dateStr && dateStr >= fromDate && dateStr <= toDate) {
+              collectedPayments.push({
+                userName,
+                amount: payment.amount || 0,
+                date: dateStr,
+                month: month.month,
+                receivedBy: histReceivedBy
+              });
+              totalAmount += payment.amount || 0;
+              addedFromHistory = true;
+
+              if (collectedPayments.length <= 3) {
+                console.log(`✅ Added from history: ${userName} - ${month.month} - Rs ${payment.amount} - ${dateStr} - receivedBy: ${histReceivedBy}`);
+              }
+            } else {
+              if (skippedCount < 3) {
+                console.log(`⏭️ Skipped (date out of range): ${userName} - ${dateStr} not in ${fromDate} to ${toDate}`);
+                skippedCount++;
+              }
+            }
+          } else if (histMatchesCollector) {
+            if (skippedCount < 3) {
+              console.log(`⏭️ Skipped (missing data): ${userName} - date: ${payment.date ? 'yes' : 'no'}, amount: ${payment.amount ? 'yes' : 'no'}`);
+              skippedCount++;
+            }
+          }
+        }
+
+        // Only check month.receivedBy if NOT already added from paymentHistory
+        // This avoids duplicate entries for the same payment
+        if (!addedFromHistory) {
+          const monthReceivedBy = month.receivedBy || '';
+          // STRICT: Only match explicit collector name, never "Myself"
+          const monthMatchesCollector = collectorRegex.test(monthReceivedBy) &&
+            monthReceivedBy.toLowerCase() !== 'myself';
+
+          if (monthMatchesCollector) {
+            // Get payment date from month
+            const paymentDate = month.createdAt || month.date;
+            const dateStr = normalizeDate(paymentDate);
+
+            // Check if date is in range
+            if (dateStr && dateStr >= fromDate && dateStr <= toDate) {
+              collectedPayments.push({
+                userName,
+                amount: month.paidAmount || 0,
+                date: dateStr,
+                month: month.month,
+                receivedBy: monthReceivedBy
+              });
+              totalAmount += month.paidAmount || 0;
+
+              if (collectedPayments.length <= 3) {
+                console.log(`✅ Added from month: ${userName} - ${month.month} - Rs ${month.paidAmount} - ${dateStr} - receivedBy: ${monthReceivedBy}`);
+              }
+            } else {
+              if (skippedCount < 3) {
+                console.log(`⏭️ Skipped (date out of range): ${userName} - ${dateStr} not in ${fromDate} to ${toDate}`);
+                skippedCount++;
+              }
+            }
+          } else if (monthReceivedBy && !monthMatchesCollector) {
+            if (skippedCount < 3) {
+              console.log(`⏭️ Skipped (receivedBy mismatch): ${userName} - receivedBy: "${monthReceivedBy}" != "${collectorTrimmed}"`);
+              skippedCount++;
+            }
+          }
+        }
+      }
+    }
+
+    // Sort by date (most recent first)
+    collectedPayments.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+    console.log(`\n📊 My Collection Summary:`);
+    console.log(`   Collector: "${collectorTrimmed}"`);
+    console.log(`   Date Range: ${fromDate} to ${toDate}`);
+    console.log(`   Total vouchers checked: ${vouchers.length}`);
+    console.log(`   Total paid/partial months: ${matchedMonthsCount}`);
+    console.log(`   ✅ Payments found: ${collectedPayments.length}`);
+    console.log(`   💰 Total Amount: Rs ${totalAmount}`);
+    console.log(`   ⏭️ Items skipped: ${skippedCount}+\n`);
+
+    res.status(200).json({
+      success: true,
+      data: collectedPayments,
+      totalAmount,
+      count: collectedPayments.length
+    });
+  } catch (error) {
+    console.error('Error fetching my collection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection',
+      error: error.message
+    });
+  }
+});
+
+// ============ OPTIMIZED COLLECTIONS ENDPOINT ============
+// GET all employee stats in a single call (optimized for collections page)
+router.get('/all-employee-stats', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    console.log('📊 Fetching all employee stats (optimized)');
+
+    // Get all active employees (excluding admin)
+    const employees = await collections.employees.find({
+      isActive: true,
+      role: { $not: { $regex: /^admin$/i } }
+    }).toArray();
+
+    console.log(`👥 Found ${employees.length} active employees`);
+
+    // Get all income records at once
+    const allIncomes = await collections.incomes.find({}).toArray();
+    const incomeMap = new Map();
+    allIncomes.forEach(income => {
+      incomeMap.set(income.name.toLowerCase().trim(), {
+        cashIncome: income.cashIncome || 0,
+        bankIncome: income.bankIncome || 0,
+        totalIncome: (income.cashIncome || 0) + (income.bankIncome || 0)
+      });
+    });
+
+    // Get all transferred amounts at once
+    const allTransfers = await collections.transfers.find({}).toArray();
+    const transferMap = new Map();
+    allTransfers.forEach(transfer => {
+      const fc = transfer.feeCollector?.toLowerCase().trim();
+      if (fc) {
+        transferMap.set(fc, (transferMap.get(fc) || 0) + (transfer.amount || 0));
+      }
+    });
+
+    // Build stats for all employees
+    const employeeStats = employees.map(employee => {
+      const nameLower = employee.name.toLowerCase().trim();
+      const income = incomeMap.get(nameLower) || { cashIncome: 0, bankIncome: 0, totalIncome: 0 };
+      const transferred = transferMap.get(nameLower) || 0;
+
+      return {
+        employee: {
+          _id: employee._id,
+          name: employee.name,
+          role: employee.role,
+          salary: employee.salary,
+          isActive: employee.isActive
+        },
+        totalCollection: income.totalIncome,
+        cashIncome: income.cashIncome,
+        bankIncome: income.bankIncome,
+        transferredAmount: transferred
+      };
+    });
+
+    console.log(`✅ Returning stats for ${employeeStats.length} employees`);
+
+    res.status(200).json({
+      success: true,
+      data: employeeStats,
+      count: employeeStats.length
+    });
+  } catch (error) {
+    console.error('❌ Error fetching all employee stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching employee stats',
+      error: error.message
+    });
+  }
+});
+
+// ============ COLLECTIONS TRANSFER ROUTES ============
+
+// POST transfer money from fee collector
+router.post('/transfer', ensureDbConnection, idempotent, async (req, res) => {
+  try {
+    const { feeCollector, amount, message } = req.body;
+
+    console.log('🔵 ===== TRANSFER API CALLED =====');
+    console.log('🔵 Request body:', { feeCollector, amount, message });
+    console.log('🔵 DB Status:', { isConnected: isDbConnected(), hasDb: !!getDb() });
+
+    // Ensure database is connected
+    if (!getDb()) {
+      console.error('❌ Database not available');
+      return res.status(503).json({
+        success: false,
+        message: 'Database connection not available'
+      });
+    }
+
+    if (!feeCollector || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fee collector name and amount are required'
+      });
+    }
+
+    const transferAmount = Number(amount);
+    if (isNaN(transferAmount) || transferAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid amount'
+      });
+    }
+
+    console.log('🔵 Processing transfer: Fee Collector =', feeCollector.trim(), '| Amount = Rs', transferAmount);
+
+    // CRITICAL: Log database information
+    console.log('🔵 Database Info:', {
+      dbName: getDb().databaseName,
+      namespace: getDb().namespace,
+      client: !!getDb().client
+    });
+
+    // Get collections explicitly from db
+    const incomesCol = collections.incomes;
+    const transactionsCol = collections.transactions;
+    console.log('🔵 Collections initialized:', { incomes: !!incomesCol, transactions: !!transactionsCol });
+    console.log('🔵 Incomes collection namespace:', incomesCol.namespace);
+
+    const feeCollectorTrimmed = feeCollector.trim();
+    const feeCollectorRegex = new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+    // Create or get collections collection
+    // (collections cannot be created inside the transaction below on older MongoDB versions)
+
+    // Check if collection exists, if not create it
+    const existingCollections = await getDb().listCollections().toArray();
+    const collectionExists = existingCollections.some(c => c.name === 'collections');
+    if (!collectionExists) {
+      await getDb().createCollection('collections');
+    }
+
+    // Balance check, transfer record, income update and transaction log are one transaction:
+    // either all of them are saved or none
+    const outcome = await runInTransaction(async (session) => {
+      // Check if fee collector has enough income to transfer
+      // Case-insensitive lookup (consistent with stats calculation)
+      const feeCollectorIncome = await incomesCol.findOne({ name: feeCollectorRegex }, { session });
+      let currentIncome = feeCollectorIncome?.cashIncome || 0;
+      const actualName = feeCollectorIncome?.name || feeCollectorTrimmed; // Use name from DB if found
+      console.log(`💰 Fee collector "${actualName}" current cashIncome: Rs${currentIncome}`);
+
+      // Fallback: If incomes collection is empty/not synced, calculate from vouchers
+      if (currentIncome === 0) {
+        console.log('⚠️ Incomes collection not synced or cashIncome is 0, calculating from vouchers...');
+        const vouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } }, session });
+
+        for (const voucher of vouchers) {
+          if (voucher.months && Array.isArray(voucher.months)) {
+            for (const month of voucher.months) {
+              if (month.status === 'paid' || month.status === 'partial') {
+                const paymentHistory = month.paymentHistory || [];
+
+                if (paymentHistory.length > 0) {
+                  for (const payment of paymentHistory) {
+                    if (payment.receivedBy && payment.receivedBy.toLowerCase() === feeCollectorTrimmed.toLowerCase()) {
+                      currentIncome += Number(payment.amount || 0);
+                    }
+                  }
+                } else if (month.receivedBy && month.receivedBy.toLowerCase() === feeCollectorTrimmed.toLowerCase()) {
+                  currentIncome += Number(month.paidAmount || 0);
+                }
+              }
+            }
+          }
+        }
+
+        // Subtract transferred amounts
+        const transfers = await collections.transfers.find({ feeCollector: feeCollectorRegex }, { session }).toArray();
+
+        for (const transfer of transfers) {
+          currentIncome -= Number(transfer.amount || 0);
+        }
+
+        console.log(`💰 Calculated income from vouchers: Rs${currentIncome}`);
+      }
+
+      if (currentIncome < transferAmount) {
+        return { insufficient: true, currentIncome };
+      }
+
+      // Create transfer record
+      const transferRecord = {
+        feeCollector: feeCollectorTrimmed,
+        amount: transferAmount,
+        message: message ? message.trim() : '',
+        date: new Date(),
+        createdAt: new Date()
+      };
+
+      const result = await collections.transfers.insertOne(transferRecord, { session });
+
+      // 💰 UPDATE INCOME: Decrease fee collector's cashIncome and increase Admin's cashIncome
+      // Transfers are always cash. A collector without an income record ends up with a negative balance.
+      await ledger.post({
+        type: LEDGER_TYPES.TRANSFER,
+        description: transferRecord.message || `Transfer from ${actualName} to Admin`,
+        lines: cashMovement(actualName, 'Admin', transferAmount),
+        ref: { transferId: result.insertedId.toString() },
+        actor: req.user,
+        session
+      });
+      console.log(`💰 Income moved: ${actualName} -Rs${transferAmount} → Admin +Rs${transferAmount} (cash)`);
+
+      // 📝 SAVE TRANSACTION: Store in transactions collection
+      await transactionsCol.insertOne({
+        type: 'transfer',
+        from: feeCollectorTrimmed,
+        to: 'Admin',
+        amount: transferAmount,
+        description: message ? message.trim() : `Transfer from ${feeCollectorTrimmed} to Admin`,
+        date: new Date(),
+        createdAt: new Date()
+      }, { session });
+
+      return { transferRecord: { _id: result.insertedId, ...transferRecord } };
+    });
+
+    if (outcome.insufficient) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient income. Available: Rs${outcome.currentIncome}, Requested: Rs${transferAmount}`
+      });
+    }
+
+    console.log(`💰 Transfer recorded: ${feeCollectorTrimmed} transferred Rs ${transferAmount}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Money transferred successfully',
+      data: outcome.transferRecord
+    });
+  } catch (error) {
+    console.error('Error transferring money:', error);
+    transactionErrorResponse(res, 'Error transferring money', error);
+  }
+});
+
+// GET transferred amount for a specific fee collector
+router.get('/transferred', ensureDbConnection, async (req, res) => {
+  try {
+    const feeCollector = req.query.feeCollector;
+
+    if (!feeCollector) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fee collector name is required'
+      });
+    }
+
+    // Calculate total transferred amount for this fee collector
+    const transfers = await collections.transfers.find({
+      feeCollector: { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') }
+    }).toArray();
+
+    const totalTransferred = transfers.reduce((sum, transfer) => sum + Number(transfer.amount || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        feeCollector: feeCollector.trim(),
+        transferredAmount: totalTransferred,
+        transferCount: transfers.length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transferred amount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transferred amount',
+      error: error.message
+    });
+  }
+});
+
+// GET all transferred amounts (for admin)
+router.get('/transferred/all', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+
+    // Get all transfers
+    const transfers = await collections.transfers.find({}).toArray();
+
+    // Group by fee collector and sum amounts
+    const transferredMap = {};
+    transfers.forEach((transfer) => {
+      const fc = transfer.feeCollector?.trim() || '';
+      if (fc) {
+        if (!transferredMap[fc]) {
+          transferredMap[fc] = 0;
+        }
+        transferredMap[fc] += Number(transfer.amount || 0);
+      }
+    });
+
+    // Convert to array format
+    const result = Object.entries(transferredMap).map(([feeCollector, transferredAmount]) => ({
+      feeCollector,
+      transferredAmount
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching all transferred amounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transferred amounts',
+      error: error.message
+    });
+  }
+});
+
+// GET transfer history for a specific fee collector
+router.get('/transfers/history', ensureDbConnection, async (req, res) => {
+  console.log('📥 Transfer history endpoint hit. Query:', req.query);
+  try {
+    const feeCollector = req.query.feeCollector;
+
+    if (!feeCollector) {
+      console.log('❌ Fee collector not provided');
+      return res.status(400).json({
+        success: false,
+        message: 'Fee collector name is required'
+      });
+    }
+
+    console.log('✅ Fetching transfer history for:', feeCollector);
+
+    // Get all transfers for this fee collector, sorted by date (newest first)
+    const transfers = await collections.transfers.find({
+      feeCollector: { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') }
+    }).sort({ date: -1 }).toArray();
+
+    // Format transfers with date
+    const formattedTransfers = transfers.map((transfer) => ({
+      _id: transfer._id,
+      amount: Number(transfer.amount || 0),
+      message: transfer.message || '',
+      date: transfer.date || transfer.createdAt,
+      createdAt: transfer.createdAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: formattedTransfers
+    });
+  } catch (error) {
+    console.error('Error fetching transfer history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transfer history',
+      error: error.message
+    });
+  }
+});
+
+// GET collection history for a specific fee collector
+router.get('/history/:feeCollector', ensureDbConnection, async (req, res) => {
+  try {
+    const feeCollectorName = req.params.feeCollector;
+    const page = req.query.page ? parseInt(req.query.page) : null;
+    const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+    const search = req.query.search ? req.query.search.trim() : '';
+
+    if (!feeCollectorName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Fee collector name is required'
+      });
+    }
+
+    console.log(`📜 Fetching collection history for: ${feeCollectorName} (Page: ${page || 'All'}, Limit: ${limit})`);
+
+    const feeCollectorLower = feeCollectorName.toLowerCase().trim();
+
+    // Query vouchers matching receivedBy in months, paymentHistory, or root level
+    const escapedName = feeCollectorLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const nameRegex = new RegExp(`^${escapedName}$`, 'i');
+
+    const matchingVouchers = [
+      // Vouchers with the collector's months
+      ...await findVouchers({}, {
+        months: { $or: [{ receivedBy: nameRegex }, { 'paymentHistory.receivedBy': nameRegex }] }
+      }),
+      // Legacy single-month vouchers
+      ...await collections.vouchers.find({
+        $or: [
+          { 'paymentHistory.receivedBy': nameRegex },
+          { 'receivedBy': nameRegex }
+        ]
+      }).toArray()
+    ];
+
+    let collectionHistory = [];
+
+    // Process matching vouchers to extract individual payment items
+    matchingVouchers.forEach(voucher => {
+      const userName = voucher.userName || voucher.name || voucher.user || 'Unknown Customer';
+      const voucherId = voucher._id ? voucher._id.toString() : '';
+
+      // Multi-month vouchers
+      if (voucher.months && Array.isArray(voucher.months)) {
+        voucher.months.forEach(month => {
+          if (['paid', 'partial'].includes(month.status) && month.receivedBy && !month.isSettled) {
+            const receivedByLower = month.receivedBy.toLowerCase().trim();
+            if (receivedByLower !== 'myself' && receivedByLower === feeCollectorLower) {
+              const paidAmount = Number(month.paidAmount || 0);
+              if (paidAmount > 0) {
+                collectionHistory.push({
+                  voucherId,
+                  userName: userName,
+                  amount: paidAmount,
+                  date: month.paymentDate || month.paidDate || month.date || month.createdAt || voucher.createdAt || new Date(),
+                  paymentMethod: month.paymentMethod || 'Cash',
+                  month: month.month || 'Unknown Month',
+                  isSettled: false
+                });
+              }
+            }
+          }
+        });
+      }
+      // Single-month vouchers
+      else if (['paid', 'partial'].includes(voucher.status) && !voucher.isSettled) {
+        const receivedBy = voucher.receivedBy || '';
+        const receivedByLower = receivedBy.toLowerCase().trim();
+        if (receivedByLower !== 'myself' && receivedByLower === feeCollectorLower) {
+          const paidAmount = Number(voucher.paidAmount || 0);
+          if (paidAmount > 0) {
+            collectionHistory.push({
+              voucherId,
+              userName: userName,
+              amount: paidAmount,
+              date: voucher.paymentDate || voucher.paidDate || voucher.date || voucher.createdAt || new Date(),
+              paymentMethod: voucher.paymentMethod || 'Cash',
+              isSettled: false
+            });
+          }
+        }
+      }
+
+      // Check paymentHistory array
+      if (voucher.paymentHistory && Array.isArray(voucher.paymentHistory)) {
+        voucher.paymentHistory.forEach(payment => {
+          if (payment.isSettled) return;
+          const receivedByLower = (payment.receivedBy || '').toLowerCase().trim();
+          if (receivedByLower !== 'myself' && receivedByLower === feeCollectorLower) {
+            const paidAmount = Number(payment.amount || 0);
+            if (paidAmount > 0) {
+              collectionHistory.push({
+                voucherId,
+                userName: userName,
+                amount: paidAmount,
+                date: payment.date || voucher.createdAt || new Date(),
+                paymentMethod: payment.paymentMethod || 'Cash',
+                month: payment.month || 'Unknown Month',
+                isSettled: false
+              });
+            }
+          }
+        });
+      }
+    });
+
+    // Deduplicate records to avoid identical entries
+    const uniqueRecordsMap = new Map();
+    collectionHistory.forEach(rec => {
+      const dateStr = rec.date ? new Date(rec.date).toISOString().split('T')[0] : '';
+      const key = `${rec.voucherId}_${rec.userName}_${rec.month || ''}_${rec.amount}_${dateStr}`;
+      if (!uniqueRecordsMap.has(key)) {
+        uniqueRecordsMap.set(key, rec);
+      }
+    });
+    collectionHistory = Array.from(uniqueRecordsMap.values());
+
+    // Search filter
+    if (search) {
+      const sRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      collectionHistory = collectionHistory.filter(r => sRegex.test(r.userName));
+    }
+
+    // Sort descending by date
+    collectionHistory.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+    const totalCount = collectionHistory.length;
+    const totalAmount = collectionHistory.reduce((sum, r) => sum + r.amount, 0);
+
+    let resultData = collectionHistory;
+    let hasMore = false;
+
+    if (page !== null && page > 0) {
+      const skip = (page - 1) * limit;
+      resultData = collectionHistory.slice(skip, skip + limit);
+      hasMore = skip + limit < totalCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resultData,
+      totalCount,
+      totalAmount,
+      page: page || 1,
+      limit: limit,
+      hasMore
+    });
+  } catch (error) {
+    console.error('❌ Error fetching collection history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collection history',
+      error: error.message
+    });
+  }
+});
+
+// POST - Settle individual customer payment (Mark as paid/transferred to Admin by Technician)
+router.post('/settle-payment', ensureDbConnection, idempotent, async (req, res) => {
+  try {
+    const { feeCollector, voucherId, month, userName, amount } = req.body;
+
+    if (!feeCollector || !amount || Number(amount) <= 0) {
+      return res.status(400).json({ success: false, message: 'feeCollector and valid amount are required' });
+    }
+
+    console.log(`🤝 Settling payment: ${userName || 'Customer'} (Rs ${amount}) by ${feeCollector}`);
+
+    const feeCollectorTrimmed = feeCollector.trim();
+    const settleAmount = Number(amount);
+
+    // 1. If voucherId & month provided, mark as settled in voucher
+    if (voucherId && ObjectId.isValid(voucherId)) {
+      const vObjectId = new ObjectId(voucherId);
+      const voucher = await findVoucher({ _id: vObjectId });
+
+      if (voucher) {
+        if (voucher.months && Array.isArray(voucher.months)) {
+          const settledMonths = voucher.months
+            .filter(m => !month || samePeriod(m, { month }))
+            .map(m => ({ ...m, isSettled: true, settledAt: new Date(), settledBy: feeCollectorTrimmed }));
+
+          await saveMonths(voucher, settledMonths);
+          await collections.vouchers.updateOne(
+            { _id: vObjectId },
+            { $set: { updatedAt: new Date() } }
+          );
+        } else {
+          await collections.vouchers.updateOne(
+            { _id: vObjectId },
+            { $set: { isSettled: true, settledAt: new Date(), settledBy: feeCollectorTrimmed, updatedAt: new Date() } }
+          );
+        }
+      }
+    }
+
+    // 2. Save transfer record in collections
+    const transferRecord = {
+      feeCollector: feeCollectorTrimmed,
+      amount: settleAmount,
+      message: `Fee paid to Admin for customer ${userName || 'Customer'}${month ? ` (${month})` : ''}`,
+      date: new Date(),
+      createdAt: new Date(),
+      settledVoucherId: voucherId || null,
+      settledMonth: month || null
+    };
+    const transferResult = await collections.transfers.insertOne(transferRecord);
+
+    // 3. Transfer cash income from Fee Collector / Technician to Admin
+    await ledger.post({
+      type: LEDGER_TYPES.SETTLEMENT,
+      description: transferRecord.message,
+      lines: cashMovement(feeCollectorTrimmed, 'Admin', settleAmount),
+      ref: {
+        transferId: transferResult.insertedId.toString(),
+        voucherId: voucherId || null,
+        month: month || null
+      },
+      actor: req.user
+    });
+
+    // 4. Save transaction log
+    await collections.transactions.insertOne({
+      type: 'transfer',
+      feeCollector: feeCollectorTrimmed,
+      amount: settleAmount,
+      description: `Settled payment for ${userName || 'Customer'}`,
+      date: new Date(),
+      createdAt: new Date()
+    });
+
+    console.log(`✅ Payment settled successfully for ${userName} by ${feeCollectorTrimmed}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment marked as paid and transferred to Admin'
+    });
+  } catch (error) {
+    console.error('❌ Error settling payment:', error);
+    res.status(500).json({ success: false, message: 'Error settling payment', error: error.message });
+  }
+});
+
+module.exports = router;
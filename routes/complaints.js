@@ -0,0 +1,462 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, getDb, ensureDbConnection } = require('../db');
+const { requireRole, ROLES } = require('../services/auth');
+const { customerIdFor } = require('../services/users');
+
+// ==================== COMPLAINTS API ====================
+// Mounted at /api/complaints
+const router = express.Router();
+
+// PUT route to reopen a resolved complaint (Admin only)
+router.put('/:id/reopen', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    console.log('?? Reopen complaint request:', req.params.id);
+
+    const complaintId = req.params.id;
+
+    if (!complaintId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint ID is required'
+      });
+    }
+
+    // Validate ObjectId format
+    if (!ObjectId.isValid(complaintId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid complaint ID format'
+      });
+    }
+
+    // Get complaint first to check current status
+    const complaint = await collections.complaints.findOne(
+      { _id: new ObjectId(complaintId) }
+    );
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    // Check if complaint is already pending
+    if ((complaint.status || 'pending').toLowerCase() === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint is already pending'
+      });
+    }
+
+    // Reopen complaint by changing status to pending
+    const result = await collections.complaints.updateOne(
+      { _id: new ObjectId(complaintId) },
+      {
+        $set: {
+          status: 'pending',
+          reopenedAt: new Date()
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    console.log('? Complaint reopened successfully');
+    res.status(200).json({
+      success: true,
+      message: 'Complaint reopened successfully',
+      data: {
+        _id: complaintId,
+        status: 'pending',
+        reopenedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('? Error reopening complaint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reopening complaint',
+      error: error.message
+    });
+  }
+});
+
+// POST - Create a new complaint
+router.post('/', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId, userName, message, assignTo, simNo, whatsappNo, reportedBy } = req.body;
+
+    if (!userId || !userName || !message || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User ID, user name, and message are required'
+      });
+    }
+
+    // Create or get complaints collection
+
+    // Check if collection exists, if not create it
+    const existingCollections = await getDb().listCollections().toArray();
+    const collectionExists = existingCollections.some(c => c.name === 'complaints');
+    if (!collectionExists) {
+      await getDb().createCollection('complaints');
+    }
+
+    // Create complaint record; customerId is the user's _id whichever id the form sent
+    const complaintRecord = {
+      userId: userId,
+      customerId: await customerIdFor(userId),
+      userName: userName.trim(),
+      message: message.trim(),
+      assignTo: assignTo ? assignTo.trim() : null,
+      simNo: simNo || null,
+      whatsappNo: whatsappNo || null,
+      reportedBy: reportedBy ? reportedBy.trim() : null, // Who reported: admin or fee collector name
+      status: 'pending', // pending, resolved
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await collections.complaints.insertOne(complaintRecord);
+
+    console.log(`📝 Complaint created: ${userName} - ${message.substring(0, 50)}...`);
+
+    // Create notification for admin if complaint is not submitted by admin
+    if (reportedBy && reportedBy.toLowerCase() !== 'admin') {
+      try {
+        await collections.notifications.insertOne({
+          type: 'new_complaint',
+          title: 'New Complaint Received',
+          message: `${reportedBy} submitted a complaint from ${userName}`,
+          complaintId: result.insertedId.toString(),
+          userName: userName.trim(),
+          complaintMessage: message.trim(),
+          submittedBy: reportedBy.trim(),
+          isRead: false,
+          createdAt: new Date()
+        });
+        console.log('✅ Notification created for admin');
+      } catch (notifError) {
+        console.error('Error creating notification:', notifError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Complaint submitted successfully',
+      data: {
+        _id: result.insertedId,
+        ...complaintRecord
+      }
+    });
+  } catch (error) {
+    console.error('Error creating complaint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating complaint',
+      error: error.message
+    });
+  }
+});
+
+// GET - Get all complaints (with optional filters)
+router.get('/', ensureDbConnection, async (req, res) => {
+  try {
+    const technician = req.query.technician; // Filter by assigned technician
+    const status = req.query.status; // Filter by status (pending, resolved)
+    const reportedBy = req.query.reportedBy; // Filter by who reported (fee collector name)
+    const role = req.query.role; // User role: admin, fee collector, technician
+    const search = req.query.search; // Search by name or phone number
+    const page = parseInt(req.query.page) || 1; // Page number (default: 1)
+    const limit = parseInt(req.query.limit) || 20; // Items per page (default: 20)
+
+    // Build query
+    const query = {};
+    if (technician) {
+      query.assignTo = { $regex: new RegExp(`^${technician.trim()}$`, 'i') };
+    }
+    if (status) {
+      query.status = status.toLowerCase();
+    }
+    // For fee collector: show only complaints they reported
+    if (role === 'fee collector' && reportedBy) {
+      query.reportedBy = { $regex: new RegExp(`^${reportedBy.trim()}$`, 'i') };
+    }
+
+    // Apply search filter to query if provided
+    if (search && search.trim() !== '') {
+      const searchTerm = search.trim();
+      query.$or = [
+        { userName: { $regex: searchTerm, $options: 'i' } },
+        { message: { $regex: searchTerm, $options: 'i' } },
+        { simNo: { $regex: searchTerm, $options: 'i' } },
+        { whatsappNo: { $regex: searchTerm, $options: 'i' } }
+      ];
+    }
+
+    // Calculate skip value for pagination
+    const skip = (page - 1) * limit;
+
+    // Get total count for pagination
+    const totalCount = await collections.complaints.countDocuments(query);
+
+    // Get complaints with pagination, sorted by date (newest first)
+    const complaints = await collections.complaints
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    // Format complaints
+    const formattedComplaints = complaints.map((complaint) => ({
+      _id: complaint._id,
+      userId: complaint.userId,
+      userName: complaint.userName || '',
+      message: complaint.message || '',
+      assignTo: complaint.assignTo || null,
+      simNo: complaint.simNo || null,
+      whatsappNo: complaint.whatsappNo || null,
+      reportedBy: complaint.reportedBy || null,
+      status: complaint.status || 'pending',
+      createdAt: complaint.createdAt,
+      updatedAt: complaint.updatedAt || complaint.createdAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: formattedComplaints,
+      count: formattedComplaints.length,
+      total: totalCount,
+      page: page,
+      totalPages: Math.ceil(totalCount / limit),
+      hasMore: skip + formattedComplaints.length < totalCount
+    });
+  } catch (error) {
+    console.error('❌ Error fetching complaints:', error);
+    console.error('❌ Error stack:', error.stack);
+
+    // Ensure we always return valid JSON
+    try {
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching complaints',
+        error: error.message || 'Unknown error'
+      });
+    } catch (jsonError) {
+      // If JSON response fails, send plain text (shouldn't happen, but safety)
+      console.error('❌ Failed to send JSON error response:', jsonError);
+      res.status(500).send(`Error: ${error.message || 'Unknown error'}`);
+    }
+  }
+});
+
+// GET - Get complaint statistics for a technician
+router.get('/stats', ensureDbConnection, async (req, res) => {
+  try {
+    const technician = req.query.technician;
+
+    if (!technician) {
+      return res.status(400).json({
+        success: false,
+        message: 'Technician name is required'
+      });
+    }
+
+    // Get all complaints for this technician
+    const complaints = await collections.complaints.find({
+      assignTo: { $regex: new RegExp(`^${technician.trim()}$`, 'i') }
+    }).toArray();
+
+    // Calculate stats
+    const pending = complaints.filter(c => (c.status || 'pending').toLowerCase() === 'pending').length;
+    const resolved = complaints.filter(c => (c.status || 'pending').toLowerCase() === 'resolved').length;
+    const total = complaints.length;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total,
+        pending,
+        resolved
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching complaint stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching complaint statistics',
+      error: error.message
+    });
+  }
+});
+
+// PUT - Update complaint status (admins and technicians)
+router.put('/:id/status', ensureDbConnection, requireRole(ROLES.ADMIN, ROLES.TECHNICIAN), async (req, res) => {
+  try {
+    const complaintId = req.params.id;
+    const { status, resolvedBy } = req.body;
+
+    if (!complaintId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint ID is required'
+      });
+    }
+
+    if (!status || !['pending', 'resolved'].includes(status.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either "pending" or "resolved"'
+      });
+    }
+
+    // Get complaint details first for notification
+    const complaint = await collections.complaints.findOne({ _id: new ObjectId(complaintId) });
+
+    if (!complaint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    // Update complaint status
+    const result = await collections.complaints.updateOne(
+      { _id: new ObjectId(complaintId) },
+      {
+        $set: {
+          status: status.toLowerCase(),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    // CRITICAL: Create notification for admin when complaint is resolved
+    // Check if status was changed from pending to resolved AND resolver is not admin
+    const wasResolved = complaint.status && complaint.status.toLowerCase() === 'resolved';
+    const isNowResolved = status.toLowerCase() === 'resolved';
+    const resolver = resolvedBy || complaint.assignTo || complaint.reportedBy || 'Unknown';
+    const isResolverAdmin = resolver.toLowerCase().includes('admin');
+
+    console.log('📊 Notification check:', {
+      complaintId,
+      wasResolved,
+      isNowResolved,
+      resolver,
+      isResolverAdmin,
+      shouldCreateNotification: !wasResolved && isNowResolved && !isResolverAdmin
+    });
+
+    // Create notification if: complaint is being marked as resolved (not already resolved) AND resolver is not admin
+    if (!wasResolved && isNowResolved && !isResolverAdmin) {
+      try {
+        const notificationData = {
+          type: 'complaint_resolved',
+          title: 'Complaint Resolved',
+          message: `${resolver} resolved complaint from ${complaint.userName}`,
+          complaintId: complaintId,
+          userName: complaint.userName,
+          userId: complaint.userId,
+          whatsappNo: complaint.whatsappNo || null,
+          simNo: complaint.simNo || null,
+          complaintMessage: complaint.message,
+          resolvedBy: resolver,
+          isRead: false,
+          createdAt: new Date()
+        };
+
+        await collections.notifications.insertOne(notificationData);
+        console.log(`✅ Notification created for admin (complaint resolved by ${resolver})`);
+        console.log('📧 Notification data:', notificationData);
+      } catch (notifError) {
+        console.error('❌ Error creating notification:', notifError);
+      }
+    } else {
+      console.log('⏭️ Skipping notification creation');
+    }
+
+    console.log(`✅ Complaint ${complaintId} status updated to ${status}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Complaint status updated successfully',
+      data: {
+        _id: complaintId,
+        status: status.toLowerCase()
+      }
+    });
+  } catch (error) {
+    console.error('Error updating complaint status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating complaint status',
+      error: error.message
+    });
+  }
+});
+
+// DELETE - Delete a complaint
+router.delete('/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const complaintId = req.params.id;
+
+    if (!complaintId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complaint ID is required'
+      });
+    }
+
+    // Validate ObjectId format
+    if (!ObjectId.isValid(complaintId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid complaint ID format'
+      });
+    }
+
+    // Delete complaint
+    const result = await collections.complaints.deleteOne(
+      { _id: new ObjectId(complaintId) }
+    );
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Complaint not found'
+      });
+    }
+
+    console.log(`🗑️ Complaint ${complaintId} deleted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Complaint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting complaint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting complaint',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,927 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, getDb } = require('../db');
+const { ledger } = require('../services');
+const {
+  PAID_LIST_STATUSES,
+  SERVICE_OFF_STATUSES,
+  activeServiceFilter,
+  balanceListFilter,
+  calculateUserOutstanding,
+  hasExpiryPassed,
+  isPaidMonth,
+  notArchivedFilter,
+  notExpiringSoonFilter,
+  unpaidListFilter
+} = require('../services/status');
+const { dayRange, dayRangeFor, toStoredDate } = require('../services/dates');
+const { USER_COLUMNS, exportable } = require('../services/exports');
+const { findVouchers } = require('../services/voucherMonths');
+
+// Mounted at /api
+const router = express.Router();
+
+// ============ DASHBOARD API ROUTES ============
+
+// GET dashboard stats
+router.get('/dashboard/stats', async (req, res) => {
+  try {
+    // Get filter parameters
+    const feeCollector = req.query.feeCollector;
+    const assignTo = req.query.assignTo;
+
+    // Build base user query filter (archived users are not counted)
+    let userFilter = { ...notArchivedFilter };
+    if (feeCollector) {
+      const feeCollectorTrimmed = feeCollector.trim();
+      userFilter.feeCollector = { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') };
+      console.log(`🔍 Filtering dashboard stats by feeCollector (case-insensitive): ${feeCollectorTrimmed}`);
+    }
+    if (assignTo) {
+      const assignToTrimmed = assignTo.trim();
+      userFilter.assignTo = { $regex: new RegExp(`^${assignToTrimmed}$`, 'i') };
+      console.log(`🔍 Filtering dashboard stats by assignTo (case-insensitive): ${assignToTrimmed}`);
+    }
+
+    // Same Unpaid/Balance list filters as /api/users/unpaid and /api/balances
+    const [unpaidFilter, balanceFilter] = await Promise.all([unpaidListFilter(), balanceListFilter()]);
+
+    // Get user IDs that match the filter (for voucher filtering)
+    // CRITICAL: For fee collector, we should NOT pre-filter by user.feeCollector
+    // Instead, check receivedBy in vouchers directly (same as paid-users endpoint)
+    // Only pre-filter for technician (assignTo) since that's a user-level field
+    let filteredUserIds = null;
+    if (assignTo) {
+      // For technician, pre-filter by assignTo
+      const filteredUsers = await collections.users.find(userFilter).toArray();
+      filteredUserIds = filteredUsers.map(u => u._id.toString());
+      console.log(`📊 Found ${filteredUserIds.length} users matching assignTo filter`);
+
+      // If filter is applied but no users match, return all zeros
+      if (filteredUserIds.length === 0) {
+        console.log(`⚠️ No users found for assignTo filter - returning zero stats`);
+        return res.status(200).json({
+          success: true,
+          data: {
+            totalUsers: 0,
+            paidUsers: 0,
+            totalIncome: 0,
+            totalExpense: 0,
+            unpaidUsers: 0,
+            outstanding: 0,
+            balance: 0,
+            balanceCustomers: 0,
+            expiringSoon: 0,
+            deactivatedUsers: 0
+          }
+        });
+      }
+    } else if (feeCollector) {
+      // For fee collector, don't pre-filter - we'll check receivedBy in vouchers directly
+      console.log(`📊 Fee collector filter: Will check receivedBy in all vouchers (not pre-filtering by user.feeCollector)`);
+    }
+
+    // Total users (with filter if provided)
+    // CRITICAL: Count ALL assigned users (regardless of payment status)
+    // This ensures when admin assigns a user to a fee collector:
+    //   - Umer gets user assigned → Umer's dashboard shows totalUsers = 1 immediately
+    //   - MohdAli's dashboard shows totalUsers = 0 (only counts his assigned users)
+    const totalUsers = await collections.users.countDocuments(userFilter);
+    console.log(`📊 Total users (assigned to ${feeCollector || assignTo || 'all'}): ${totalUsers}`);
+
+    // CRITICAL: Month-level counting - count users with AT LEAST ONE paid month
+    // IMPORTANT: For paid users, we check receivedBy in vouchers directly (same as paid-users endpoint)
+    // For unpaid users, we pre-filter by user.feeCollector FIRST (same as unpaid-users endpoint)
+    // Only pre-filter for technician (assignTo) since that's a user-level field
+    let vouchersForStats = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+    if (assignTo && filteredUserIds && filteredUserIds.length > 0) {
+      // For technician, pre-filter by assignTo
+      vouchersForStats = vouchersForStats.filter(v =>
+        v.userId && filteredUserIds.includes(v.userId.toString())
+      );
+      console.log(`📊 Filtered vouchers by assignTo: ${vouchersForStats.length} vouchers for ${filteredUserIds.length} users`);
+    } else if (feeCollector) {
+      // For fee collector paid users, don't pre-filter - check receivedBy in vouchers directly
+      console.log(`📊 Fee collector filter: Will check receivedBy in all vouchers for paid users (not pre-filtering by user.feeCollector)`);
+    }
+
+    const userIdsWithPaidMonths = new Set();
+    const feeCollectorTrimmedForStats = feeCollector ? feeCollector.trim() : null;
+
+    // FALLBACK: Get users assigned to this feeCollector for old payments
+    let usersAssignedToFeeCollector = new Set();
+    if (feeCollectorTrimmedForStats) {
+      const assignedUsers = await collections.users.find({
+        feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmedForStats.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+      }).toArray();
+      assignedUsers.forEach(u => usersAssignedToFeeCollector.add(u._id.toString()));
+      console.log(`📋 Dashboard Stats - Found ${usersAssignedToFeeCollector.size} users assigned to ${feeCollectorTrimmedForStats}`);
+    }
+
+    // Process vouchers for PAID months (check receivedBy for fee collectors)
+    vouchersForStats.forEach(voucher => {
+      if (Array.isArray(voucher.months)) {
+        // Check if voucher has paid months
+        // If feeCollector filter is provided, also check receivedBy
+        const hasPaidMonth = voucher.months.some(m => {
+          if (!isPaidMonth(m)) return false;
+
+          // If feeCollector filter is provided, check receivedBy
+          if (feeCollectorTrimmedForStats) {
+            // CRITICAL: Check THREE conditions (ANY one should be true):
+            // 1. User is assigned to this fee collector (user.feeCollector field)
+            // 2. Payment was received by this fee collector (receivedBy field)
+            // 3. Payment history contains this fee collector
+
+            const userIsAssigned = usersAssignedToFeeCollector.has(voucher.userId.toString());
+
+            // Check month-level receivedBy
+            const monthReceivedBy = m.receivedBy || '';
+            // Also check paymentHistory for receivedBy
+            const paymentHistoryReceivedBy = Array.isArray(m.paymentHistory)
+              ? m.paymentHistory.map((p) => p.receivedBy || '').filter(Boolean)
+              : [];
+
+            // Match if receivedBy matches feeCollector (case-insensitive)
+            const monthMatches = monthReceivedBy &&
+              new RegExp(`^${feeCollectorTrimmedForStats.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy);
+            const historyMatches = paymentHistoryReceivedBy.some((rb) =>
+              new RegExp(`^${feeCollectorTrimmedForStats.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb)
+            );
+
+            // ✅ FIXED: Include user if ANY condition is true
+            return userIsAssigned || monthMatches || historyMatches;
+          }
+
+          return true; // No feeCollector filter, include all paid months
+        });
+
+        if (hasPaidMonth && voucher.userId) {
+          userIdsWithPaidMonths.add(voucher.userId.toString());
+        }
+      }
+    });
+
+    console.log(`📊 Dashboard Stats - Found ${userIdsWithPaidMonths.size} users with paid months${feeCollectorTrimmedForStats ? ` (filtered by receivedBy: ${feeCollectorTrimmedForStats})` : ''}`);
+
+    // Count paid users (users with at least one paid month) - exclude inactive
+    // CRITICAL: Only count users who actually paid to THIS fee collector (based on receivedBy)
+    const paidUserIds = Array.from(userIdsWithPaidMonths).map(id => {
+      try {
+        return new ObjectId(id);
+      } catch (e) {
+        return id;
+      }
+    });
+
+    // Build paid users query with filter
+    // CRITICAL: Matches /api/users/paid logic - include 'unpaid' status if they have paid months
+    let paidUsersQuery = {
+      $and: [
+        activeServiceFilter,
+        { status: { $in: PAID_LIST_STATUSES } }
+      ]
+    };
+
+    // Use userIds calculated from vouchers (receivedBy filter already applied)
+    // Count all users with status='paid' or 'partial', regardless of expiry date
+    let paidUsers = 0;
+    if (paidUserIds.length > 0) {
+      paidUsersQuery._id = { $in: paidUserIds };
+      console.log(`🔒 Dashboard Stats - Using userIds from vouchers (receivedBy filter): ${paidUserIds.length} users`);
+
+      if (assignTo) {
+        paidUsersQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+      }
+
+      // Exclude users expiring TODAY or TOMORROW (expiring soon users)
+      paidUsersQuery.$and.push(notExpiringSoonFilter);
+
+      // Count all paid users (excluding expiring soon)
+      // This ensures dashboard stats match paid-users page
+      paidUsers = await collections.users.countDocuments(paidUsersQuery);
+      console.log(`✅ Paid users count: ${paidUsers} (from ${paidUserIds.length} userIds with paid status, excluding expiring soon)`);
+    } else {
+      // CRITICAL: If no userIds found (no payments to this fee collector), return 0
+      // Don't query all users, as that would count users paid to OTHER fee collectors
+      console.log(`📊 No paid users found for ${feeCollector || assignTo || 'this filter'}`);
+      paidUsers = 0;
+    }
+
+    console.log(`📊 FINAL - Paid users for ${feeCollector || assignTo || 'all'}: ${paidUsers}`);
+
+    // Count unpaid users (users with at least one unpaid month) - exclude inactive
+    // CRITICAL: For fee collector, use EXACT same logic as /api/users/unpaid endpoint
+    // Pre-filter users by user.feeCollector FIRST, then check their vouchers for unpaid months
+    let unpaidUsersFilteredByIds = null;
+    if (feeCollector) {
+      const feeCollectorTrimmed = feeCollector.trim();
+      const matchingUsers = await collections.users.find({
+        feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') }
+      }).project({ _id: 1 }).toArray();
+      unpaidUsersFilteredByIds = new Set(matchingUsers.map(u => u._id.toString()));
+      console.log(`📊 Pre-filtered users by user.feeCollector for unpaid users: ${unpaidUsersFilteredByIds.size} users`);
+    }
+
+    // Filter vouchers by these pre-filtered user IDs
+    let vouchersForUnpaidStats = await findVouchers({}, { months: { status: { $in: ['unpaid', 'partial'] } } });
+    if (unpaidUsersFilteredByIds && unpaidUsersFilteredByIds.size > 0) {
+      vouchersForUnpaidStats = vouchersForUnpaidStats.filter(v =>
+        v.userId && unpaidUsersFilteredByIds.has(v.userId.toString())
+      );
+      console.log(`📊 Pre-filtered vouchers by user.feeCollector for unpaid users: ${vouchersForUnpaidStats.length} vouchers for ${unpaidUsersFilteredByIds.size} users`);
+    } else if (feeCollector) {
+      // If feeCollector is present but no matching users, then no unpaid users
+      console.log(`⚠️ No users found matching feeCollector for unpaid stats - returning zero`);
+      const unpaidUsers = 0;
+    } else if (assignTo && filteredUserIds && filteredUserIds.length > 0) {
+      // For technician, use pre-filtered vouchers
+      vouchersForUnpaidStats = vouchersForUnpaidStats.filter(v =>
+        v.userId && filteredUserIds.includes(v.userId.toString())
+      );
+      console.log(`📊 Pre-filtered vouchers by assignTo for unpaid users: ${vouchersForUnpaidStats.length} vouchers`);
+    }
+
+    // Now check vouchers for unpaid AND partial months
+    // CRITICAL: Count users with EITHER unpaid OR partial months (or both)
+    // IMPORTANT: Only include users whose expiry date has passed (after 12 PM on expiry date)
+    // This matches what user wants: unpaid + partial = total unpaid count in dashboard
+    const userIdsWithUnpaidMonths = new Set();
+    const userIdsWithPartialMonths = new Set();
+
+    vouchersForUnpaidStats.forEach(voucher => {
+      if (Array.isArray(voucher.months)) {
+        // CRITICAL: Only process if expiry date has passed
+        if (!hasExpiryPassed(voucher.expiryDate)) {
+          return; // Skip this voucher - not expired yet
+        }
+
+        // Check for unpaid months
+        const hasUnpaidMonth = voucher.months.some(m =>
+          m.status === 'unpaid'
+        );
+
+        // Check for partial months (with remaining amount > 0)
+        const hasPartialMonth = voucher.months.some(m =>
+          m.status === 'partial' && (m.remainingAmount || 0) > 0
+        );
+
+        if (voucher.userId) {
+          const userIdStr = voucher.userId.toString();
+          if (hasUnpaidMonth) {
+            userIdsWithUnpaidMonths.add(userIdStr);
+          }
+          if (hasPartialMonth) {
+            userIdsWithPartialMonths.add(userIdStr);
+          }
+        }
+      }
+    });
+
+    // Combine both sets: users with unpaid OR partial months
+    const allUnpaidAndPartialUserIds = new Set([...userIdsWithUnpaidMonths, ...userIdsWithPartialMonths]);
+
+    console.log(`📊 Unpaid users calculation (unpaid + partial, after expiry date filter):`);
+    console.log(`   - Users with unpaid months: ${userIdsWithUnpaidMonths.size}`);
+    console.log(`   - Users with partial months: ${userIdsWithPartialMonths.size}`);
+    console.log(`   - Total (unpaid + partial): ${allUnpaidAndPartialUserIds.size}`);
+    console.log(`   - Note: Excludes users whose expiry date hasn't been reached (before 12 PM on expiry date)`);
+
+    const unpaidUserIdsArray = Array.from(allUnpaidAndPartialUserIds);
+
+    // CRITICAL: For fee collector, ensure unpaidUserIds only includes users that match feeCollector
+    let finalUnpaidUserIds = unpaidUserIdsArray;
+    if (feeCollector && unpaidUsersFilteredByIds && unpaidUsersFilteredByIds.size > 0) {
+      finalUnpaidUserIds = unpaidUserIdsArray.filter(id =>
+        unpaidUsersFilteredByIds.has(id.toString())
+      );
+      console.log(`🔒 Filtered unpaidUserIds by feeCollector: ${unpaidUserIdsArray.length} → ${finalUnpaidUserIds.length}`);
+    }
+
+    const unpaidUserIds = finalUnpaidUserIds.map(id => {
+      try {
+        return new ObjectId(id);
+      } catch (e) {
+        return id;
+      }
+    });
+
+    // Build unpaid users query with filter
+    // CRITICAL: Count users with status='unpaid' OR users with status='partial' who still have 'unpaid' months
+    // This matches the updated /api/users/unpaid list logic
+    let unpaidUsersQuery = {
+      $and: [activeServiceFilter, unpaidFilter]
+    };
+
+    // Apply fee collector filter if provided
+    if (feeCollector) {
+      unpaidUsersQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+
+    // Apply technician filter if provided
+    if (assignTo) {
+      unpaidUsersQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+
+    // Exclude users expiring TODAY or TOMORROW (expiring soon users)
+    unpaidUsersQuery.$and.push(notExpiringSoonFilter);
+
+    // Count only unpaid users (excluding partial/balance users)
+    // Example scenarios:
+    //   - Pay Later user created 1 Dec with expiry 1 Jan → unpaidUsers = 1 ✓
+    //   - User expired yesterday → unpaidUsers = 1 ✓
+    //   - User expiring tomorrow → unpaidUsers = 0 (in expiring soon) ✓
+    //   - Balance user (partial payment) → unpaidUsers = 0 (in Balance tab) ✓
+    const unpaidUsers = await collections.users.countDocuments(unpaidUsersQuery);
+
+    console.log(`📊 Dashboard Stats - Unpaid users calculation:`);
+    console.log(`   - totalUsers: ${totalUsers}, paidUsers: ${paidUsers}, unpaidUsers: ${unpaidUsers}`);
+    console.log(`   - Unpaid users include status='unpaid' AND status='partial' with unpaid months (Dual Visibility)`);
+    console.log(`   - Excludes expiring soon users (showInExpiringSoon=true)`);
+
+    // Expiring soon (TOMORROW) - include ALL users expiring tomorrow
+    // CRITICAL: This is a REMINDER list, not a payment status list
+    // Show all users (paid, unpaid, partial, pending) expiring tomorrow
+    // Stats counts are filtered by expiry date separately above
+    // Build expiring soon query with filter (tomorrow in the business timezone)
+    let expiringSoonQuery = {
+      status: { $in: ['paid', 'partial', 'unpaid', 'pending'] },
+      expiryDate: dayRange(1),
+      ...activeServiceFilter
+    };
+    if (feeCollector) {
+      expiringSoonQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+    if (assignTo) {
+      expiringSoonQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+
+    const expiringSoon = await collections.users.countDocuments(expiringSoonQuery);
+
+    // Active users - service not switched off (active, grace, reconnected or not set)
+    let activeUsersQuery = {
+      serviceStatus: { $nin: SERVICE_OFF_STATUSES },
+      ...notArchivedFilter
+    };
+    if (assignTo) {
+      activeUsersQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+    if (feeCollector) {
+      activeUsersQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+    const activeUsers = await collections.users.countDocuments(activeUsersQuery);
+
+    // Deactivated users - service suspended, disconnected or switched off by hand ('inactive')
+    let deactivatedQuery = {
+      serviceStatus: { $in: SERVICE_OFF_STATUSES },
+      ...notArchivedFilter
+    };
+    if (assignTo) {
+      deactivatedQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+    if (feeCollector) {
+      deactivatedQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+    const deactivatedUsers = await collections.users.countDocuments(deactivatedQuery);
+
+    console.log(`📊 User counts - Active: ${activeUsers}, Inactive: ${deactivatedUsers}, Total: ${totalUsers}`);
+
+    // Total income - CRITICAL: Check incomes collection first, only recalculate if needed
+    // This ensures transfers are not lost on dashboard refresh
+    let totalIncome = 0;
+    let cashIncome = 0;
+    let bankIncome = 0;
+    const feeCollectorTrimmed = feeCollector ? feeCollector.trim() : null;
+
+    const incomesCol = collections.incomes;
+    let shouldRecalculate = false;
+
+    // CRITICAL: Ensure we don't query for "null" or "undefined" as strings
+    const isValidCollector = feeCollectorTrimmed &&
+      feeCollectorTrimmed.toLowerCase() !== 'null' &&
+      feeCollectorTrimmed.toLowerCase() !== 'undefined';
+
+    if (isValidCollector) {
+      // Check if fee collector has existing income in database
+      const existingIncome = await incomesCol.findOne({
+        name: { $regex: new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+      });
+
+      if (existingIncome) {
+        // Use existing income from database (don't recalculate)
+        // CRITICAL: Even if cashIncome is 0, use it! (could be 0 after transfer)
+        cashIncome = existingIncome.cashIncome || 0;
+        bankIncome = existingIncome.bankIncome || 0;
+        totalIncome = cashIncome + bankIncome;
+        console.log(`💰 Using existing income from database for ${feeCollectorTrimmed}: Cash Rs ${cashIncome}, Bank Rs ${bankIncome} (preserving transfers)`);
+      } else {
+        // No income record found, recalculate from vouchers
+        shouldRecalculate = true;
+        console.log(`💰 No existing income record found, calculating from vouchers for ${feeCollectorTrimmed}`);
+      }
+    } else {
+      // Admin - check existing income
+      const existingAdminIncome = await incomesCol.findOne({
+        name: { $regex: new RegExp(`^Admin$`, 'i') }
+      });
+
+      if (existingAdminIncome) {
+        // Use existing income from database
+        // CRITICAL: Even if cashIncome is 0, use it! (could be 0 after expenses/transfers)
+        cashIncome = existingAdminIncome.cashIncome || 0;
+        bankIncome = existingAdminIncome.bankIncome || 0;
+        totalIncome = cashIncome + bankIncome;
+        console.log(`💰 Using existing income from database for Admin: Cash Rs ${cashIncome}, Bank Rs ${bankIncome} (preserving transfers/expenses)`);
+      } else {
+        // No income record found, recalculate from vouchers
+        shouldRecalculate = true;
+        console.log(`💰 No existing income found, calculating from vouchers for Admin`);
+      }
+    }
+
+    // RECALCULATE FROM VOUCHERS ONLY IF NEEDED
+    if (shouldRecalculate && feeCollectorTrimmed) {
+      // Calculate income from vouchers where receivedBy matches feeCollector
+      console.log(`💰 Calculating income from vouchers with receivedBy: ${feeCollectorTrimmed}`);
+
+      const allVouchersForIncome = await findVouchers({});
+      let incomeFromVouchers = 0;
+
+      allVouchersForIncome.forEach(voucher => {
+        if (Array.isArray(voucher.months)) {
+          voucher.months.forEach(month => {
+            // Check if month has paid amount and receivedBy matches
+            const monthReceivedBy = month.receivedBy || '';
+            const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+            const paymentHistoryReceivedBy = paymentHistory.map((p) => p.receivedBy || '').filter(Boolean);
+
+            const monthMatchesReceivedBy = monthReceivedBy &&
+              new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy);
+            const historyMatchesReceivedBy = paymentHistoryReceivedBy.some((rb) =>
+              new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb)
+            );
+
+            if (monthMatchesReceivedBy || historyMatchesReceivedBy) {
+              // If paymentHistory exists, use it (more accurate - individual payments)
+              // Otherwise use month.paidAmount
+              if (paymentHistory.length > 0) {
+                paymentHistory.forEach((payment) => {
+                  const paymentReceivedBy = payment.receivedBy || '';
+                  if (paymentReceivedBy && new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(paymentReceivedBy)) {
+                    const amount = Number(payment.amount || 0);
+                    incomeFromVouchers += amount;
+
+                    // Separate by payment method
+                    const paymentMethodStr = (payment.paymentMethod || '').trim().toLowerCase();
+                    if (paymentMethodStr === 'cash') {
+                      cashIncome += amount;
+                    } else if (paymentMethodStr === 'bank transfer') {
+                      bankIncome += amount;
+                    }
+                  }
+                });
+              } else if (monthMatchesReceivedBy) {
+                // No paymentHistory, but month.receivedBy matches - use month.paidAmount
+                const paidAmt = Number(month.paidAmount || 0);
+                incomeFromVouchers += paidAmt;
+                // If no paymentHistory, check month.paymentMethod
+                const monthMethod = (month.paymentMethod || '').trim().toLowerCase();
+                if (monthMethod === 'cash') {
+                  cashIncome += paidAmt;
+                } else if (monthMethod === 'bank transfer') {
+                  bankIncome += paidAmt;
+                }
+              }
+            }
+          });
+        }
+      });
+
+      totalIncome = incomeFromVouchers;
+      console.log(`💰 Total income from vouchers (receivedBy=${feeCollectorTrimmed}): Rs ${totalIncome}`);
+      console.log(`💵 Cash income: Rs ${cashIncome}`);
+      console.log(`🏦 Bank income: Rs ${bankIncome}`);
+    } else if (shouldRecalculate && !feeCollectorTrimmed) {
+      // No feeCollector filter - Admin login - Recalculate from vouchers
+      // CRITICAL: Admin ki income sirf "Admin" ya "Myself" select karne par increase hogi
+      // Employee name select karne par admin ki income increase nahi hogi
+      console.log(`💰 Admin login - Calculating income from vouchers with receivedBy: "Admin" or "Myself"`);
+
+      const allVouchersForIncome = await findVouchers({});
+      let incomeFromVouchers = 0;
+
+      allVouchersForIncome.forEach(voucher => {
+        if (Array.isArray(voucher.months)) {
+          voucher.months.forEach(month => {
+            // Check if month has paid amount and receivedBy is "Admin" or "Myself"
+            const monthReceivedBy = month.receivedBy || '';
+            const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+
+            console.log(`\n🔍 Checking month: ${month.month}`);
+            console.log(`   month.paidAmount: Rs ${month.paidAmount || 0}`);
+            console.log(`   month.receivedBy: ${monthReceivedBy}`);
+            console.log(`   paymentHistory.length: ${paymentHistory.length}`);
+            if (paymentHistory.length > 0) {
+              console.log(`   paymentHistory entries:`, paymentHistory.map(p => `Rs ${p.amount} by ${p.receivedBy} (${p.paymentMethod})`).join(', '));
+            }
+
+            // CRITICAL: Always use paymentHistory for accurate income calculation
+            // paymentHistory contains individual payments with their receivedBy values
+            // This prevents double-counting and ensures only payments made by "Admin" or "Myself" are counted
+            // IMPORTANT: We ONLY count from paymentHistory to avoid counting total paidAmount
+            // which might include payments from other receivers (e.g., employee's 1000 + admin's 200 = 1200)
+            if (paymentHistory.length > 0) {
+              // Use paymentHistory - only count payments where receivedBy is "Admin" or "Myself"
+              // This is the most accurate method as it tracks each individual payment
+              let monthIncome = 0;
+              paymentHistory.forEach((payment) => {
+                const paymentReceivedBy = payment.receivedBy || '';
+                const paymentAmount = Number(payment.amount || 0);
+                const paymentMethodStr = (payment.paymentMethod || '').trim().toLowerCase();
+
+                // Check for both "Admin" and "Myself"
+                const isAdminPayment = paymentReceivedBy &&
+                  (new RegExp(`^Admin$`, 'i').test(paymentReceivedBy.trim()) ||
+                    new RegExp(`^Myself$`, 'i').test(paymentReceivedBy.trim()));
+
+                if (isAdminPayment) {
+                  monthIncome += paymentAmount;
+
+                  // Separate by payment method
+                  if (paymentMethodStr === 'cash') {
+                    cashIncome += paymentAmount;
+                  } else if (paymentMethodStr === 'bank transfer') {
+                    bankIncome += paymentAmount;
+                  }
+
+                  console.log(`   ✅ Counting payment from paymentHistory: Rs ${paymentAmount} (receivedBy: ${paymentReceivedBy}, method: ${payment.paymentMethod})`);
+                } else {
+                  console.log(`   ⏭️ Skipping payment: Rs ${paymentAmount} (receivedBy: ${paymentReceivedBy}, not "Admin" or "Myself")`);
+                }
+              });
+              incomeFromVouchers += monthIncome;
+              console.log(`   💰 Month income added: Rs ${monthIncome}`);
+            } else {
+              // No paymentHistory - DO NOT COUNT to avoid double-counting
+              // month.paidAmount includes ALL payments (employee + admin), so we can't determine
+              // how much was paid by admin without paymentHistory
+              // This ensures accurate income calculation
+              console.log(`   ⚠️ No paymentHistory for ${month.month} - skipping (cannot determine admin's portion without paymentHistory)`);
+              console.log(`   ⚠️ month.paidAmount = Rs ${month.paidAmount || 0} (may include payments from other receivers)`);
+              console.log(`   ⏭️ NOT counting this month (no paymentHistory)`);
+            }
+          });
+        }
+      });
+
+      totalIncome = incomeFromVouchers;
+      console.log(`💰 Admin total income from vouchers (receivedBy="Admin" or "Myself"): Rs ${totalIncome}`);
+      console.log(`💵 Cash income: Rs ${cashIncome}`);
+      console.log(`🏦 Bank income: Rs ${bankIncome}`);
+
+      // CRITICAL: Add transfer amounts from fee collectors to admin income
+      // When fee collectors transfer money to admin, it should be added to admin's total income
+      try {
+
+        // Check if collections collection exists
+        const existingCollections = await getDb().listCollections().toArray();
+        const collectionExists = existingCollections.some(c => c.name === 'collections');
+
+        if (collectionExists) {
+          // Get all transfer amounts (fee collectors se admin ko transfer kiye gaye amounts)
+          const allTransfers = await collections.transfers.find({}).toArray();
+          let totalTransferAmount = 0;
+
+          allTransfers.forEach((transfer) => {
+            const transferAmount = Number(transfer.amount || 0);
+            totalTransferAmount += transferAmount;
+            console.log(`   💰 Transfer from ${transfer.feeCollector}: Rs ${transferAmount}`);
+          });
+
+          totalIncome += totalTransferAmount;
+          console.log(`💰 Total transfer amount added to admin income: Rs ${totalTransferAmount}`);
+          console.log(`💰 Admin total income (vouchers + transfers): Rs ${totalIncome}`);
+        } else {
+          console.log(`ℹ️ Collections collection does not exist - no transfer amounts to add`);
+        }
+      } catch (error) {
+        console.error('❌ Error fetching transfer amounts:', error);
+        // Don't fail the request if transfer fetch fails, just log the error
+      }
+    }
+
+    // Total expense - combine both transactions and expenses collections
+    // For fee collector, filter by paidBy field
+    const expenseMatchQuery = { type: 'expense' };
+    if (feeCollector) {
+      expenseMatchQuery.paidBy = { $regex: new RegExp(`^${feeCollector.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+    }
+
+    const expenseResultFromTransactions = await collections.transactions.aggregate([
+      { $match: expenseMatchQuery },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).toArray();
+
+    // Get expenses from dedicated expenses collection
+    const expensesMatchQuery = {};
+    if (feeCollector) {
+      expensesMatchQuery.paidBy = { $regex: new RegExp(`^${feeCollector.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+    }
+
+    const expenseResultFromExpenses = await collections.expenses.aggregate([
+      { $match: expensesMatchQuery },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]).toArray();
+
+    const transactionsExpenseTotal = expenseResultFromTransactions.length > 0 ? expenseResultFromTransactions[0].total : 0;
+    const expensesTotal = expenseResultFromExpenses.length > 0 ? expenseResultFromExpenses[0].total : 0;
+
+    // Add both totals for the complete expense amount
+    const totalExpense = Number(transactionsExpenseTotal) + Number(expensesTotal);
+    console.log(`💰 Dashboard stats: Total expense = ${totalExpense} (transactions: ${transactionsExpenseTotal}, expenses: ${expensesTotal})${feeCollector ? ` (filtered by paidBy: ${feeCollector})` : ''}`);
+
+    // Outstanding/Balance - Calculate from vouchers to match unpaid-users.tsx display amounts
+    // CRITICAL: Only include users whose expiry date has passed (after 12 PM on expiry date)
+    const allVouchers = await findVouchers({});
+
+    // Get unpaid and partial users (same as unpaid-users.tsx)
+    let unpaidUsersListQuery = {
+      $and: [activeServiceFilter, unpaidFilter]
+    };
+    if (feeCollector) {
+      unpaidUsersListQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+    if (assignTo) {
+      unpaidUsersListQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+
+    const allUnpaidUsersList = await collections.users.find(unpaidUsersListQuery).toArray();
+
+    // Filter to exclude expiring soon users only (not by expiry date)
+    // This ensures Pay Later users with future expiry are included in outstanding
+    const unpaidUsersList = allUnpaidUsersList.filter(user => {
+      // Exclude only expiring soon users
+      return !user.showInExpiringSoon;
+    });
+
+    console.log(`📊 Outstanding - Unpaid users: ${allUnpaidUsersList.length} total, ${unpaidUsersList.length} after excluding expiring soon`);
+
+    // Same users as the Balance list (/api/balances)
+    let partialUsersQuery = {
+      $and: [activeServiceFilter, balanceFilter]
+    };
+    if (feeCollector) {
+      partialUsersQuery.feeCollector = { $regex: new RegExp(`^${feeCollector.trim()}$`, 'i') };
+    }
+    if (assignTo) {
+      partialUsersQuery.assignTo = { $regex: new RegExp(`^${assignTo.trim()}$`, 'i') };
+    }
+
+    const allPartialUsers = await collections.users.find(partialUsersQuery).toArray();
+
+    // Filter to exclude expiring soon users only (not by expiry date)
+    const partialUsers = allPartialUsers.filter(user => {
+      // Exclude only expiring soon users
+      return !user.showInExpiringSoon;
+    });
+
+    console.log(`📊 Outstanding - Partial users: ${allPartialUsers.length} total, ${partialUsers.length} after excluding expiring soon`);
+
+    // Outstanding from voucher-based totals (same as unpaid-users.tsx)
+    const voucherOf = (user) => allVouchers.find(v => v.userId === user._id.toString());
+    const unpaidTotal = unpaidUsersList.reduce((sum, user) => sum + calculateUserOutstanding(user, voucherOf(user)), 0);
+    const partialTotal = partialUsers.reduce((sum, user) => sum + calculateUserOutstanding(user, voucherOf(user)), 0);
+
+    console.log('📊 Dashboard Outstanding Calculation (excluding expiring soon):', {
+      allUnpaidUsers: allUnpaidUsersList.length,
+      unpaidUsersAfterFilter: unpaidUsersList.length,
+      allPartialUsers: allPartialUsers.length,
+      partialUsersAfterFilter: partialUsers.length,
+      unpaidTotal,
+      partialTotal,
+      totalOutstanding: unpaidTotal + partialTotal,
+      note: 'Includes Pay Later users with future expiry dates'
+    });
+
+    const outstanding = Number(unpaidTotal) + Number(partialTotal); // Total from voucher-based calculation
+    const balanceCustomers = partialUsers.length;
+
+    // 💰 SAVE/UPDATE INCOME IN incomes COLLECTION
+    // ONLY save if we recalculated from vouchers (shouldRecalculate = true)
+    // If we used existing income, don't overwrite it (to preserve transfers)
+    try {
+      if (shouldRecalculate) {
+        // Fee Collector (or Admin) ki opening income ledger mein post karein - this also creates the incomes record
+        const incomeHolder = isValidCollector ? feeCollectorTrimmed : 'Admin';
+        await ledger.adjustBalance({
+          holder: incomeHolder,
+          cashIncome: cashIncome || 0,
+          bankIncome: bankIncome || 0,
+          description: `Opening balance for ${incomeHolder} calculated from vouchers`,
+          actor: req.user
+        });
+        console.log(`💰 Saved income for ${incomeHolder}: Cash Rs ${cashIncome}, Bank Rs ${bankIncome}`);
+      } else {
+        // Using existing income, not overwriting
+        console.log(`💰 Skipping income save - using existing income from database (preserves transfers)`);
+      }
+    } catch (incomeError) {
+      console.error('❌ Error saving income to incomes collection:', incomeError);
+      // Don't fail the request if income save fails, just log the error
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalUsers,
+        paidUsers,
+        totalIncome,
+        cashIncome: cashIncome || 0,
+        bankIncome: bankIncome || 0,
+        totalExpense,
+        unpaidUsers,
+        outstanding,
+        balance: outstanding, // Same as outstanding - sum of remainingAmount from partial users
+        balanceCustomers, // Number of customers with remaining balance
+        expiringSoon,
+        activeUsers,        // Users whose service is on (or serviceStatus not set)
+        deactivatedUsers    // Users suspended, disconnected or inactive
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching dashboard stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dashboard stats',
+      error: error.message
+    });
+  }
+});
+
+// GET balance users (partial payment users and users with wallet credit, with date filter and pagination)
+router.get('/balances', exportable('balances', 'Balances', [
+  ...USER_COLUMNS,
+  { key: 'walletBalance', header: 'Wallet', width: 7, type: 'money' }
+]), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const expiryDate = req.query.expiryDate; // YYYY-MM-DD format
+    const updatedDate = req.query.updatedDate; // YYYY-MM-DD - filter by voucher update time
+    const feeCollector = req.query.feeCollector; // Fee collector name filter
+    const assignTo = req.query.assignTo; // Technician assignment filter
+    const search = req.query.search; // Search by name, phone, userId
+    const alphabet = req.query.alphabet; // A-Z filter letter
+
+    // Base query - include users with status 'partial' OR credit in their wallet
+    // 'partial' = normal partial payment
+    // walletBalance > 0 = advance payment (see services/wallet.js)
+    // plus 'unpaid' users who have at least one partial (balanced) month
+    let query = {
+      $and: [
+        activeServiceFilter,
+        await balanceListFilter()
+      ]
+    };
+
+    console.log(`📊 Balance query: Fetching users with status='partial' OR wallet credit`);
+
+    // If updatedDate filter is provided, match users whose vouchers were updated on that day
+    if (updatedDate) {
+      console.log(`📅 Updated Date filter: ${updatedDate}`);
+
+      // Start and end of that day in the business timezone; an unreadable date matches nothing
+      const updatedRange = dayRangeFor(updatedDate);
+
+      if (updatedRange) {
+        console.log(`📅 Querying vouchers updated between ${updatedRange.$gte.toISOString()} and ${updatedRange.$lt.toISOString()}`);
+      }
+
+      // Find vouchers updated in this range
+      const vouchersUpdated = updatedRange ? await collections.vouchers.find({
+        updatedAt: updatedRange
+      }).project({ userId: 1 }).toArray() : [];
+
+      const userIds = vouchersUpdated.map(v => new ObjectId(v.userId));
+
+      if (userIds.length > 0) {
+        query.$and.push({ _id: { $in: userIds } });
+        console.log(`🔍 Found ${userIds.length} users updated on ${updatedDate}`);
+      } else {
+        // No updates found - force empty result
+        query.$and.push({ _id: { $in: [] } });
+        console.log(`🔍 No users found updated on ${updatedDate}`);
+      }
+    }
+
+    // STRICT: Filter by fee collector if provided (case-insensitive) - ALWAYS apply
+    // EMPLOYEE FILTER FIX: If both feeCollector and assignTo have the same value,
+    // use OR logic instead of AND to find users assigned through either field
+    if (feeCollector && assignTo && feeCollector.trim() === assignTo.trim()) {
+      const employeeName = feeCollector.trim();
+      query.$and.push({
+        $or: [
+          { feeCollector: { $regex: new RegExp(`^${employeeName}$`, 'i') } },
+          { assignTo: { $regex: new RegExp(`^${employeeName}$`, 'i') } }
+        ]
+      });
+      console.log(`🔒 EMPLOYEE FILTER: Searching for balance users with feeCollector OR assignTo = "${employeeName}"`);
+    } else {
+      // Normal separate filtering
+      if (feeCollector) {
+        const feeCollectorTrimmed = feeCollector.trim();
+        if (feeCollectorTrimmed) {
+          query.$and.push({ feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') } });
+          console.log(`🔒 STRICT: Filtering /api/balances by fee collector (case-insensitive): ${feeCollectorTrimmed}`);
+        }
+      }
+
+      // STRICT: Filter by assignTo (technician) if provided (case-insensitive) - ALWAYS apply
+      if (assignTo) {
+        const assignToTrimmed = assignTo.trim();
+        if (assignToTrimmed) {
+          query.$and.push({ assignTo: { $regex: new RegExp(`^${assignToTrimmed}$`, 'i') } });
+          console.log(`🔒 STRICT: Filtering /api/balances by assignTo (technician, case-insensitive): ${assignToTrimmed}`);
+        }
+      }
+    }
+
+    // Search filter - search by userName, simNo, whatsappNo, userId, streetName
+    if (search || alphabet) {
+      const searchTrimmed = (search || '').trim();
+      const alphabetLetter = (alphabet || '').trim();
+
+      if (alphabetLetter) {
+        const alphabetRegex = new RegExp(`^${alphabetLetter}`, 'i');
+        query.$and.push({ userName: alphabetRegex });
+        console.log(`🔤 Filtering balance users by alphabet: "${alphabetLetter}"`);
+      } else if (searchTrimmed) {
+        const searchRegex = new RegExp(searchTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$and.push({
+          $or: [
+            { userName: searchRegex },
+            { simNo: searchRegex },
+            { whatsappNo: searchRegex },
+            { userId: searchRegex },
+            { streetName: searchRegex }
+          ]
+        });
+        console.log(`🔍 Searching balance users by: "${searchTrimmed}"`);
+      }
+    }
+
+    // If expiry date filter is provided, check both vouchers and users collections
+    if (expiryDate) {
+      const expiryDay = toStoredDate(expiryDate);
+      if (expiryDay) {
+        const expiryRange = dayRangeFor(expiryDay);
+        console.log(`📅 Balance users date filter: ${expiryDate} → ${expiryRange.$gte.toISOString()} to ${expiryRange.$lt.toISOString()}`);
+
+        // Find vouchers with matching expiry date
+        const vouchers = await collections.vouchers.find({
+          expiryDate: expiryRange
+        }).project({ userId: 1 }).toArray();
+
+        const userIdsFromVouchers = vouchers.map(v => v.userId);
+        console.log(`📋 Found ${userIdsFromVouchers.length} vouchers with expiry date ${expiryDate}`);
+
+        // Also check users collection for expiryDate field directly
+        query.$and.push({
+          $or: [
+            { _id: { $in: userIdsFromVouchers.map(id => new ObjectId(id)) } },
+            { expiryDate: expiryRange }
+          ]
+        });
+
+        console.log(`🔍 Balance Query with date filter:`, JSON.stringify(query, null, 2));
+      }
+    }
+
+    const totalCount = await collections.users.countDocuments(query);
+    const users = await collections.users
+      .find(query)
+      .sort({ userName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    console.log(`Balance users: ${users.length} found, ${totalCount} total`);
+
+    res.status(200).json({
+      success: true,
+      data: users.map(user => ({ ...user, walletBalance: Number(user.walletBalance || 0) })),
+      totalCount,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching balance users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching balance users',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
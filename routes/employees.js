@@ -0,0 +1,327 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { auth, history } = require('../services');
+const { requireRole, ROLES, hashPassword, generateTemporaryPassword, toPublicEmployee } = require('../services/auth');
+const { HISTORY_ENTITIES } = require('../services/history');
+
+// Mounted at /api/employees
+const router = express.Router();
+
+// ============ EMPLOYEES API ROUTES ============
+
+// POST route to add an employee
+router.post('/add', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, number, role, salary, username, password, isActive, assignedCustomers } = req.body;
+
+    if (!name || !number || !role || salary === undefined || !username || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, number, role, salary, username, and password are required'
+      });
+    }
+
+    // Usernames identify employees at login, so they must be unique
+    const existingUsername = await collections.employees.findOne({ username: username.trim() });
+    if (existingUsername) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    const employee = {
+      name: name.trim(),
+      number: number.trim(),
+      role: role.trim(),
+      salary: parseFloat(salary),
+      username: username.trim(),
+      passwordHash: await hashPassword(password.trim()),
+      isActive: isActive !== undefined ? isActive : true,
+      assignedCustomers: assignedCustomers && Array.isArray(assignedCustomers) ? assignedCustomers : [],
+      createdAt: new Date()
+    };
+
+    const result = await collections.employees.insertOne(employee);
+    const employeeId = result.insertedId;
+    await history.record({ entity: HISTORY_ENTITIES.EMPLOYEE, after: { _id: employeeId, ...employee }, actor: req.user });
+
+    // Update assigned customers in users collection
+    if (assignedCustomers && Array.isArray(assignedCustomers) && assignedCustomers.length > 0) {
+      const employeeName = name.trim();
+      const roleLower = role.trim().toLowerCase();
+
+      // Update customers based on employee role
+      if (roleLower === 'fee collector') {
+        // Set feeCollector field for assigned customers
+        await collections.users.updateMany(
+          { _id: { $in: assignedCustomers.map(id => new ObjectId(id)) } },
+          { $set: { feeCollector: employeeName } }
+        );
+        console.log(`✅ Assigned ${assignedCustomers.length} customers to fee collector: ${employeeName}`);
+      } else if (roleLower === 'technician') {
+        // Set assignTo field for assigned customers
+        await collections.users.updateMany(
+          { _id: { $in: assignedCustomers.map(id => new ObjectId(id)) } },
+          { $set: { assignTo: employeeName } }
+        );
+        console.log(`✅ Assigned ${assignedCustomers.length} customers to technician: ${employeeName}`);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Employee added successfully',
+      data: {
+        _id: employeeId,
+        ...toPublicEmployee(employee)
+      }
+    });
+  } catch (error) {
+    console.error('Error adding employee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding employee',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch all employees
+router.get('/', async (req, res) => {
+  try {
+    const employees = await collections.employees.find().sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: employees.length,
+      data: employees.map(toPublicEmployee)
+    });
+  } catch (error) {
+    console.error('Error fetching employees:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching employees',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to update an employee
+router.put('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, number, role, salary, username, password, isActive, assignedCustomers } = req.body;
+
+    if (!name || !number || !role || salary === undefined || !username) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, number, role, salary, and username are required'
+      });
+    }
+
+    // Get existing employee to check previous assignments
+    const existingEmployee = await collections.employees.findOne({ _id: new ObjectId(req.params.id) });
+    if (!existingEmployee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const usernameTaken = await collections.employees.findOne({
+      username: username.trim(),
+      _id: { $ne: existingEmployee._id }
+    });
+    if (usernameTaken) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    const employeeName = name.trim();
+    const roleLower = role.trim().toLowerCase();
+    const previousAssignedCustomers = existingEmployee.assignedCustomers || [];
+    const newAssignedCustomers = assignedCustomers && Array.isArray(assignedCustomers) ? assignedCustomers : [];
+
+    const employeeUpdate = {
+      $set: {
+        name: employeeName,
+        number: number.trim(),
+        role: role.trim(),
+        salary: parseFloat(salary),
+        username: username.trim(),
+        isActive: isActive !== undefined ? isActive : true,
+        assignedCustomers: newAssignedCustomers
+      }
+    };
+
+    // Password is optional on update - use the change/reset password endpoints for routine changes
+    if (password && password.trim()) {
+      employeeUpdate.$set.passwordHash = await hashPassword(password.trim());
+      employeeUpdate.$set.passwordChangedAt = new Date();
+      employeeUpdate.$unset = { password: '' };
+    }
+
+    // Update employee document
+    const change = await history.track(HISTORY_ENTITIES.EMPLOYEE, existingEmployee._id, req.user);
+    const result = await collections.employees.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      employeeUpdate
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    await change.record();
+
+    // A new password or deactivation signs the employee out everywhere
+    if (employeeUpdate.$set.passwordHash || employeeUpdate.$set.isActive === false) {
+      await auth.revokeEmployeeSessions(req.params.id);
+    }
+
+    // Remove assignments from customers that were unassigned
+    const unassignedCustomers = previousAssignedCustomers.filter(
+      id => !newAssignedCustomers.includes(id)
+    );
+
+    if (unassignedCustomers.length > 0) {
+      const previousRoleLower = (existingEmployee.role || '').toLowerCase();
+      if (previousRoleLower === 'fee collector') {
+        await collections.users.updateMany(
+          { _id: { $in: unassignedCustomers.map(id => new ObjectId(id)) } },
+          { $unset: { feeCollector: '' } }
+        );
+      } else if (previousRoleLower === 'technician') {
+        await collections.users.updateMany(
+          { _id: { $in: unassignedCustomers.map(id => new ObjectId(id)) } },
+          { $unset: { assignTo: '' } }
+        );
+      }
+    }
+
+    // Update newly assigned customers
+    if (newAssignedCustomers.length > 0) {
+      if (roleLower === 'fee collector') {
+        // Set feeCollector field for newly assigned customers
+        await collections.users.updateMany(
+          { _id: { $in: newAssignedCustomers.map(id => new ObjectId(id)) } },
+          { $set: { feeCollector: employeeName } }
+        );
+        console.log(`✅ Updated ${newAssignedCustomers.length} customers for fee collector: ${employeeName}`);
+      } else if (roleLower === 'technician') {
+        // Set assignTo field for newly assigned customers
+        await collections.users.updateMany(
+          { _id: { $in: newAssignedCustomers.map(id => new ObjectId(id)) } },
+          { $set: { assignTo: employeeName } }
+        );
+        console.log(`✅ Updated ${newAssignedCustomers.length} customers for technician: ${employeeName}`);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating employee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating employee',
+      error: error.message
+    });
+  }
+});
+
+// DELETE route to delete an employee
+router.delete('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const change = await history.track(HISTORY_ENTITIES.EMPLOYEE, req.params.id, req.user);
+    const result = await collections.employees.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    await change.record();
+    await auth.revokeEmployeeSessions(req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Employee deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting employee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting employee',
+      error: error.message
+    });
+  }
+});
+
+// POST route for an admin to reset an employee's password to a temporary one
+router.post('/:id/reset-password', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee ID format'
+      });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+    const change = await history.track(HISTORY_ENTITIES.EMPLOYEE, req.params.id, req.user);
+
+    // Also clears any lockout so the employee can log in with the temporary password
+    const result = await collections.employees.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      {
+        $set: {
+          passwordHash: await hashPassword(temporaryPassword),
+          passwordChangedAt: new Date(),
+          mustChangePassword: true,
+          failedLoginAttempts: 0,
+          lockedUntil: null
+        },
+        $unset: { password: '' }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    await auth.revokeEmployeeSessions(req.params.id);
+    await change.record({ note: 'Password reset' });
+    console.log(`🔑 Password reset for employee ${req.params.id} by ${req.user.name}`);
+
+    // The temporary password is only ever returned here - it is not stored in plain text
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. The employee must change it after logging in.',
+      data: { temporaryPassword }
+    });
+  } catch (error) {
+    console.error('Error resetting employee password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting employee password',
+      error: error.message
+    });
+  }
+});
+
+// GET change history of an employee, newest first (admin). Query: page, limit
+router.get('/:id/history', requireRole(ROLES.ADMIN), history.timelineHandler((req) => ({
+  entity: HISTORY_ENTITIES.EMPLOYEE,
+  entityId: req.params.id
+})));
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { DATE_FORMATS, dayRangeBetween, dayRangeFor } = require('../services/dates');
+const { describeFilters, invalidFormatResponse, sendExport } = require('../services/exports');
+const { findVouchers } = require('../services/voucherMonths');
+
+// Voucher month and payment history exports (mounted at /api/exports). Subscriber lists are
+// exported from their own endpoints with ?format=csv|xlsx|pdf.
+const router = express.Router();
+
+const VOUCHER_MONTH_COLUMNS = [
+  { key: 'userName', header: 'Name', width: 16 },
+  { key: 'userId', header: 'User ID', width: 10 },
+  { key: 'streetName', header: 'Street', width: 12 },
+  { key: 'feeCollector', header: 'Fee Collector', width: 10 },
+  { key: 'month', header: 'Month', width: 12 },
+  { key: 'status', header: 'Status', width: 8 },
+  { key: 'packageFee', header: 'Fee', width: 7, type: 'money' },
+  { key: 'discount', header: 'Discount', width: 7, type: 'money' },
+  { key: 'paidAmount', header: 'Paid', width: 7, type: 'money' },
+  { key: 'remainingAmount', header: 'Remaining', width: 8, type: 'money' },
+  { key: 'paymentMethod', header: 'Method', width: 8 },
+  { key: 'receivedBy', header: 'Received By', width: 10 },
+  { key: 'date', header: 'Date', width: 9, type: 'date' }
+];
+
+const PAYMENT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 9, type: 'date' },
+  { key: 'userName', header: 'Name', width: 16 },
+  { key: 'userId', header: 'User ID', width: 10 },
+  { key: 'streetName', header: 'Street', width: 12 },
+  { key: 'month', header: 'Month', width: 12 },
+  { key: 'amount', header: 'Amount', width: 8, type: 'money' },
+  { key: 'paymentMethod', header: 'Method', width: 8 },
+  { key: 'receivedBy', header: 'Received By', width: 10 }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Optional fromDate/toDate query -> { $gte, $lt } range, null when absent, or false when invalid
+const dateFilter = ({ fromDate, toDate }) => {
+  if (!fromDate && !toDate) return null;
+  if (fromDate && toDate) return dayRangeBetween(fromDate, toDate) || false;
+  const range = dayRangeFor(fromDate || toDate);
+  if (!range) return false;
+  return fromDate ? { $gte: range.$gte } : { $lt: range.$lt };
+};
+
+const inRange = (value, range) => {
+  if (!range) return true;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return false;
+  return (!range.$gte || date >= range.$gte) && (!range.$lt || date < range.$lt);
+};
+
+// Vouchers (optionally for one user) with their users' details, as [{ voucher, user }]
+async function vouchersWithUsers(userId) {
+  const query = userId ? { userId: { $in: [userId, ObjectId.isValid(userId) ? new ObjectId(userId) : userId] } } : {};
+  const vouchers = await findVouchers(query);
+
+  const ids = [...new Set(vouchers.map((v) => v.userId && v.userId.toString()).filter((id) => ObjectId.isValid(id)))];
+  const users = await collections.users.find({ _id: { $in: ids.map((id) => new ObjectId(id)) } })
+    .project({ userName: 1, userId: 1, streetName: 1, feeCollector: 1 })
+    .toArray();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return vouchers.map((voucher) => ({
+    voucher,
+    user: usersById.get(voucher.userId?.toString()) || { userName: voucher.userName }
+  }));
+}
+
+// Send JSON, or the export when ?format is given
+async function respond(req, res, { name, title, columns, rows }) {
+  const { format } = req.query;
+  if (!format) {
+    return res.status(200).json({ success: true, count: rows.length, data: rows });
+  }
+  await sendExport(res, { format, name, title, subtitle: describeFilters(req.query), columns, rows });
+}
+
+// GET voucher months, one row per month.
+// Query: format, userId (user _id), status, month (e.g. "November 2025"), feeCollector,
+// fromDate/toDate (on the month date)
+router.get('/voucher-months', async (req, res) => {
+  try {
+    const { format, userId, status, month, feeCollector } = req.query;
+    if (format && invalidFormatResponse(res, format)) return;
+
+    const range = dateFilter(req.query);
+    if (range === false) {
+      return res.status(400).json({ success: false, message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}` });
+    }
+    const collectorRegex = feeCollector && new RegExp(`^${escapeRegex(feeCollector.trim())}$`, 'i');
+    const monthRegex = month && new RegExp(escapeRegex(month.trim()), 'i');
+
+    const rows = [];
+    for (const { voucher, user } of await vouchersWithUsers(userId)) {
+      if (collectorRegex && !collectorRegex.test(user.feeCollector || '')) continue;
+      const months = Array.isArray(voucher.months) ? voucher.months : [voucher];
+      for (const m of months) {
+        if (status && m.status !== status) continue;
+        if (monthRegex && !monthRegex.test(m.month || '')) continue;
+        if (range && !inRange(m.date || m.createdAt, range)) continue;
+        rows.push({
+          userName: user.userName || voucher.userName,
+          userId: user.userId,
+          streetName: user.streetName,
+          feeCollector: user.feeCollector,
+          month: m.month,
+          status: m.status,
+          packageFee: m.packageFee ?? m.amount,
+          discount: m.discount,
+          paidAmount: m.paidAmount,
+          remainingAmount: m.remainingAmount,
+          paymentMethod: m.paymentMethod,
+          receivedBy: m.receivedBy,
+          date: m.date || m.createdAt
+        });
+      }
+    }
+    rows.sort((a, b) => String(a.userName || '').localeCompare(String(b.userName || '')) ||
+      new Date(a.date || 0) - new Date(b.date || 0));
+
+    await respond(req, res, { name: 'voucher-months', title: 'Voucher Months', columns: VOUCHER_MONTH_COLUMNS, rows });
+  } catch (error) {
+    console.error('Error exporting voucher months:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting voucher months',
+      error: error.message
+    });
+  }
+});
+
+// GET payment history, one row per payment received, oldest first. Months without a
+// paymentHistory count as one payment of their paidAmount.
+// Query: format, userId (user _id), receivedBy, paymentMethod, fromDate/toDate
+router.get('/payments', async (req, res) => {
+  try {
+    const { format, userId, receivedBy, paymentMethod } = req.query;
+    if (format && invalidFormatResponse(res, format)) return;
+
+    const range = dateFilter(req.query);
+    if (range === false) {
+      return res.status(400).json({ success: false, message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}` });
+    }
+    const receivedByRegex = receivedBy && new RegExp(`^${escapeRegex(receivedBy.trim())}$`, 'i');
+    const methodRegex = paymentMethod && new RegExp(`^${escapeRegex(paymentMethod.trim())}$`, 'i');
+
+    const rows = [];
+    for (const { voucher, user } of await vouchersWithUsers(userId)) {
+      const months = Array.isArray(voucher.months) ? voucher.months : [voucher];
+      for (const m of months) {
+        const history = Array.isArray(m.paymentHistory) && m.paymentHistory.length > 0
+          ? m.paymentHistory
+          : Number(m.paidAmount || 0) > 0
+            ? [{ amount: m.paidAmount, date: m.createdAt || m.date, paymentMethod: m.paymentMethod, receivedBy: m.receivedBy }]
+            : [];
+
+        for (const payment of history) {
+          if (!Number(payment.amount)) continue;
+          if (receivedByRegex && !receivedByRegex.test(payment.receivedBy || '')) continue;
+          if (methodRegex && !methodRegex.test(payment.paymentMethod || '')) continue;
+          if (range && !inRange(payment.date, range)) continue;
+          rows.push({
+            date: payment.date,
+            userName: user.userName || voucher.userName,
+            userId: user.userId,
+            streetName: user.streetName,
+            month: m.month,
+            amount: Number(payment.amount),
+            paymentMethod: payment.paymentMethod,
+            receivedBy: payment.receivedBy
+          });
+        }
+      }
+    }
+    rows.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+    await respond(req, res, { name: 'payments', title: 'Payment History', columns: PAYMENT_COLUMNS, rows });
+  } catch (error) {
+    console.error('Error exporting payments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting payments',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,632 @@
+const express = require('express');
+const { collections, ensureDbConnection } = require('../db');
+const { ledger, idempotent } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const { LEDGER_TYPES, ACCOUNTS, debit, credit } = require('../services/ledger');
+const { DATE_FORMATS, dayRangeBetween } = require('../services/dates');
+const { findVouchers } = require('../services/voucherMonths');
+
+// Mounted at /api (also serves the old /api/delteincomes listing)
+const router = express.Router();
+
+router.get('/delteincomes', async (req, res) => {
+  try {
+    // Fetch all incomes
+    const incomes = await collections.incomes.find({}).toArray();
+
+    res.status(200).json({
+      success: true,
+      message: 'Incomes fetched successfully',
+      data: incomes
+    });
+  } catch (error) {
+    console.error('Error fetching incomes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incomes',
+      error: error.message
+    });
+  }
+});
+
+// ==================== INCOMES API ====================
+
+// GET all incomes
+router.get('/incomes', ensureDbConnection, async (req, res) => {
+  try {
+    const incomes = await collections.incomes.find({}).sort({ name: 1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      data: incomes
+    });
+  } catch (error) {
+    console.error('Error fetching incomes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching incomes',
+      error: error.message
+    });
+  }
+});
+
+// GET income for a specific person
+router.get('/incomes/:name', ensureDbConnection, async (req, res) => {
+  try {
+    const name = req.params.name;
+
+    // Use case-insensitive search to match transfer endpoint logic
+    const income = await collections.incomes.findOne({
+      name: { $regex: new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    });
+
+    if (!income) {
+      return res.status(404).json({
+        success: false,
+        message: 'Income record not found',
+        data: { name, cashIncome: 0, bankIncome: 0 }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: income
+    });
+  } catch (error) {
+    console.error('Error fetching income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching income',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/incomes/reset - Reset Admin's cashIncome and bankIncome to 0
+// MANUAL ONLY - called from Settings > Admin Tools > Reset Income button
+router.post('/incomes/reset', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { resetMonth } = req.body; // e.g. "March 2026"
+    console.log(`🔄 Income reset requested for month: ${resetMonth || 'manual'}`);
+
+    const adminIncome = await collections.incomes.findOne({
+      name: { $regex: new RegExp(`^Admin$`, 'i') }
+    });
+
+    const previousCash = adminIncome?.cashIncome || 0;
+    const previousBank = adminIncome?.bankIncome || 0;
+
+    await ledger.adjustBalance({
+      holder: 'Admin',
+      cashIncome: 0,
+      bankIncome: 0,
+      current: adminIncome,
+      description: `Admin income reset${resetMonth ? ` for ${resetMonth}` : ''}`,
+      actor: req.user
+    });
+
+    await collections.incomes.updateOne(
+      { name: { $regex: new RegExp(`^Admin$`, 'i') } },
+      {
+        $set: {
+          lastResetAt: new Date(),
+          lastResetMonth: resetMonth || null,
+          lastUpdated: new Date()
+        },
+        $setOnInsert: { name: 'Admin', cashIncome: 0, bankIncome: 0, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    console.log(`✅ Admin income reset: Cash ${previousCash} → 0, Bank ${previousBank} → 0`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin income reset successfully',
+      data: { previousCash, previousBank }
+    });
+  } catch (error) {
+    console.error('Error resetting income:', error);
+    res.status(500).json({ success: false, message: 'Failed to reset income', error: error.message });
+  }
+});
+
+// GET Admin Overall Income Report (with date range filter)
+// This calculates:
+// 1. Total transferred from fee collectors to Admin (from collections)
+// 2. Admin's direct bank income (receivedBy=Admin, paymentMethod=Bank)
+// 3. Admin's direct cash income (receivedBy=Admin, paymentMethod=Cash)
+router.get('/incomes/admin/report', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromDate and toDate are required (format: YYYY-MM-DD)'
+      });
+    }
+
+    console.log(`📊 Admin Income Report: ${fromDate} to ${toDate}`);
+
+    // Start of fromDate to end of toDate in the business timezone
+    const range = dayRangeBetween(fromDate, toDate);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}`
+      });
+    }
+    const startDate = range.$gte;
+    const endDate = new Date(range.$lt.getTime() - 1);
+
+    console.log(`📅 Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
+
+    // 1. Get transferred amount from fee collectors (from collections)
+    const transfers = await collections.transfers.find({
+      date: {
+        $gte: startDate,
+        $lte: endDate
+      }
+    }).toArray();
+
+    let transferredFromEmployees = 0;
+    const transferDetails = [];
+
+    transfers.forEach(transfer => {
+      const amount = Number(transfer.amount || 0);
+      transferredFromEmployees += amount;
+      transferDetails.push({
+        feeCollector: transfer.feeCollector,
+        amount: amount,
+        date: transfer.date,
+        message: transfer.message || ''
+      });
+    });
+
+    console.log(`💰 Transferred from employees: Rs ${transferredFromEmployees} (${transfers.length} transfers)`);
+
+    // 2. Get direct Admin income from vouchers (receivedBy = Admin or Myself)
+    const allVouchers = await findVouchers({});
+
+    let adminCashIncome = 0;
+    let adminBankIncome = 0;
+    const paymentDetails = [];
+
+    allVouchers.forEach(voucher => {
+      if (voucher.months && Array.isArray(voucher.months)) {
+        voucher.months.forEach(month => {
+          const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+
+          paymentHistory.forEach(payment => {
+            const paymentReceivedBy = (payment.receivedBy || '').trim();
+            const paymentMethod = (payment.paymentMethod || '').trim().toLowerCase();
+            const paymentAmount = Number(payment.amount || 0);
+            const paymentDate = payment.date ? new Date(payment.date) : null;
+
+            // Check if payment is by Admin or Myself
+            const isAdminPayment = /^admin$/i.test(paymentReceivedBy) || /^myself$/i.test(paymentReceivedBy);
+
+            // Check if payment is within date range
+            const isWithinDateRange = paymentDate && paymentDate >= startDate && paymentDate <= endDate;
+
+            if (isAdminPayment && isWithinDateRange && paymentAmount > 0) {
+              if (paymentMethod === 'cash') {
+                adminCashIncome += paymentAmount;
+              } else if (paymentMethod === 'bank' || paymentMethod === 'bank transfer') {
+                adminBankIncome += paymentAmount;
+              } else {
+                // Default to cash if payment method not specified
+                adminCashIncome += paymentAmount;
+              }
+
+              paymentDetails.push({
+                userName: voucher.userName || 'Unknown',
+                amount: paymentAmount,
+                method: paymentMethod || 'cash',
+                date: paymentDate,
+                month: month.month
+              });
+            }
+          });
+        });
+      }
+    });
+
+    console.log(`💵 Admin direct cash income: Rs ${adminCashIncome}`);
+    console.log(`🏦 Admin direct bank income: Rs ${adminBankIncome}`);
+
+    // Calculate totals
+    const totalIncome = transferredFromEmployees + adminCashIncome + adminBankIncome;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dateRange: {
+          from: fromDate,
+          to: toDate
+        },
+        transferredFromEmployees: transferredFromEmployees,
+        adminCashIncome: adminCashIncome,
+        adminBankIncome: adminBankIncome,
+        totalIncome: totalIncome,
+        transferCount: transfers.length,
+        transferDetails: transferDetails,
+        paymentDetails: paymentDetails
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching admin income report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching admin income report',
+      error: error.message
+    });
+  }
+});
+
+// POST - Add income when payment is received
+router.post('/incomes', ensureDbConnection, idempotent, async (req, res) => {
+  try {
+    const { receivedBy, amount, paymentMethod } = req.body;
+
+    if (!receivedBy || !amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'receivedBy and valid amount are required'
+      });
+    }
+
+    console.log(`💰 Adding income: ${receivedBy} - Rs ${amount} (${paymentMethod || 'Cash'})`);
+
+    // CRITICAL: Income storage logic based on who receives payment:
+    // - Employee: ALWAYS cashIncome (regardless of payment method Cash/Bank)
+    // - Admin: Cash → cashIncome, Bank → bankIncome
+
+    const receivedByTrimmed = receivedBy.trim();
+    const isAdmin = receivedByTrimmed.toLowerCase() === 'admin' || receivedByTrimmed.toLowerCase() === 'myself';
+
+    // Determine which field to update
+    let updateField = 'cashIncome';
+    if (isAdmin) {
+      // Admin: respect payment method
+      const isCash = !paymentMethod || paymentMethod === 'Cash' || paymentMethod === 'cash';
+      updateField = isCash ? 'cashIncome' : 'bankIncome';
+    } else {
+      // Employee: always cashIncome
+      updateField = 'cashIncome';
+    }
+
+    await ledger.post({
+      type: LEDGER_TYPES.PAYMENT,
+      description: `Payment received by ${receivedByTrimmed} (${paymentMethod || 'Cash'})`,
+      lines: [
+        debit(updateField === 'cashIncome' ? ACCOUNTS.CASH : ACCOUNTS.BANK, amount, receivedByTrimmed),
+        credit(ACCOUNTS.REVENUE, amount)
+      ],
+      actor: req.user
+    });
+    console.log(`💰 Updated income for ${receivedBy}: ${updateField === 'cashIncome' ? 'Cash' : 'Bank'} +Rs ${amount}`);
+
+    // Get updated income record
+    const updatedIncome = await collections.incomes.findOne({
+      name: { $regex: new RegExp(`^${receivedByTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Income updated successfully',
+      data: updatedIncome
+    });
+  } catch (error) {
+    console.error('Error adding income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding income',
+      error: error.message
+    });
+  }
+});
+
+// POST - Update income manually (for admin to change technician income)
+router.post('/incomes/update', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, cashIncome, fromName } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const incomeValue = Number(cashIncome || 0);
+    const sourceName = fromName ? fromName.trim() : 'Unknown';
+
+    // Find existing income record (case-insensitive, like the ledger)
+    const nameRegex = new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    const existingIncome = await collections.incomes.findOne({ name: nameRegex });
+
+    if (incomeValue === 0) {
+      console.log(`💰 Resetting income for ${name} to 0`);
+      if (existingIncome) {
+        await ledger.adjustBalance({
+          holder: existingIncome.name,
+          cashIncome: 0,
+          current: existingIncome,
+          description: `Income reset for ${existingIncome.name}`,
+          actor: req.user
+        });
+        await collections.incomes.updateOne(
+          { _id: existingIncome._id },
+          {
+            $set: {
+              incomeRecords: [],
+              updatedAt: new Date()
+            }
+          }
+        );
+      }
+      return res.status(200).json({
+        success: true,
+        message: `Income reset for ${name}`,
+        data: { name, cashIncome: 0 }
+      });
+    } else {
+      console.log(`💰 Adding Rs ${incomeValue} to income of ${name} from ${sourceName}`);
+      const newTotal = existingIncome ? (existingIncome.cashIncome || 0) + incomeValue : incomeValue;
+      const newRecord = { fromName: sourceName, amount: incomeValue, date: new Date() };
+
+      // Posting creates the incomes record if there is none yet
+      await ledger.adjustBalance({
+        holder: existingIncome ? existingIncome.name : name,
+        cashIncome: newTotal,
+        current: existingIncome,
+        description: `Rs ${incomeValue} added to ${name} from ${sourceName}`,
+        actor: req.user
+      });
+      await collections.incomes.updateOne(
+        { name: nameRegex },
+        {
+          $set: { updatedAt: new Date() },
+          $push: { incomeRecords: newRecord },
+          $setOnInsert: { name: name, cashIncome: newTotal, bankIncome: 0, createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+      return res.status(200).json({
+        success: true,
+        message: `Added Rs ${incomeValue} to ${name}`,
+        data: { name, cashIncome: newTotal }
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error updating income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating income',
+      error: error.message
+    });
+  }
+});
+
+// GET - Get income history for a specific employee
+router.get('/incomes/history/:name', ensureDbConnection, async (req, res) => {
+  try {
+    const name = req.params.name;
+    // Handle URL encoded names and case insensitivity
+    const existingIncome = await collections.incomes.findOne({ name: { $regex: new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') } });
+
+    if (!existingIncome) {
+      return res.status(200).json({
+        success: true,
+        data: { name: name, cashIncome: 0, bankIncome: 0, incomeRecords: [] }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: existingIncome
+    });
+  } catch (error) {
+    console.error('❌ Error fetching employee income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching income',
+      error: error.message
+    });
+  }
+});
+
+// DELETE - Delete a specific income record and deduct amount from total
+router.post('/incomes/delete-record', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, recordIndex } = req.body;
+
+    if (!name || recordIndex === undefined) {
+      return res.status(400).json({ success: false, message: 'Name and recordIndex are required' });
+    }
+
+    const existingIncome = await collections.incomes.findOne({ name: name });
+
+    if (!existingIncome || !existingIncome.incomeRecords || !existingIncome.incomeRecords[recordIndex]) {
+      return res.status(404).json({ success: false, message: 'Record not found' });
+    }
+
+    const amountToDeduct = Number(existingIncome.incomeRecords[recordIndex].amount || 0);
+    const updatedRecords = [...existingIncome.incomeRecords];
+    updatedRecords.splice(recordIndex, 1);
+
+    const updatedTotal = Math.max(0, (existingIncome.cashIncome || 0) - amountToDeduct);
+
+    await ledger.adjustBalance({
+      holder: existingIncome.name,
+      cashIncome: updatedTotal,
+      current: existingIncome,
+      description: `Income record of Rs ${amountToDeduct} from ${existingIncome.incomeRecords[recordIndex].fromName || 'Unknown'} deleted for ${existingIncome.name}`,
+      actor: req.user
+    });
+
+    await collections.incomes.updateOne(
+      { _id: existingIncome._id },
+      {
+        $set: {
+          incomeRecords: updatedRecords,
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Record deleted and income updated',
+      data: { cashIncome: updatedTotal }
+    });
+  } catch (error) {
+    console.error('❌ Error deleting income record:', error);
+    res.status(500).json({ success: false, message: 'Error deleting record' });
+  }
+});
+
+// POST - Sync incomes from existing vouchers (one-time initialization)
+router.post('/incomes/sync', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    console.log('💰 Starting income sync from existing vouchers...');
+
+    // Keep the old balances so the ledger can record what the sync changed
+    const incomesBeforeSync = await collections.incomes.find({}).toArray();
+
+    // Clear existing incomes (fresh start)
+    await collections.incomes.deleteMany({});
+    console.log('💰 Cleared existing incomes');
+
+    // Get all vouchers
+    const vouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+    console.log(`💰 Found ${vouchers.length} vouchers to process`);
+
+    let totalProcessed = 0;
+    const incomeMap = {}; // Temporary map to accumulate incomes
+
+    // Process each voucher
+    for (const voucher of vouchers) {
+      if (voucher.months && Array.isArray(voucher.months)) {
+        for (const month of voucher.months) {
+          if (month.status === 'paid' || month.status === 'partial') {
+            const paymentHistory = month.paymentHistory || [];
+
+            if (paymentHistory.length > 0) {
+              // New structure: Process each payment in history
+              for (const payment of paymentHistory) {
+                const receiver = payment.receivedBy || 'Admin';
+                const amount = parseFloat(payment.amount) || 0;
+
+                if (amount > 0) {
+                  if (!incomeMap[receiver]) {
+                    incomeMap[receiver] = 0;
+                  }
+                  incomeMap[receiver] += amount;
+                  totalProcessed++;
+                }
+              }
+            } else if (month.receivedBy) {
+              // Old structure: Single receivedBy field
+              const receiver = month.receivedBy;
+              const amount = parseFloat(month.paidAmount) || 0;
+
+              if (amount > 0) {
+                if (!incomeMap[receiver]) {
+                  incomeMap[receiver] = 0;
+                }
+                incomeMap[receiver] += amount;
+                totalProcessed++;
+              }
+            }
+          }
+        }
+      }
+    }
+
+    // Insert accumulated incomes into collection (ONLY cashIncome)
+    const incomeRecords = Object.entries(incomeMap).map(([name, cashIncome]) => ({
+      name,
+      cashIncome,
+      createdAt: new Date(),
+      lastUpdated: new Date()
+    }));
+
+    if (incomeRecords.length > 0) {
+      await collections.incomes.insertMany(incomeRecords);
+      console.log(`💰 Inserted ${incomeRecords.length} income records`);
+    }
+
+    // Subtract transferred amounts from fee collectors (ONLY cashIncome)
+    const transfers = await collections.transfers.find({}).toArray();
+
+    for (const transfer of transfers) {
+      const feeCollector = transfer.feeCollector?.trim();
+      const amount = Number(transfer.amount || 0);
+
+      if (feeCollector && amount > 0) {
+        // Decrease fee collector's cashIncome
+        await collections.incomes.updateOne(
+          { name: feeCollector },
+          {
+            $inc: { cashIncome: -amount },
+            $set: { lastUpdated: new Date() }
+          }
+        );
+
+        // Increase Admin's cashIncome
+        await collections.incomes.updateOne(
+          { name: 'Admin' },
+          {
+            $inc: { cashIncome: amount },
+            $set: { lastUpdated: new Date() },
+            $setOnInsert: { name: 'Admin', createdAt: new Date() }
+          },
+          { upsert: true }
+        );
+      }
+    }
+
+    console.log(`💰 Processed ${transfers.length} transfers`);
+
+    // Get final incomes
+    const finalIncomes = await collections.incomes.find({}).sort({ cashIncome: -1 }).toArray();
+
+    // 📒 Record each balance change in the ledger (incomes are already updated above)
+    const balancesBefore = new Map(incomesBeforeSync.map(income => [income.name.trim().toLowerCase(), income]));
+    const balancesAfter = new Map(finalIncomes.map(income => [income.name.trim().toLowerCase(), income]));
+    for (const key of new Set([...balancesBefore.keys(), ...balancesAfter.keys()])) {
+      const after = balancesAfter.get(key);
+      await ledger.adjustBalance({
+        holder: (after || balancesBefore.get(key)).name,
+        cashIncome: after?.cashIncome || 0,
+        bankIncome: after?.bankIncome || 0,
+        current: balancesBefore.get(key) || {},
+        description: 'Income sync from vouchers',
+        actor: req.user,
+        applyToIncomes: false
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Income sync completed successfully',
+      data: {
+        totalPaymentsProcessed: totalProcessed,
+        totalTransfersProcessed: transfers.length,
+        incomeRecords: finalIncomes
+      }
+    });
+  } catch (error) {
+    console.error('Error syncing incomes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error syncing incomes',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,932 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { requireRole, ROLES } = require('../services/auth');
+const { DATE_FORMATS, dayRangeBetween, toBusinessYMD } = require('../services/dates');
+
+// Equipment, routers, fiber cables and their sales (mounted at /api)
+const router = express.Router();
+
+// ============ EQUIPMENT (SWITCH & SPLITTER) API ROUTES ============
+
+// POST route to add equipment
+router.post('/equipment/add', async (req, res) => {
+  try {
+    const { name, type, streetId, streetName, location, ports, usedPorts } = req.body;
+
+    if (!name || !type || !streetId || !streetName || !location || ports === undefined || usedPorts === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'All fields are required'
+      });
+    }
+
+    const equipment = {
+      name: name.trim(),
+      type: type,
+      streetId: streetId,
+      streetName: streetName.trim(),
+      location: location.trim(),
+      ports: parseInt(ports),
+      usedPorts: parseInt(usedPorts),
+      createdAt: new Date()
+    };
+
+    const result = await collections.equipment.insertOne(equipment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Equipment added successfully',
+      data: {
+        _id: result.insertedId,
+        ...equipment
+      }
+    });
+  } catch (error) {
+    console.error('Error adding equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding equipment',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch all equipment
+router.get('/equipment', async (req, res) => {
+  try {
+    // Support query params for suggestions
+    // q: text search on name (case-insensitive)
+    // streetId: filter by streetId if provided
+    // type: optional filter (e.g., "Switch", "Splitter")
+    const { q, streetId, type } = req.query;
+
+    const query = {};
+    if (q) {
+      query.name = { $regex: String(q), $options: 'i' };
+    }
+    if (streetId) {
+      query.streetId = String(streetId);
+    }
+    if (type) {
+      query.type = String(type);
+    }
+
+    const cursor = collections.equipment
+      .find(query)
+      .sort({ createdAt: -1 });
+
+    // For suggestions, it's often useful to cap results
+    if (q) {
+      cursor.limit(20);
+    }
+
+    const equipment = await cursor.toArray();
+    res.status(200).json({
+      success: true,
+      count: equipment.length,
+      data: equipment
+    });
+  } catch (error) {
+    console.error('Error fetching equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching equipment',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to update equipment
+router.put('/equipment/:id', async (req, res) => {
+  try {
+    const { name, type, streetId, streetName, location, ports, usedPorts } = req.body;
+
+    if (!name || !type || !streetId || !streetName || !location || ports === undefined || usedPorts === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'All fields are required'
+      });
+    }
+
+    const result = await collections.equipment.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      {
+        $set: {
+          name: name.trim(),
+          type: type,
+          streetId: streetId,
+          streetName: streetName.trim(),
+          location: location.trim(),
+          ports: parseInt(ports),
+          usedPorts: parseInt(usedPorts)
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Equipment updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating equipment',
+      error: error.message
+    });
+  }
+});
+
+// DELETE route to delete equipment
+router.delete('/equipment/:id', async (req, res) => {
+  try {
+    const result = await collections.equipment.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found'
+      });
+    }
+    res.status(200).json({
+      success: true,
+      message: 'Equipment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting equipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting equipment',
+      error: error.message
+    });
+  }
+});
+
+// ============ ROUTERS API ROUTES ============
+
+// GET all routers
+router.get('/routers', async (req, res) => {
+  try {
+    const routers = await collections.routers.find().sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: routers.length,
+      routers: routers
+    });
+  } catch (error) {
+    console.error('Error fetching routers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching routers',
+      error: error.message
+    });
+  }
+});
+
+// POST create a new router
+router.post('/routers', async (req, res) => {
+  try {
+    const { brand, model, quantity, price, purchasePrice, supplier, purchaseDate, status } = req.body;
+
+    if (!brand || !model || quantity === undefined || price === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Brand, model, quantity, and price are required'
+      });
+    }
+
+    const router = {
+      brand: brand.trim(),
+      model: model.trim(),
+      quantity: parseInt(quantity),
+      quantitySold: 0,
+      price: parseFloat(price),
+      purchasePrice: purchasePrice ? parseFloat(purchasePrice) : undefined,
+      supplier: supplier ? supplier.trim() : '',
+      purchaseDate: purchaseDate || new Date().toISOString().split('T')[0],
+      status: status || 'Available',
+      salesHistory: [],
+      createdAt: new Date()
+    };
+
+    const result = await collections.routers.insertOne(router);
+
+    res.status(201).json({
+      success: true,
+      message: 'Router added successfully',
+      data: {
+        _id: result.insertedId,
+        ...router
+      }
+    });
+  } catch (error) {
+    console.error('Error adding router:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding router',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE a router
+router.put('/routers/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid router ID format'
+      });
+    }
+
+    const { brand, model, quantity, availableStock, price, purchasePrice, supplier, purchaseDate, status } = req.body;
+
+    const updateData = {};
+    if (brand !== undefined) updateData.brand = brand.trim();
+    if (model !== undefined) updateData.model = model.trim();
+    // If availableStock is provided, use the total quantity from frontend
+    // Otherwise use the quantity directly
+    if (quantity !== undefined) updateData.quantity = parseInt(quantity);
+    if (price !== undefined) updateData.price = parseFloat(price);
+    if (purchasePrice !== undefined) updateData.purchasePrice = parseFloat(purchasePrice);
+    if (supplier !== undefined) updateData.supplier = supplier.trim();
+    if (purchaseDate !== undefined) updateData.purchaseDate = purchaseDate;
+    if (status !== undefined) updateData.status = status;
+
+    const result = await collections.routers.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Router not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Router updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating router:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating router',
+      error: error.message
+    });
+  }
+});
+
+// DELETE a router
+router.delete('/routers/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid router ID format'
+      });
+    }
+
+    const result = await collections.routers.deleteOne({ _id: new ObjectId(req.params.id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Router not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Router deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting router:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting router',
+      error: error.message
+    });
+  }
+});
+
+// POST sell router
+router.post('/routers/:id/sell', async (req, res) => {
+  try {
+    const { quantity, sellingPrice, customerName, notes } = req.body;
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid router ID format'
+      });
+    }
+
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid quantity is required'
+      });
+    }
+
+    const router = await collections.routers.findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!router) {
+      return res.status(404).json({
+        success: false,
+        message: 'Router not found'
+      });
+    }
+
+    const availableQty = router.quantity - (router.quantitySold || 0);
+    if (quantity > availableQty) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableQty} units available to sell`
+      });
+    }
+
+    const saleRecord = {
+      quantity: parseInt(quantity),
+      sellingPrice: sellingPrice ? parseFloat(sellingPrice) : router.price,
+      customerName: customerName || '',
+      notes: notes || '',
+      saleDate: new Date().toISOString()
+    };
+
+    const result = await collections.routers.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      {
+        $inc: { quantitySold: parseInt(quantity) },
+        $push: { salesHistory: saleRecord }
+      }
+    );
+
+    // Update monthly sales
+    const now = new Date();
+    const businessToday = toBusinessYMD(now);
+    const currentMonth = businessToday.m + 1;
+    const currentYear = businessToday.y;
+    const monthKey = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+
+    const saleAmount = parseInt(quantity) * parseFloat(saleRecord.sellingPrice);
+
+    await collections.monthlySales.updateOne(
+      { monthKey: monthKey },
+      {
+        $inc: {
+          totalSales: saleAmount,
+          routerSales: saleAmount
+        },
+        $set: {
+          month: currentMonth,
+          year: currentYear,
+          lastUpdated: new Date().toISOString()
+        }
+      },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Router sold successfully',
+      data: saleRecord
+    });
+  } catch (error) {
+    console.error('Error selling router:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error selling router',
+      error: error.message
+    });
+  }
+});
+
+// GET sold routers
+router.get('/routers/filter/sold', async (req, res) => {
+  try {
+    const routers = await collections.routers.find({
+      quantitySold: { $gt: 0 }
+    }).sort({ createdAt: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      count: routers.length,
+      routers: routers
+    });
+  } catch (error) {
+    console.error('Error fetching sold routers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sold routers',
+      error: error.message
+    });
+  }
+});
+
+// GET router sales report by date range
+router.get('/routers/sales-report', async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'From date and to date are required'
+      });
+    }
+
+    // Start of fromDate to end of toDate in the business timezone
+    const range = dayRangeBetween(fromDate, toDate);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}`
+      });
+    }
+    const from = range.$gte;
+    const to = new Date(range.$lt.getTime() - 1);
+
+    // Get all routers with sales history
+    const routers = await collections.routers.find({
+      'salesHistory.0': { $exists: true }
+    }).toArray();
+
+    let sales = [];
+    let totalQuantitySold = 0;
+    let totalRevenue = 0;
+    let totalProfit = 0;
+
+    routers.forEach(router => {
+      if (router.salesHistory && router.salesHistory.length > 0) {
+        router.salesHistory.forEach(sale => {
+          const saleDate = new Date(sale.saleDate);
+          if (saleDate >= from && saleDate <= to) {
+            const revenue = sale.quantity * sale.sellingPrice;
+            const purchasePrice = router.purchasePrice || 0;
+            const profit = (sale.sellingPrice - purchasePrice) * sale.quantity;
+
+            sales.push({
+              brand: router.brand,
+              model: router.model,
+              quantity: sale.quantity,
+              sellingPrice: sale.sellingPrice,
+              customerName: sale.customerName,
+              notes: sale.notes,
+              saleDate: sale.saleDate,
+              profit: profit
+            });
+
+            totalQuantitySold += sale.quantity;
+            totalRevenue += revenue;
+            totalProfit += profit;
+          }
+        });
+      }
+    });
+
+    // Sort sales by date (newest first)
+    sales.sort((a, b) => new Date(b.saleDate) - new Date(a.saleDate));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sales,
+        totalSales: sales.length,
+        totalQuantitySold,
+        totalRevenue,
+        totalProfit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching router sales report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching router sales report',
+      error: error.message
+    });
+  }
+});
+
+// ============ FIBER CABLES API ROUTES ============
+
+// GET all fiber cables
+router.get('/fiber-cables', async (req, res) => {
+  try {
+    const cables = await collections.fiberCables.find().sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: cables.length,
+      cables: cables
+    });
+  } catch (error) {
+    console.error('Error fetching fiber cables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fiber cables',
+      error: error.message
+    });
+  }
+});
+
+// POST create a new fiber cable
+router.post('/fiber-cables', async (req, res) => {
+  try {
+    const { type, length, pricePerMeter, purchasePricePerMeter, purchaseDate, supplier, status } = req.body;
+
+    if (!type || length === undefined || pricePerMeter === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type, length, and price per meter are required'
+      });
+    }
+
+    const cable = {
+      type: type.trim(),
+      length: parseFloat(length),
+      lengthSold: 0,
+      pricePerMeter: parseFloat(pricePerMeter),
+      purchasePricePerMeter: purchasePricePerMeter ? parseFloat(purchasePricePerMeter) : undefined,
+      purchaseDate: purchaseDate || new Date().toISOString().split('T')[0],
+      supplier: supplier ? supplier.trim() : '',
+      status: status || 'Available',
+      salesHistory: [],
+      createdAt: new Date()
+    };
+
+    const result = await collections.fiberCables.insertOne(cable);
+
+    res.status(201).json({
+      success: true,
+      message: 'Fiber cable added successfully',
+      data: {
+        _id: result.insertedId,
+        ...cable
+      }
+    });
+  } catch (error) {
+    console.error('Error adding fiber cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding fiber cable',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE a fiber cable
+router.put('/fiber-cables/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fiber cable ID format'
+      });
+    }
+
+    const { type, length, availableStock, pricePerMeter, purchasePricePerMeter, purchaseDate, supplier, status } = req.body;
+
+    const updateData = {};
+    if (type !== undefined) updateData.type = type.trim();
+    // If availableStock is provided, use the total length from frontend
+    // Otherwise use the length directly
+    if (length !== undefined) updateData.length = parseFloat(length);
+    if (pricePerMeter !== undefined) updateData.pricePerMeter = parseFloat(pricePerMeter);
+    if (purchasePricePerMeter !== undefined) updateData.purchasePricePerMeter = parseFloat(purchasePricePerMeter);
+    if (purchaseDate !== undefined) updateData.purchaseDate = purchaseDate;
+    if (supplier !== undefined) updateData.supplier = supplier.trim();
+    if (status !== undefined) updateData.status = status;
+
+    const result = await collections.fiberCables.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: updateData }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiber cable not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fiber cable updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating fiber cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating fiber cable',
+      error: error.message
+    });
+  }
+});
+
+// DELETE a fiber cable
+router.delete('/fiber-cables/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fiber cable ID format'
+      });
+    }
+
+    const result = await collections.fiberCables.deleteOne({ _id: new ObjectId(req.params.id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiber cable not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Fiber cable deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting fiber cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting fiber cable',
+      error: error.message
+    });
+  }
+});
+
+// POST sell fiber cable
+router.post('/fiber-cables/:id/sell', async (req, res) => {
+  try {
+    const { length, sellingPricePerMeter, customerName, notes } = req.body;
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fiber cable ID format'
+      });
+    }
+
+    if (!length || length <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid length is required'
+      });
+    }
+
+    const cable = await collections.fiberCables.findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!cable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fiber cable not found'
+      });
+    }
+
+    const availableLength = cable.length - (cable.lengthSold || 0);
+    if (length > availableLength) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${availableLength} meters available to sell`
+      });
+    }
+
+    const saleRecord = {
+      length: parseFloat(length),
+      sellingPricePerMeter: sellingPricePerMeter ? parseFloat(sellingPricePerMeter) : cable.pricePerMeter,
+      customerName: customerName || '',
+      notes: notes || '',
+      saleDate: new Date().toISOString()
+    };
+
+    const result = await collections.fiberCables.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      {
+        $inc: { lengthSold: parseFloat(length) },
+        $push: { salesHistory: saleRecord }
+      }
+    );
+
+    // Update monthly sales
+    const now = new Date();
+    const businessToday = toBusinessYMD(now);
+    const currentMonth = businessToday.m + 1;
+    const currentYear = businessToday.y;
+    const monthKey = `${currentYear}-${String(currentMonth).padStart(2, '0')}`;
+
+    const saleAmount = parseFloat(length) * parseFloat(saleRecord.sellingPricePerMeter);
+
+    await collections.monthlySales.updateOne(
+      { monthKey: monthKey },
+      {
+        $inc: {
+          totalSales: saleAmount,
+          cableSales: saleAmount
+        },
+        $set: {
+          month: currentMonth,
+          year: currentYear,
+          lastUpdated: new Date().toISOString()
+        }
+      },
+      { upsert: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Fiber cable sold successfully',
+      data: saleRecord
+    });
+  } catch (error) {
+    console.error('Error selling fiber cable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error selling fiber cable',
+      error: error.message
+    });
+  }
+});
+
+// GET sold fiber cables
+router.get('/fiber-cables/filter/sold', async (req, res) => {
+  try {
+    const cables = await collections.fiberCables.find({
+      lengthSold: { $gt: 0 }
+    }).sort({ createdAt: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      count: cables.length,
+      cables: cables
+    });
+  } catch (error) {
+    console.error('Error fetching sold fiber cables:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sold fiber cables',
+      error: error.message
+    });
+  }
+});
+
+// GET fiber cable sales report by date range
+router.get('/fiber-cables/sales-report', async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'From date and to date are required'
+      });
+    }
+
+    // Start of fromDate to end of toDate in the business timezone
+    const range = dayRangeBetween(fromDate, toDate);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}`
+      });
+    }
+    const from = range.$gte;
+    const to = new Date(range.$lt.getTime() - 1);
+
+    // Get all fiber cables with sales history
+    const cables = await collections.fiberCables.find({
+      'salesHistory.0': { $exists: true }
+    }).toArray();
+
+    let sales = [];
+    let totalLengthSold = 0;
+    let totalRevenue = 0;
+    let totalProfit = 0;
+
+    cables.forEach(cable => {
+      if (cable.salesHistory && cable.salesHistory.length > 0) {
+        cable.salesHistory.forEach(sale => {
+          const saleDate = new Date(sale.saleDate);
+          if (saleDate >= from && saleDate <= to) {
+            const revenue = sale.length * sale.sellingPrice;
+            const purchasePricePerMeter = cable.purchasePricePerMeter || 0;
+            const profit = (sale.sellingPrice - purchasePricePerMeter) * sale.length;
+
+            sales.push({
+              type: cable.type,
+              length: sale.length,
+              sellingPrice: sale.sellingPrice,
+              customerName: sale.customerName,
+              notes: sale.notes,
+              saleDate: sale.saleDate,
+              profit: profit
+            });
+
+            totalLengthSold += sale.length;
+            totalRevenue += revenue;
+            totalProfit += profit;
+          }
+        });
+      }
+    });
+
+    // Sort sales by date (newest first)
+    sales.sort((a, b) => new Date(b.saleDate) - new Date(a.saleDate));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sales,
+        totalSales: sales.length,
+        totalLengthSold,
+        totalRevenue,
+        totalProfit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching fiber cable sales report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching fiber cable sales report',
+      error: error.message
+    });
+  }
+});
+
+// ============ TOTAL SALES API ROUTE ============
+
+// GET total sales from routers and fiber cables
+// Get current month's total sales
+router.get('/sales/total', async (req, res) => {
+  try {
+    // Get current month and year in PKT
+    const now = new Date();
+    const businessToday = toBusinessYMD(now);
+    const currentMonth = businessToday.m + 1; // 1-12
+    const currentYear = businessToday.y;
+    const monthKey = `${currentYear}-${String(currentMonth).padStart(2, '0')}`; // e.g., "2024-12"
+
+    // Get monthly sales record
+    const monthlySales = await collections.monthlySales.findOne({
+      monthKey: monthKey
+    });
+
+    const totalSales = monthlySales ? monthlySales.totalSales : 0;
+    const routerSales = monthlySales ? monthlySales.routerSales : 0;
+    const cableSales = monthlySales ? monthlySales.cableSales : 0;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totalSales,
+        routerSales,
+        cableSales,
+        breakdown: {
+          routers: routerSales,
+          fiberCables: cableSales
+        },
+        month: monthKey
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching total sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching total sales',
+      error: error.message
+    });
+  }
+});
+
+// Get sales history by month
+router.get('/sales/history', async (req, res) => {
+  try {
+    const history = await collections.monthlySales.find({})
+      .sort({ year: -1, month: -1 })
+      .limit(12)
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error fetching sales history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sales history',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, runInTransaction, transactionErrorResponse, ensureDbConnection } = require('../db');
+const { history } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const { HISTORY_ENTITIES } = require('../services/history');
+const { validateRule, waiveLateFees } = require('../services/lateFees');
+const { findVoucherMonth } = require('../services/receipts');
+const { recalculateUserStatus } = require('../services/status');
+const { findVoucher, saveMonths } = require('../services/voucherMonths');
+const { WALLET_ENTRY_TYPES, planWallet } = require('../services/wallet');
+
+// ============ LATE FEE ROUTES ============
+// Late fee rules and waivers (mounted at /api, see services/lateFees.js). The rules are applied
+// by the daily expiry processing and /api/admin/run-late-fees.
+const router = express.Router();
+
+// GET all late fee rules, global rules first
+router.get('/late-fee-rules', ensureDbConnection, async (req, res) => {
+  try {
+    const rules = await collections.lateFeeRules.find().sort({ packageName: 1, afterDays: 1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching late fee rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching late fee rules',
+      error: error.message
+    });
+  }
+});
+
+// POST add a late fee rule (admin). Body: name, type (flat|percentage), amount, afterDays,
+// optional packageName (all packages when empty) and active (default true)
+router.post('/late-fee-rules', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error, rule } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (rule.packageName && !await collections.packages.findOne({ name: rule.packageName })) {
+      return res.status(400).json({
+        success: false,
+        message: `Package "${rule.packageName}" does not exist`
+      });
+    }
+
+    const newRule = { ...rule, createdAt: new Date(), createdBy: req.user.name };
+    const result = await collections.lateFeeRules.insertOne(newRule);
+
+    console.log(`⏰ Late fee rule added: ${newRule.name} (${newRule.type} ${newRule.amount} after ${newRule.afterDays} days, ${newRule.packageName || 'all packages'})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Late fee rule added successfully',
+      data: { _id: result.insertedId, ...newRule }
+    });
+  } catch (error) {
+    console.error('Error adding late fee rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding late fee rule',
+      error: error.message
+    });
+  }
+});
+
+// PUT update a late fee rule (admin). Body: any of the POST fields. Fees already charged keep
+// their amount.
+router.put('/late-fee-rules/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule ID format'
+      });
+    }
+
+    const existing = await collections.lateFeeRules.findOne({ _id: new ObjectId(req.params.id) });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Late fee rule not found'
+      });
+    }
+
+    const { error, rule } = validateRule({ type: existing.type, ...req.body }, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (rule.packageName && !await collections.packages.findOne({ name: rule.packageName })) {
+      return res.status(400).json({
+        success: false,
+        message: `Package "${rule.packageName}" does not exist`
+      });
+    }
+
+    const updateFields = { ...rule, updatedAt: new Date(), updatedBy: req.user.name };
+    await collections.lateFeeRules.updateOne({ _id: existing._id }, { $set: updateFields });
+
+    res.status(200).json({
+      success: true,
+      message: 'Late fee rule updated successfully',
+      data: { ...existing, ...updateFields }
+    });
+  } catch (error) {
+    console.error('Error updating late fee rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating late fee rule',
+      error: error.message
+    });
+  }
+});
+
+// DELETE a late fee rule (admin). Fees it already charged stay on the months.
+router.delete('/late-fee-rules/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid rule ID format'
+      });
+    }
+
+    const result = await collections.lateFeeRules.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Late fee rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Late fee rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting late fee rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting late fee rule',
+      error: error.message
+    });
+  }
+});
+
+// POST waive the late fees of a voucher month (admin). :month is the URL-encoded month label or
+// period key. Body: reason (required), optional feeId to waive one fee line instead of all of them.
+// What the month has then paid beyond what it owes goes to the user's wallet.
+router.post('/vouchers/:id/months/:month/waive-late-fees', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid voucher ID format'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required'
+      });
+    }
+
+    const voucher = await findVoucher({ _id: new ObjectId(req.params.id) });
+    const month = voucher && findVoucherMonth(voucher, req.params.month);
+    if (!month) {
+      return res.status(404).json({
+        success: false,
+        message: voucher ? `Month "${req.params.month}" not found on this voucher` : 'Voucher not found'
+      });
+    }
+
+    const result = waiveLateFees(month, { feeId: req.body.feeId, reason, actor: req.user });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = ObjectId.isValid(String(voucher.userId))
+      ? await collections.users.findOne({ _id: new ObjectId(String(voucher.userId)) })
+      : null;
+    const wallet = user
+      ? planWallet({ user, months: [result.month], creditMonths: [result.month], creditType: WALLET_ENTRY_TYPES.OVERPAYMENT, actor: req.user })
+      : { months: [result.month], credits: [], commit: async () => {} };
+    const [waivedMonth] = wallet.months;
+    const walletCredit = wallet.credits.reduce((sum, entry) => sum + entry.amount, 0);
+
+    await runInTransaction(async (session) => {
+      const change = await history.track(HISTORY_ENTITIES.VOUCHER, voucher._id, req.user, { session });
+      await saveMonths(voucher, [waivedMonth], { session });
+      await collections.vouchers.updateOne(
+        { _id: voucher._id },
+        { $set: { updatedAt: new Date() } },
+        { session }
+      );
+      await wallet.commit({ voucherId: voucher._id, session });
+      await recalculateUserStatus(voucher.userId, { session });
+      await change.record({ note: `Late fees waived on ${month.month}: ${reason}` });
+    });
+
+    console.log(`⏰ Late fees waived on ${voucher.userName} ${month.month}: ${result.amount} by ${req.user.name} (${reason})`);
+
+    res.status(200).json({
+      success: true,
+      message: `Waived ${result.amount} of late fees on ${month.month}`,
+      data: {
+        month: waivedMonth,
+        waivedFeeIds: result.waived,
+        amount: result.amount,
+        walletCredit
+      }
+    });
+  } catch (error) {
+    console.error('Error waiving late fees:', error);
+    transactionErrorResponse(res, 'Error waiving late fees', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+
+// Mounted at /api/loans (admin only)
+const router = express.Router();
+
+// LOAN MANAGEMENT ENDPOINTS
+router.post('/', ensureDbConnection, async (req, res) => {
+  try {
+    const { type, personName, amount, description, date } = req.body;
+    if (!type || !personName || !amount) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const loanRecord = {
+      type, // 'given' or 'taken'
+      personName,
+      amount: parseFloat(amount),
+      description: description || '',
+      date: date ? new Date(date) : new Date(),
+      createdAt: new Date()
+    };
+
+    const result = await collections.loans.insertOne(loanRecord);
+    res.status(201).json({ success: true, data: { _id: result.insertedId, ...loanRecord } });
+  } catch (error) {
+    console.error('Error adding loan:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+router.get('/', ensureDbConnection, async (req, res) => {
+  try {
+    const loans = await collections.loans.find({}).sort({ date: -1 }).toArray();
+    res.status(200).json({ success: true, data: loans });
+  } catch (error) {
+    console.error('Error fetching loans:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+router.get('/stats', ensureDbConnection, async (req, res) => {
+  try {
+    const loans = await collections.loans.find({}).toArray();
+    let totalGiven = 0;
+    let totalTaken = 0;
+
+    loans.forEach(loan => {
+      if (loan.type === 'given') totalGiven += loan.amount;
+      else if (loan.type === 'taken') totalTaken += loan.amount;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { totalGiven, totalTaken, netBalance: totalTaken - totalGiven }
+    });
+  } catch (error) {
+    console.error('Error fetching loan stats:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+router.delete('/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const result = await collections.loans.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Loan record not found' });
+    }
+    res.status(200).json({ success: true, message: 'Loan record deleted' });
+  } catch (error) {
+    console.error('Error deleting loan:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+router.put('/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const { type, personName, amount, description, date } = req.body;
+    if (!type || !personName || !amount) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const updatedRecord = {
+      type,
+      personName,
+      amount: parseFloat(amount),
+      description: description || '',
+      date: date ? new Date(date) : new Date()
+    };
+
+    const result = await collections.loans.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: updatedRecord }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'Loan record not found' });
+    }
+
+    res.status(200).json({ success: true, data: { _id: req.params.id, ...updatedRecord } });
+  } catch (error) {
+    console.error('Error updating loan:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+});
+
+module.exports = router;
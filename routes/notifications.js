@@ -0,0 +1,140 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+
+// Mounted at /api/notifications (admin only)
+const router = express.Router();
+
+// ============ NOTIFICATIONS API ROUTES ============
+
+// GET route to fetch all notifications for admin
+router.get('/', ensureDbConnection, async (req, res) => {
+  try {
+    const { isRead } = req.query;
+
+    let query = {};
+
+    // Filter by read status if provided
+    if (isRead !== undefined) {
+      query.isRead = isRead === 'true';
+    }
+
+    const notifications = await collections.notifications
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching notifications',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to mark notification as read
+router.put('/:id/read', ensureDbConnection, async (req, res) => {
+  try {
+    const notificationId = req.params.id;
+
+    if (!ObjectId.isValid(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    const result = await collections.notifications.updateOne(
+      { _id: new ObjectId(notificationId) },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notification as read',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to mark all notifications as read
+router.put('/read-all', ensureDbConnection, async (req, res) => {
+  try {
+    const result = await collections.notifications.updateMany(
+      { isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error marking all notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking all notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// DELETE route to delete a notification
+router.delete('/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const notificationId = req.params.id;
+
+    if (!ObjectId.isValid(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid notification ID format'
+      });
+    }
+
+    const result = await collections.notifications.deleteOne(
+      { _id: new ObjectId(notificationId) }
+    );
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { history } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const { HISTORY_ENTITIES } = require('../services/history');
+
+// Mounted at /api/packages
+const router = express.Router();
+
+// ============ PACKAGES API ROUTES ============
+
+// POST route to add a package
+router.post('/add', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, speed, price } = req.body;
+
+    if (!name || !speed || !price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, speed, and price are required'
+      });
+    }
+
+    const package = {
+      name: name.trim(),
+      speed: speed.trim(),
+      price: parseFloat(price),
+      createdAt: new Date()
+    };
+
+    const result = await collections.packages.insertOne(package);
+    await history.record({ entity: HISTORY_ENTITIES.PACKAGE, after: { _id: result.insertedId, ...package }, actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Package added successfully',
+      data: {
+        _id: result.insertedId,
+        ...package
+      }
+    });
+  } catch (error) {
+    console.error('Error adding package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding package',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch all packages
+router.get('/', async (req, res) => {
+  try {
+    const packages = await collections.packages.find().sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: packages.length,
+      data: packages
+    });
+  } catch (error) {
+    console.error('Error fetching packages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching packages',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to update a package
+router.put('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name, speed, price } = req.body;
+
+    if (!name || !speed || !price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, speed, and price are required'
+      });
+    }
+    const change = await history.track(HISTORY_ENTITIES.PACKAGE, req.params.id, req.user);
+    const result = await collections.packages.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { name: name.trim(), speed: speed.trim(), price: parseFloat(price) } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+    await change.record();
+
+    res.status(200).json({
+      success: true,
+      message: 'Package updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating package',
+      error: error.message
+    });
+  }
+});
+
+// DELETE route to delete a package
+router.delete('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const change = await history.track(HISTORY_ENTITIES.PACKAGE, req.params.id, req.user);
+    const result = await collections.packages.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+    await change.record();
+    res.status(200).json({
+      success: true,
+      message: 'Package deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting package',
+      error: error.message
+    });
+  }
+});
+
+// GET change history of a package, newest first. Query: page, limit
+router.get('/:id/history', history.timelineHandler((req) => ({
+  entity: HISTORY_ENTITIES.PACKAGE,
+  entityId: req.params.id
+})));
+
+module.exports = router;
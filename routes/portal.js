@@ -0,0 +1,200 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { comparePeriodKeys, normalizeLocale, periodName } = require('../services/periods');
+const { monthPayments } = require('../services/status');
+const { findVoucher } = require('../services/voucherMonths');
+
+// Customer portal (mounted at /api/portal behind the portal login, see services/portal.js).
+// Every route reads req.customer.id, the logged-in subscriber's user _id, and only ever returns
+// that subscriber's records.
+const router = express.Router();
+
+const MAX_COMPLAINT_LENGTH = 1000;
+
+// Fields of the user record a subscriber can see
+const PROFILE_FIELDS = {
+  userName: 1,
+  userId: 1,
+  simNo: 1,
+  whatsappNo: 1,
+  packageName: 1,
+  amount: 1,
+  discount: 1,
+  streetName: 1,
+  connectionType: 1,
+  rechargeDate: 1,
+  expiryDate: 1,
+  status: 1,
+  serviceStatus: 1,
+  paidAmount: 1,
+  remainingAmount: 1
+};
+
+// The subscriber's voucher; older vouchers hold the user _id as an ObjectId
+const customerVoucher = (req) => findVoucher({ userId: { $in: [req.customer.id, new ObjectId(req.customer.id)] } });
+
+// Payments of one month, without the staff who received them
+const customerPayments = (month) => monthPayments(month)
+  .filter((payment) => Number(payment.amount))
+  .map((payment) => ({ date: payment.date, amount: Number(payment.amount), paymentMethod: payment.paymentMethod }));
+
+// A voucher month as the subscriber sees it, named in `locale`
+const customerMonth = (month, locale) => ({
+  month: month.month,
+  monthName: month.period ? periodName(month.period, locale) : month.month,
+  period: month.period?.key || null,
+  status: month.status,
+  packageName: month.packageName,
+  packageFee: Number(month.packageFee || 0),
+  discount: Number(month.discount || 0),
+  adjustments: (month.adjustments || []).map(({ type, amount, description }) => ({ type, amount, description })),
+  paidAmount: Number(month.paidAmount || 0),
+  remainingAmount: Number(month.remainingAmount || 0),
+  date: month.date,
+  payments: customerPayments(month)
+});
+
+// GET the subscriber's own details, expiry date and balance
+router.get('/me', async (req, res) => {
+  try {
+    const user = await collections.users.findOne(
+      { _id: new ObjectId(req.customer.id) },
+      { projection: PROFILE_FIELDS }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { ...user, serviceStatus: user.serviceStatus || 'active' }
+    });
+  } catch (error) {
+    console.error('Error fetching portal profile:', error);
+    res.status(500).json({ success: false, message: 'Error fetching your details', error: error.message });
+  }
+});
+
+// GET the subscriber's voucher months, newest first. Query: optional locale (en|ur) for monthName
+router.get('/vouchers', async (req, res) => {
+  try {
+    const voucher = await customerVoucher(req);
+    const locale = normalizeLocale(req.query.locale);
+    const months = (voucher?.months || []).map((month) => customerMonth(month, locale))
+      .sort((a, b) => comparePeriodKeys(b.period, a.period) || new Date(b.date || 0) - new Date(a.date || 0));
+
+    res.status(200).json({
+      success: true,
+      count: months.length,
+      totalRemaining: months.reduce((sum, month) => sum + (month.status === 'reversed' ? 0 : month.remainingAmount), 0),
+      expiryDate: voucher?.expiryDate || null,
+      data: months
+    });
+  } catch (error) {
+    console.error('Error fetching portal vouchers:', error);
+    res.status(500).json({ success: false, message: 'Error fetching your vouchers', error: error.message });
+  }
+});
+
+// GET the subscriber's payment history, newest first
+router.get('/payments', async (req, res) => {
+  try {
+    const voucher = await customerVoucher(req);
+    const payments = (voucher?.months || [])
+      .flatMap((month) => customerPayments(month).map((payment) => ({ ...payment, month: month.month })))
+      .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      totalPaid: payments.reduce((sum, payment) => sum + payment.amount, 0),
+      data: payments
+    });
+  } catch (error) {
+    console.error('Error fetching portal payments:', error);
+    res.status(500).json({ success: false, message: 'Error fetching your payments', error: error.message });
+  }
+});
+
+// Complaints filed from the portal or by staff for this user (customerId is always String(_id))
+const ownComplaintsFilter = (req) => ({ customerId: req.customer.id });
+
+// GET the subscriber's complaints, newest first
+router.get('/complaints', async (req, res) => {
+  try {
+    const complaints = await collections.complaints.find(ownComplaintsFilter(req))
+      .project({ message: 1, status: 1, createdAt: 1, updatedAt: 1, resolvedAt: 1 })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.status(200).json({ success: true, count: complaints.length, data: complaints });
+  } catch (error) {
+    console.error('Error fetching portal complaints:', error);
+    res.status(500).json({ success: false, message: 'Error fetching your complaints', error: error.message });
+  }
+});
+
+// POST file a complaint. Body: { message }. It goes to the same complaints list the staff use.
+router.post('/complaints', async (req, res) => {
+  try {
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+    if (!message) {
+      return res.status(400).json({ success: false, message: 'message is required' });
+    }
+    if (message.length > MAX_COMPLAINT_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `message must be at most ${MAX_COMPLAINT_LENGTH} characters`
+      });
+    }
+
+    const user = await collections.users.findOne(
+      { _id: new ObjectId(req.customer.id) },
+      { projection: { userId: 1, userName: 1, assignTo: 1, simNo: 1, whatsappNo: 1 } }
+    );
+
+    // Same shape as POST /api/complaints, plus the subscriber's _id and where it came from
+    const complaintRecord = {
+      userId: user.userId || req.customer.id,
+      customerId: req.customer.id,
+      userName: user.userName,
+      message,
+      assignTo: user.assignTo || null,
+      simNo: user.simNo || null,
+      whatsappNo: user.whatsappNo || null,
+      reportedBy: 'Customer',
+      source: 'portal',
+      status: 'pending',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await collections.complaints.insertOne(complaintRecord);
+
+    try {
+      await collections.notifications.insertOne({
+        type: 'new_complaint',
+        title: 'New Complaint Received',
+        message: `${user.userName} submitted a complaint from the customer portal`,
+        complaintId: result.insertedId.toString(),
+        userName: user.userName,
+        complaintMessage: message,
+        submittedBy: 'Customer',
+        isRead: false,
+        createdAt: new Date()
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+    }
+
+    console.log(`📝 Portal complaint from ${user.userName}: ${message.substring(0, 50)}...`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Complaint submitted successfully',
+      data: { _id: result.insertedId, message, status: complaintRecord.status, createdAt: complaintRecord.createdAt }
+    });
+  } catch (error) {
+    console.error('Error creating portal complaint:', error);
+    res.status(500).json({ success: false, message: 'Error submitting complaint', error: error.message });
+  }
+});
+
+module.exports = router;
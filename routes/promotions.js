@@ -0,0 +1,304 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+const { requireRole, ROLES } = require('../services/auth');
+const { PROMOTION_KINDS, recordReferral, validatePromotion } = require('../services/promotions');
+
+// ============ PROMOTION ROUTES ============
+// Coupons, offers and referral promotions (mounted at /api/promotions, see services/promotions.js).
+// They are applied when voucher months are created by POST /api/vouchers and
+// /api/vouchers/generate-next.
+const router = express.Router();
+
+// Check a promotion's package exists, or send an error response
+async function checkPackage(res, promotion) {
+  if (promotion.packageName && !await collections.packages.findOne({ name: promotion.packageName })) {
+    res.status(400).json({
+      success: false,
+      message: `Package "${promotion.packageName}" does not exist`
+    });
+    return false;
+  }
+  return true;
+}
+
+const duplicateCodeResponse = (res, code) => res.status(409).json({
+  success: false,
+  message: `Another promotion already has the code ${code}`
+});
+
+// GET all promotions, newest first. Query: optional kind, active (true|false)
+router.get('/', ensureDbConnection, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.kind) filter.kind = req.query.kind;
+    if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+    const promotions = await collections.promotions.find(filter).sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotions',
+      error: error.message
+    });
+  }
+});
+
+// GET referral credits. Query: optional userId (the referrer), status (available|used|expired)
+router.get('/referrals', ensureDbConnection, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.userId) filter.referrerId = String(req.query.userId);
+    if (req.query.status) filter.status = req.query.status;
+
+    const referrals = await collections.referrals.find(filter).sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: referrals.length,
+      data: referrals
+    });
+  } catch (error) {
+    console.error('Error fetching referrals:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching referrals',
+      error: error.message
+    });
+  }
+});
+
+// POST record a "refer a neighbour" referral. Body: referrerId, referredId (user _ids), optional
+// promotionId (the running referral promotion when empty). The referrer gets the promotion's
+// credit on their next new months.
+router.post('/referrals', ensureDbConnection, async (req, res) => {
+  try {
+    const { referrerId, referredId, promotionId } = req.body;
+    if (![referrerId, referredId].every((id) => ObjectId.isValid(String(id || ''))) ||
+      (promotionId && !ObjectId.isValid(String(promotionId)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'referrerId and referredId must be valid user IDs, and promotionId a valid promotion ID'
+      });
+    }
+
+    const now = new Date();
+    const [referrer, referred, promotion] = await Promise.all([
+      collections.users.findOne({ _id: new ObjectId(String(referrerId)) }),
+      collections.users.findOne({ _id: new ObjectId(String(referredId)) }),
+      promotionId
+        ? collections.promotions.findOne({ _id: new ObjectId(String(promotionId)), kind: PROMOTION_KINDS.REFERRAL })
+        : collections.promotions.findOne(
+          { kind: PROMOTION_KINDS.REFERRAL, active: true, startsAt: { $lte: now } },
+          { sort: { expiresAt: -1 } }
+        )
+    ]);
+    if (!referrer || !referred) {
+      return res.status(404).json({
+        success: false,
+        message: `${!referrer ? 'Referring' : 'Referred'} user not found`
+      });
+    }
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: promotionId ? 'Referral promotion not found' : 'No referral promotion is running'
+      });
+    }
+
+    const { error, referral } = await recordReferral({ promotion, referrer, referred, actor: req.user, now });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${referrer.userName} gets a credit of ${referral.amount} for referring ${referred.userName}`,
+      data: referral
+    });
+  } catch (error) {
+    console.error('Error recording referral:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error recording referral',
+      error: error.message
+    });
+  }
+});
+
+// GET one promotion with its uses
+router.get('/:id', ensureDbConnection, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID format'
+      });
+    }
+
+    const promotion = await collections.promotions.findOne({ _id: new ObjectId(req.params.id) });
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const uses = promotion.kind === PROMOTION_KINDS.REFERRAL
+      ? await collections.referrals.find({ promotionId: req.params.id }).sort({ createdAt: -1 }).toArray()
+      : await collections.promotionRedemptions.find({ promotionId: req.params.id }).sort({ createdAt: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      data: { ...promotion, uses }
+    });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching promotion',
+      error: error.message
+    });
+  }
+});
+
+// POST add a promotion (admin). Body: name, kind (coupon|offer|referral), code (coupons),
+// discountType (flat|percentage, default flat), value, expiresAt, optional startsAt (default now),
+// maxUses (no limit when empty), maxUsesPerUser (default 1), packageName, firstMonthOnly,
+// creditValidDays (referrals, default 90) and active (default true)
+router.post('/', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { error, promotion } = validatePromotion(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (!await checkPackage(res, promotion)) return;
+    if (promotion.code && await collections.promotions.findOne({ code: promotion.code })) {
+      return duplicateCodeResponse(res, promotion.code);
+    }
+
+    const newPromotion = { ...promotion, usedCount: 0, createdAt: new Date(), createdBy: req.user.name };
+    const result = await collections.promotions.insertOne(newPromotion);
+
+    console.log(`🎁 Promotion added: ${newPromotion.name} (${newPromotion.kind}${newPromotion.code ? ` ${newPromotion.code}` : ''}, ${newPromotion.discountType} ${newPromotion.value})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion added successfully',
+      data: { _id: result.insertedId, ...newPromotion }
+    });
+  } catch (error) {
+    console.error('Error adding promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding promotion',
+      error: error.message
+    });
+  }
+});
+
+// PUT update a promotion (admin). Body: any of the POST fields except kind. Months it was
+// already applied to keep their discount.
+router.put('/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID format'
+      });
+    }
+
+    const existing = await collections.promotions.findOne({ _id: new ObjectId(req.params.id) });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const { error, promotion } = validatePromotion(req.body, existing);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (!await checkPackage(res, promotion)) return;
+    if (promotion.code && await collections.promotions.findOne({ code: promotion.code, _id: { $ne: existing._id } })) {
+      return duplicateCodeResponse(res, promotion.code);
+    }
+
+    const updateFields = { ...promotion, updatedAt: new Date(), updatedBy: req.user.name };
+    await collections.promotions.updateOne({ _id: existing._id }, { $set: updateFields });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: { ...existing, ...updateFields }
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating promotion',
+      error: error.message
+    });
+  }
+});
+
+// DELETE a promotion that was never used (admin). A used one can be deactivated with
+// PUT { active: false } instead, so its discounts stay traceable.
+router.delete('/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid promotion ID format'
+      });
+    }
+
+    const promotion = await collections.promotions.findOne({ _id: new ObjectId(req.params.id) });
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    if (promotion.usedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Promotion has been used ${promotion.usedCount} times; deactivate it instead`
+      });
+    }
+
+    await collections.promotions.deleteOne({ _id: promotion._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting promotion',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
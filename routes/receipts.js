@@ -0,0 +1,158 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+const {
+  buildInvoice,
+  findReceiptByCode,
+  findVoucherMonth,
+  issueReceipt,
+  normalizeVerificationCode,
+  verifiedReceipt,
+  writeInvoicePdf,
+  writeReceiptPdf
+} = require('../services/receipts');
+const { findVoucher } = require('../services/voucherMonths');
+
+// ============ RECEIPTS AND INVOICES ROUTES ============
+// PDF receipts and invoices for voucher months (mounted at /api, see services/receipts.js).
+// :month names the billing period: the month label, URL-encoded (e.g. October%202025), or its
+// period key (2025-10).
+const router = express.Router();
+
+// The voucher and month of a request, its user, or a sent error response
+async function loadVoucherMonth(req, res) {
+  // Validate ObjectId format
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid voucher ID format'
+    });
+    return null;
+  }
+
+  const voucher = await findVoucher({ _id: new ObjectId(req.params.id) });
+  if (!voucher) {
+    res.status(404).json({
+      success: false,
+      message: 'Voucher not found'
+    });
+    return null;
+  }
+
+  const month = findVoucherMonth(voucher, req.params.month);
+  if (!month) {
+    res.status(404).json({
+      success: false,
+      message: `Month "${req.params.month}" not found on this voucher`
+    });
+    return null;
+  }
+
+  const user = ObjectId.isValid(String(voucher.userId))
+    ? await collections.users.findOne({ _id: new ObjectId(String(voucher.userId)) })
+    : null;
+  return { voucher, month, user };
+}
+
+// GET receipt PDF for one payment of a voucher month. :index is the payment's position in the
+// month's paymentHistory (0 for the first). ?format=json returns the receipt record instead.
+router.get('/vouchers/:id/months/:month/payments/:index/receipt', ensureDbConnection, async (req, res) => {
+  try {
+    const paymentIndex = Number(req.params.index);
+    if (!Number.isInteger(paymentIndex) || paymentIndex < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment index must be a whole number from 0'
+      });
+    }
+
+    const found = await loadVoucherMonth(req, res);
+    if (!found) return;
+
+    const { error, receipt, issued } = await issueReceipt({ ...found, paymentIndex, actor: req.user });
+    if (error) {
+      return res.status(404).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (req.query.format === 'json') {
+      return res.status(issued ? 201 : 200).json({ success: true, issued, data: receipt });
+    }
+    writeReceiptPdf(res, receipt);
+  } catch (error) {
+    console.error('Error creating receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating receipt',
+      error: error.message
+    });
+  }
+});
+
+// GET invoice PDF for a voucher month that still has a balance
+router.get('/vouchers/:id/months/:month/invoice', ensureDbConnection, async (req, res) => {
+  try {
+    const found = await loadVoucherMonth(req, res);
+    if (!found) return;
+
+    const { error, invoice } = buildInvoice(found);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    console.log(`🧾 Invoice for ${invoice.userName} (${invoice.month}, remaining ${invoice.remainingAmount})`);
+    writeInvoicePdf(res, invoice);
+  } catch (error) {
+    console.error('Error creating invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating invoice',
+      error: error.message
+    });
+  }
+});
+
+// GET check a printed receipt by its verification code (no login needed). Query: code
+router.get('/receipts/verify', ensureDbConnection, async (req, res) => {
+  try {
+    const code = normalizeVerificationCode(req.query.code);
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'code must be the 10-character verification code printed on the receipt'
+      });
+    }
+
+    const receipt = await findReceiptByCode(code);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No receipt has this verification code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      message: receipt.supersededBy
+        ? `Receipt ${receipt.receiptNo} is genuine but was replaced by ${receipt.supersededBy} after the payment was edited`
+        : `Receipt ${receipt.receiptNo} is genuine`,
+      data: verifiedReceipt(receipt)
+    });
+  } catch (error) {
+    console.error('Error verifying receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying receipt',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
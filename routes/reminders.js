@@ -0,0 +1,131 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+
+// Mounted at /api/reminders. The reminders themselves are sent by services/scheduler.js
+const router = express.Router();
+
+// ============ PAYMENT REMINDER ENDPOINTS ============
+
+// Create a payment reminder
+router.post('/', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId, userName, amount, reminderDate, note } = req.body;
+
+    if (!userId || !userName || !reminderDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId, userName, and reminderDate are required'
+      });
+    }
+
+    // Create reminder object
+    const reminder = {
+      userId,
+      userName,
+      amount: amount || 0,
+      reminderDate: new Date(reminderDate),
+      note: note || '',
+      notificationTime: '20:00', // 8 PM
+      sent: false,
+      createdAt: new Date()
+    };
+
+    const result = await collections.reminders.insertOne(reminder);
+
+    console.log('✅ Reminder created:', { userId, userName, reminderDate });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder created successfully',
+      data: { ...reminder, _id: result.insertedId }
+    });
+  } catch (error) {
+    console.error('❌ Error creating reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create reminder',
+      error: error.message
+    });
+  }
+});
+
+// Get all active reminders (not sent yet)
+router.get('/', ensureDbConnection, async (req, res) => {
+  try {
+    const reminders = await collections.reminders
+      .find({ sent: false })
+      .sort({ reminderDate: 1 })
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      data: reminders
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reminders',
+      error: error.message
+    });
+  }
+});
+
+// Get reminders for a specific user
+router.get('/user/:userId', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const reminders = await collections.reminders
+      .find({ userId, sent: false })
+      .sort({ reminderDate: 1 })
+      .toArray();
+
+    res.status(200).json({
+      success: true,
+      data: reminders
+    });
+  } catch (error) {
+    console.error('❌ Error fetching user reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user reminders',
+      error: error.message
+    });
+  }
+});
+
+// Delete a reminder
+router.delete('/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await collections.reminders.deleteOne({
+      _id: new ObjectId(id)
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    console.log('✅ Reminder deleted:', id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Reminder deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reminder',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
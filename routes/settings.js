@@ -0,0 +1,63 @@
+const express = require('express');
+const { requireRole, ROLES } = require('../services/auth');
+const { DEFAULT_SETTINGS, getSettings, saveSettings, validateSettings } = require('../services/settings');
+const { toBusinessTime } = require('../services/dates');
+
+// Business timezone, expiry cutoff, reminder time, archive retention and service suspension days
+// (mounted at /api/settings)
+const router = express.Router();
+
+// ============ SETTINGS API ROUTES ============
+
+// GET current settings, with the defaults and the current business time
+router.get('/', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getSettings(),
+    defaults: DEFAULT_SETTINGS,
+    businessTime: toBusinessTime(new Date()).toISOString().slice(0, 16).replace('T', ' ')
+  });
+});
+
+// PUT update settings (admin). Body: any of timezone, expiryCutoff, reminderTime, archiveRetentionDays,
+// graceAfterDays, suspendAfterDays, disconnectAfterDays
+router.put('/', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const updates = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (req.body[key] !== undefined) updates[key] = req.body[key];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No settings to update. Use ${Object.keys(DEFAULT_SETTINGS).join(', ')}`
+      });
+    }
+
+    const invalid = validateSettings(updates);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const settings = await saveSettings(updates, req.user.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating settings',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
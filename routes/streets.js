@@ -0,0 +1,161 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { requireRole, ROLES } = require('../services/auth');
+
+// Mounted at /api/streets
+const router = express.Router();
+
+// POST route to save a street name
+router.post('/add', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Street name is required'
+      });
+    }
+
+    // Check if street already exists
+    const existingStreet = await collections.streets.findOne({ name: name.trim() });
+    if (existingStreet) {
+      return res.status(409).json({
+        success: false,
+        message: 'Street name already exists'
+      });
+    }
+
+    // Create new street
+    const street = {
+      name: name.trim(),
+      createdAt: new Date()
+    };
+
+    const result = await collections.streets.insertOne(street);
+
+    res.status(201).json({
+      success: true,
+      message: 'Street saved successfully',
+      data: {
+        _id: result.insertedId,
+        ...street
+      }
+    });
+  } catch (error) {
+    console.error('Error saving street:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving street',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch all streets
+router.get('/', async (req, res) => {
+  try {
+    const streets = await collections.streets.find().sort({ createdAt: -1 }).toArray();
+    res.status(200).json({
+      success: true,
+      count: streets.length,
+      data: streets
+    });
+  } catch (error) {
+    console.error('Error fetching streets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching streets',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch a single street by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const street = await collections.streets.findOne({ _id: new ObjectId(req.params.id) });
+    if (!street) {
+      return res.status(404).json({
+        success: false,
+        message: 'Street not found'
+      });
+    }
+    res.status(200).json({
+      success: true,
+      data: street
+    });
+  } catch (error) {
+    console.error('Error fetching street:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching street',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to update a street
+router.put('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Street name is required'
+      });
+    }
+
+    const result = await collections.streets.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { name: name.trim() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Street not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Street updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating street:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating street',
+      error: error.message
+    });
+  }
+});
+
+// DELETE route to delete a street
+router.delete('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const result = await collections.streets.deleteOne({ _id: new ObjectId(req.params.id) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Street not found'
+      });
+    }
+    res.status(200).json({
+      success: true,
+      message: 'Street deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting street:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting street',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,764 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, ensureDbConnection } = require('../db');
+const { ledger } = require('../services');
+const { LEDGER_TYPES, ACCOUNTS, debit, credit } = require('../services/ledger');
+const { DATE_FORMATS, dayRangeBetween } = require('../services/dates');
+
+// Transactions, expenses and employee expenses (mounted at /api)
+const router = express.Router();
+
+// GET user transactions by user ID
+router.get('/transactions/:userId', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Find all vouchers for this user (paid, partial, or unpaid)
+    const vouchers = await collections.vouchers.find({
+      userId: userId
+    }).sort({ date: -1 }).toArray();
+
+    // Transform vouchers to transaction format
+    const transactions = vouchers.map(voucher => ({
+      _id: voucher._id,
+      date: voucher.date || voucher.createdAt || voucher.paymentDate,
+      amount: voucher.paidAmount || voucher.packageFee || 0,
+      month: voucher.month || new Date(voucher.date || voucher.createdAt).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+      paymentMethod: voucher.paymentMethod || 'Cash',
+      status: voucher.status || 'unpaid'
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    console.error('Error fetching user transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user transactions',
+      error: error.message
+    });
+  }
+});
+
+// GET income transactions
+router.get('/transactions/income', async (req, res) => {
+  try {
+    const transactions = await collections.transactions.find({
+      type: 'income'
+    }).sort({ paymentDate: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      data: transactions
+    });
+  } catch (error) {
+    console.error('Error fetching income:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching income',
+      error: error.message
+    });
+  }
+});
+
+// GET all expenses
+router.get('/expense', ensureDbConnection, async (req, res) => {
+  try {
+    const expenses = await collections.expenses.find({}).sort({ date: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Error fetching expenses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses',
+      error: error.message
+    });
+  }
+});
+
+// GET expenses by date range
+router.get('/expense/by-date-range', ensureDbConnection, async (req, res) => {
+  try {
+    const { fromDate, toDate } = req.query;
+
+    if (!fromDate || !toDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'fromDate and toDate are required (format: YYYY-MM-DD)'
+      });
+    }
+
+    // Start of fromDate to end of toDate in the business timezone
+    const range = dayRangeBetween(fromDate, toDate);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}`
+      });
+    }
+    const from = range.$gte;
+    const to = new Date(range.$lt.getTime() - 1);
+
+    console.log(`📅 Fetching expenses from ${fromDate} to ${toDate}`);
+
+    const expenses = await collections.expenses.find({
+      date: {
+        $gte: from,
+        $lte: to
+      }
+    }).sort({ date: -1 }).toArray();
+
+    // Calculate total expense
+    const totalExpense = expenses.reduce((sum, expense) => sum + (expense.amount || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      totalExpense: totalExpense,
+      data: expenses
+    });
+  } catch (error) {
+    console.error('Error fetching expenses by date range:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses by date range',
+      error: error.message
+    });
+  }
+});
+
+// GET expenses grouped by month
+router.get('/expense/by-month', ensureDbConnection, async (req, res) => {
+  try {
+    const paidBy = req.query.paidBy; // Fee collector name filter
+
+    // Build query with paidBy filter if provided
+    const query = {};
+    if (paidBy) {
+      query.paidBy = { $regex: new RegExp(`^${paidBy.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+      console.log(`💰 Expense by month - filtering by paidBy: ${paidBy}`);
+    }
+
+    const expenses = await collections.expenses.find(query).sort({ date: -1 }).toArray();
+    console.log(`💰 Expense by month - found ${expenses.length} expenses${paidBy ? ` for ${paidBy}` : ''}`);
+
+    // Group expenses by month
+    const expensesByMonth = {};
+
+    expenses.forEach(expense => {
+      const date = new Date(expense.date);
+      // Format as "Month YYYY" (e.g., "November 2025")
+      const monthYear = date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long'
+      });
+
+      if (!expensesByMonth[monthYear]) {
+        expensesByMonth[monthYear] = {
+          month: monthYear,
+          expenses: [],
+          totalAmount: 0,
+          count: 0
+        };
+      }
+
+      expensesByMonth[monthYear].expenses.push(expense);
+      expensesByMonth[monthYear].totalAmount += expense.amount;
+      expensesByMonth[monthYear].count += 1;
+    });
+
+    // Convert to array and sort by most recent month
+    const monthsArray = Object.values(expensesByMonth).sort((a, b) => {
+      const dateA = new Date(a.month);
+      const dateB = new Date(b.month);
+      return dateB.getTime() - dateA.getTime();
+    });
+
+    // Always include current month if not present
+    const currentDate = new Date();
+    const currentMonth = currentDate.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long'
+    });
+
+    if (!expensesByMonth[currentMonth]) {
+      monthsArray.unshift({
+        month: currentMonth,
+        expenses: [],
+        totalAmount: 0,
+        count: 0
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: monthsArray
+    });
+  } catch (error) {
+    console.error('Error fetching expenses by month:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses by month',
+      error: error.message
+    });
+  }
+});
+
+// GET expenses for a specific month
+router.get('/expense/:month', ensureDbConnection, async (req, res) => {
+  try {
+    const { month } = req.params;
+    const paidBy = req.query.paidBy; // Fee collector name filter
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month parameter is required'
+      });
+    }
+
+    // Build query with paidBy filter if provided
+    const query = {};
+    if (paidBy) {
+      query.paidBy = { $regex: new RegExp(`^${paidBy.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+      console.log(`💰 Expense for month ${month} - filtering by paidBy: ${paidBy}`);
+    }
+
+    const allExpenses = await collections.expenses.find(query).toArray();
+    console.log(`💰 Found ${allExpenses.length} expenses${paidBy ? ` for ${paidBy}` : ''}`);
+
+    // Filter expenses for the specified month
+    const filteredExpenses = allExpenses.filter(expense => {
+      const date = new Date(expense.date);
+      const expenseMonth = date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long'
+      });
+      return expenseMonth === month;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: filteredExpenses,
+      month
+    });
+  } catch (error) {
+    console.error('Error fetching expenses by month:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expenses by month',
+      error: error.message
+    });
+  }
+});
+
+// POST add new expense
+router.post('/transactions/expense', ensureDbConnection, async (req, res) => {
+  try {
+    const { amount, description, category, paidTo, paidBy, date } = req.body;
+
+    // Validate required fields
+    if (!amount || !description || !category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount, description, and category are required'
+      });
+    }
+
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    // Create expense object
+    const expense = {
+      amount: parseFloat(amount),
+      description,
+      category,
+      paidTo: paidTo || 'N/A',
+      paidBy: paidBy || 'Admin', // Default to Admin if not provided
+      date: date ? new Date(date) : new Date(),
+      createdAt: new Date()
+    };
+
+    // Insert into expenses collection
+    const result = await collections.expenses.insertOne(expense);
+
+    // Get the created expense
+    const createdExpense = await collections.expenses.findOne({ _id: result.insertedId });
+
+    await ledger.post({
+      type: LEDGER_TYPES.EXPENSE,
+      description: `${expense.category}: ${expense.description}`,
+      lines: [
+        debit(ACCOUNTS.EXPENSES, expense.amount, expense.category),
+        credit(ACCOUNTS.PAYOUTS, expense.amount, expense.paidBy)
+      ],
+      ref: { expenseId: result.insertedId.toString() },
+      actor: req.user,
+      date: expense.date
+    });
+
+    // Also create a transaction record for consistency
+    try {
+      await collections.transactions.insertOne({
+        amount: expense.amount,
+        description: expense.description,
+        type: 'expense',
+        category: expense.category,
+        paidTo: expense.paidTo,
+        paidBy: expense.paidBy,
+        paymentDate: expense.date,
+        createdAt: expense.createdAt
+      });
+    } catch (transactionError) {
+      console.log('⚠️ Could not create transaction record for expense:', transactionError);
+      // Continue even if transaction record fails
+    }
+
+    console.log('✅ Expense added:', createdExpense);
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense added successfully',
+      data: createdExpense
+    });
+  } catch (error) {
+    console.error('❌ Error adding expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding expense',
+      error: error.message
+    });
+  }
+});
+
+// UPDATE expense by ID
+router.put('/transactions/expense/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, description, category, paidTo, paidBy, date } = req.body;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    // Build update object
+    const updateFields = {};
+    if (amount !== undefined) updateFields.amount = parseFloat(amount);
+    if (description !== undefined) updateFields.description = description;
+    if (category !== undefined) updateFields.category = category;
+    if (paidTo !== undefined) updateFields.paidTo = paidTo;
+    if (paidBy !== undefined) updateFields.paidBy = paidBy;
+    if (date !== undefined) updateFields.date = new Date(date);
+
+    const previous = await collections.expenses.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: updateFields },
+      { returnDocument: 'before' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    const result = { ...previous, ...updateFields };
+
+    // Ledger entries are never edited: post the correction as a new entry
+    if (result.amount !== previous.amount || result.category !== previous.category || result.paidBy !== previous.paidBy) {
+      await ledger.post({
+        type: LEDGER_TYPES.EXPENSE,
+        description: `Expense corrected - ${result.category}: ${result.description}`,
+        lines: [
+          credit(ACCOUNTS.EXPENSES, previous.amount, previous.category),
+          debit(ACCOUNTS.PAYOUTS, previous.amount, previous.paidBy),
+          debit(ACCOUNTS.EXPENSES, result.amount, result.category),
+          credit(ACCOUNTS.PAYOUTS, result.amount, result.paidBy)
+        ],
+        ref: { expenseId: id },
+        actor: req.user,
+        date: result.date
+      });
+    }
+
+    try {
+      await collections.transactions.updateOne(
+        {
+          type: 'expense',
+          description: result.description // Best effort match
+        },
+        {
+          $set: {
+            amount: result.amount,
+            description: result.description,
+            category: result.category,
+            paidTo: result.paidTo,
+            paidBy: result.paidBy,
+            paymentDate: result.date
+          }
+        }
+      );
+    } catch (transactionError) {
+      console.log('⚠️ Could not update transaction record for expense:', transactionError);
+    }
+
+    console.log('✅ Expense updated:', result);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('❌ Error updating expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating expense',
+      error: error.message
+    });
+  }
+});
+
+// DELETE expense by ID
+router.delete('/transactions/expense/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid expense ID'
+      });
+    }
+
+    const deletedExpense = await collections.expenses.findOneAndDelete({ _id: new ObjectId(id) });
+
+    if (!deletedExpense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense not found'
+      });
+    }
+
+    await ledger.post({
+      type: LEDGER_TYPES.REVERSAL,
+      description: `Expense deleted - ${deletedExpense.category}: ${deletedExpense.description}`,
+      lines: [
+        debit(ACCOUNTS.PAYOUTS, deletedExpense.amount, deletedExpense.paidBy),
+        credit(ACCOUNTS.EXPENSES, deletedExpense.amount, deletedExpense.category)
+      ],
+      ref: { expenseId: id },
+      actor: req.user
+    });
+
+    console.log('✅ Expense deleted:', id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting expense',
+      error: error.message
+    });
+  }
+});
+
+// ============ EMPLOYEE EXPENSE API ROUTES ============
+
+// GET employee expenses grouped by month
+router.get('/employee-expense/by-month', ensureDbConnection, async (req, res) => {
+  try {
+    const paidBy = req.query.paidBy; // Fee collector name filter
+
+    // Build query with paidBy filter if provided
+    const query = {};
+    if (paidBy) {
+      query.paidBy = { $regex: new RegExp(`^${paidBy.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+      console.log(`💰 Employee expense by month - filtering by paidBy: ${paidBy}`);
+    }
+
+    const expenses = await collections.employeeExpenses.find(query).sort({ date: -1 }).toArray();
+    console.log(`💰 Employee expense by month - found ${expenses.length} expenses${paidBy ? ` for ${paidBy}` : ''}`);
+
+    // Group expenses by month
+    const expensesByMonth = {};
+
+    expenses.forEach(expense => {
+      const date = new Date(expense.date);
+      // Format as "Month YYYY" (e.g., "November 2025")
+      const monthYear = date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long'
+      });
+
+      if (!expensesByMonth[monthYear]) {
+        expensesByMonth[monthYear] = {
+          month: monthYear,
+          expenses: [],
+          totalAmount: 0,
+          count: 0
+        };
+      }
+
+      expensesByMonth[monthYear].expenses.push(expense);
+      expensesByMonth[monthYear].totalAmount += expense.amount;
+      expensesByMonth[monthYear].count += 1;
+    });
+
+    // Convert to array and sort by most recent month
+    const monthsArray = Object.values(expensesByMonth).sort((a, b) => {
+      const dateA = new Date(a.month);
+      const dateB = new Date(b.month);
+      return dateB.getTime() - dateA.getTime();
+    });
+
+    // Always include current month if not present
+    const currentDate = new Date();
+    const currentMonth = currentDate.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long'
+    });
+
+    if (!expensesByMonth[currentMonth]) {
+      monthsArray.unshift({
+        month: currentMonth,
+        expenses: [],
+        totalAmount: 0,
+        count: 0
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: monthsArray
+    });
+  } catch (error) {
+    console.error('Error fetching employee expenses by month:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching employee expenses by month',
+      error: error.message
+    });
+  }
+});
+
+// GET employee expenses for a specific month
+router.get('/employee-expense/:month', ensureDbConnection, async (req, res) => {
+  try {
+    const { month } = req.params;
+    const paidBy = req.query.paidBy; // Fee collector name filter
+
+    if (!month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Month parameter is required'
+      });
+    }
+
+    // Build query with paidBy filter if provided
+    const query = {};
+    if (paidBy) {
+      query.paidBy = { $regex: new RegExp(`^${paidBy.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') };
+      console.log(`💰 Employee expense for month ${month} - filtering by paidBy: ${paidBy}`);
+    }
+
+    const allExpenses = await collections.employeeExpenses.find(query).toArray();
+    console.log(`💰 Found ${allExpenses.length} employee expenses${paidBy ? ` for ${paidBy}` : ''}`);
+
+    // Filter expenses for the specified month
+    const filteredExpenses = allExpenses.filter(expense => {
+      const date = new Date(expense.date);
+      const expenseMonth = date.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long'
+      });
+      return expenseMonth === month;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: filteredExpenses,
+      month
+    });
+  } catch (error) {
+    console.error('Error fetching employee expenses by month:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching employee expenses by month',
+      error: error.message
+    });
+  }
+});
+
+// POST add new employee expense
+router.post('/employee-expense', ensureDbConnection, async (req, res) => {
+  try {
+    const { amount, description, userName, paidTo, paidBy, date } = req.body;
+
+    // Validate required fields
+    if (!amount || !description || !userName) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount, description, and user name are required'
+      });
+    }
+
+    if (isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    // Create expense object
+    const expense = {
+      amount: parseFloat(amount),
+      description,
+      category: 'General',
+      userName: userName.trim(),
+      paidTo: paidTo || 'N/A',
+      paidBy: paidBy || 'Admin', // Default to Admin if not provided
+      date: date ? new Date(date) : new Date(),
+      createdAt: new Date()
+    };
+
+    // Insert into employee_expense collection
+    const result = await collections.employeeExpenses.insertOne(expense);
+
+    // Get the created expense
+    const createdExpense = await collections.employeeExpenses.findOne({ _id: result.insertedId });
+
+    await ledger.post({
+      type: LEDGER_TYPES.EXPENSE,
+      description: `Employee expense for ${expense.userName}: ${expense.description}`,
+      lines: [
+        debit(ACCOUNTS.EXPENSES, expense.amount, expense.category),
+        credit(ACCOUNTS.PAYOUTS, expense.amount, expense.paidBy)
+      ],
+      ref: { employeeExpenseId: result.insertedId.toString() },
+      actor: req.user,
+      date: expense.date
+    });
+
+    console.log('✅ Employee expense added:', createdExpense);
+
+    res.status(201).json({
+      success: true,
+      message: 'Employee expense added successfully',
+      data: createdExpense
+    });
+  } catch (error) {
+    console.error('❌ Error adding employee expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding employee expense',
+      error: error.message
+    });
+  }
+});
+
+// DELETE employee expense by ID
+router.delete('/employee-expense/:id', ensureDbConnection, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid employee expense ID'
+      });
+    }
+
+    const deletedExpense = await collections.employeeExpenses.findOneAndDelete({ _id: new ObjectId(id) });
+
+    if (!deletedExpense) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee expense not found'
+      });
+    }
+
+    await ledger.post({
+      type: LEDGER_TYPES.REVERSAL,
+      description: `Employee expense deleted for ${deletedExpense.userName}: ${deletedExpense.description}`,
+      lines: [
+        debit(ACCOUNTS.PAYOUTS, deletedExpense.amount, deletedExpense.paidBy),
+        credit(ACCOUNTS.EXPENSES, deletedExpense.amount, deletedExpense.category)
+      ],
+      ref: { employeeExpenseId: id },
+      actor: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee expense deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting employee expense:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting employee expense',
+      error: error.message
+    });
+  }
+});
+
+// ============ TRANSACTIONS ROUTES ============
+// Get all transactions
+router.get('/transactions', ensureDbConnection, async (req, res) => {
+  try {
+    const transactions = await collections.transactions.find({}).toArray();
+    res.status(200).json({
+      success: true,
+      data: transactions
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transactions',
+      error: error.message
+    });
+  }
+});
+
+// Create new transaction
+router.post('/transactions', ensureDbConnection, async (req, res) => {
+  try {
+    const transactionData = req.body;
+    const result = await collections.transactions.insertOne(transactionData);
+    res.status(201).json({
+      success: true,
+      data: { _id: result.insertedId, ...transactionData }
+    });
+  } catch (error) {
+    console.error('Error creating transaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating transaction',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,2527 @@
+const express = require('express');
+const multer = require('multer');
+const { ObjectId } = require('mongodb');
+const { collections, isDbConnected, runInTransaction, transactionErrorResponse } = require('../db');
+const { history } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const {
+  DATE_FORMATS,
+  MS_PER_DAY,
+  businessDate,
+  dayRange,
+  dayRangeFor,
+  formatDate,
+  formatYMD,
+  invalidDateField,
+  isPastExpiryCutoff,
+  parseExpiryYMD,
+  startOfBusinessDay,
+  startOfToday,
+  toBusinessTime,
+  toBusinessYMD,
+  toStoredDate
+} = require('../services/dates');
+const { HISTORY_ACTIONS, HISTORY_ENTITIES } = require('../services/history');
+const { getSettings } = require('../services/settings');
+const {
+  PAID_LIST_STATUSES,
+  SERVICE_OFF_STATUSES,
+  SERVICE_STATUS,
+  activeServiceFilter,
+  isPaidMonth,
+  notArchivedFilter,
+  notExpiringSoonFilter,
+  recalculateUserStatus,
+  unpaidListFilter
+} = require('../services/status');
+const { buildNewUser, encodeCursor, userListQuery } = require('../services/users');
+const { changePackage, repriceLaterMonths } = require('../services/proration');
+const { duplicateReport, findDuplicateUsers, mergeUsers, normalizePhone } = require('../services/duplicates');
+const { findVoucher, findVouchers, saveMonths } = require('../services/voucherMonths');
+const {
+  SERVICE_SOURCES,
+  logServiceTransition,
+  serviceStatusFields,
+  serviceStatusOf,
+  serviceTransitionsFor,
+  setServiceStatus
+} = require('../services/serviceStatus');
+const { importUsers } = require('../services/userImport');
+const { WALLET_ENTRY_TYPES, planWallet, recordWalletEntry, walletStatement } = require('../services/wallet');
+const { USER_COLUMNS, exportable } = require('../services/exports');
+
+// Mounted at /api/users. Fixed paths (/paid, /unpaid, ...) must stay above /:id
+const router = express.Router();
+
+// Service statuses that can be set on a user ('inactive' is the older manual switch-off)
+const SERVICE_STATUSES = [...Object.values(SERVICE_STATUS), 'inactive'];
+
+// Import files are kept in memory (Vercel request bodies are limited to 4.5 MB anyway)
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 4 * 1024 * 1024, files: 1 } });
+
+// Saving a user that shares a userId, SIM or WhatsApp number with another needs allowDuplicate
+const allowsDuplicate = (req) =>
+  req.body.allowDuplicate === true || req.body.allowDuplicate === 'true' || req.query.allowDuplicate === 'true';
+
+const duplicateResponse = (res, duplicates) => {
+  const fields = [...new Set(duplicates.flatMap((user) => user.matchedOn))];
+  return res.status(409).json({
+    success: false,
+    message: `Another user has the same ${fields.join(', ')}. Send allowDuplicate: true to save anyway`,
+    duplicates
+  });
+};
+
+// ============ USERS API ROUTES ============
+
+// POST route to add a new user
+router.post('/', async (req, res) => {
+  try {
+    const { error, user: newUser } = buildNewUser(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!allowsDuplicate(req)) {
+      const duplicates = await findDuplicateUsers(newUser);
+      if (duplicates.length > 0) {
+        return duplicateResponse(res, duplicates);
+      }
+    }
+
+    const result = await collections.users.insertOne(newUser);
+    const newUserId = result.insertedId;
+    await history.record({ entity: HISTORY_ENTITIES.USER, after: { _id: newUserId, ...newUser }, actor: req.user });
+
+    // Voucher creation functionality has been removed from this endpoint
+    // Vouchers will be created separately through the dedicated voucher endpoint
+    // VoucherModal will handle all voucher creation including expired users
+
+    res.status(201).json({
+      success: true,
+      message: 'User added successfully',
+      data: { _id: newUserId, ...newUser }
+    });
+  } catch (error) {
+    console.error('Error adding user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding user',
+      error: error.message
+    });
+  }
+});
+
+// POST bulk import from a CSV or XLSX file (admin, multipart field "file").
+// ?dryRun=true validates every row without saving; otherwise valid rows are inserted and the
+// rest are returned with their errors.
+router.post('/import', requireRole(ROLES.ADMIN), (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'File upload failed',
+        error: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a CSV or XLSX file in the "file" field'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true' || req.body.dryRun === true;
+    const report = await importUsers(req.file, { dryRun, actor: req.user });
+
+    res.status(dryRun || report.insertedCount === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.validCount} of ${report.totalRows} rows can be imported`
+        : `Imported ${report.insertedCount} of ${report.totalRows} rows`,
+      ...report
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error importing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing users',
+      error: error.message
+    });
+  }
+});
+
+// GET users, one page at a time.
+// Query: search (name, user ID, SIM or WhatsApp number), package, street, connectionType,
+// serviceStatus, feeCollector, assignTo (technician), archived (true lists only archived users),
+// sort (userName by default), order (asc|desc), limit (default 50) and cursor (nextCursor from the
+// previous page)
+router.get('/', exportable('users', 'Users'), async (req, res) => {
+  try {
+    // Explicit check for collection initialization
+    if (!collections.users) {
+      console.error('Users collection is undefined! DB connection status:', isDbConnected());
+      return res.status(503).json({
+        success: false,
+        message: 'Database not initialized',
+        error: 'Collections are not ready'
+      });
+    }
+
+    const { error, filter, sort, sortField, limit, after } = userListQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (req.query.feeCollector) {
+      console.log(`🔒 STRICT: Filtering /api/users by fee collector (case-insensitive): ${req.query.feeCollector.trim()}`);
+    }
+    if (req.query.assignTo) {
+      console.log(`🔒 STRICT: Filtering /api/users by assignTo (technician, case-insensitive): ${req.query.assignTo.trim()}`);
+    }
+
+    // One extra row tells whether there is a next page
+    const pageQuery = after ? { $and: [filter, after] } : filter;
+    const [rows, totalCount, totalUsers] = await Promise.all([
+      collections.users.find(pageQuery).sort(sort).limit(limit + 1).toArray(),
+      collections.users.countDocuments(filter),
+      collections.users.countDocuments({})
+    ]);
+
+    const hasMore = rows.length > limit;
+    const users = hasMore ? rows.slice(0, limit) : rows;
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      totalCount, // Users matching the filters
+      totalUsers, // All users
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(users[users.length - 1], sortField) : null,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      error: error.message
+    });
+  }
+});
+
+// PUT route to update a user
+router.put('/:id', async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const {
+      name,
+      userName,
+      userId,
+      simNo,
+      whatsappNo,
+      packageName,
+      discount,
+      amount,
+      connectionType,
+      streetName,
+      switchSplitter,
+      assignTo,
+      feeCollector,
+      rechargeDate,
+      expiryDate,
+      networkType,
+      status,
+      serviceStatus,
+      paidAmount,
+      remainingAmount,
+      currentFee
+    } = req.body;
+
+    const invalidDate = invalidDateField(req.body);
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidDate}. Use ${DATE_FORMATS}`
+      });
+    }
+    const rechargeDateValue = toStoredDate(rechargeDate);
+    const expiryDateValue = toStoredDate(expiryDate);
+
+    // Build update object dynamically
+    const updateFields = {};
+
+    if (name) updateFields.name = name.trim();
+    if (userName) updateFields.userName = userName.trim();
+    if (userId !== undefined) updateFields.userId = userId ? userId.trim() : '';
+    if (simNo !== undefined) updateFields.simNo = simNo ? simNo.trim() : '';
+    if (whatsappNo !== undefined) updateFields.whatsappNo = whatsappNo ? whatsappNo.trim() : '';
+    if (packageName !== undefined) updateFields.packageName = packageName || '';
+    if (discount !== undefined) updateFields.discount = discount || 0;
+    if (amount !== undefined) updateFields.amount = amount || 0;
+    if (connectionType !== undefined) updateFields.connectionType = connectionType || '';
+    if (streetName !== undefined) updateFields.streetName = streetName || '';
+    if (switchSplitter !== undefined) updateFields.switchSplitter = switchSplitter ? switchSplitter.trim() : '';
+    if (assignTo !== undefined) updateFields.assignTo = assignTo ? assignTo.trim() : '';
+    if (feeCollector !== undefined) updateFields.feeCollector = feeCollector ? feeCollector.trim() : '';
+    if (rechargeDate !== undefined) updateFields.rechargeDate = rechargeDateValue;
+    if (expiryDate !== undefined) updateFields.expiryDate = expiryDateValue;
+    if (networkType !== undefined) updateFields.networkType = networkType || 'local';
+    if (status !== undefined) updateFields.status = status;
+    if (paidAmount !== undefined) updateFields.paidAmount = paidAmount || 0;
+    if (remainingAmount !== undefined) updateFields.remainingAmount = remainingAmount || 0;
+    if (currentFee !== undefined) updateFields.currentFee = currentFee || 0;
+
+    // If status is being changed, manage unpaidSince timestamp
+    if (status !== undefined) {
+      // Fetch current user to detect transitions
+      const existingUser = await collections.users.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { status: 1, unpaidSince: 1 } }
+      );
+      if (status === 'unpaid' || status === 'partial') {
+        // Set unpaidSince only if not already set
+        if (!existingUser?.unpaidSince) updateFields.unpaidSince = new Date();
+      } else if (status === 'paid') {
+        // Fully paid, remove timestamp
+        if (existingUser?.unpaidSince) updateFields.unpaidSince = null;
+      }
+    }
+
+    if (Object.keys(updateFields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    // Only a userId or number that changes is checked, so re-saving a known duplicate still works
+    const contactFields = ['userId', 'simNo', 'whatsappNo'].filter((field) => updateFields[field]);
+    if (contactFields.length > 0 && !allowsDuplicate(req)) {
+      const current = await collections.users.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { userId: 1, simNo: 1, whatsappNo: 1 } }
+      );
+      const sameValue = (field) => (field === 'userId'
+        ? String(current?.userId || '').trim() === updateFields.userId
+        : normalizePhone(current?.[field]) === normalizePhone(updateFields[field]));
+      const changed = contactFields.filter((field) => !sameValue(field));
+      const duplicates = changed.length > 0
+        ? await findDuplicateUsers(
+          Object.fromEntries(changed.map((field) => [field, updateFields[field]])),
+          { excludeId: new ObjectId(req.params.id) }
+        )
+        : [];
+      if (duplicates.length > 0) {
+        return duplicateResponse(res, duplicates);
+      }
+    }
+
+    // Check if expiry date is being updated and if it's TODAY (before the expiry cutoff) or TOMORROW
+    if (expiryDate !== undefined) {
+      const nowUTC = new Date();
+      const businessNow = toBusinessTime(nowUTC);
+      const todayY = businessNow.getUTCFullYear();
+      const todayM = businessNow.getUTCMonth();
+      const todayD = businessNow.getUTCDate();
+      const beforeExpiryCutoff = !isPastExpiryCutoff(nowUTC);
+
+      const tomorrowDate = new Date(Date.UTC(todayY, todayM, todayD + 1));
+      const tomorrowY = tomorrowDate.getUTCFullYear();
+      const tomorrowM = tomorrowDate.getUTCMonth();
+      const tomorrowD = tomorrowDate.getUTCDate();
+
+      const expiryYMD = expiryDateValue && toBusinessYMD(expiryDateValue);
+
+      const isExpiringToday = expiryYMD &&
+        expiryYMD.y === todayY &&
+        expiryYMD.m === todayM &&
+        expiryYMD.d === todayD;
+
+      const isExpiringTomorrow = expiryYMD &&
+        expiryYMD.y === tomorrowY &&
+        expiryYMD.m === tomorrowM &&
+        expiryYMD.d === tomorrowD;
+
+      // Set flag if:
+      // 1. Expires tomorrow (always)
+      // 2. Expires today BUT current time is before the expiry cutoff
+      const shouldShowInExpiringSoon = isExpiringTomorrow || (isExpiringToday && beforeExpiryCutoff);
+
+      if (shouldShowInExpiringSoon) {
+        if (isExpiringToday && beforeExpiryCutoff) {
+          console.log('🔔 User expires TODAY (before the expiry cutoff) - Setting showInExpiringSoon flag');
+        } else if (isExpiringTomorrow) {
+          console.log('🔔 User expires TOMORROW - Setting showInExpiringSoon flag');
+        }
+        updateFields.showInExpiringSoon = true;
+      } else {
+        // If expiry date is not today/tomorrow, remove flag
+        updateFields.showInExpiringSoon = false;
+      }
+    }
+
+    const change = await history.track(HISTORY_ENTITIES.USER, req.params.id, req.user);
+
+    // The service status is only changed by POST /:id/service-status (admin, with a reason); the
+    // user form may send it back unchanged
+    if (serviceStatus !== undefined && change.before && serviceStatus !== serviceStatusOf(change.before)) {
+      return res.status(400).json({
+        success: false,
+        message: 'serviceStatus cannot be changed here. Use POST /api/users/:id/service-status (admin) with a reason'
+      });
+    }
+
+    const result = await collections.users.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: updateFields }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    await change.record();
+
+    // If package name, amount, or discount is being updated, reprice the voucher months that
+    // have not started yet. Months already running keep their price; use POST /:id/change-package
+    // to prorate the current month.
+    if (packageName !== undefined || amount !== undefined || discount !== undefined) {
+      try {
+        const voucher = await findVoucher({ userId: req.params.id });
+        const currentUser = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+        const { months, repriced } = repriceLaterMonths(voucher?.months, new Date(), {
+          packageName: currentUser.packageName,
+          amount: Number(currentUser.amount || 0),
+          discount: Number(currentUser.discount || 0)
+        });
+
+        if (repriced.length > 0) {
+          const voucherChange = await history.track(HISTORY_ENTITIES.VOUCHER, voucher._id, req.user);
+          await saveMonths(voucher, months);
+          await collections.vouchers.updateOne(
+            { _id: voucher._id },
+            { $set: { updatedAt: new Date() } }
+          );
+          await voucherChange.record({ note: 'Package or fee changed on the user' });
+          await recalculateUserStatus(req.params.id);
+          console.log(`✅ Repriced ${repriced.length} upcoming voucher months: ${repriced.join(', ')}`);
+        }
+      } catch (voucherError) {
+        console.error('⚠️ Error updating vouchers:', voucherError);
+        // Don't fail the user update if voucher update fails
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user',
+      error: error.message
+    });
+  }
+});
+
+// ============ DUPLICATES ============
+// Likely duplicate subscribers and merging one into another (services/duplicates.js)
+
+// GET likely duplicates: users sharing a userId or a SIM/WhatsApp number, and users in the same
+// street with the same or a similar name. Query: match (userId, phone or name) to show one kind.
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { match } = req.query;
+    if (match !== undefined && !['userId', 'phone', 'name'].includes(match)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match. Use userId, phone or name'
+      });
+    }
+
+    const { scanned, groups } = await duplicateReport();
+    const data = match ? groups.filter((group) => group.match === match) : groups;
+
+    res.status(200).json({
+      success: true,
+      scanned,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error finding duplicate users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error finding duplicate users',
+      error: error.message
+    });
+  }
+});
+
+// POST merge another user into this one (admin). Body: duplicateId. The duplicate's vouchers,
+// complaints, reminders and refunds move to this user and the duplicate is archived.
+router.post('/:id/merge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { duplicateId } = req.body;
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id) || !ObjectId.isValid(duplicateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+    if (req.params.id === String(duplicateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user cannot be merged into itself'
+      });
+    }
+
+    const [kept, duplicate] = await Promise.all([
+      collections.users.findOne({ _id: new ObjectId(req.params.id) }),
+      collections.users.findOne({ _id: new ObjectId(duplicateId) })
+    ]);
+    if (!kept || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (kept.archivedAt || duplicate.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is archived. Restore it first'
+      });
+    }
+
+    const result = await runInTransaction((session) => mergeUsers(kept, duplicate, req.user, session));
+
+    console.log(`🔗 Merged user ${duplicate.userName} (${duplicate._id}) into ${kept.userName} (${kept._id}) by ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${duplicate.userName} merged into ${kept.userName}`,
+      data: {
+        keptId: kept._id,
+        archivedId: duplicate._id,
+        voucherId: result.vouchers.voucherId,
+        monthCount: result.vouchers.months,
+        combinedMonths: result.vouchers.combined,
+        moved: result.moved,
+        filledFields: result.filled
+      }
+    });
+  } catch (error) {
+    console.error('Error merging users:', error);
+    transactionErrorResponse(res, 'Error merging users', error);
+  }
+});
+
+// ============ PACKAGE CHANGE ============
+
+// POST move a user to another package from an effective date, prorating the current voucher
+// month (see services/proration.js). Body: packageName, optional amount (default: the
+// package price), discount (default: the user's discount) and effectiveDate (default: today).
+router.post('/:id/change-package', async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const { packageName, amount, discount, effectiveDate } = req.body;
+    if (!packageName) {
+      return res.status(400).json({
+        success: false,
+        message: 'packageName is required'
+      });
+    }
+    if (invalidDateField(req.body, ['effectiveDate'])) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid effectiveDate. Use ${DATE_FORMATS}`
+      });
+    }
+    for (const [field, value] of Object.entries({ amount, discount })) {
+      if (value !== undefined && !(Number(value) >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a number`
+        });
+      }
+    }
+
+    const [user, pkg] = await Promise.all([
+      collections.users.findOne({ _id: new ObjectId(req.params.id) }),
+      collections.packages.findOne({ name: packageName })
+    ]);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is archived. Restore it first'
+      });
+    }
+    if (!pkg) {
+      return res.status(400).json({
+        success: false,
+        message: `Package "${packageName}" does not exist`
+      });
+    }
+
+    const newPackage = {
+      packageName: pkg.name,
+      amount: amount !== undefined ? Number(amount) : Number(pkg.price) || 0,
+      discount: discount !== undefined ? Number(discount) : Number(user.discount || 0)
+    };
+    const effective = effectiveDate ? toStoredDate(effectiveDate) : toStoredDate(new Date());
+
+    const voucher = await findVoucher({ userId: req.params.id });
+    const result = changePackage({
+      user,
+      months: voucher?.months,
+      pkg: newPackage,
+      effectiveDate: effective,
+      actor: req.user
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    // A downgrade can leave the current month paid beyond what it now owes: that goes to the wallet
+    const wallet = planWallet({
+      user,
+      months: result.months,
+      creditMonths: result.billingMonth ? [result.billingMonth] : [],
+      creditType: WALLET_ENTRY_TYPES.PRORATION_CREDIT,
+      actor: req.user
+    });
+
+    await runInTransaction(async (session) => {
+      const userChange = await history.track(HISTORY_ENTITIES.USER, user._id, req.user, { session });
+      await collections.users.updateOne(
+        { _id: user._id },
+        { $set: { ...newPackage, updatedAt: new Date() } },
+        { session }
+      );
+
+      if (voucher) {
+        const voucherChange = await history.track(HISTORY_ENTITIES.VOUCHER, voucher._id, req.user, { session });
+        await saveMonths(voucher, wallet.months, { session });
+        await collections.vouchers.updateOne(
+          { _id: voucher._id },
+          { $set: { packageName: newPackage.packageName, updatedAt: new Date() } },
+          { session }
+        );
+        await wallet.commit({ voucherId: voucher._id, session });
+        await voucherChange.record({ note: 'Package change' });
+      }
+
+      await recalculateUserStatus(user._id, { session });
+      await userChange.record({ note: 'Package change' });
+    });
+
+    console.log(`📦 Package change for ${user.userName}: ${user.packageName || '-'} → ${newPackage.packageName} from ${formatDate(effective)}` +
+      (result.adjustment ? ` (${result.currentMonth}: ${result.adjustment.amount > 0 ? '+' : ''}${result.adjustment.amount})` : ''));
+
+    res.status(200).json({
+      success: true,
+      message: 'Package changed successfully',
+      data: {
+        ...newPackage,
+        effectiveDate: effective,
+        currentMonth: result.currentMonth,
+        adjustment: result.adjustment,
+        repricedMonths: result.repriced,
+        excessCredit: result.excessCredit
+      }
+    });
+  } catch (error) {
+    console.error('Error changing package:', error);
+    transactionErrorResponse(res, 'Error changing package', error);
+  }
+});
+
+// ============ CREDIT WALLET ============
+// Money a subscriber has paid ahead (services/wallet.js). Overpayments on voucher months go in
+// on their own, and new voucher months are paid from it.
+
+// The user of a wallet request, or a sent error response
+async function findWalletUser(req, res) {
+  // Validate ObjectId format
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID format'
+    });
+    return null;
+  }
+
+  const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return user;
+}
+
+// GET a user's wallet balance and movements, newest first. Query: optional limit (default 100)
+router.get('/:id/wallet', async (req, res) => {
+  try {
+    const user = await findWalletUser(req, res);
+    if (!user) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+    const { balance, entries } = await walletStatement(user, { limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId: user._id,
+        userName: user.userName,
+        balance,
+        entries
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching wallet',
+      error: error.message
+    });
+  }
+});
+
+// POST record an advance payment into a user's wallet (admins and fee collectors). Body: amount,
+// optional paymentMethod, receivedBy (the collector holding the cash, default Admin) and note.
+// Months already owed are not paid from it; record those as voucher payments.
+router.post('/:id/wallet/deposit', requireRole(ROLES.ADMIN, ROLES.FEE_COLLECTOR), async (req, res) => {
+  try {
+    const user = await findWalletUser(req, res);
+    if (!user) return;
+
+    const amount = Number(req.body.amount);
+    if (!(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a number above 0'
+      });
+    }
+
+    const { paymentMethod, receivedBy, note } = req.body;
+    const entry = await runInTransaction(async (session) => {
+      const change = await history.track(HISTORY_ENTITIES.USER, user._id, req.user, { session });
+      const { entry: saved } = await recordWalletEntry({
+        user,
+        type: WALLET_ENTRY_TYPES.DEPOSIT,
+        amount,
+        paymentMethod: paymentMethod || 'Cash',
+        receivedBy: receivedBy || req.user.name,
+        note: typeof note === 'string' ? note.trim() : '',
+        actor: req.user,
+        session
+      });
+      await change.record({ note: `Wallet deposit of ${amount}` });
+      return saved;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${amount} added to ${user.userName}'s wallet`,
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error recording wallet deposit:', error);
+    transactionErrorResponse(res, 'Error recording wallet deposit', error);
+  }
+});
+
+// POST correct a user's wallet balance (admin). Body: amount (positive adds, negative takes
+// away), reason (required)
+router.post('/:id/wallet/adjust', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await findWalletUser(req, res);
+    if (!user) return;
+
+    const amount = Number(req.body.amount);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!amount || Number.isNaN(amount) || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount (not 0) and reason are required'
+      });
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const change = await history.track(HISTORY_ENTITIES.USER, user._id, req.user, { session });
+      const recorded = await recordWalletEntry({
+        user,
+        type: WALLET_ENTRY_TYPES.ADJUSTMENT,
+        amount,
+        note: reason,
+        actor: req.user,
+        session
+      });
+      if (!recorded.error) await change.record({ note: `Wallet adjustment: ${reason}` });
+      return recorded;
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${user.userName}'s wallet balance is now ${result.entry.balance}`,
+      data: result.entry
+    });
+  } catch (error) {
+    console.error('Error adjusting wallet:', error);
+    transactionErrorResponse(res, 'Error adjusting wallet', error);
+  }
+});
+
+// ============ SERVICE STATUS ============
+// Automatic grace/suspend/disconnect steps run with the daily expiry processing
+// (services/serviceStatus.js). These routes show a user's transitions and override them.
+
+// GET a user's service status and its transitions, newest first
+router.get('/:id/service-status', async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await collections.users.findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { userName: 1, status: 1, unpaidSince: 1, serviceStatus: 1, serviceStatusSince: 1, serviceStatusSource: 1, serviceStatusReason: 1 } }
+    );
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...user,
+        serviceStatus: serviceStatusOf(user),
+        transitions: await serviceTransitionsFor(user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching service status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching service status',
+      error: error.message
+    });
+  }
+});
+
+// POST set a user's service status by hand (admin). Body: status, reason (required).
+// The unpaid-day count for the automatic steps restarts from today.
+router.post('/:id/service-status', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const { status } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!SERVICE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use ${SERVICE_STATUSES.join(', ')}`
+      });
+    }
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'reason is required'
+      });
+    }
+
+    const change = await history.track(HISTORY_ENTITIES.USER, req.params.id, req.user);
+    const user = change.before;
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is archived. Restore it first'
+      });
+    }
+    if (serviceStatusOf(user) === status) {
+      return res.status(400).json({
+        success: false,
+        message: `Service is already ${status}`
+      });
+    }
+
+    const transition = await setServiceStatus(user, status, {
+      reason,
+      source: SERVICE_SOURCES.MANUAL,
+      actor: req.user
+    });
+    await change.record({ note: `Service ${status}: ${reason}` });
+
+    res.status(200).json({
+      success: true,
+      message: `Service ${status}`,
+      data: transition
+    });
+  } catch (error) {
+    console.error('Error changing service status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing service status',
+      error: error.message
+    });
+  }
+});
+
+// ============ ARCHIVE / RESTORE / PURGE ============
+// Deleting a user archives it: the user, its vouchers and the collectors' incomes are kept, so
+// history and reports still include its payments, but it is left out of every active list.
+// An archived user can be restored (reconnected) or, after the archive retention period,
+// purged for good.
+
+// Remove an archived user and its vouchers. Incomes and ledger entries are not touched: the
+// payments were received. The history keeps a purge entry without the user's details.
+async function purgeUser(user, actor, session) {
+  const vouchersResult = await collections.vouchers.deleteMany({ userId: user._id.toString() }, { session });
+  await collections.voucherMonths.deleteMany({ userId: user._id.toString() }, { session });
+  await collections.users.deleteOne({ _id: user._id }, { session });
+  await history.record({
+    entity: HISTORY_ENTITIES.USER,
+    entityId: user._id,
+    action: HISTORY_ACTIONS.PURGE,
+    actor,
+    note: `${vouchersResult.deletedCount} vouchers removed`,
+    session
+  });
+  console.log(`🗑️ Purged archived user ${user.userName} and ${vouchersResult.deletedCount} vouchers`);
+  return vouchersResult.deletedCount;
+}
+
+// Users archived on or before this date can be purged
+const purgeCutoff = () => new Date(Date.now() - getSettings().archiveRetentionDays * MS_PER_DAY);
+
+// POST purge every archived user past the archive retention period (admin).
+// ?dryRun=true lists them without deleting.
+router.post('/purge-archived', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === true;
+    const cutoff = purgeCutoff();
+    const users = await collections.users.find({ archivedAt: { $ne: null, $lte: cutoff } })
+      .project({ userName: 1, userId: 1, archivedAt: 1 })
+      .toArray();
+
+    let deletedVouchersCount = 0;
+    if (!dryRun) {
+      // One transaction per user, so a failure keeps the users purged before it
+      for (const user of users) {
+        deletedVouchersCount += await runInTransaction((session) => purgeUser(user, req.user, session));
+      }
+    }
+
+    console.log(`🗑️ Purge${dryRun ? ' (dry run)' : ''}: ${users.length} users archived on or before ${formatYMD(cutoff)}`);
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${users.length} archived users can be purged`
+        : `Purged ${users.length} archived users`,
+      dryRun,
+      retentionDays: getSettings().archiveRetentionDays,
+      purgedCount: dryRun ? 0 : users.length,
+      deletedVouchersCount,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error purging archived users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging archived users',
+      error: error.message
+    });
+  }
+});
+
+// DELETE archive a user (admin). Body: optional reason
+router.delete('/:id', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already archived'
+      });
+    }
+
+    const archive = {
+      archivedAt: new Date(),
+      archivedBy: req.user.name,
+      archiveReason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+      showInExpiringSoon: false
+    };
+    await collections.users.updateOne({ _id: user._id }, { $set: archive });
+    await history.record({
+      entity: HISTORY_ENTITIES.USER,
+      before: user,
+      after: { ...user, ...archive },
+      action: HISTORY_ACTIONS.ARCHIVE,
+      actor: req.user
+    });
+
+    console.log(`📦 Archived user ${user.userName} (${req.params.id}) by ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User archived successfully',
+      data: { ...user, ...archive }
+    });
+  } catch (error) {
+    console.error('Error archiving user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error archiving user',
+      error: error.message
+    });
+  }
+});
+
+// POST restore an archived user (admin). Reconnects the service; body: optional rechargeDate
+// and expiryDate for the new connection.
+router.post('/:id/restore', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const { rechargeDate, expiryDate } = req.body;
+    const invalidDate = invalidDateField(req.body);
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidDate}. Use ${DATE_FORMATS}`
+      });
+    }
+
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (!user.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not archived'
+      });
+    }
+
+    const serviceReason = 'Restored from archive';
+    const updateFields = {
+      ...serviceStatusFields(SERVICE_STATUS.ACTIVE, { reason: serviceReason }),
+      restoredAt: new Date(),
+      restoredBy: req.user.name
+    };
+    if (rechargeDate !== undefined) updateFields.rechargeDate = toStoredDate(rechargeDate);
+    if (expiryDate !== undefined) updateFields.expiryDate = toStoredDate(expiryDate);
+
+    await collections.users.updateOne(
+      { _id: user._id },
+      { $set: updateFields, $unset: { archivedAt: '', archivedBy: '', archiveReason: '' } }
+    );
+    if (serviceStatusOf(user) !== SERVICE_STATUS.ACTIVE) {
+      await logServiceTransition(user, SERVICE_STATUS.ACTIVE, { reason: serviceReason, actor: req.user });
+    }
+    await recalculateUserStatus(user._id);
+    const restored = await collections.users.findOne({ _id: user._id });
+    await history.record({
+      entity: HISTORY_ENTITIES.USER,
+      before: user,
+      after: restored,
+      action: HISTORY_ACTIONS.RESTORE,
+      actor: req.user
+    });
+
+    console.log(`♻️ Restored user ${user.userName} (${req.params.id}) by ${req.user.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: restored
+    });
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring user',
+      error: error.message
+    });
+  }
+});
+
+// DELETE purge one archived user past the archive retention period (admin)
+router.delete('/:id/purge', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (!user.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only archived users can be purged'
+      });
+    }
+    if (user.archivedAt > purgeCutoff()) {
+      const purgeDate = new Date(user.archivedAt.getTime() + getSettings().archiveRetentionDays * MS_PER_DAY);
+      return res.status(400).json({
+        success: false,
+        message: `User can be purged from ${formatDate(purgeDate)} (archive retention ${getSettings().archiveRetentionDays} days)`
+      });
+    }
+
+    const deletedVouchersCount = await runInTransaction((session) => purgeUser(user, req.user, session));
+
+    res.status(200).json({
+      success: true,
+      message: 'User and vouchers purged successfully',
+      deletedVouchersCount
+    });
+  } catch (error) {
+    console.error('Error purging user:', error);
+    transactionErrorResponse(res, 'Error purging user', error);
+  }
+});
+
+// GET paid users (with date filter and pagination)
+router.get('/paid', exportable('paid-users', 'Paid Users'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const paymentDate = req.query.paymentDate; // YYYY-MM-DD format (deprecated, use fromDate/toDate)
+    const fromDate = req.query.fromDate; // YYYY-MM-DD format
+    const toDate = req.query.toDate; // YYYY-MM-DD format
+    const feeCollector = req.query.feeCollector; // Fee collector name filter
+    const assignTo = req.query.assignTo; // Technician assignment filter
+    const search = req.query.search; // Search query for userName, userId, simNo, etc.
+
+    let userIds = [];
+    let totalCollectionAmount = 0; // Track total collection for date range
+
+    // If date range filter is provided (fromDate and toDate)
+    if (fromDate && toDate) {
+      const [fromYearStr, fromMonthStr, fromDayStr] = fromDate.split('-');
+      const [toYearStr, toMonthStr, toDayStr] = toDate.split('-');
+
+      const fromYear = parseInt(fromYearStr, 10);
+      const fromMonth = parseInt(fromMonthStr, 10) - 1;
+      const fromDay = parseInt(fromDayStr, 10);
+
+      const toYear = parseInt(toYearStr, 10);
+      const toMonth = parseInt(toMonthStr, 10) - 1;
+      const toDay = parseInt(toDayStr, 10);
+
+      if (!Number.isNaN(fromYear) && !Number.isNaN(fromMonth) && !Number.isNaN(fromDay) &&
+        !Number.isNaN(toYear) && !Number.isNaN(toMonth) && !Number.isNaN(toDay)) {
+
+        // CRITICAL: Compare calendar days in the business timezone
+        // Create date strings in YYYY-MM-DD format for simple string comparison
+        const startDateStr = `${fromYear}-${String(fromMonth + 1).padStart(2, '0')}-${String(fromDay).padStart(2, '0')}`;
+        const endDateStr = `${toYear}-${String(toMonth + 1).padStart(2, '0')}-${String(toDay).padStart(2, '0')}`;
+
+        console.log(`📅 Date range filter: ${startDateStr} to ${endDateStr} (business-day string comparison)`);
+
+        const formatToLocal = formatYMD;
+
+        const normalizeToIsoString = (value) => {
+          if (!value) return null;
+          if (value instanceof Date) {
+            // Prioritize the business-timezone day
+            return [formatToLocal(value)];
+          }
+
+          if (typeof value === 'string') {
+            const native = new Date(value);
+            if (!Number.isNaN(native.getTime())) {
+              // Prioritize the business-timezone day
+              return [formatToLocal(native)];
+            }
+
+            const parts = value.split(/[-\/]/);
+            if (parts.length === 3) {
+              let [a, b, c] = parts;
+              if (a.length === 4) {
+                // Already YYYY-MM-DD format
+                return [`${a}-${b.padStart(2, '0')}-${c.padStart(2, '0')}`];
+              }
+              // DD-MM-YYYY or DD/MM/YYYY format - convert to YYYY-MM-DD
+              const dayPart = a.padStart(2, '0');
+              const monthPart = b.padStart(2, '0');
+              const yearPart = c;
+              return [`${yearPart}-${monthPart}-${dayPart}`];
+            }
+          }
+
+          return null;
+        };
+
+        const isDateInRange = (value) => {
+          const normalized = normalizeToIsoString(value);
+          if (!normalized) return false;
+
+          // Business-timezone string comparison (YYYY-MM-DD format)
+          return normalized.some((isoDate) => {
+            // isoDate is already in YYYY-MM-DD format
+            // Simple string comparison works because YYYY-MM-DD sorts correctly
+            return isoDate >= startDateStr && isoDate <= endDateStr;
+          });
+        };
+
+        // Include both 'paid' and 'partial' months (users with payments show in Paid tab)
+        const vouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+        const feeCollectorTrimmed = feeCollector ? feeCollector.trim() : null;
+
+        const filteredVouchers = vouchers.filter((voucher) => {
+          const months = Array.isArray(voucher.months) ? voucher.months : [];
+          // Months the user has paid something for (show users who made payments)
+          const paidOrPartialMonths = months.filter(isPaidMonth);
+
+          const monthMatches = paidOrPartialMonths.some((month) => {
+            // Check payment history first (more accurate)
+            const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+            if (paymentHistory.length > 0) {
+              return paymentHistory.some((entry) => {
+                const dateInRange = isDateInRange(entry?.date);
+                if (!dateInRange) return false;
+
+                if (feeCollectorTrimmed) {
+                  const rb = entry.receivedBy || '';
+                  return new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb);
+                }
+                return true;
+              });
+            }
+
+            // Fallback to month-level check if no history
+            const dateInRange = isDateInRange(month.createdAt) || isDateInRange(month.date);
+            if (!dateInRange) return false;
+
+            // Check receivedBy filter
+            if (feeCollectorTrimmed) {
+              const monthReceivedBy = month.receivedBy || '';
+              return new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy);
+            }
+            return true;
+          });
+
+          if (monthMatches) {
+            // Calculate total collection from matched paid/partial months
+            paidOrPartialMonths.forEach((month) => {
+              const paymentHistory = Array.isArray(month.paymentHistory) ? month.paymentHistory : [];
+
+              if (paymentHistory.length > 0) {
+                // Sum from matching history entries only
+                paymentHistory.forEach((entry) => {
+                  const dateInRange = isDateInRange(entry?.date);
+                  if (dateInRange) {
+                    if (feeCollectorTrimmed) {
+                      const rb = entry.receivedBy || '';
+                      if (new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb)) {
+                        totalCollectionAmount += (entry.amount || 0);
+                      }
+                    } else {
+                      totalCollectionAmount += (entry.amount || 0);
+                    }
+                  }
+                });
+              } else {
+                // Fallback to month level logic
+                const dateInRange = isDateInRange(month.createdAt) || isDateInRange(month.date);
+                if (dateInRange) {
+                  if (feeCollectorTrimmed) {
+                    const monthReceivedBy = month.receivedBy || '';
+                    if (new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy)) {
+                      totalCollectionAmount += (month.paidAmount || month.packageFee || 0);
+                    }
+                  } else {
+                    totalCollectionAmount += (month.paidAmount || month.packageFee || 0);
+                  }
+                }
+              }
+            });
+            return true;
+          }
+
+          // No fallback - strictly filter by paymentHistory dates only
+          return false;
+        });
+
+        console.log(`📊 Query result: Found ${filteredVouchers.length} vouchers in date range ${fromDate} to ${toDate}${feeCollectorTrimmed ? ` (filtered by receivedBy: ${feeCollectorTrimmed})` : ''}`);
+        console.log(`💰 Total collection amount: Rs ${totalCollectionAmount}`);
+
+        userIds = filteredVouchers.map(v => v.userId);
+        console.log(`Found ${userIds.length} user(s) with paid/partial activity in date range`);
+      } else {
+        console.log(`⚠️ Invalid date range received: ${fromDate} to ${toDate}`);
+      }
+    }
+    // Fallback to single date filter for backward compatibility
+    else if (paymentDate) {
+      const [yearStr, monthStr, dayStr] = paymentDate.split('-');
+      const year = parseInt(yearStr, 10);
+      const month = parseInt(monthStr, 10) - 1; // JS Date month is 0-indexed
+      const day = parseInt(dayStr, 10);
+
+      if (!Number.isNaN(year) && !Number.isNaN(month) && !Number.isNaN(day)) {
+        const startOfDay = startOfBusinessDay(year, month, day);
+        const endOfDay = startOfBusinessDay(year, month, day + 1);
+
+        console.log(`Payment date filter: ${paymentDate} → window ${startOfDay.toISOString()} to ${endOfDay.toISOString()}`);
+
+        const formatToIso = (date) => date.toISOString().split('T')[0];
+        const formatToLocal = formatYMD;
+
+        const normalizeToIsoString = (value) => {
+          if (!value) return null;
+          if (value instanceof Date) {
+            return [formatToIso(value), formatToLocal(value)];
+          }
+
+          if (typeof value === 'string') {
+            // handles ISO strings, yyyy-mm-dd, dd-mm-yyyy, dd/mm/yyyy
+            const native = new Date(value);
+            if (!Number.isNaN(native.getTime())) {
+              return [formatToIso(native), formatToLocal(native)];
+            }
+
+            const parts = value.split(/[-\/]/);
+            if (parts.length === 3) {
+              let [a, b, c] = parts;
+              if (a.length === 4) {
+                // already yyyy-mm-dd style
+                return [`${a}-${b.padStart(2, '0')}-${c.padStart(2, '0')}`];
+              }
+              // assume dd-mm-yyyy
+              const dayPart = a.padStart(2, '0');
+              const monthPart = b.padStart(2, '0');
+              const yearPart = c;
+              return [`${yearPart}-${monthPart}-${dayPart}`];
+            }
+          }
+
+          return null;
+        };
+
+        const matchesPaymentDate = (value) => {
+          const normalized = normalizeToIsoString(value);
+          if (!normalized) return false;
+          return normalized.some((iso) => iso === paymentDate);
+        };
+
+        // Include both 'paid' and 'partial' months (users with payments show in Paid tab)
+        const vouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+        const feeCollectorTrimmed = feeCollector ? feeCollector.trim() : null;
+
+        const filteredVouchers = vouchers.filter((voucher) => {
+          const months = Array.isArray(voucher.months) ? voucher.months : [];
+          // Months the user has paid something for (show users who made payments)
+          const paidOrPartialMonths = months.filter(isPaidMonth);
+
+          const monthMatches = paidOrPartialMonths.some((month) => {
+            // Check date match first
+            const dateMatches = matchesPaymentDate(month.createdAt) || matchesPaymentDate(month.date) ||
+              (Array.isArray(month.paymentHistory) && month.paymentHistory.some((entry) => matchesPaymentDate(entry?.date)));
+
+            if (!dateMatches) return false;
+
+            // Check receivedBy filter
+            if (feeCollectorTrimmed) {
+              // Fee collector filter - check if receivedBy matches feeCollector
+              const monthReceivedBy = month.receivedBy || '';
+              const paymentHistoryReceivedBy = Array.isArray(month.paymentHistory)
+                ? month.paymentHistory.map((p) => p.receivedBy || '').filter(Boolean)
+                : [];
+
+              const monthMatchesReceivedBy = monthReceivedBy &&
+                new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy);
+              const historyMatchesReceivedBy = paymentHistoryReceivedBy.some((rb) =>
+                new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb)
+              );
+
+              return monthMatchesReceivedBy || historyMatchesReceivedBy;
+            } else {
+              // No fee collector filter (Admin) - show ALL paid/partial payments regardless of receivedBy
+              return true;
+            }
+          });
+
+          if (monthMatches) {
+            return true;
+          }
+
+          const topLevelMatch = (matchesPaymentDate(voucher.createdAt) || matchesPaymentDate(voucher.updatedAt));
+          return topLevelMatch && paidOrPartialMonths.length > 0;
+        });
+
+        console.log(`📊 Query result: Found ${filteredVouchers.length} vouchers matching ${paymentDate}${feeCollectorTrimmed ? ` (filtered by receivedBy: ${feeCollectorTrimmed})` : ''}`);
+        filteredVouchers.forEach(v => {
+          console.log(`  - User: ${v.userName}, voucherCreated: ${v.createdAt}, months: ${(v.months || []).length}`);
+        });
+
+        userIds = filteredVouchers.map(v => v.userId);
+        console.log(`Found ${userIds.length} user(s) with paid/partial activity on ${paymentDate}`);
+      } else {
+        console.log(`⚠️ Invalid paymentDate received: ${paymentDate}`);
+      }
+    }
+
+    // CRITICAL: Month-level filtering - show users who have AT LEAST ONE paid month
+    // Check vouchers to find users with paid/partial months
+    // IMPORTANT: If feeCollector filter is provided, also check receivedBy in vouchers
+    let usersWithPaidMonths = [];
+
+    if (!paymentDate && !fromDate && !toDate) {
+      // No date filter at all - check all paid/partial months
+      const allVouchers = await findVouchers({}, { months: { status: { $in: ['paid', 'partial'] } } });
+
+      const userIdsWithPaidMonths = new Set();
+      const feeCollectorTrimmed = feeCollector ? feeCollector.trim() : null;
+
+      // FALLBACK: Get users assigned to this feeCollector for old payments
+      let usersAssignedToFeeCollector = new Set();
+      if (feeCollectorTrimmed) {
+        const assignedUsers = await collections.users.find({
+          feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+        }).toArray();
+        assignedUsers.forEach(u => usersAssignedToFeeCollector.add(u._id.toString()));
+        console.log(`📋 Found ${usersAssignedToFeeCollector.size} users assigned to ${feeCollectorTrimmed}`);
+      }
+
+      allVouchers.forEach(voucher => {
+        if (Array.isArray(voucher.months)) {
+          // Check if voucher has paid or partial months (users who made payments)
+          // If feeCollector filter is provided, also check receivedBy
+          const hasPaidMonth = voucher.months.some(m => {
+            // Include 'paid' (fully paid) or 'partial' (only if they actually paid something)
+            if (!isPaidMonth(m)) return false;
+
+            // Check receivedBy filter
+            if (feeCollectorTrimmed) {
+              // CRITICAL: Check THREE conditions (ANY one should be true):
+              // 1. User is assigned to this fee collector (user.feeCollector field)
+              // 2. Payment was received by this fee collector (receivedBy field)
+              // 3. Payment history contains this fee collector
+
+              const userIsAssigned = usersAssignedToFeeCollector.has(voucher.userId.toString());
+
+              const monthReceivedBy = m.receivedBy || '';
+              const paymentHistoryReceivedBy = Array.isArray(m.paymentHistory)
+                ? m.paymentHistory.map((p) => p.receivedBy || '').filter(Boolean)
+                : [];
+
+              // Match if receivedBy matches feeCollector (case-insensitive)
+              const monthMatches = monthReceivedBy &&
+                new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(monthReceivedBy);
+              const historyMatches = paymentHistoryReceivedBy.some((rb) =>
+                new RegExp(`^${feeCollectorTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i').test(rb)
+              );
+
+              // Debug logging for first few vouchers
+              if (userIdsWithPaidMonths.size < 3) {
+                console.log(`\n🔍 Checking voucher for user ${voucher.userId}:`);
+                console.log(`   Month: ${m.month}, Status: ${m.status}`);
+                console.log(`   User assigned to ${feeCollectorTrimmed}? ${userIsAssigned}`);
+                console.log(`   month.receivedBy: "${monthReceivedBy}" → matches? ${monthMatches}`);
+                console.log(`   paymentHistory: ${paymentHistoryReceivedBy.length > 0 ? paymentHistoryReceivedBy.join(', ') : 'None'} → matches? ${historyMatches}`);
+              }
+
+              // ✅ FIXED: Include user if ANY condition is true
+              return userIsAssigned || monthMatches || historyMatches;
+            } else {
+              // No fee collector filter (Admin) - show ALL paid/partial payments regardless of receivedBy
+              return true;
+            }
+          });
+
+          if (hasPaidMonth && voucher.userId) {
+            userIdsWithPaidMonths.add(voucher.userId.toString());
+          }
+        }
+      });
+
+      usersWithPaidMonths = Array.from(userIdsWithPaidMonths);
+      console.log(`📊 Found ${usersWithPaidMonths.length} users with at least one paid/partial month${feeCollectorTrimmed ? ` (filtered by receivedBy: ${feeCollectorTrimmed})` : ''}`);
+
+      // Debug: Log first few user IDs for verification
+      if (usersWithPaidMonths.length > 0 && feeCollectorTrimmed) {
+        console.log(`🔍 Sample user IDs found:`, usersWithPaidMonths.slice(0, 5));
+      }
+    }
+
+    // Base query - include users with paid OR partial status
+    // CRITICAL: 'partial' users show in BOTH Paid tab (because they made payment) 
+    // AND Balance tab (because they have remaining amount)
+    let query = {
+      $and: [
+        activeServiceFilter,
+        {
+          // Include 'unpaid' users who have at least one paid month in vouchers
+          // This ensures users with multi-month vouchers (like Aam Tech) show up
+          status: { $in: PAID_LIST_STATUSES }
+        }
+      ]
+    };
+
+    // CRITICAL: If feeCollector filter is provided:
+    // - Income calculation: Only count payments where receivedBy matches feeCollector (already done above)
+    // - Paid users list: Show users where receivedBy matches feeCollector (payment receiver)
+    // This ensures payments show up for the employee who actually received them
+    const feeCollectorTrimmed = feeCollector ? feeCollector.trim() : null;
+    if (feeCollectorTrimmed) {
+      // Use receivedBy filtering (already done in usersWithPaidMonths above)
+      // This ensures employee sees users whose payments they actually received
+      console.log(`🔒 Filtering /api/users/paid by receivedBy: ${feeCollectorTrimmed} (for paid users list)`);
+      console.log(`💰 Income calculation uses receivedBy (already filtered above)`);
+      console.log(`📋 Users with payments received by ${feeCollectorTrimmed}: ${usersWithPaidMonths.length}`);
+    }
+
+    // STRICT: Filter by assignTo (technician) if provided (case-insensitive) - ALWAYS apply
+    if (assignTo) {
+      const assignToTrimmed = assignTo.trim();
+      if (assignToTrimmed) {
+        query.$and.push({ assignTo: { $regex: new RegExp(`^${assignToTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') } });
+        console.log(`🔒 STRICT: Filtering /api/users/paid by assignTo (technician, case-insensitive): ${assignToTrimmed}`);
+      }
+    }
+
+    // Search filter - search in userName, userId, simNo, whatsappNo, streetName
+    if (search && search.trim()) {
+      const searchTrimmed = search.trim();
+      const searchRegex = new RegExp(searchTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$and.push({
+        $or: [
+          { userName: { $regex: searchRegex } },
+          { userId: { $regex: searchRegex } },
+          { simNo: { $regex: searchRegex } },
+          { whatsappNo: { $regex: searchRegex } },
+          { streetName: { $regex: searchRegex } }
+        ]
+      });
+      console.log(`🔍 Search filter applied: "${searchTrimmed}"`);
+    }
+
+    // Add user ID filter if we have users with paid months
+    if ((paymentDate || (fromDate && toDate)) && userIds.length > 0) {
+      const objectIds = userIds.map(id => new ObjectId(id));
+      query.$and.push({ _id: { $in: objectIds } });
+      console.log(`🔍 Filtering users with IDs:`, objectIds.map(id => id.toString()));
+    } else if ((paymentDate || (fromDate && toDate)) && userIds.length === 0) {
+      // No users found for this payment date/range
+      return res.status(200).json({
+        success: true,
+        data: [],
+        totalCount: 0,
+        page,
+        limit
+      });
+    } else if (!paymentDate && !fromDate && !toDate && usersWithPaidMonths.length > 0) {
+      // No date filter - filter by users with paid months (already filtered by receivedBy if feeCollector provided)
+      const objectIds = usersWithPaidMonths.map(id => {
+        try {
+          return new ObjectId(id);
+        } catch (e) {
+          return id;
+        }
+      });
+      query.$and.push({ _id: { $in: objectIds } });
+      console.log(`🔍 Filtering by users with paid months: ${objectIds.length} users`);
+    } else if (!paymentDate && !fromDate && !toDate && usersWithPaidMonths.length === 0) {
+      // No users with paid months from vouchers - return empty
+      console.log('📋 No users found with paid months matching the filter criteria');
+      return res.status(200).json({
+        success: true,
+        data: [],
+        totalCount: 0,
+        totalCollectionAmount, // Return 0 collection if no users
+        page,
+        limit
+      });
+    }
+
+    // CRITICAL: Exclude users expiring TODAY or TOMORROW (expiring soon users)
+    // These users should only show in Expiring Soon tab, not in Paid/Unpaid tabs
+    const nowUTC = new Date();
+    const businessNow = toBusinessTime(nowUTC);
+    const todayY = businessNow.getUTCFullYear();
+    const todayM = businessNow.getUTCMonth();
+    const todayD = businessNow.getUTCDate();
+
+    // Calculate tomorrow's date
+    const tomorrowDate = new Date(Date.UTC(todayY, todayM, todayD + 1));
+    const tomorrowY = tomorrowDate.getUTCFullYear();
+    const tomorrowM = tomorrowDate.getUTCMonth();
+    const tomorrowD = tomorrowDate.getUTCDate();
+
+    // Exclude users with showInExpiringSoon flag (cron job marks users expiring today/tomorrow)
+    query.$and.push(notExpiringSoonFilter);
+
+    console.log(`🚫 Excluding users with showInExpiringSoon flag from Paid Users list`);
+
+    const totalCount = await collections.users.countDocuments(query);
+    const users = await collections.users
+      .find(query)
+      .sort({ userName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    console.log(`Paid users: ${users.length} found, ${totalCount} total`);
+
+    res.status(200).json({
+      success: true,
+      data: users,
+      totalCount,
+      totalCollectionAmount, // Total collection for date range filter
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching paid users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching paid users',
+      error: error.message
+    });
+  }
+});
+
+// GET unpaid users (with date filter and pagination)
+router.get('/unpaid', exportable('unpaid-users', 'Unpaid Users'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const expiryDate = req.query.expiryDate; // YYYY-MM-DD format
+    const unpaidDate = req.query.unpaidDate; // YYYY-MM-DD format - date user became unpaid
+    const rechargeDate = req.query.rechargeDate; // YYYY-MM-DD format - for filtering by recharge date
+    const updatedDate = req.query.updatedDate; // YYYY-MM-DD - filter by voucher update time
+    const feeCollector = req.query.feeCollector; // Fee collector name filter
+    const assignTo = req.query.assignTo; // Technician assignment filter
+    const search = req.query.search; // Search by name, phone, userId
+    const alphabet = req.query.alphabet; // A-Z filter letter
+
+    // CRITICAL: Query users directly by status='unpaid' or 'partial'
+    // This includes Pay Later users with future expiry dates immediately
+    // We exclude only expiring soon users (those expiring today/tomorrow)
+
+    console.log(`📊 Fetching unpaid users by status (including future expiry dates)`);
+
+    // Base query - active users with unpaid status, or partial users with at least one
+    // 'unpaid' month in their vouchers
+    let query = {
+      $and: [
+        activeServiceFilter,
+        await unpaidListFilter()
+      ]
+    };
+
+    // STRICT: Filter by fee collector if provided (case-insensitive) - ALWAYS apply
+    // EMPLOYEE FILTER FIX: If both feeCollector and assignTo have the same value,
+    // use OR logic instead of AND to find users assigned through either field
+    if (feeCollector && assignTo && feeCollector.trim() === assignTo.trim()) {
+      const employeeName = feeCollector.trim();
+      query.$and.push({
+        $or: [
+          { feeCollector: { $regex: new RegExp(`^${employeeName}$`, 'i') } },
+          { assignTo: { $regex: new RegExp(`^${employeeName}$`, 'i') } }
+        ]
+      });
+      console.log(`🔒 EMPLOYEE FILTER: Searching for users with feeCollector OR assignTo = "${employeeName}"`);
+    } else {
+      // Normal separate filtering
+      if (feeCollector) {
+        const feeCollectorTrimmed = feeCollector.trim();
+        if (feeCollectorTrimmed) {
+          query.$and.push({ feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') } });
+          console.log(`🔒 STRICT: Filtering /api/users/unpaid by fee collector (case-insensitive): ${feeCollectorTrimmed}`);
+        }
+      }
+
+      // STRICT: Filter by assignTo (technician) if provided (case-insensitive) - ALWAYS apply
+      if (assignTo) {
+        const assignToTrimmed = assignTo.trim();
+        if (assignToTrimmed) {
+          query.$and.push({ assignTo: { $regex: new RegExp(`^${assignToTrimmed}$`, 'i') } });
+          console.log(`🔒 STRICT: Filtering /api/users/unpaid by assignTo (technician, case-insensitive): ${assignToTrimmed}`);
+        }
+      }
+    }
+
+    // Search filter - search by userName, simNo, whatsappNo, userId, streetName
+    if (search || alphabet) {
+      const searchTrimmed = (search || '').trim();
+      const alphabetLetter = (alphabet || '').trim();
+
+      if (alphabetLetter) {
+        const alphabetRegex = new RegExp(`^${alphabetLetter}`, 'i');
+        query.$and.push({ userName: alphabetRegex });
+        console.log(`🔤 Filtering unpaid users by alphabet: "${alphabetLetter}"`);
+      } else if (searchTrimmed) {
+        const searchRegex = new RegExp(searchTrimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$and.push({
+          $or: [
+            { userName: searchRegex },
+            { simNo: searchRegex },
+            { whatsappNo: searchRegex },
+            { userId: searchRegex },
+            { streetName: searchRegex }
+          ]
+        });
+        console.log(`🔍 Searching unpaid users by: "${searchTrimmed}"`);
+      }
+    }
+
+    // If updatedDate filter is provided, match users whose vouchers were updated on that day
+    if (updatedDate) {
+      console.log(`📅 Updated Date filter: ${updatedDate}`);
+
+      // Start and end of that day in the business timezone; an unreadable date matches nothing
+      const updatedRange = dayRangeFor(updatedDate);
+
+      if (updatedRange) {
+        console.log(`📅 Querying vouchers updated between ${updatedRange.$gte.toISOString()} and ${updatedRange.$lt.toISOString()}`);
+      }
+
+      // Find vouchers updated in this range
+      const vouchersUpdated = updatedRange ? await collections.vouchers.find({
+        updatedAt: updatedRange
+      }).project({ userId: 1 }).toArray() : [];
+
+      const userIds = vouchersUpdated.map(v => {
+        try {
+          return new ObjectId(v.userId);
+        } catch (e) {
+          console.error(`⚠️ Invalid userId in voucher: ${v.userId}`);
+          return null;
+        }
+      }).filter(id => id !== null);
+
+      if (userIds.length > 0) {
+        query.$and.push({ _id: { $in: userIds } });
+        console.log(`🔍 Found ${userIds.length} users updated on ${updatedDate}`);
+      } else {
+        // No updates found - force empty result
+        query.$and.push({ _id: { $in: [] } });
+        console.log(`🔍 No users found updated on ${updatedDate}`);
+      }
+    }
+
+    // If rechargeDate filter is provided, match users with this recharge date
+    if (rechargeDate) {
+      const rechargeDay = toStoredDate(rechargeDate);
+      if (rechargeDay) {
+        const rechargeRange = dayRangeFor(rechargeDay);
+        console.log(`📅 Recharge Date filter: ${rechargeDate} → ${rechargeRange.$gte.toISOString()} to ${rechargeRange.$lt.toISOString()}`);
+
+        query.$and.push({ rechargeDate: rechargeRange });
+        console.log(`🔍 Unpaid Query with rechargeDate filter applied`);
+      }
+    }
+
+    // If unpaidDate filter is provided, match users who BECAME unpaid on that calendar day
+    if (unpaidDate) {
+      const parts = String(unpaidDate).split(/[-\/]/);
+      if (parts.length === 3) {
+        let [dayVal, monthVal, yearVal] = parts;
+        // If first part is YYYY, it's ISO format YYYY-MM-DD, swap it to DD-MM-YYYY
+        if (dayVal.length === 4) { [yearVal, monthVal, dayVal] = [dayVal, monthVal, yearVal]; }
+
+        const year = parseInt(yearVal, 10);
+        const month = parseInt(monthVal, 10) - 1; // JS Date month is 0-indexed
+        const day = parseInt(dayVal, 10);
+
+        if (!Number.isNaN(year) && !Number.isNaN(month) && !Number.isNaN(day)) {
+          // Match strictly by business-timezone calendar day
+          const formatLocalYMD = formatYMD;
+          const normalizeToLocalYMD = (value) => {
+            if (!value) return null;
+            if (value instanceof Date) return formatLocalYMD(value);
+            if (typeof value === 'string') {
+              const str = value.trim();
+              if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+              const parts = str.split(/[-\/]/);
+              if (parts.length === 3) {
+                let [a, b, c] = parts;
+                if (a.length === 4) return `${a}-${b.padStart(2, '0')}-${c.padStart(2, '0')}`;
+                // Convert DD-MM-YYYY or DD/MM/YYYY to YYYY-MM-DD
+                return `${c}-${b.padStart(2, '0')}-${a.padStart(2, '0')}`;
+              }
+            }
+            return null;
+          };
+          const matchesTargetDate = (value) => {
+            const local = normalizeToLocalYMD(value);
+            return local === unpaidDate;
+          };
+
+          // First, try to match by users.unpaidSince (most reliable going forward)
+          const unpaidSinceCandidates = await collections.users.find({
+            status: 'unpaid',
+            $or: [
+              { serviceStatus: { $ne: 'inactive' } },
+              { serviceStatus: { $exists: false } }
+            ],
+            unpaidSince: { $exists: true }
+          }).project({ _id: 1, unpaidSince: 1 }).toArray();
+
+          const idsByUnpaidSince = unpaidSinceCandidates
+            .filter(u => matchesTargetDate(u.unpaidSince))
+            .map(u => u._id);
+
+          if (idsByUnpaidSince.length > 0) {
+            // CRITICAL: Add _id filter to $and array to combine with feeCollector/assignTo filters
+            query.$and.push({ _id: { $in: idsByUnpaidSince } });
+            console.log(`🔍 Unpaid users by unpaidSince=${unpaidDate}: ${idsByUnpaidSince.length}`);
+          } else {
+            // Fallback for older records: look at voucher months CREATED that day with unpaid status
+            const vouchers = await findVouchers({}, { months: { status: 'unpaid' } });
+            const filtered = vouchers.filter((voucher) => {
+              const months = Array.isArray(voucher.months) ? voucher.months : [];
+              const unpaidMonths = months.filter(m => m && m.status === 'unpaid' && m.createdAt);
+              if (unpaidMonths.length === 0) return false;
+              // Find earliest createdAt among unpaid months
+              const earliest = unpaidMonths.reduce((min, m) => {
+                const d = new Date(m.createdAt);
+                return (!min || d < min) ? d : min;
+              }, null);
+              return earliest ? matchesTargetDate(earliest) : false;
+            });
+            const userIds = filtered.map(v => v.userId);
+            if (userIds.length === 0) {
+              return res.status(200).json({ success: true, data: [], totalCount: 0, page, limit });
+            }
+            const objectIds = userIds.map(id => new ObjectId(id));
+            // CRITICAL: Add _id filter to $and array to combine with feeCollector/assignTo filters
+            query.$and.push({ _id: { $in: objectIds } });
+            console.log(`🔍 Unpaid users by vouchers for unpaidDate=${unpaidDate}: ${userIds.length}`);
+          }
+        }
+      }
+    } else if (expiryDate) {
+      const expiryDay = toStoredDate(expiryDate);
+      if (expiryDay) {
+        const expiryRange = dayRangeFor(expiryDay);
+        console.log(`📅 Date filter: ${expiryDate} → ${expiryRange.$gte.toISOString()} to ${expiryRange.$lt.toISOString()}`);
+
+        // Find vouchers with matching expiry date
+        const vouchers = await collections.vouchers.find({
+          expiryDate: expiryRange
+        }).project({ userId: 1 }).toArray();
+
+        const userIdsFromVouchers = vouchers.map(v => v.userId);
+        console.log(`📋 Found ${userIdsFromVouchers.length} vouchers with expiry date ${expiryDate}`);
+
+        // Also check users collection for expiryDate field directly
+        query.$and.push({
+          $or: [
+            { _id: { $in: userIdsFromVouchers.map(id => new ObjectId(id)) } },
+            { expiryDate: expiryRange }
+          ]
+        });
+
+        console.log(`🔍 Unpaid Query with date filter:`, JSON.stringify(query, null, 2));
+      }
+    }
+
+    // CRITICAL: Exclude users expiring TODAY or TOMORROW (expiring soon users)
+    // These users should only show in Expiring Soon tab, not in Paid/Unpaid tabs
+    query.$and.push(notExpiringSoonFilter);
+
+    console.log(`🚫 Excluding users with showInExpiringSoon flag from Unpaid Users list`);
+
+    // Log final query for debugging
+    console.log(`🔍 Final Unpaid Query:`, JSON.stringify(query, null, 2));
+    console.log(`🔍 Query params - feeCollector: ${feeCollector || 'none'}, assignTo: ${assignTo || 'none'}`);
+
+    const totalCount = await collections.users.countDocuments(query);
+    const users = await collections.users
+      .find(query)
+      .sort({ userName: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    // CRITICAL: Enrich users with voucher data (outstandingMonths, pendingMonths, etc.)
+    // Frontend needs this to calculate and display outstanding amounts
+    const userIds = users.map(u => u._id.toString());
+    const userVouchers = await findVouchers({
+      userId: { $in: userIds }
+    });
+
+    // Create a map of userId -> voucher data
+    const voucherMap = new Map();
+    userVouchers.forEach(voucher => {
+      const userId = voucher.userId.toString();
+      voucherMap.set(userId, voucher);
+    });
+
+    // Enrich each user with voucher data
+    const enrichedUsers = users.map(user => {
+      const voucher = voucherMap.get(user._id.toString());
+      if (voucher && Array.isArray(voucher.months)) {
+        // Extract unpaid months (outstandingMonths)
+        const outstandingMonths = voucher.months
+          .filter(m => m.status === 'unpaid')
+          .map(m => m.month || m.name);
+
+        // Extract pending months
+        const pendingMonths = voucher.months
+          .filter(m => m.status === 'pending' && !m.refundDate && !m.refundedAmount)
+          .map(m => m.month || m.name);
+
+        // Extract partial months (for balance calculation)
+        const partialMonths = voucher.months
+          .filter(m => m.status === 'partial')
+          .map(m => ({
+            month: m.month || m.name,
+            remainingAmount: m.remainingAmount || 0
+          }));
+
+        return {
+          ...user,
+          outstandingMonths: outstandingMonths.length > 0 ? outstandingMonths : undefined,
+          pendingMonths: pendingMonths.length > 0 ? pendingMonths : undefined,
+          partialMonths: partialMonths.length > 0 ? partialMonths : undefined
+        };
+      }
+
+      // For users without vouchers (e.g., new Pay Later users)
+      // Frontend will use their amount field to display outstanding
+      console.log(`⚠️ No voucher found for user ${user.userName} (${user._id}), using amount field for outstanding`);
+      return user;
+    });
+
+    const finalFilteredUsers = enrichedUsers;
+
+    console.log(`Unpaid users: ${finalFilteredUsers.length} found, ${totalCount} total (enriched with voucher data)`);
+    if (feeCollector || assignTo) {
+      console.log(`🔒 Filtered users - feeCollector: ${feeCollector || 'none'}, assignTo: ${assignTo || 'none'}`);
+      finalFilteredUsers.forEach(u => {
+        console.log(`  - ${u.userName}: feeCollector=${u.feeCollector || 'none'}, assignTo=${u.assignTo || 'none'}`);
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: finalFilteredUsers,
+      totalCount: finalFilteredUsers.length < users.length ? totalCount - (users.length - finalFilteredUsers.length) : totalCount,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching unpaid users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching unpaid users',
+      error: error.message
+    });
+  }
+});
+
+// GET reversed users (refunded months) - FROM REFUNDS COLLECTION
+router.get('/reversed', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const expiryDate = req.query.expiryDate; // YYYY-MM-DD format
+    const feeCollector = req.query.feeCollector; // Fee collector name filter
+    const assignTo = req.query.assignTo; // Technician assignment filter
+
+    console.log('🔄 Fetching reversed (refunded) users from REFUNDS collection...');
+
+    // Find all refunds
+    let refundQuery = {};
+
+    // Apply expiry date filter if provided (optional - refunds don't have expiry date)
+    // This filter is kept for API compatibility but may not be used
+    if (expiryDate) {
+      console.log(`Date filter: ${expiryDate} (not applied to refunds collection)`);
+    }
+
+    const allRefunds = await collections.refunds.find(refundQuery).toArray();
+    console.log(`📋 Found ${allRefunds.length} refund records`);
+
+    if (allRefunds.length === 0) {
+      return res.status(200).json({
+        success: true,
+        data: [],
+        totalCount: 0,
+        page,
+        limit
+      });
+    }
+
+    // Get unique user IDs from refunds
+    const userIds = [...new Set(allRefunds.map(r => r.userId))];
+    console.log(`👥 Unique users with refunds: ${userIds.length}`);
+
+    // Build user query with filters
+    let userQuery = {
+      _id: { $in: userIds.map(id => new ObjectId(id)) },
+      $and: [activeServiceFilter]
+    };
+
+    // STRICT: Filter by fee collector if provided (case-insensitive) - ALWAYS apply
+    if (feeCollector) {
+      const feeCollectorTrimmed = feeCollector.trim();
+      if (feeCollectorTrimmed) {
+        userQuery.$and.push({ feeCollector: { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') } });
+        console.log(`🔒 STRICT: Filtering /api/users/reversed by fee collector (case-insensitive): ${feeCollectorTrimmed}`);
+      }
+    }
+
+    // STRICT: Filter by assignTo (technician) if provided (case-insensitive) - ALWAYS apply
+    if (assignTo) {
+      const assignToTrimmed = assignTo.trim();
+      if (assignToTrimmed) {
+        userQuery.$and.push({ assignTo: { $regex: new RegExp(`^${assignToTrimmed}$`, 'i') } });
+        console.log(`🔒 STRICT: Filtering /api/users/reversed by assignTo (technician, case-insensitive): ${assignToTrimmed}`);
+      }
+    }
+
+    // First, get all matching users to calculate totalCount
+    const allMatchingUsers = await collections.users.find(userQuery).toArray();
+    const totalCount = allMatchingUsers.length;
+
+    // Then apply pagination
+    const paginatedUserIds = allMatchingUsers
+      .slice((page - 1) * limit, page * limit)
+      .map(u => u._id);
+
+    const users = await collections.users.find({
+      _id: { $in: paginatedUserIds }
+    }).toArray();
+
+    // Add filterType and calculate reversed amount for each user
+    const usersWithReversedData = users.map(user => {
+      const userRefunds = allRefunds.filter(r => r.userId === user._id.toString());
+      let reversedAmount = 0;
+
+      // Calculate total refunded amount from all refund records
+      userRefunds.forEach(refund => {
+        if (refund.refundedMonths && Array.isArray(refund.refundedMonths)) {
+          refund.refundedMonths.forEach(month => {
+            // Use refundedAmount which is (paidAmount + remainingAmount)
+            reversedAmount += Number(month.refundedAmount || 0);
+          });
+        }
+      });
+
+      console.log(`💰 User ${user.userName}: Total refunded = Rs ${reversedAmount}`);
+
+      return {
+        ...user,
+        filterType: 'reversed',
+        amount: reversedAmount,
+        remainingAmount: reversedAmount
+      };
+    });
+
+    console.log(`✅ Returning ${usersWithReversedData.length} reversed users for page ${page}`);
+
+    res.status(200).json({
+      success: true,
+      data: usersWithReversedData,
+      totalCount,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('❌ Error fetching reversed users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reversed users',
+      error: error.message
+    });
+  }
+});
+
+// GET expiring soon users
+// Supports optional ?date=YYYY-MM-DD (business calendar day). If absent, defaults to TOMORROW.
+router.get('/expiring-soon', exportable('expiring-soon', 'Expiring Soon', [
+  ...USER_COLUMNS,
+  { key: 'daysLeft', header: 'Days Left', width: 6 }
+]), async (req, res) => {
+  try {
+    // Business-timezone day math so the calendar day uses your timezone
+    const nowUTC = new Date();
+    const businessNow = toBusinessTime(nowUTC);
+    const todayY = businessNow.getUTCFullYear();
+    const todayM = businessNow.getUTCMonth();
+    const todayD = businessNow.getUTCDate();
+
+    // If specific date is requested, filter by that date
+    const dateParam = req.query.date; // YYYY-MM-DD
+    const feeCollector = req.query.feeCollector; // Fee collector name filter
+    let targetY, targetM, targetD;
+    let filterByDate = false;
+
+    if (dateParam && /^\d{4}-\d{2}-\d{2}$/.test(String(dateParam))) {
+      filterByDate = true;
+      const [yyyy, mm, dd] = String(dateParam).split('-');
+      targetY = parseInt(yyyy, 10);
+      targetM = parseInt(mm, 10) - 1; // JS months 0-based
+      targetD = parseInt(dd, 10);
+
+      // Guard: if target day is BEFORE today's PKT day, return no results (don't show past dates)
+      const isBeforeToday =
+        (targetY < todayY) ||
+        (targetY === todayY && (targetM < todayM || (targetM === todayM && targetD < todayD)));
+
+      if (isBeforeToday) {
+        return res.status(200).json({
+          success: true,
+          count: 0,
+          data: []
+        });
+      }
+    }
+
+    // Fetch users based on whether specific date is requested
+    // If date is provided: fetch ALL active users (we'll filter by date later)
+    // If no date: only fetch users marked by cron job with showInExpiringSoon flag
+    // CRITICAL: Include ALL statuses for Expiring Soon (paid, unpaid, partial, pending)
+    // This is a REMINDER list - users should see who's expiring tomorrow regardless of payment status
+    const query = {
+      status: { $in: ['paid', 'partial', 'unpaid', 'pending'] },
+      ...activeServiceFilter
+    };
+
+    // Only filter by showInExpiringSoon flag when no specific date is requested
+    // Without a date, show users expiring within next 2 days (today and tomorrow)
+    // This prevents showing users with incorrectly set flags
+    if (filterByDate) {
+      query.expiryDate = dayRangeFor(businessDate(targetY, targetM, targetD));
+    } else {
+      query.showInExpiringSoon = true;
+      query.expiryDate = dayRange(0, 2);
+    }
+
+    // STRICT: Filter by fee collector if provided (case-insensitive) - ALWAYS apply
+    if (feeCollector) {
+      const feeCollectorTrimmed = feeCollector.trim();
+      if (feeCollectorTrimmed) {
+        query.feeCollector = { $regex: new RegExp(`^${feeCollectorTrimmed}$`, 'i') };
+        console.log(`🔒 STRICT: Filtering /api/users/expiring-soon by fee collector (case-insensitive): ${feeCollectorTrimmed}`);
+      }
+    }
+
+    // STRICT: Filter by assignTo (technician) if provided (case-insensitive) - ALWAYS apply
+    const assignTo = req.query.assignTo; // Technician assignment filter
+    if (assignTo) {
+      const assignToTrimmed = assignTo.trim();
+      if (assignToTrimmed) {
+        query.assignTo = { $regex: new RegExp(`^${assignToTrimmed}$`, 'i') };
+        console.log(`🔒 STRICT: Filtering /api/users/expiring-soon by assignTo (technician, case-insensitive): ${assignToTrimmed}`);
+      }
+    }
+
+    // Implement search filter (DB-side)
+    const search = req.query.search;
+    if (search) {
+      const searchRegex = new RegExp(search.trim(), 'i');
+      const searchFilter = {
+        $or: [
+          { userName: searchRegex },
+          { userId: searchRegex },
+          { simNo: searchRegex },
+          { streetName: searchRegex }
+        ]
+      };
+
+      // Since the query already has an $or for serviceStatus, wrap both in $and
+      if (query.$or) {
+        const existingOr = query.$or;
+        delete query.$or;
+        query.$and = [
+          { $or: existingOr },
+          searchFilter
+        ];
+      } else {
+        query.$and = query.$and || [];
+        query.$and.push(searchFilter);
+      }
+      console.log(`🔍 DB Search: Filtering expiring users for: "${search}"`);
+    }
+
+    const usersAll = await collections.users.find(query).toArray();
+
+    const mapped = usersAll.map(u => ({ u, ymd: parseExpiryYMD(u.expiryDate) }));
+
+    const sorted = mapped.sort((a, b) => {
+      // Sort by userName A-Z
+      const nameA = (a.u.userName || '').toLowerCase();
+      const nameB = (b.u.userName || '').toLowerCase();
+      return nameA.localeCompare(nameB);
+    });
+
+    // Calculate days left using business-day midnights
+    const todayMidnight = startOfBusinessDay(todayY, todayM, todayD);
+    const usersWithDaysLeft = sorted.map(({ u, ymd }) => {
+      const daysLeft = Math.round((startOfBusinessDay(ymd.y, ymd.m, ymd.d) - todayMidnight) / MS_PER_DAY);
+      return { ...u, daysLeft };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: usersWithDaysLeft.length,
+      data: usersWithDaysLeft
+    });
+  } catch (error) {
+    console.error('Error fetching expiring users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expiring users',
+      error: error.message
+    });
+  }
+});
+
+// GET deactivated users: service suspended, disconnected or switched off by hand
+router.get('/deactivated', async (req, res) => {
+  try {
+    const users = await collections.users.find({
+      $or: [
+        { status: 'inactive' },
+        { serviceStatus: { $in: SERVICE_OFF_STATUSES } }
+      ],
+      ...notArchivedFilter
+    }).sort({ serviceStatusSince: -1, deactivatedDate: -1 }).toArray();
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching deactivated users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching deactivated users',
+      error: error.message
+    });
+  }
+});
+
+// GET outstanding users
+router.get('/outstanding', async (req, res) => {
+  try {
+    const users = await collections.users.find({
+      expiryDate: { $lt: new Date() },
+      ...notArchivedFilter
+    }).sort({ expiryDate: 1 }).toArray();
+
+    // Calculate months overdue and total outstanding
+    const now = new Date();
+    const usersWithOutstanding = users.map(user => {
+      const monthsOverdue = Math.floor((now - new Date(user.expiryDate)) / (1000 * 60 * 60 * 24 * 30));
+      return {
+        ...user,
+        monthsOverdue: monthsOverdue > 0 ? monthsOverdue : 1,
+        totalOutstanding: (user.amount || 0) * (monthsOverdue > 0 ? monthsOverdue : 1)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: usersWithOutstanding
+    });
+  } catch (error) {
+    console.error('Error fetching outstanding:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching outstanding',
+      error: error.message
+    });
+  }
+});
+
+// GET expired users (users whose expiry date has passed)
+router.get('/expired', exportable('expired-users', 'Expired Users', [
+  ...USER_COLUMNS,
+  { key: 'daysPassed', header: 'Days Passed', width: 6 }
+]), async (req, res) => {
+  try {
+    const today = startOfToday();
+
+    // Find users whose expiry date has passed (before today in the business timezone) and are not inactive
+    const users = await collections.users.find({
+      expiryDate: { $lt: today },
+      ...activeServiceFilter
+    }).sort({ expiryDate: -1 }).toArray();
+
+    // Add additional information for display
+    const expiredUsers = users.map(user => {
+      const expiryDate = new Date(user.expiryDate);
+      const daysPassed = Math.ceil((today - expiryDate) / MS_PER_DAY);
+      return {
+        ...user,
+        daysPassed,
+        expiryDateFormatted: expiryDate.toLocaleDateString('en-US', { day: 'numeric', month: 'long', year: 'numeric', timeZone: getSettings().timezone })
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: expiredUsers.length,
+      data: expiredUsers
+    });
+  } catch (error) {
+    console.error('Error fetching expired users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching expired users',
+      error: error.message
+    });
+  }
+});
+
+// GET route to fetch a single user by ID (must be after specific routes)
+router.get('/:id', async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID format'
+      });
+    }
+
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+});
+
+// GET change history of a user and its vouchers, newest first. Query: page, limit
+router.get('/:id/history', history.timelineHandler((req) => ({ userId: req.params.id })));
+
+// GET user transaction history
+router.get('/:id/transactions', async (req, res) => {
+  try {
+
+    const user = await collections.users.findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Get all vouchers for this user
+    const vouchers = await collections.vouchers.find({
+      userId: req.params.id
+    }).sort({ date: 1 }).toArray(); // Sort by 'date' field instead of 'createdAt'
+
+    // Build transaction history
+    const transactions = [];
+    let runningBalance = 0;
+
+    vouchers.forEach(voucher => {
+      // Use voucher.date if available, fallback to createdAt
+      const voucherDate = voucher.date ? new Date(voucher.date) : new Date(voucher.createdAt);
+      const monthYear = voucherDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+
+      // Calculate actual pending amount (packageFee - discount - paidAmount)
+      const packageFee = Number(voucher.packageFee || 0);
+      const discount = Number(voucher.discount || 0);
+      const paidAmount = Number(voucher.paidAmount || 0);
+      const remainingAmount = Number(voucher.remainingAmount || 0);
+
+      // If remainingAmount is set, use it (for Pay Later vouchers)
+      // Otherwise calculate: packageFee - discount
+      const actualFee = remainingAmount > 0 ? remainingAmount + paidAmount : packageFee - discount;
+
+      // Add package fee as debit (after discount)
+      runningBalance -= actualFee;
+      transactions.push({
+        date: monthYear,
+        description: voucher.month || `${voucherDate.toLocaleDateString('en-GB', { month: 'long' })} Fee`,
+        debit: actualFee,
+        credit: null,
+        balance: runningBalance
+      });
+
+      // Add payment as credit (if paid)
+      if (paidAmount > 0) {
+        runningBalance += paidAmount;
+        transactions.push({
+          date: monthYear,
+          description: 'Payment Received',
+          debit: null,
+          credit: paidAmount,
+          balance: runningBalance
+        });
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: {
+          _id: user._id,
+          userName: user.userName,
+          status: user.status
+        },
+        transactions: transactions,
+        currentBalance: runningBalance
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching transactions',
+      error: error.message
+    });
+  }
+});
+
+// POST endpoint to recalculate user status from vouchers
+router.post('/:id/recalculate-status', async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    console.log(`🔄 Recalculating status for user: ${userId}`);
+
+    const result = await recalculateUserStatus(userId);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    console.log(`📊 Recalculated status: ${result.status} (totalPaid: ${result.paidAmount}, totalRemaining: ${result.remainingAmount}, hasUnpaidMonth: ${result.hasUnpaidMonth})`);
+
+    res.status(200).json({
+      success: true,
+      message: result.changed ? 'Status recalculated successfully' : 'Status already up to date',
+      status: result.status,
+      previousStatus: result.previousStatus,
+      changed: result.changed,
+      totalPaid: result.paidAmount,
+      totalRemaining: result.remainingAmount,
+      hasUnpaidMonth: result.hasUnpaidMonth
+    });
+  } catch (error) {
+    console.error('Error recalculating user status:', error);
+    res.status(500).json({ success: false, message: 'Error recalculating status', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1109 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { collections, runInTransaction, transactionErrorResponse, ensureDbConnection } = require('../db');
+const { history, ledger, idempotent } = require('../services');
+const { requireRole, ROLES } = require('../services/auth');
+const { HISTORY_ENTITIES } = require('../services/history');
+const { LEDGER_TYPES, ACCOUNTS, debit, credit } = require('../services/ledger');
+const { DATE_FORMATS, invalidDateField, toStoredDate } = require('../services/dates');
+const { postVoucherPayments, postRefundToLedger } = require('../services/incomePosting');
+const { compareMonths, currentPeriod, nextPeriod, normalizeLocale, periodName, periodOf, samePeriod, withMonthNames } = require('../services/periods');
+const { planPromotions } = require('../services/promotions');
+const { planWallet } = require('../services/wallet');
+const { settleMonth } = require('../services/proration');
+const { monthAdjustment, recalculateUserStatus } = require('../services/status');
+const { findVouchers, monthDocumentFilter, replaceMonths, saveMonths } = require('../services/voucherMonths');
+
+// ============ VOUCHERS ROUTES ============
+// Vouchers and refunds (mounted at /api)
+const router = express.Router();
+
+// The user a voucher belongs to, or null
+const findVoucherUser = async (userId) => (ObjectId.isValid(String(userId))
+  ? collections.users.findOne({ _id: new ObjectId(String(userId)) })
+  : null);
+
+// Promotions for the new months of a voucher request (see services/promotions.js). Returns
+// { error } when the coupon cannot be used, otherwise { months, applied, commit }.
+async function promotionsFor(user, { existingMonths = [], newMonths, couponCode, actor }) {
+  if (!user) {
+    return couponCode
+      ? { error: 'User not found, so the coupon cannot be used' }
+      : { months: newMonths, applied: [], commit: async () => {} };
+  }
+  return planPromotions({ user, existingMonths, newMonths, couponCode, actor });
+}
+
+// Credit wallet settlement of a voucher's months (see services/wallet.js): overpayments on
+// `creditMonths` go in, `drawMonths` are paid from it. Returns { months, credits, draws, commit }.
+const walletFor = (user, { months, creditMonths, drawMonths, actor }) => (user
+  ? planWallet({ user, months, creditMonths, drawMonths, actor })
+  : { months, credits: [], draws: [], commit: async () => {} });
+
+// Status a month sent by the client is settled from. settleMonth works out paid, partial or
+// unpaid from the amounts, so the status sent only decides the cases the amounts cannot: a month
+// is reversed by a refund (PUT with isRefund) and stays reversed until a payment status is sent
+// for it, and a pending month stays pending until something is paid on it.
+const statusToSettle = (stored, incoming, paid, { refund = false } = {}) => {
+  if (refund && incoming.status === 'reversed') return 'reversed';
+  if (stored?.status === 'reversed' && [undefined, 'reversed'].includes(incoming.status)) return 'reversed';
+  if ((stored ? stored.status : incoming.status) === 'pending' && paid === 0) return 'pending';
+  return 'unpaid';
+};
+
+// Merge months sent by the client into the stored months of a voucher, matched by billing period.
+// A stored month keeps its label, packageFee, discount and adjustments (proration, late fees,
+// promotions) and takes the payment details sent; a new month is added as sent. Every merged month is settled, so its remaining
+// amount and status come from the amounts.
+function mergeMonths(storedMonths, incomingMonths, { refund = false, now = new Date() } = {}) {
+  const merged = [...storedMonths];
+
+  for (const incoming of incomingMonths) {
+    const index = merged.findIndex(m => samePeriod(m, incoming));
+
+    if (index >= 0) {
+      const existing = merged[index];
+      const paid = Number(incoming.paidAmount !== undefined ? incoming.paidAmount : (existing.paidAmount || 0));
+
+      merged[index] = settleMonth({
+        ...existing,
+        packageFee: Number(existing.packageFee || 0),
+        discount: Number(existing.discount || 0),
+        paidAmount: paid,
+        status: statusToSettle(existing, incoming, paid, { refund }),
+        paymentMethod: paid > 0 ? (incoming.paymentMethod || existing.paymentMethod) : existing.paymentMethod,
+        receivedBy: paid > 0 ? (incoming.receivedBy || existing.receivedBy) : existing.receivedBy,
+        paymentHistory: incoming.paymentHistory || existing.paymentHistory,
+        description: incoming.description || existing.description,
+        date: existing.date || incoming.date,
+        updatedAt: now
+      }).month;
+    } else {
+      const paid = Number(incoming.paidAmount || 0);
+
+      merged.push(settleMonth({
+        ...incoming,
+        packageFee: Number(incoming.packageFee || 0),
+        discount: Number(incoming.discount || 0),
+        paidAmount: paid,
+        status: statusToSettle(null, incoming, paid, { refund }),
+        createdAt: incoming.createdAt || now
+      }).month);
+    }
+  }
+  return merged;
+}
+
+const promotionErrorResponse = (res, promotions) => res.status(400).json({
+  success: false,
+  message: promotions.error
+});
+
+// Error response of a voucher write. A promotion that ran out or a wallet balance that was spent
+// while the request was handled (status 409) is reported as it is; anything else failed the
+// transaction.
+const voucherWriteErrorResponse = (res, message, error) => (error.status === 409
+  ? res.status(409).json({ success: false, message: error.message })
+  : transactionErrorResponse(res, message, error));
+
+// POST create voucher (save to vouchers collection). Optional couponCode applies a coupon to the
+// new months; running offers and referral credits apply on their own. Payments beyond what a month
+// owes go to the user's credit wallet, and new months are paid from it.
+router.post('/vouchers', idempotent, async (req, res) => {
+  try {
+
+    const {
+      userId,
+      userName,
+      rechargeDate,
+      expiryDate,
+      months,  // NEW: Support for months array
+      packageFee,
+      discount,
+      paidAmount,
+      paymentMethod,
+      receivedBy,
+      paymentType,
+      status,
+      month,
+      date,
+      description,
+      couponCode
+    } = req.body;
+
+    const invalidDate = invalidDateField(req.body);
+    if (invalidDate) {
+      return res.status(400).json({ success: false, message: `Invalid ${invalidDate}. Use ${DATE_FORMATS}` });
+    }
+
+    // NEW: If months array is provided, create voucher with months array structure
+    if (months && Array.isArray(months) && months.length > 0) {
+      console.log(`📦 Creating voucher with ${months.length} months array for user ${userName}`);
+
+      // Debug: Log receivedBy for first month
+      if (months[0]) {
+        console.log(`🔍 First month receivedBy check:`, {
+          month: months[0].month,
+          receivedBy: months[0].receivedBy,
+          hasPaymentHistory: !!months[0].paymentHistory,
+          paymentHistoryLength: months[0].paymentHistory?.length || 0
+        });
+      }
+
+      // CRITICAL: Sort months by billing period (FIFO - First In First Out)
+      // (stored months are read back in period order, earliest first)
+      // Payment distribution should apply to earliest months first (e.g., Oct before Nov)
+      const sortedMonths = [...months].sort(compareMonths);
+
+      console.log(`📅 Months sorted by period (FIFO order):`, sortedMonths.map(m => `${m.month} (${m.date || m.createdAt})`).join(', '));
+
+      // Check if user already has a voucher
+      const change = await history.track(HISTORY_ENTITIES.VOUCHER, { userId }, req.user);
+      const existingVoucher = change.before;
+
+      // Promotions and wallet draws go on the months the user does not have yet
+      const user = await findVoucherUser(userId);
+      const existingMonths = existingVoucher?.months || [];
+      const newMonths = sortedMonths.filter(m => !existingMonths.some(e => samePeriod(e, m)));
+      const promotions = await promotionsFor(user, { existingMonths, newMonths, couponCode, actor: req.user });
+      if (promotions.error) return promotionErrorResponse(res, promotions);
+      newMonths.forEach((m, i) => { sortedMonths[sortedMonths.indexOf(m)] = promotions.months[i]; });
+
+      if (existingVoucher) {
+        // SMART MERGE: Combine existing months with new/incoming months
+        // CRITICAL FIX: Do NOT overwrite existing packageFee/discount with new user settings
+        // This prevents the bug where old months (e.g. Dec 200) get overwritten by new rates (e.g. Jan 1200)
+
+        const mergedMonths = mergeMonths(existingVoucher.months || [], sortedMonths);
+
+        // Check if any months being paid have reversed status
+        const reversedMonthsPaid = mergedMonths.filter(m => {
+          // Find if this month was previously reversed
+          const existingMonth = existingVoucher.months?.find(em => samePeriod(em, m));
+          return existingMonth && existingMonth.status === 'reversed' && m.status === 'paid';
+        });
+
+        // If reversed months are being paid, delete from refunds collection
+        if (reversedMonthsPaid.length > 0) {
+          console.log(`🔄 Marking ${reversedMonthsPaid.length} reversed months as paid`);
+          const refunds = await collections.refunds.find({ userId }).toArray();
+          for (const refund of refunds) {
+            const paidBack = (refund.refundedMonths || []).filter(m => reversedMonthsPaid.some(month => samePeriod(m, month)));
+            if (paidBack.length === 0) continue;
+
+            await postRefundToLedger({
+              opening: false,
+              refundedMonths: paidBack,
+              userId,
+              userName: refund.userName || userName,
+              voucherId: refund.voucherId
+            }, req.user);
+            await collections.refunds.updateOne(
+              { _id: refund._id },
+              { $set: { refundedMonths: refund.refundedMonths.filter(m => !paidBack.includes(m)) } }
+            );
+          }
+          await collections.refunds.deleteMany({ userId, refundedMonths: { $size: 0 } });
+        }
+
+        // Money paid beyond what a month owes goes to the credit wallet; new months take what they
+        // owe from it
+        const wallet = walletFor(user, {
+          months: mergedMonths,
+          creditMonths: sortedMonths,
+          drawMonths: newMonths,
+          actor: req.user
+        });
+
+        // Only the months that changed are written (they are read back in date order). The months,
+        // wallet movements and promotion uses are saved together or not at all.
+        await runInTransaction(async (session) => {
+          await saveMonths(existingVoucher, wallet.months, { session });
+          await collections.vouchers.updateOne(
+            { _id: existingVoucher._id },
+            {
+              $set: {
+                rechargeDate: toStoredDate(rechargeDate) || existingVoucher.rechargeDate,
+                expiryDate: toStoredDate(expiryDate) || existingVoucher.expiryDate,
+                updatedAt: new Date()
+              }
+            },
+            { session }
+          );
+          await wallet.commit({ voucherId: existingVoucher._id, session });
+          await promotions.commit({ voucherId: existingVoucher._id, session });
+
+          // Re-derive the user's status from the saved months
+          await recalculateUserStatus(userId, { session });
+        });
+        await change.record();
+
+        // 💰 UPDATE INCOME: Post payments to the ledger (updates receiver's cashIncome)
+        await postVoucherPayments(
+          wallet.months.filter(m => sortedMonths.some(sent => samePeriod(sent, m))),
+          { userId, userName, voucherId: existingVoucher._id.toString() },
+          req.user
+        );
+
+        return res.status(200).json({
+          success: true,
+          message: 'Voucher updated with months array',
+          data: { _id: existingVoucher._id },
+          promotions: promotions.applied,
+          wallet: { credits: wallet.credits, draws: wallet.draws }
+        });
+      } else {
+        const wallet = walletFor(user, {
+          months: mergeMonths([], sortedMonths),
+          creditMonths: sortedMonths,
+          drawMonths: sortedMonths,
+          actor: req.user
+        });
+
+        // Create new voucher, then its months
+        const newVoucher = {
+          userId,
+          userName,
+          rechargeDate: toStoredDate(rechargeDate),
+          expiryDate: toStoredDate(expiryDate),
+          createdAt: new Date()
+        };
+
+        const result = await runInTransaction(async (session) => {
+          const inserted = await collections.vouchers.insertOne(newVoucher, { session });
+          await saveMonths({ _id: inserted.insertedId, ...newVoucher }, wallet.months, { session });
+          await wallet.commit({ voucherId: inserted.insertedId, session });
+          await promotions.commit({ voucherId: inserted.insertedId, session });
+          await recalculateUserStatus(userId, { session });
+          return inserted;
+        });
+        await change.record();
+
+        // 💰 UPDATE INCOME: Post payments to the ledger (updates receiver's cashIncome)
+        await postVoucherPayments(wallet.months, { userId, userName, voucherId: result.insertedId.toString() }, req.user);
+
+        return res.status(201).json({
+          success: true,
+          message: 'Voucher created with months array',
+          data: { _id: result.insertedId, ...newVoucher, months: wallet.months },
+          promotions: promotions.applied,
+          wallet: { credits: wallet.credits, draws: wallet.draws }
+        });
+      }
+    }
+
+    // EXISTING: Individual month creation logic (for backward compatibility)
+
+    // Required validation
+    if (!userId || !userName || packageFee === undefined || !month) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: userId, userName, packageFee, month'
+      });
+    }
+
+    // Voucher data for this month (remaining amount and status worked out from the amounts)
+    const [requestedMonth] = mergeMonths([], [{
+      month,
+      packageFee: parseFloat(packageFee),
+      discount: parseFloat(discount) || 0,
+      paidAmount: parseFloat(paidAmount) || 0,
+      paymentMethod: paymentMethod || 'Not Paid',
+      receivedBy: receivedBy || 'Myself',
+      paymentType: paymentType || 'later',
+      status,
+      description: description || `${month} - ${status === 'paid' ? 'Paid' : 'Pending'}`,
+      date: date ? new Date(date) : new Date(),
+      createdAt: new Date()
+    }]);
+
+    // Check if user already has a voucher document
+    const change = await history.track(HISTORY_ENTITIES.VOUCHER, { userId }, req.user);
+    const existingVoucher = change.before;
+
+    if (existingVoucher) {
+      // Check if the same month already exists
+      const monthExists = existingVoucher.months?.some(
+        (m) => samePeriod(m, requestedMonth)
+      );
+
+      if (monthExists) {
+        return res.status(400).json({
+          success: false,
+          message: `Voucher for ${month} already exists for this user.`
+        });
+      }
+    }
+
+    const user = await findVoucherUser(userId);
+    const promotions = await promotionsFor(user, {
+      existingMonths: existingVoucher?.months,
+      newMonths: [requestedMonth],
+      couponCode,
+      actor: req.user
+    });
+    if (promotions.error) return promotionErrorResponse(res, promotions);
+    const wallet = walletFor(user, { months: promotions.months, drawMonths: [requestedMonth], actor: req.user });
+    const [monthData] = wallet.months;
+
+    if (existingVoucher) {
+      // Add the new month to the existing voucher and update dates if provided, with its wallet
+      // draw and promotion uses
+      await runInTransaction(async (session) => {
+        await saveMonths(existingVoucher, [monthData], { session });
+        if (rechargeDate || expiryDate) {
+          const dates = {};
+          if (rechargeDate) dates.rechargeDate = toStoredDate(rechargeDate);
+          if (expiryDate) dates.expiryDate = toStoredDate(expiryDate);
+          await collections.vouchers.updateOne({ _id: existingVoucher._id }, { $set: dates }, { session });
+        }
+        await wallet.commit({ voucherId: existingVoucher._id, session });
+        await promotions.commit({ voucherId: existingVoucher._id, session });
+        await recalculateUserStatus(userId, { session });
+      });
+      await change.record();
+
+      res.status(200).json({
+        success: true,
+        message: `New month (${month}) added to existing voucher.`,
+        data: monthData,
+        promotions: promotions.applied,
+        wallet: { credits: wallet.credits, draws: wallet.draws }
+      });
+    } else {
+      // Create new voucher document for the user with this month
+      const newVoucher = {
+        userId,
+        userName,
+        rechargeDate: toStoredDate(rechargeDate),
+        expiryDate: toStoredDate(expiryDate),
+        createdAt: new Date()
+      };
+
+      const result = await runInTransaction(async (session) => {
+        const inserted = await collections.vouchers.insertOne(newVoucher, { session });
+        await saveMonths({ _id: inserted.insertedId, ...newVoucher }, [monthData], { session });
+        await wallet.commit({ voucherId: inserted.insertedId, session });
+        await promotions.commit({ voucherId: inserted.insertedId, session });
+        await recalculateUserStatus(userId, { session });
+        return inserted;
+      });
+      await change.record();
+
+      res.status(201).json({
+        success: true,
+        message: 'New voucher document created for user.',
+        data: { _id: result.insertedId, ...newVoucher, months: [monthData] },
+        promotions: promotions.applied,
+        wallet: { credits: wallet.credits, draws: wallet.draws }
+      });
+    }
+  } catch (error) {
+    console.error('Error creating voucher:', error);
+    voucherWriteErrorResponse(res, 'Error creating voucher', error);
+  }
+});
+
+// PUT update voucher by ID (update months array and optional dates). With mode 'replace' the
+// months sent are all the voucher keeps; otherwise they are merged into its months.
+router.put('/vouchers/:id', ensureDbConnection, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid voucher ID format' });
+    }
+
+    const updateData = req.body;
+    const { months, rechargeDate, expiryDate, isRefund, mode } = updateData;
+    const updateFields = {};
+    let monthsToSave = null;
+    let wallet = null;
+
+    const invalidDate = invalidDateField(updateData);
+    if (invalidDate) {
+      return res.status(400).json({ success: false, message: `Invalid ${invalidDate}. Use ${DATE_FORMATS}` });
+    }
+
+    const change = await history.track(HISTORY_ENTITIES.VOUCHER, req.params.id, req.user);
+
+    // 1. HANDLE REFUNDS (Reversals)
+    if (months && Array.isArray(months) && isRefund) {
+      console.log('🔄 REFUND DETECTED');
+      const voucher = await collections.vouchers.findOne({ _id: new ObjectId(req.params.id) });
+      if (voucher) {
+        const user = await collections.users.findOne({ _id: new ObjectId(voucher.userId) });
+        const reversedMonths = months.filter(m => m.status === 'reversed');
+
+        if (reversedMonths.length > 0) {
+          const refundRecord = {
+            userId: voucher.userId,
+            voucherId: voucher._id.toString(),
+            userName: user?.userName || 'Unknown',
+            packageName: user?.packageName || 'Unknown',
+            refundedMonths: reversedMonths.map(m => ({
+              month: m.month,
+              packageFee: Number(m.packageFee || 0),
+              discount: Number(m.discount || 0),
+              refundedAmount: Number(m.refundedAmount || m.paidAmount || 0),
+              remainingAmount: Number(m.remainingAmount || 0),
+              refundDate: m.refundDate || new Date().toISOString()
+            })),
+            status: 'reversed',
+            createdAt: new Date(),
+            totalRefundedAmount: reversedMonths.reduce((sum, m) => sum + Number(m.refundedAmount || m.paidAmount || 0), 0)
+          };
+          await collections.refunds.insertOne(refundRecord);
+          await postRefundToLedger({ opening: true, ...refundRecord }, req.user);
+        }
+      }
+    }
+
+    if (Array.isArray(months)) {
+      if (mode === 'replace') {
+        // DELETE/RESET MODE: specific for removing months. Months kept keep their stored
+        // adjustments and are settled like merged months.
+        const storedMonths = change.before?.months || [];
+        monthsToSave = months.map((month) => {
+          const stored = storedMonths.find(m => samePeriod(m, month));
+          const paid = Number(month.paidAmount || 0);
+          return settleMonth({
+            ...month,
+            paidAmount: paid,
+            adjustments: stored?.adjustments || [],
+            status: statusToSettle(stored, month, paid, { refund: Boolean(isRefund) })
+          }).month;
+        });
+        console.log(`🗑️ Backend PUT: REPLACED months array with ${months.length} items`);
+      } else {
+        // Existing voucher (with its months) to perform smart merge
+        const existingVoucher = change.before;
+
+        if (!existingVoucher) {
+          return res.status(404).json({ success: false, message: 'Voucher not found' });
+        }
+
+        // CRITICAL: Sort incoming months by billing period (FIFO - First In First Out)
+        const sortedIncoming = [...months].sort(compareMonths);
+
+        // SMART MERGE & RECALCULATION (adjustments are only added by the server: proration, late
+        // fees and promotions)
+        const mergedMonths = mergeMonths(
+          existingVoucher.months || [],
+          sortedIncoming.map(m => (existingVoucher.months?.some(e => samePeriod(e, m)) ? m : { ...m, adjustments: [] })),
+          { refund: Boolean(isRefund) }
+        );
+
+        // Overpayments go to the credit wallet; added months take what they owe from it
+        wallet = walletFor(await findVoucherUser(existingVoucher.userId), {
+          months: mergedMonths,
+          creditMonths: sortedIncoming,
+          drawMonths: sortedIncoming.filter(m => !existingVoucher.months?.some(e => samePeriod(e, m))),
+          actor: req.user
+        });
+
+        monthsToSave = wallet.months;
+
+        console.log(`📅 Backend PUT: Smart merged ${mergedMonths.length} months for voucher ${req.params.id}`);
+      }
+    }
+
+    if (rechargeDate !== undefined) updateFields.rechargeDate = toStoredDate(rechargeDate);
+    if (expiryDate !== undefined) updateFields.expiryDate = toStoredDate(expiryDate);
+    updateFields.updatedAt = new Date();
+
+    // The header, the months and their wallet movements are saved together or not at all
+    const result = await runInTransaction(async (session) => {
+      const updated = await collections.vouchers.updateOne(
+        { _id: new ObjectId(req.params.id) },
+        { $set: updateFields },
+        { session }
+      );
+      if (updated.matchedCount === 0) return updated;
+
+      if (monthsToSave) {
+        await (mode === 'replace' ? replaceMonths : saveMonths)(change.before, monthsToSave, { session });
+      }
+      if (wallet) await wallet.commit({ voucherId: req.params.id, session });
+      return updated;
+    });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+    await change.record({ note: isRefund ? 'Refund' : undefined });
+
+    // Re-derive the user's status from the saved months ('reversed' once every month is refunded)
+    const savedVoucher = await collections.vouchers.findOne({ _id: new ObjectId(req.params.id) }, { projection: { userId: 1 } });
+    if (savedVoucher?.userId) {
+      await recalculateUserStatus(savedVoucher.userId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Voucher updated successfully',
+      ...(wallet && { wallet: { credits: wallet.credits, draws: wallet.draws } })
+    });
+  } catch (error) {
+    console.error('Error updating voucher:', error);
+    voucherWriteErrorResponse(res, 'Error updating voucher', error);
+  }
+});
+
+// Vouchers as listed: each month gets monthName in ?locale= (en or ur, default en)
+const withLocaleNames = (vouchers, req) => {
+  const locale = normalizeLocale(req.query.locale);
+  return vouchers.map((voucher) => (Array.isArray(voucher.months)
+    ? { ...voucher, months: withMonthNames(voucher.months, locale) }
+    : voucher));
+};
+
+// Get all vouchers (or filter by userId if query parameter provided)
+router.get('/vouchers', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId, userIds } = req.query;
+
+    let query = {};
+    if (userId) {
+      query = { userId };
+    } else if (userIds) {
+      // Support comma-separated string or array
+      const idList = Array.isArray(userIds) ? userIds : userIds.split(',');
+      query = { userId: { $in: idList } };
+      console.log(`📦 Bulk fetching vouchers for ${idList.length} users`);
+    }
+
+    const vouchers = await findVouchers(query);
+
+    res.status(200).json({
+      success: true,
+      data: withLocaleNames(vouchers, req)
+    });
+  } catch (error) {
+    console.error('Error fetching vouchers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching vouchers',
+      error: error.message
+    });
+  }
+});
+
+// GET change history of a voucher, newest first. Query: page, limit
+router.get('/vouchers/:id/history', ensureDbConnection, history.timelineHandler((req) => ({
+  entity: HISTORY_ENTITIES.VOUCHER,
+  entityId: req.params.id
+})));
+
+// Get vouchers by user ID
+router.get('/vouchers/user/:userId', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const vouchers = await findVouchers({ userId });
+
+    // Debug: Log receivedBy for first voucher's first month
+    if (vouchers.length > 0 && vouchers[0].months && vouchers[0].months.length > 0) {
+      const firstMonth = vouchers[0].months[0];
+      console.log(`🔍 Voucher API - First month receivedBy:`, {
+        month: firstMonth.month,
+        receivedBy: firstMonth.receivedBy,
+        hasPaymentHistory: !!firstMonth.paymentHistory,
+        paymentHistoryReceivedBy: firstMonth.paymentHistory?.map((p) => p.receivedBy).filter(Boolean) || []
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withLocaleNames(vouchers, req)
+    });
+  } catch (error) {
+    console.error('Error fetching user vouchers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user vouchers',
+      error: error.message
+    });
+  }
+});
+
+// POST create refund
+router.post('/refunds', ensureDbConnection, async (req, res) => {
+  try {
+    const refundData = req.body;
+
+    const result = await collections.refunds.insertOne({
+      ...refundData,
+      createdAt: new Date()
+    });
+
+    await postRefundToLedger({ opening: true, ...refundData }, req.user);
+
+    console.log(`✅ REFUND SAVED: ${refundData.userName} - ${refundData.refundedMonths?.length || 0} months`);
+
+    res.status(201).json({
+      success: true,
+      data: { _id: result.insertedId, ...refundData }
+    });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating refund',
+      error: error.message
+    });
+  }
+});
+
+// GET refunds for a user
+router.get('/refunds/:userId', ensureDbConnection, async (req, res) => {
+  try {
+    const userId = req.params.userId;
+
+    // Find all refunds for this user
+    const refunds = await collections.refunds.find({ userId }).toArray();
+
+    console.log(`📋 Found ${refunds.length} refund records for user ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      data: refunds
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refunds',
+      error: error.message
+    });
+  }
+});
+
+// POST process reversed payment - convert refund back to paid
+router.post('/refunds/process-payment', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userId, notes } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId is required'
+      });
+    }
+
+    console.log(`💰 Processing reversed payment for user: ${userId}`);
+    console.log(`📝 Notes: ${notes || 'No notes'}`);
+
+    // Vouchers, refund records, the user's totals and the ledger are updated in one transaction
+    const outcome = await runInTransaction(async (session) => {
+      // Find all refunds for this user
+      const refunds = await collections.refunds.find({ userId }, { session }).toArray();
+
+      if (refunds.length === 0) {
+        return null;
+      }
+
+      console.log(`📋 Found ${refunds.length} refund record(s)`);
+
+      let processedMonths = 0;
+      let totalAmount = 0;
+
+      // Process each refund
+      for (const refund of refunds) {
+        const voucherId = refund.voucherId;
+        const clearedMonths = [];
+        console.log(`🔍 Processing refund with voucherId: ${voucherId}`);
+
+        // Find the voucher by _id
+        const change = await history.track(HISTORY_ENTITIES.VOUCHER, voucherId, req.user, { session });
+        const voucher = change.before;
+
+        if (!voucher) {
+          console.log(`⚠️ Voucher not found: ${voucherId}`);
+          continue;
+        }
+
+        console.log(`✅ Found voucher for user: ${voucher.userName}`);
+
+        // Process each refunded month
+        if (refund.refundedMonths && Array.isArray(refund.refundedMonths)) {
+          for (const refundedMonth of refund.refundedMonths) {
+            console.log(`📅 Processing month: ${refundedMonth.month}`);
+
+            // Find matching month in voucher
+            const monthIndex = voucher.months.findIndex(m => samePeriod(m, refundedMonth));
+
+            if (monthIndex !== -1) {
+              // Update month status to 'paid'
+              await collections.voucherMonths.updateOne(
+                monthDocumentFilter(voucher, voucher.months[monthIndex]),
+                {
+                  $set: {
+                    status: 'paid',
+                    paidAmount: refundedMonth.packageFee - (refundedMonth.discount || 0),
+                    remainingAmount: 0,
+                    paymentMethod: 'Cash',
+                    receivedBy: 'Admin',
+                    description: `${refundedMonth.month} - Reversed payment processed${notes ? ': ' + notes : ''}`
+                  },
+                  $unset: {
+                    refundDate: '',
+                    refundedAmount: ''
+                  }
+                },
+                { session }
+              );
+
+              processedMonths++;
+              totalAmount += (refundedMonth.packageFee - (refundedMonth.discount || 0));
+              clearedMonths.push(refundedMonth);
+              console.log(`✅ Updated ${refundedMonth.month} to paid status`);
+            } else {
+              console.log(`⚠️ Month not found in voucher: ${refundedMonth.month}`);
+            }
+          }
+        }
+
+        await change.record({ note: `Reversed payment processed${notes ? ': ' + notes : ''}` });
+
+        // Remove the refund record
+        await collections.refunds.deleteOne({ _id: refund._id }, { session });
+        console.log(`🗑️ Removed refund record`);
+
+        await postRefundToLedger({
+          opening: false,
+          refundedMonths: clearedMonths,
+          userId,
+          userName: refund.userName || voucher.userName,
+          voucherId,
+          description: `Reversed payment processed for ${refund.userName || voucher.userName || 'Customer'}${notes ? ': ' + notes : ''}`
+        }, req.user, session);
+      }
+
+      // Update user status and amounts from the restored months
+      const recalculated = await recalculateUserStatus(userId, { session });
+      if (recalculated) {
+        console.log(`✅ Updated user status to '${recalculated.status}', paidAmount: ${recalculated.paidAmount}, remainingAmount: ${recalculated.remainingAmount}`);
+      }
+
+      return { processedMonths, totalAmount };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({
+        success: false,
+        message: 'No refund records found for this user'
+      });
+    }
+
+    const { processedMonths, totalAmount } = outcome;
+
+    res.status(200).json({
+      success: true,
+      message: `Successfully processed ${processedMonths} reversed payment(s)`,
+      data: {
+        processedMonths,
+        totalAmount,
+        notes
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error processing reversed payment:', error);
+    transactionErrorResponse(res, 'Error processing reversed payment', error);
+  }
+});
+
+// POST convert paid/partial month to unpaid (clear payment history)
+router.post('/vouchers/convert-to-unpaid', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const { userId, month, newPackageFee, newDiscount } = req.body;
+
+    if (!userId || !month) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId and month are required'
+      });
+    }
+
+    console.log(`🔄 Converting month ${month} to unpaid for user ${userId}`);
+
+    // Find voucher for this user
+    const change = await history.track(HISTORY_ENTITIES.VOUCHER, { userId }, req.user);
+    const voucher = change.before;
+
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found for this user'
+      });
+    }
+
+    if (!Array.isArray(voucher.months)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Month not found in voucher'
+      });
+    }
+
+    // Find the month to convert
+    const monthIndex = voucher.months.findIndex((m) => samePeriod(m, { month }));
+    if (monthIndex === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Month not found in voucher'
+      });
+    }
+
+    const monthData = voucher.months[monthIndex];
+
+    // Use new values if provided, otherwise fallback to existing
+    const packageFee = newPackageFee !== undefined ? Number(newPackageFee) : Number(monthData.packageFee || 0);
+    const discount = newDiscount !== undefined ? Number(newDiscount) : Number(monthData.discount || 0);
+
+    // Check if this is a package update or actual reversal
+    const isPackageUpdate = newPackageFee !== undefined;
+    const refundedAmount = Number(monthData.paidAmount || 0);
+    const receivedBy = monthData.receivedBy || '';
+    const paymentMethod = monthData.paymentMethod || 'Cash';
+
+    console.log(`💰 Operation type: ${isPackageUpdate ? 'Package Update' : 'Reversal'}`);
+    if (isPackageUpdate) {
+      console.log(`   📝 Updating package: Rs ${packageFee} (was ${monthData.packageFee})`);
+    } else {
+      console.log(`💰 Reversing payment - Amount: Rs ${refundedAmount}, ReceivedBy: ${receivedBy}, Method: ${paymentMethod}`);
+    }
+
+    // CRITICAL: Only deduct from income if this is an actual reversal (not just package update)
+    if (!isPackageUpdate && refundedAmount > 0 && receivedBy) {
+      try {
+        // Determine which income field to deduct from based on payment method
+        const isBankTransfer = paymentMethod.toLowerCase().includes('bank');
+        const incomeField = isBankTransfer ? 'bankIncome' : 'cashIncome';
+
+        console.log(`💳 Deducting Rs ${refundedAmount} from ${receivedBy}'s ${incomeField}`);
+
+        // Get current income record
+        const incomeRecord = await collections.incomes.findOne({ name: receivedBy });
+
+        if (incomeRecord) {
+          const currentAmount = Number(incomeRecord[incomeField] || 0);
+          const newAmount = Math.max(0, currentAmount - refundedAmount); // Don't go below 0
+
+          await ledger.post({
+            type: LEDGER_TYPES.REVERSAL,
+            description: `Payment reversed for ${voucher.userName || 'Customer'} - ${month}`,
+            lines: [
+              debit(ACCOUNTS.REVENUE, currentAmount - newAmount),
+              credit(isBankTransfer ? ACCOUNTS.BANK : ACCOUNTS.CASH, currentAmount - newAmount, incomeRecord.name)
+            ],
+            ref: { userId, voucherId: voucher._id.toString(), month },
+            actor: req.user
+          });
+
+          console.log(`✅ Deducted from ${receivedBy}: ${currentAmount} - ${refundedAmount} = ${newAmount} (${incomeField})`);
+        } else {
+          console.log(`⚠️ No income record found for ${receivedBy} - skipping income deduction`);
+        }
+      } catch (incomeError) {
+        console.error('❌ Error deducting from income:', incomeError);
+        // Continue with reversal even if income deduction fails
+      }
+    }
+
+    const fullAmount = packageFee - discount + monthAdjustment(monthData);
+
+    // Update month: convert to unpaid, clear payment history, update package fee/discount
+    const updatedMonth = {
+      ...monthData,
+      status: 'unpaid',
+      packageFee: packageFee,
+      discount: discount,
+      paidAmount: 0,
+      remainingAmount: fullAmount,
+      paymentMethod: '',
+      receivedBy: '',
+      paymentHistory: []
+    };
+
+    // Remove refund fields so it looks like a fresh unpaid month
+    delete updatedMonth.refundDate;
+    delete updatedMonth.refundedAmount;
+
+    // Update voucher
+    const userChange = await history.track(HISTORY_ENTITIES.USER, userId, req.user);
+    await saveMonths(voucher, [updatedMonth]);
+    await change.record({ note: `${month} converted to unpaid` });
+
+    console.log(`✅ Updated month ${month} to unpaid status with amount ${fullAmount}`);
+
+    // Recalculate user status and totals (any unpaid month makes the user 'unpaid')
+    const recalculated = await recalculateUserStatus(userId);
+    if (recalculated) {
+      await collections.users.updateOne(
+        { _id: new ObjectId(userId) },
+        {
+          $set: {
+            paymentStatus: recalculated.status,
+            currentFee: 0 // Reset current payment amount on reversal
+          }
+        }
+      );
+      console.log(`✅ Updated user status: ${recalculated.status}, paid: ${recalculated.paidAmount}, remaining: ${recalculated.remainingAmount}`);
+    }
+    await userChange.record({ note: `${month} converted to unpaid` });
+
+    res.status(200).json({
+      success: true,
+      message: `Month ${month} successfully converted to unpaid`,
+      data: {
+        month,
+        status: 'unpaid',
+        remainingAmount: fullAmount
+      }
+    });
+  } catch (error) {
+    console.error('Error converting month to unpaid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error converting month to unpaid',
+      error: error.message
+    });
+  }
+});
+
+// DELETE voucher
+router.delete('/vouchers/:id', ensureDbConnection, requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid voucher ID format'
+      });
+    }
+
+    const change = await history.track(HISTORY_ENTITIES.VOUCHER, req.params.id, req.user);
+    const result = await collections.vouchers.deleteOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Voucher not found'
+      });
+    }
+    await collections.voucherMonths.deleteMany({ voucherId: req.params.id });
+    await change.record();
+
+    res.status(200).json({
+      success: true,
+      message: 'Voucher deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting voucher:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting voucher',
+      error: error.message
+    });
+  }
+});
+
+// Generate next month's voucher manually
+router.post('/vouchers/generate-next', ensureDbConnection, async (req, res) => {
+  try {
+    const { userId, expiryDate, couponCode } = req.body;
+    if (!userId || !expiryDate) return res.status(400).json({ success: false, message: 'Missing userId or expiryDate' });
+    if (!toStoredDate(expiryDate)) return res.status(400).json({ success: false, message: `Invalid expiryDate. Use ${DATE_FORMATS}` });
+
+    const user = await collections.users.findOne({ _id: new ObjectId(userId) });
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+
+    const change = await history.track(HISTORY_ENTITIES.VOUCHER, { userId }, req.user);
+    const userChange = await history.track(HISTORY_ENTITIES.USER, user._id, req.user);
+    const voucher = change.before;
+
+    // Next billing period: the one after the voucher's latest month, or this month when it has none
+    const latestPeriod = (voucher?.months || [])
+      .map(periodOf)
+      .filter(Boolean)
+      .reduce((latest, period) => (!latest || period.key > latest.key ? period : latest), null);
+    const period = latestPeriod ? nextPeriod(latestPeriod) : currentPeriod();
+    const nextMonthName = periodName(period);
+
+    // Create new month object
+    const pkgFee = Number(user.amount || 0);
+    const disc = Number(user.discount || 0);
+    const generatedMonth = {
+      month: nextMonthName,
+      packageFee: pkgFee,
+      discount: disc,
+      paidAmount: 0,
+      remainingAmount: pkgFee - disc,
+      status: 'unpaid',
+      description: `${nextMonthName} - Generated Manually`,
+      date: period.start.toISOString(), // Start of the billing cycle
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      paymentHistory: []
+    };
+
+    // Running offers, referral credits and the optional couponCode
+    const promotions = await planPromotions({
+      user,
+      existingMonths: voucher?.months,
+      newMonths: [generatedMonth],
+      couponCode,
+      actor: req.user
+    });
+    if (promotions.error) return promotionErrorResponse(res, promotions);
+    // The credit wallet pays what it can of the month
+    const wallet = planWallet({ user, months: promotions.months, drawMonths: [generatedMonth], actor: req.user });
+    const [newMonth] = wallet.months;
+
+    // The month, its wallet draw and promotion uses and the user's new expiry are saved together
+    await runInTransaction(async (session) => {
+      let voucherId = voucher?._id;
+      if (voucher) {
+        await saveMonths(voucher, [newMonth], { session });
+      } else {
+        // Create new voucher
+        ({ insertedId: voucherId } = await collections.vouchers.insertOne({
+          userId,
+          userName: user.userName,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }, { session }));
+        await saveMonths({ _id: voucherId, userId, userName: user.userName }, [newMonth], { session });
+      }
+
+      await wallet.commit({ voucherId, session });
+      await promotions.commit({ voucherId, session });
+
+      // Update User Expiry, then Status (the new unpaid month makes the user 'unpaid')
+      await collections.users.updateOne(
+        { _id: new ObjectId(userId) },
+        {
+          $set: {
+            expiryDate: toStoredDate(expiryDate),
+            lastActivity: new Date()
+          }
+        },
+        { session }
+      );
+      await recalculateUserStatus(userId, { session });
+    });
+    await change.record({ note: `${nextMonthName} generated` });
+    await userChange.record({ note: `${nextMonthName} generated` });
+
+    console.log(`✅ Generated next voucher for user ${user.userName}: ${nextMonthName}, Expiry: ${expiryDate}`);
+
+    res.json({ success: true, message: `Generated voucher for ${nextMonthName}`, nextMonth: nextMonthName, promotions: promotions.applied, walletDrawn: wallet.draws.reduce((sum, draw) => sum + draw.amount, 0) });
+
+  } catch (error) {
+    console.error('Error generating next voucher:', error);
+    voucherWriteErrorResponse(res, 'Error generating next voucher', error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,572 @@
+const express = require('express');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ObjectId } = require('mongodb');
+const jwt = require('jsonwebtoken');
+
+// ============ AUTHENTICATION & ROLES ============
+// Everything to do with employee credentials and sessions lives here:
+// password hashing, login/refresh/logout, lockout and the role middleware.
+//
+// Access tokens are short-lived signed JWTs. Refresh tokens are random strings;
+// only their SHA-256 hash is stored in the sessions collection so a session can
+// be rotated on refresh and revoked on logout.
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// Employee passwords are stored as scrypt hashes: scrypt$<salt>$<hash>
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES, 10) || 15;
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_KEY_LENGTH = 64;
+const scryptAsync = promisify(crypto.scrypt);
+
+const ROLES = {
+  ADMIN: 'admin',
+  FEE_COLLECTOR: 'fee collector',
+  TECHNICIAN: 'technician'
+};
+
+// Routes that can be called without an access token
+const PUBLIC_ROUTES = [
+  { method: 'POST', path: '/api/auth/login' },
+  { method: 'POST', path: '/api/auth/refresh' },
+  // Printed receipts can be checked by anyone holding one
+  { method: 'GET', path: '/api/receipts/verify' }
+];
+
+// The only routes open to a session that still has to change its temporary password
+const PASSWORD_CHANGE_ROUTES = [
+  { method: 'POST', path: '/api/auth/change-password' },
+  { method: 'POST', path: '/api/auth/logout' }
+];
+
+// Routes cron-job.org may call with the x-cron-secret header instead of a token
+const CRON_ROUTES = [
+  '/api/admin/run-expiry-processing',
+  '/api/admin/run-reminders',
+  '/api/admin/run-status-recalculation',
+  '/api/admin/run-service-status',
+  '/api/admin/run-late-fees'
+];
+
+const normalizeRole = (role) => String(role || '').trim().toLowerCase();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scryptAsync(String(password), salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scryptAsync(String(password), salt, PASSWORD_KEY_LENGTH);
+  return expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey);
+}
+
+// Strip credential and lockout fields before sending an employee to a client
+const toPublicEmployee = (employee) => {
+  const { password, passwordHash, failedLoginAttempts, lockedUntil, ...publicFields } = employee;
+  return publicFields;
+};
+
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+const lockedOutResponse = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: `Account locked after ${MAX_FAILED_LOGINS} failed login attempts. Try again after ${lockedUntil.toISOString()}`,
+  lockedUntil
+});
+
+// Sign an access token bound to a session document
+const signAccessToken = (session) => {
+  const accessToken = jwt.sign(
+    {
+      sub: session.employeeId,
+      name: session.name,
+      role: session.role,
+      sid: session._id.toString()
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    tokenType: 'Bearer',
+    accessTokenExpiresAt: new Date(exp * 1000)
+  };
+};
+
+// Allow the request only if the authenticated user has one of the given roles
+const requireRole = (...roles) => {
+  const allowed = roles.map(normalizeRole);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!allowed.includes(req.user.role)) {
+      console.log(`⛔ ${req.user.name} (${req.user.role}) denied: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+// Build the auth subsystem on top of the app's database handle.
+// getDb is called lazily because the connection is opened per request on Vercel.
+function createAuth({ getDb }) {
+  const employees = () => getDb().collection('employees');
+  const sessions = () => getDb().collection('sessions');
+
+  // Create indexes and make sure at least one admin account exists
+  async function initialize() {
+    await sessions().createIndex({ refreshTokenHash: 1 }, { unique: true });
+    // Expired sessions are removed by MongoDB automatically
+    await sessions().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await sessions().createIndex({ employeeId: 1 });
+    await employees().createIndex({ username: 1 }).catch(err => {
+      console.log('Index may already exist:', err.message);
+    });
+
+    await ensureAdminAccount();
+  }
+
+  // Admin accounts are ordinary employee records with role "admin".
+  // On a fresh database the first one is created from ADMIN_USERNAME / ADMIN_PASSWORD.
+  async function ensureAdminAccount() {
+    const existingAdmin = await employees().findOne({ role: { $regex: /^admin$/i } });
+    if (existingAdmin) {
+      return;
+    }
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('⚠️ No admin account exists. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one on startup.');
+      return;
+    }
+
+    await employees().insertOne({
+      name: ADMIN_NAME || 'Admin',
+      number: '',
+      role: ROLES.ADMIN,
+      salary: 0,
+      username: ADMIN_USERNAME.trim(),
+      passwordHash: await hashPassword(ADMIN_PASSWORD.trim()),
+      mustChangePassword: true,
+      isActive: true,
+      assignedCustomers: [],
+      createdAt: new Date()
+    });
+    console.log(`✅ Created admin account "${ADMIN_USERNAME.trim()}" from environment`);
+  }
+
+  // Check an employee's password and apply the lockout rules.
+  // Records that still hold a plain-text password are upgraded to a hash on a successful login.
+  async function checkEmployeePassword(employee, password) {
+    const now = new Date();
+
+    if (employee.lockedUntil && employee.lockedUntil > now) {
+      return { ok: false, locked: true, lockedUntil: employee.lockedUntil };
+    }
+
+    const candidate = String(password).trim();
+    const ok = employee.passwordHash
+      ? await verifyPassword(candidate, employee.passwordHash)
+      : typeof employee.password === 'string' && safeEqual(candidate, employee.password);
+
+    if (!ok) {
+      const attempts = (employee.failedLoginAttempts || 0) + 1;
+      const locked = attempts >= MAX_FAILED_LOGINS;
+      const lockedUntil = locked ? new Date(now.getTime() + LOCKOUT_MINUTES * 60000) : null;
+
+      await employees().updateOne(
+        { _id: employee._id },
+        { $set: locked ? { failedLoginAttempts: 0, lockedUntil } : { failedLoginAttempts: attempts } }
+      );
+
+      if (locked) {
+        console.log(`🔒 ${employee.name} locked out until ${lockedUntil.toISOString()} after ${attempts} failed logins`);
+      }
+      return { ok: false, locked, lockedUntil };
+    }
+
+    const update = { $set: { failedLoginAttempts: 0, lockedUntil: null } };
+    if (!employee.passwordHash) {
+      update.$set.passwordHash = await hashPassword(candidate);
+      update.$unset = { password: '' };
+    }
+    await employees().updateOne({ _id: employee._id }, update);
+
+    return { ok: true };
+  }
+
+  // Revoke every open session of an employee, optionally keeping the current one
+  const revokeEmployeeSessions = (employeeId, exceptSessionId = null) => {
+    const filter = { employeeId: employeeId.toString(), revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+    return sessions().updateMany(filter, { $set: { revokedAt: new Date() } });
+  };
+
+  // Create a session for a logged-in employee and return the token pair
+  async function issueSession(employee, req) {
+    if (!JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    const refreshToken = createRefreshToken();
+    const now = new Date();
+    const session = {
+      employeeId: employee._id.toString(),
+      name: employee.name,
+      role: normalizeRole(employee.role),
+      refreshTokenHash: hashToken(refreshToken),
+      mustChangePassword: !!employee.mustChangePassword,
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      revokedAt: null
+    };
+
+    const result = await sessions().insertOne(session);
+    session._id = result.insertedId;
+
+    return {
+      ...signAccessToken(session),
+      refreshToken,
+      refreshTokenExpiresAt: session.expiresAt
+    };
+  }
+
+  // Verify the Bearer access token on every /api route and attach req.user
+  async function authenticate(req, res, next) {
+    try {
+      if (!req.path.startsWith('/api/')) {
+        return next();
+      }
+
+      if (PUBLIC_ROUTES.some(route => route.method === req.method && route.path === req.path)) {
+        return next();
+      }
+
+      const cronSecret = req.get('x-cron-secret');
+      if (cronSecret && CRON_SECRET && CRON_ROUTES.includes(req.path) && safeEqual(cronSecret, CRON_SECRET)) {
+        req.user = { name: 'Cron', role: ROLES.ADMIN, isService: true };
+        return next();
+      }
+
+      const [scheme, token] = (req.get('authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (!JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, JWT_SECRET);
+      } catch (tokenError) {
+        return res.status(401).json({
+          success: false,
+          message: tokenError.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+        });
+      }
+
+      // Logged-out or expired sessions invalidate their access tokens immediately
+      const session = ObjectId.isValid(payload.sid)
+        ? await sessions().findOne({ _id: new ObjectId(payload.sid), revokedAt: null })
+        : null;
+
+      if (!session || session.expiresAt <= new Date()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended, please log in again'
+        });
+      }
+
+      // A temporary password must be changed before anything else can be done
+      if (session.mustChangePassword &&
+        !PASSWORD_CHANGE_ROUTES.some(route => route.method === req.method && route.path === req.path)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Change your temporary password before continuing',
+          mustChangePassword: true
+        });
+      }
+
+      req.user = {
+        id: payload.sub,
+        employeeId: session.employeeId,
+        name: payload.name,
+        role: normalizeRole(payload.role),
+        sessionId: session._id
+      };
+
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying session',
+        error: error.message
+      });
+    }
+  }
+
+  const router = express.Router();
+
+  // POST /api/auth/login - the single login endpoint for admins, fee collectors and technicians
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password, role } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username and password are required'
+        });
+      }
+
+      console.log(`🔐 Login attempt: ${username}`);
+
+      const employee = await employees().findOne({ username: String(username).trim() });
+
+      const check = employee ? await checkEmployeePassword(employee, password) : { ok: false };
+      if (check.locked) {
+        return lockedOutResponse(res, check.lockedUntil);
+      }
+
+      if (!check.ok) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid username or password'
+        });
+      }
+
+      // Only active employees can log in - strictly check isActive: true
+      if (employee.isActive !== true) {
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been deactivated'
+        });
+      }
+
+      if (role && normalizeRole(employee.role) !== normalizeRole(role)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid role for this user'
+        });
+      }
+
+      const lastLoginAt = new Date();
+      await employees().updateOne(
+        { _id: employee._id },
+        { $set: { lastLoginAt, lastLoginIp: req.ip } }
+      );
+
+      const session = await issueSession(employee, req);
+      console.log(`✅ Login: ${employee.name} (${normalizeRole(employee.role)}) from ${req.ip}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        user: { name: employee.name, role: normalizeRole(employee.role) },
+        data: toPublicEmployee({ ...employee, lastLoginAt, lastLoginIp: req.ip }),
+        mustChangePassword: !!employee.mustChangePassword,
+        ...session
+      });
+    } catch (error) {
+      console.error('❌ Error during login:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error during login',
+        error: error.message
+      });
+    }
+  });
+
+  // POST /api/auth/refresh - exchange a refresh token for a new token pair (rotates the refresh token)
+  router.post('/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ success: false, message: 'Refresh token required' });
+      }
+
+      const session = await sessions().findOne({ refreshTokenHash: hashToken(String(refreshToken)) });
+
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+      }
+
+      // Pick up role changes and deactivations made since the last login
+      const employee = ObjectId.isValid(session.employeeId)
+        ? await employees().findOne({ _id: new ObjectId(session.employeeId) })
+        : null;
+      if (!employee || employee.isActive !== true) {
+        await sessions().updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+        return res.status(401).json({ success: false, message: 'Account is no longer active' });
+      }
+      session.name = employee.name;
+      session.role = normalizeRole(employee.role);
+      session.mustChangePassword = !!employee.mustChangePassword;
+
+      const newRefreshToken = createRefreshToken();
+      await sessions().updateOne(
+        { _id: session._id },
+        {
+          $set: {
+            name: session.name,
+            role: session.role,
+            mustChangePassword: session.mustChangePassword,
+            refreshTokenHash: hashToken(newRefreshToken),
+            lastUsedAt: new Date()
+          }
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        user: { name: session.name, role: session.role },
+        mustChangePassword: session.mustChangePassword,
+        ...signAccessToken(session),
+        refreshToken: newRefreshToken,
+        refreshTokenExpiresAt: session.expiresAt
+      });
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ success: false, message: 'Internal server error during token refresh' });
+    }
+  });
+
+  // POST /api/auth/change-password - logged-in employee changes their own password
+  router.post('/change-password', async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ success: false, message: 'Current and new password are required' });
+      }
+
+      if (String(newPassword).trim().length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+      }
+
+      if (!req.user.employeeId) {
+        return res.status(400).json({ success: false, message: 'This account has no stored password to change' });
+      }
+
+      const employee = await employees().findOne({ _id: new ObjectId(req.user.employeeId) });
+      if (!employee) {
+        return res.status(404).json({ success: false, message: 'Employee not found' });
+      }
+
+      const check = await checkEmployeePassword(employee, currentPassword);
+      if (check.locked) {
+        return lockedOutResponse(res, check.lockedUntil);
+      }
+      if (!check.ok) {
+        return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+      }
+
+      await employees().updateOne(
+        { _id: employee._id },
+        {
+          $set: {
+            passwordHash: await hashPassword(String(newPassword).trim()),
+            passwordChangedAt: new Date(),
+            mustChangePassword: false
+          },
+          $unset: { password: '' }
+        }
+      );
+
+      // Sign out every other device; this one can use the rest of the API again
+      await revokeEmployeeSessions(employee._id, req.user.sessionId);
+      await sessions().updateOne({ _id: req.user.sessionId }, { $set: { mustChangePassword: false } });
+      console.log(`🔑 Password changed: ${employee.name}`);
+
+      res.status(200).json({ success: true, message: 'Password changed successfully' });
+    } catch (error) {
+      console.error('Change password error:', error);
+      res.status(500).json({ success: false, message: 'Internal server error while changing password' });
+    }
+  });
+
+  // POST /api/auth/logout - revoke the current session
+  router.post('/logout', async (req, res) => {
+    try {
+      if (!req.user.sessionId) {
+        return res.status(400).json({ success: false, message: 'No active session' });
+      }
+
+      await sessions().updateOne(
+        { _id: req.user.sessionId },
+        { $set: { revokedAt: new Date() } }
+      );
+      console.log(`🔓 Logout: ${req.user.name}`);
+
+      res.status(200).json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ success: false, message: 'Internal server error during logout' });
+    }
+  });
+
+  return {
+    initialize,
+    authenticate,
+    revokeEmployeeSessions,
+    router
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  requireRole,
+  hashPassword,
+  generateTemporaryPassword,
+  toPublicEmployee
+};
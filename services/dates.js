@@ -0,0 +1,255 @@
+const { getSettings, timeToMinutes } = require('./settings');
+
+// ============ BUSINESS DATE HELPERS ============
+// "Today", day ranges and wall-clock times are in the business timezone from the settings
+// (default Asia/Karachi), whatever the server timezone. Expiry and recharge dates are stored as
+// BSON dates at 12:00 business time on that calendar day, so the ISO date part is the business
+// day; service expires at the configured expiry cutoff time on that day. Requests may still send
+// DD-MM-YYYY, DD/MM/YYYY or YYYY-MM-DD strings.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Accepted formats for date fields, for validation messages
+const DATE_FORMATS = 'DD-MM-YYYY, DD/MM/YYYY or YYYY-MM-DD';
+
+// Stored dates sit at noon so small timezone differences keep them on the same day
+const STORED_TIME_MIN = 12 * 60;
+
+const formatters = new Map();
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Minutes the business timezone is ahead of UTC at a given moment (follows DST where the zone has it)
+const offsetMinutesAt = (date) => {
+  const parts = {};
+  for (const { type, value } of partsFormatter(getSettings().timezone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClock - date.getTime()) / 60000);
+};
+
+// Shift a date so its getUTC*() parts read as business wall-clock time
+const toBusinessTime = (date = new Date()) => new Date(date.getTime() + offsetMinutesAt(date) * 60000);
+
+const toBusinessYMD = (dateObj) => {
+  const local = toBusinessTime(dateObj);
+  return { y: local.getUTCFullYear(), m: local.getUTCMonth(), d: local.getUTCDate() };
+};
+
+// The moment a business wall-clock time occurs (month 0-based; out-of-range days roll over like Date.UTC)
+const atBusinessTime = (y, m, d, minutes = 0) => {
+  const wallClock = Date.UTC(y, m, d, 0, minutes);
+  const guess = wallClock - offsetMinutesAt(new Date(wallClock)) * 60000;
+  return new Date(wallClock - offsetMinutesAt(new Date(guess)) * 60000);
+};
+
+// 00:00 business time on a calendar day
+const startOfBusinessDay = (y, m, d) => atBusinessTime(y, m, d);
+
+// The stored value for a calendar day: 12:00 business time
+const businessDate = (y, m, d) => atBusinessTime(y, m, d, STORED_TIME_MIN);
+
+// 00:00 business time today, shifted by whole days
+const startOfToday = (days = 0) => {
+  const { y, m, d } = toBusinessYMD(new Date());
+  return startOfBusinessDay(y, m, d + days);
+};
+
+// Minutes since business midnight, e.g. 750 at 12:30
+const minutesIntoBusinessDay = (date = new Date()) => {
+  const local = toBusinessTime(date);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+};
+
+// Whether today's expiry cutoff time has been reached
+const isPastExpiryCutoff = (now = new Date()) =>
+  minutesIntoBusinessDay(now) >= timeToMinutes(getSettings().expiryCutoff);
+
+// Whether today's reminder time has been reached
+const isPastReminderTime = (now = new Date()) =>
+  minutesIntoBusinessDay(now) >= timeToMinutes(getSettings().reminderTime);
+
+// The moment service expires for an expiry date: the expiry cutoff time on that business day
+const expiryCutoffFor = (expiryDate) => {
+  const { y, m, d } = toBusinessYMD(expiryDate);
+  return atBusinessTime(y, m, d, timeToMinutes(getSettings().expiryCutoff));
+};
+
+// Query range for `count` business days starting `days` days from today, e.g. dayRange(1) is tomorrow
+const dayRange = (days, count = 1) => ({ $gte: startOfToday(days), $lt: startOfToday(days + count) });
+
+// Query range for the business day a date value falls on, or null when it is not a valid date.
+// Accepts anything toStoredDate does.
+const dayRangeFor = (value) => {
+  const day = toStoredDate(value);
+  if (!day) return null;
+  const { y, m, d } = toBusinessYMD(day);
+  return { $gte: startOfBusinessDay(y, m, d), $lt: startOfBusinessDay(y, m, d + 1) };
+};
+
+// Query range from the start of `fromDate` to the end of `toDate` (both inclusive), or null when
+// either is not a valid date
+const dayRangeBetween = (fromDate, toDate) => {
+  const from = dayRangeFor(fromDate);
+  const to = dayRangeFor(toDate);
+  if (!from || !to) return null;
+  return { $gte: from.$gte, $lt: to.$lt };
+};
+
+// Date field from a request or a legacy record -> stored Date (12:00 business time), or null when
+// the value is empty or not a real calendar date. Accepts DATE_FORMATS, ISO timestamps and Dates.
+const toStoredDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    const { y, m, d } = toBusinessYMD(value);
+    return businessDate(y, m, d);
+  }
+  if (typeof value !== 'string') return null;
+
+  const str = value.trim();
+  let y, m, d;
+  const dmy = str.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/); // DD-MM-YYYY or DD/MM/YYYY
+  const ymd = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/); // YYYY-MM-DD
+  if (dmy) {
+    [d, m, y] = [parseInt(dmy[1], 10), parseInt(dmy[2], 10) - 1, parseInt(dmy[3], 10)];
+  } else if (ymd) {
+    [y, m, d] = [parseInt(ymd[1], 10), parseInt(ymd[2], 10) - 1, parseInt(ymd[3], 10)];
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(str)) {
+    // Full ISO timestamp: take the business calendar day it falls on
+    return toStoredDate(new Date(str));
+  } else {
+    return null;
+  }
+
+  // Reject days that roll over (31-02-2025, 00-13-2025, ...)
+  const check = new Date(Date.UTC(y, m, d));
+  if (check.getUTCFullYear() !== y || check.getUTCMonth() !== m || check.getUTCDate() !== d) return null;
+  return businessDate(y, m, d);
+};
+
+// First of `fields` that is set in a request body but is not a valid date, or null
+const invalidDateField = (body, fields = ['rechargeDate', 'expiryDate']) =>
+  fields.find((field) => body[field] && !toStoredDate(body[field])) || null;
+
+// Calendar parts of a UTC-midnight date (normalizes rolled-over days)
+const utcYMD = (date) => ({ y: date.getUTCFullYear(), m: date.getUTCMonth(), d: date.getUTCDate() });
+
+// Accepts Date objects, DD-MM-YYYY/DD/MM/YYYY and ISO strings -> business { y, m (0-based), d }
+const parseExpiryYMD = (exp) => {
+  if (!exp) return null;
+  if (exp instanceof Date) return toBusinessYMD(exp);
+  if (typeof exp === 'string') {
+    const m1 = exp.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})$/); // DD-MM-YYYY or DD/MM/YYYY
+    if (m1) {
+      const d = parseInt(m1[1], 10);
+      const m = parseInt(m1[2], 10) - 1;
+      const y = parseInt(m1[3], 10);
+      return utcYMD(new Date(Date.UTC(y, m, d)));
+    }
+    const m2 = exp.match(/^(\d{4})-(\d{2})-(\d{2})/); // ISO-like
+    if (m2) {
+      const y = parseInt(m2[1], 10);
+      const m = parseInt(m2[2], 10) - 1;
+      const d = parseInt(m2[3], 10);
+      return utcYMD(new Date(Date.UTC(y, m, d)));
+    }
+    const d2 = new Date(exp);
+    if (!isNaN(d2.getTime())) return toBusinessYMD(d2);
+    return null;
+  }
+  return null;
+};
+
+// ISO, DD-MM-YYYY or DD/MM/YYYY -> Date. A calendar day without a time is that day as stored
+// (12:00 business time), whatever the server timezone.
+// Unparseable values give new Date(0) so they sort first.
+const parseDate = (dateStr) => {
+  if (!dateStr) return new Date(0);
+  if (dateStr instanceof Date) return dateStr;
+  if (typeof dateStr === 'string') {
+    // YYYY-MM-DD
+    const day = dateStr.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (day) {
+      return businessDate(Number(day[1]), Number(day[2]) - 1, Number(day[3]));
+    }
+
+    // ISO format with a time: YYYY-MM-DDTHH:mm:ss.sssZ
+    if (/^\d{4}-\d{2}-\d{2}/.test(dateStr)) {
+      const parsed = new Date(dateStr);
+      if (!isNaN(parsed.getTime())) return parsed;
+    }
+
+    // DD-MM-YYYY or DD/MM/YYYY (4-digit year)
+    const parts = dateStr.split(/[-\/]/);
+    if (parts.length === 3 && parts[2].length === 4) {
+      const day = parseInt(parts[0], 10);
+      const month = parseInt(parts[1], 10) - 1;
+      const year = parseInt(parts[2], 10);
+      if (!isNaN(day) && !isNaN(month) && !isNaN(year)) {
+        return businessDate(year, month, day);
+      }
+    }
+
+    // Fallback to standard Date parsing
+    const parsed = new Date(dateStr);
+    return isNaN(parsed.getTime()) ? new Date(0) : parsed;
+  }
+  return new Date(0);
+};
+
+// Date -> DD-MM-YYYY (business calendar day)
+const formatDate = (date) => {
+  const { y, m, d } = toBusinessYMD(date);
+  return `${String(d).padStart(2, '0')}-${String(m + 1).padStart(2, '0')}-${y}`;
+};
+
+// Date -> YYYY-MM-DD (business calendar day)
+const formatYMD = (date) => {
+  const { y, m, d } = toBusinessYMD(date);
+  return `${y}-${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+// Whole calendar days from one date to another (business timezone)
+const daysBetween = (from, to) => {
+  const a = toBusinessYMD(from);
+  const b = toBusinessYMD(to);
+  return Math.round((Date.UTC(b.y, b.m, b.d) - Date.UTC(a.y, a.m, a.d)) / MS_PER_DAY);
+};
+
+module.exports = {
+  DATE_FORMATS,
+  MS_PER_DAY,
+  businessDate,
+  daysBetween,
+  dayRange,
+  dayRangeBetween,
+  dayRangeFor,
+  expiryCutoffFor,
+  formatDate,
+  formatYMD,
+  invalidDateField,
+  isPastExpiryCutoff,
+  isPastReminderTime,
+  parseDate,
+  parseExpiryYMD,
+  startOfBusinessDay,
+  startOfToday,
+  toBusinessTime,
+  toBusinessYMD,
+  toStoredDate
+};
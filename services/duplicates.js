@@ -0,0 +1,350 @@
+const { collections } = require('../db');
+const { history } = require('./index');
+const { HISTORY_ACTIONS, HISTORY_ENTITIES } = require('./history');
+const { samePeriod } = require('./periods');
+const { monthPayments, notArchivedFilter, recalculateUserStatus } = require('./status');
+const { settleMonth } = require('./proration');
+const { findVouchers, replaceMonths } = require('./voucherMonths');
+const { WALLET_ENTRY_TYPES, recordWalletEntry } = require('./wallet');
+
+// ============ DUPLICATE USERS ============
+// Two subscribers sharing a userId, SIM or WhatsApp number are likely the same person entered
+// twice. POST/PUT /api/users refuse such a user unless allowDuplicate is set, the duplicates
+// report lists likely pairs, and a merge moves one user's vouchers, complaints, reminders and
+// refunds onto the other and archives it.
+//
+// Numbers are compared by their last 10 digits, so 03001234567, +92 300 1234567 and
+// 923001234567 are the same number. Names are compared within the same street only.
+
+const PHONE_FIELDS = ['simNo', 'whatsappNo'];
+const PHONE_DIGITS = 10;
+// Shorter numbers are placeholders ("0", "-", "123") and never count as a match
+const MIN_PHONE_DIGITS = 7;
+
+// Fields shown for each user in duplicate checks and the report
+const DUPLICATE_FIELDS = {
+  userName: 1,
+  userId: 1,
+  simNo: 1,
+  whatsappNo: 1,
+  streetName: 1,
+  packageName: 1,
+  status: 1,
+  createdAt: 1
+};
+
+// Last 10 digits of a phone number, or '' when it is too short to compare
+const normalizePhone = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : '';
+};
+
+// Lowercase letters and digits only, single spaces
+const normalizeName = (name) =>
+  String(name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Ways the same number is usually stored, to find it with an index lookup
+const phoneVariants = (number) => {
+  const phone = normalizePhone(number);
+  if (!phone) return [];
+  return [...new Set([String(number).trim(), phone, `0${phone}`, `92${phone}`, `+92${phone}`])];
+};
+
+// Edit distance between two strings (insertions, deletions and substitutions)
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 'exact' when two normalized names are equal, 'fuzzy' when they differ by word order or a
+// typo or two (one for short names), otherwise null
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return null;
+  if (a === b) return 'exact';
+  const sortedWords = (name) => name.split(' ').sort().join(' ');
+  if (sortedWords(a) === sortedWords(b)) return 'fuzzy';
+  const allowed = Math.min(a.length, b.length) <= 6 ? 1 : 2;
+  return Math.abs(a.length - b.length) <= allowed && editDistance(a, b) <= allowed ? 'fuzzy' : null;
+};
+
+// Fields of `candidate` that clash with the new or updated `fields`
+const matchedFields = (fields, candidate) => {
+  const matched = [];
+  const userId = String(fields.userId || '').trim();
+  if (userId && String(candidate.userId || '').trim() === userId) matched.push('userId');
+
+  const candidatePhones = PHONE_FIELDS.map((field) => normalizePhone(candidate[field])).filter(Boolean);
+  for (const field of PHONE_FIELDS) {
+    const phone = normalizePhone(fields[field]);
+    if (phone && candidatePhones.includes(phone)) matched.push(field);
+  }
+  return matched;
+};
+
+// Active users that share the userId, SIM or WhatsApp number in `fields`, each with the
+// matchedOn fields. Only the fields present in `fields` are checked; excludeId skips the user
+// being updated.
+async function findDuplicateUsers(fields, { excludeId } = {}) {
+  const or = [];
+  const userId = String(fields.userId || '').trim();
+  if (userId) or.push({ userId });
+
+  const numbers = PHONE_FIELDS.flatMap((field) => phoneVariants(fields[field]));
+  if (numbers.length > 0) {
+    for (const field of PHONE_FIELDS) or.push({ [field]: { $in: numbers } });
+  }
+  if (or.length === 0) return [];
+
+  const filter = { $or: or, ...notArchivedFilter };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const candidates = await collections.users.find(filter).project(DUPLICATE_FIELDS).limit(20).toArray();
+
+  return candidates
+    .map((candidate) => ({ ...candidate, matchedOn: matchedFields(fields, candidate) }))
+    .filter((candidate) => candidate.matchedOn.length > 0);
+}
+
+// Likely duplicates among active users, as groups of { match, value, similarity?, users }:
+// - userId: the same userId
+// - phone: the same SIM or WhatsApp number (either field)
+// - name: the same or a similar name in the same street
+async function duplicateReport() {
+  const users = await collections.users.find(notArchivedFilter).project(DUPLICATE_FIELDS).toArray();
+  const groups = [];
+
+  // Users by a key; every key with more than one user is a group
+  const groupBy = (match, keysOf) => {
+    const byKey = new Map();
+    for (const user of users) {
+      for (const key of new Set(keysOf(user))) {
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(user);
+      }
+    }
+    for (const [value, members] of byKey) {
+      if (members.length > 1) groups.push({ match, value, users: members });
+    }
+  };
+
+  groupBy('userId', (user) => [String(user.userId || '').trim()].filter(Boolean));
+  groupBy('phone', (user) => PHONE_FIELDS.map((field) => normalizePhone(user[field])).filter(Boolean));
+
+  // Names are compared pairwise within each street
+  const byStreet = new Map();
+  for (const user of users) {
+    const street = normalizeName(user.streetName);
+    if (!street) continue;
+    if (!byStreet.has(street)) byStreet.set(street, []);
+    byStreet.get(street).push({ user, name: normalizeName(user.userName) });
+  }
+  for (const streetUsers of byStreet.values()) {
+    for (let i = 0; i < streetUsers.length; i++) {
+      for (let j = i + 1; j < streetUsers.length; j++) {
+        const similarity = nameSimilarity(streetUsers[i].name, streetUsers[j].name);
+        if (similarity) {
+          groups.push({
+            match: 'name',
+            value: streetUsers[i].user.streetName,
+            similarity,
+            users: [streetUsers[i].user, streetUsers[j].user]
+          });
+        }
+      }
+    }
+  }
+
+  return { scanned: users.length, groups };
+}
+
+// ============ MERGE ============
+
+// Combine voucher months, one per billing period. A period billed on both users keeps the first
+// one's fee, discount and adjustments and gets the payments of both; a reversed month gives way to
+// the other user's month of that period; other months are added as they are.
+const mergeMonths = (keptMonths, addedMonths) => {
+  const merged = [...keptMonths];
+  const combined = [];
+  for (const month of addedMonths) {
+    const index = merged.findIndex((kept) => samePeriod(kept, month));
+    if (index === -1) {
+      merged.push(month);
+      continue;
+    }
+
+    const kept = merged[index];
+    if (month.status === 'reversed') continue;
+    if (kept.status === 'reversed') {
+      merged[index] = month;
+      continue;
+    }
+    merged[index] = settleMonth({
+      ...kept,
+      paidAmount: Number(kept.paidAmount || 0) + Number(month.paidAmount || 0),
+      paymentHistory: [...monthPayments(kept), ...monthPayments(month)],
+      updatedAt: new Date()
+    }).month;
+    combined.push(month.month);
+  }
+  return { months: merged, combined };
+};
+
+const userIdValues = (user) => [user._id.toString(), user._id];
+
+// Move the duplicate's voucher months onto the kept user's voucher (or the duplicate's voucher
+// onto the kept user when it has none). Returns { voucherId, months, combined }.
+async function mergeVouchers(kept, duplicate, actor, session) {
+  const find = (user) => findVouchers({ userId: { $in: userIdValues(user) } }, { session });
+  const vouchers = [...await find(kept), ...await find(duplicate)];
+  if (vouchers.length === 0) return { voucherId: null, months: 0, combined: [] };
+
+  // Legacy single-month vouchers have no months array and only change owner
+  const [target, ...others] = vouchers.filter((voucher) => Array.isArray(voucher.months));
+  const legacy = vouchers.filter((voucher) => !Array.isArray(voucher.months));
+  if (legacy.length > 0) {
+    await collections.vouchers.updateMany(
+      { _id: { $in: legacy.map((voucher) => voucher._id) } },
+      { $set: { userId: kept._id.toString(), userName: kept.userName, updatedAt: new Date() } },
+      { session }
+    );
+  }
+  if (!target) return { voucherId: null, months: 0, combined: [] };
+
+  let months = target.months;
+  const combined = [];
+  let expiryDate = target.expiryDate;
+  let rechargeDate = target.rechargeDate;
+  for (const voucher of others) {
+    const result = mergeMonths(months, voucher.months);
+    months = result.months;
+    combined.push(...result.combined);
+    // The voucher running longest sets the dates
+    if (voucher.expiryDate && (!expiryDate || voucher.expiryDate > expiryDate)) {
+      expiryDate = voucher.expiryDate;
+      rechargeDate = voucher.rechargeDate;
+    }
+  }
+
+  // The other vouchers' months go first: a user has each month once
+  await collections.voucherMonths.deleteMany({ voucherId: { $in: others.map((voucher) => voucher._id.toString()) } }, { session });
+
+  const voucherChange = await history.track(HISTORY_ENTITIES.VOUCHER, target._id, actor, { session });
+  const header = { userId: kept._id.toString(), userName: kept.userName };
+  await collections.vouchers.updateOne(
+    { _id: target._id },
+    { $set: { ...header, expiryDate, rechargeDate, updatedAt: new Date() } },
+    { session }
+  );
+  await replaceMonths({ _id: target._id, ...header }, months, { session });
+  await voucherChange.record({ note: `Merged ${duplicate.userName}` });
+
+  for (const voucher of others) {
+    await collections.vouchers.deleteOne({ _id: voucher._id }, { session });
+    await history.record({
+      entity: HISTORY_ENTITIES.VOUCHER,
+      before: voucher,
+      actor,
+      note: `Months moved to voucher ${target._id} (merge into ${kept.userName})`,
+      session
+    });
+  }
+
+  return { voucherId: target._id, months: months.length, combined };
+}
+
+// Point records of the duplicate at the kept user: `idField` holds a user _id, and for
+// complaints and reminders entered by hand it may hold the business userId instead
+async function reassignRecords(collection, kept, duplicate, session, idField = 'userId') {
+  let moved = 0;
+  const byId = await collection.updateMany(
+    { [idField]: { $in: userIdValues(duplicate) } },
+    { $set: { [idField]: kept._id.toString(), userName: kept.userName } },
+    { session }
+  );
+  moved += byId.modifiedCount;
+
+  const duplicateUserId = String(duplicate.userId || '').trim();
+  if (idField === 'userId' && duplicateUserId && duplicateUserId !== String(kept.userId || '').trim()) {
+    const byUserId = await collection.updateMany(
+      { userId: duplicateUserId },
+      { $set: { userId: kept.userId || kept._id.toString(), userName: kept.userName } },
+      { session }
+    );
+    moved += byUserId.modifiedCount;
+  }
+  return moved;
+}
+
+// Merge `duplicate` into `kept` in one transaction session: vouchers, complaints, reminders and
+// refunds move to the kept user, empty contact fields are filled from the duplicate, and the
+// duplicate is archived with mergedInto. Incomes and ledger entries are not touched: the
+// payments were received either way.
+async function mergeUsers(kept, duplicate, actor, session) {
+  const userChange = await history.track(HISTORY_ENTITIES.USER, kept._id, actor, { session });
+
+  const vouchers = await mergeVouchers(kept, duplicate, actor, session);
+  const moved = {
+    complaints: await reassignRecords(collections.complaints, kept, duplicate, session) +
+      await reassignRecords(collections.complaints, kept, duplicate, session, 'customerId'),
+    reminders: await reassignRecords(collections.reminders, kept, duplicate, session),
+    refunds: await reassignRecords(collections.refunds, kept, duplicate, session)
+  };
+
+  // Credit in the duplicate's wallet moves to the kept user
+  moved.walletBalance = Number(duplicate.walletBalance || 0);
+  if (moved.walletBalance > 0) {
+    const transfer = { type: WALLET_ENTRY_TYPES.ADJUSTMENT, actor, session };
+    await recordWalletEntry({ ...transfer, user: duplicate, amount: -moved.walletBalance, note: `Merged into ${kept.userName}` });
+    await recordWalletEntry({ ...transfer, user: kept, amount: moved.walletBalance, note: `Merged from ${duplicate.userName}` });
+  }
+
+  const filled = {};
+  for (const field of ['userId', ...PHONE_FIELDS, 'streetName']) {
+    if (!String(kept[field] || '').trim() && String(duplicate[field] || '').trim()) filled[field] = duplicate[field];
+  }
+  await collections.users.updateOne(
+    { _id: kept._id },
+    { $set: { ...filled, updatedAt: new Date() } },
+    { session }
+  );
+
+  const archive = {
+    archivedAt: new Date(),
+    archivedBy: actor.name,
+    archiveReason: `Merged into ${kept.userName} (${kept._id})`,
+    mergedInto: kept._id.toString(),
+    showInExpiringSoon: false
+  };
+  await collections.users.updateOne({ _id: duplicate._id }, { $set: archive }, { session });
+  await history.record({
+    entity: HISTORY_ENTITIES.USER,
+    before: duplicate,
+    after: { ...duplicate, ...archive },
+    action: HISTORY_ACTIONS.ARCHIVE,
+    actor,
+    note: archive.archiveReason,
+    session
+  });
+
+  await recalculateUserStatus(kept._id, { session });
+  await userChange.record({ note: `Merged ${duplicate.userName} (${duplicate._id})` });
+
+  return { vouchers, moved, filled: Object.keys(filled) };
+}
+
+module.exports = {
+  duplicateReport,
+  findDuplicateUsers,
+  mergeUsers,
+  normalizePhone
+};
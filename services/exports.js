@@ -0,0 +1,227 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { formatDate, formatYMD, toBusinessTime } = require('./dates');
+
+// ============ EXPORTS ============
+// Turns a list of rows into a CSV, XLSX or PDF download. Columns are { key, header, width, type }:
+// `key` is a property name or a function of the row, `width` a relative width (PDF and XLSX), and
+// `type` 'date' (DD-MM-YYYY, business timezone) or 'money'.
+//
+// List endpoints become exportable with the `exportable` middleware: the same request with
+// ?format=csv|xlsx|pdf returns every matching row as a file instead of a JSON page.
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const MAX_EXPORT_ROWS = 20000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+// Subscriber columns shared by the user list exports
+const USER_COLUMNS = [
+  { key: 'userName', header: 'Name', width: 16 },
+  { key: 'userId', header: 'User ID', width: 10 },
+  { key: 'simNo', header: 'SIM No', width: 11 },
+  { key: 'whatsappNo', header: 'WhatsApp', width: 11 },
+  { key: 'packageName', header: 'Package', width: 10 },
+  { key: 'streetName', header: 'Street', width: 12 },
+  { key: 'feeCollector', header: 'Fee Collector', width: 10 },
+  { key: 'status', header: 'Status', width: 8 },
+  { key: 'amount', header: 'Fee', width: 7, type: 'money' },
+  { key: 'paidAmount', header: 'Paid', width: 7, type: 'money' },
+  { key: 'remainingAmount', header: 'Remaining', width: 8, type: 'money' },
+  { key: 'rechargeDate', header: 'Recharge', width: 9, type: 'date' },
+  { key: 'expiryDate', header: 'Expiry', width: 9, type: 'date' }
+];
+
+const isValidDate = (value) => value instanceof Date && !isNaN(value.getTime());
+
+// Column value for a row, formatted for display
+const cellValue = (row, column) => {
+  const value = typeof column.key === 'function' ? column.key(row) : row[column.key];
+  if (value === null || value === undefined) return '';
+  if (column.type === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    return isValidDate(date) ? formatDate(date) : String(value);
+  }
+  if (column.type === 'money') {
+    const number = Number(value);
+    return Number.isNaN(number) ? String(value) : number;
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object' && !(value instanceof Date)) return String(value);
+  return value;
+};
+
+// Quote a CSV field. Text starting with = + - @ is prefixed with ' so spreadsheets do not run it
+// as a formula.
+const csvField = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => csvField(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvField(cellValue(row, column))).join(','));
+  }
+  // BOM so Excel opens UTF-8 (Urdu names) correctly
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+async function writeXlsx(res, { title, columns, rows }) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet(title.slice(0, 31).replace(/[\\/?*[\]:]/g, ' '));
+
+  sheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: `c${index}`,
+    width: Math.max(8, (column.width || 10) * 1.2)
+  }));
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map((column, index) => [`c${index}`, cellValue(row, column)])));
+  }
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
+function writePdf(res, { title, subtitle, columns, rows }) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30, bufferPages: true });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom - 15;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 10), 0);
+  const widths = columns.map((column) => ((column.width || 10) / totalWeight) * tableWidth);
+  const rowHeight = 14;
+
+  const drawRow = (values, y, { bold = false, shade = false } = {}) => {
+    if (shade) doc.rect(left, y - 2, tableWidth, rowHeight).fill('#f0f0f0').fillColor('black');
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7.5);
+    let x = left;
+    values.forEach((value, index) => {
+      const align = typeof value === 'number' ? 'right' : 'left';
+      doc.text(String(value), x + 2, y, { width: widths[index] - 4, height: rowHeight, align, ellipsis: true, lineBreak: false });
+      x += widths[index];
+    });
+  };
+
+  const drawHeader = () => {
+    const y = doc.y;
+    drawRow(columns.map((column) => column.header), y, { bold: true, shade: true });
+    doc.moveTo(left, y + rowHeight - 2).lineTo(left + tableWidth, y + rowHeight - 2).lineWidth(0.5).stroke();
+    doc.y = y + rowHeight;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(14).text(title, left, doc.y);
+  const generated = toBusinessTime(new Date()).toISOString().slice(0, 16).replace('T', ' ');
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(`${subtitle ? `${subtitle}  |  ` : ''}${rows.length} rows  |  Generated ${generated}`)
+    .fillColor('black');
+  doc.moveDown(0.5);
+  drawHeader();
+
+  for (const row of rows) {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    drawRow(columns.map((column) => cellValue(row, column)), y);
+    doc.y = y + rowHeight;
+  }
+
+  // Page numbers
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    doc.font('Helvetica').fontSize(8).fillColor('#555555')
+      .text(`Page ${i + 1} of ${count}`, left, doc.page.height - doc.page.margins.bottom - 10,
+        { width: tableWidth, align: 'right', lineBreak: false });
+  }
+
+  doc.end();
+}
+
+// Send rows as a download. `name` is the file name prefix (the date is appended).
+async function sendExport(res, { format, name, title, subtitle, columns, rows }) {
+  const filename = `${name}-${formatYMD(new Date())}.${format}`;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  console.log(`📤 Exporting ${rows.length} rows as ${filename}`);
+
+  if (format === 'csv') {
+    return res.status(200).send(toCsv(columns, rows));
+  }
+  if (format === 'xlsx') {
+    return writeXlsx(res, { title, columns, rows });
+  }
+  return writePdf(res, { title, subtitle, columns, rows });
+}
+
+// 400 response for an unknown ?format, or null when it is valid
+const invalidFormatResponse = (res, format) => {
+  if (EXPORT_FORMATS.includes(format)) return null;
+  return res.status(400).json({
+    success: false,
+    message: `Invalid format. Use ${EXPORT_FORMATS.join(', ')}`
+  });
+};
+
+// Filters from the query string, for the PDF subtitle
+const describeFilters = (query) => Object.entries(query)
+  .filter(([key, value]) => !['format', 'page', 'limit', 'cursor'].includes(key) && value !== '')
+  .map(([key, value]) => `${key}: ${value}`)
+  .join(', ');
+
+// Middleware for a JSON list endpoint: with ?format=csv|xlsx|pdf the endpoint runs with the same
+// filters but from the first row and without a page limit, and the `data` array of its JSON
+// response is sent as a file.
+const exportable = (name, title, columns = USER_COLUMNS) => (req, res, next) => {
+  const { format } = req.query;
+  if (!format) return next();
+  if (invalidFormatResponse(res, format)) return;
+
+  const subtitle = describeFilters(req.query);
+  req.query.page = '1';
+  req.query.limit = String(MAX_EXPORT_ROWS);
+  delete req.query.cursor;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 || !body || !body.success || !Array.isArray(body.data)) {
+      return json(body);
+    }
+    sendExport(res, { format, name, title, subtitle, columns, rows: body.data }).catch((error) => {
+      console.error(`❌ Error exporting ${name}:`, error);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.status(500);
+        json({ success: false, message: 'Error creating export', error: error.message });
+      } else {
+        res.end();
+      }
+    });
+    return res;
+  };
+  next();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  USER_COLUMNS,
+  describeFilters,
+  exportable,
+  invalidFormatResponse,
+  sendExport
+};
@@ -0,0 +1,222 @@
+const { ObjectId } = require('mongodb');
+const { findVoucher } = require('./voucherMonths');
+
+// ============ CHANGE HISTORY ============
+// Who changed what on users, vouchers, packages and employees. Every entry holds the field-level
+// before/after values of one write, the employee who made it and when. Entries are never updated.
+//
+// Routes take a snapshot before writing and record the difference afterwards:
+//
+//   const change = await history.track(HISTORY_ENTITIES.USER, userId, req.user);
+//   await collections.users.updateOne(...);
+//   await change.record();
+//
+// Voucher entries carry the subscriber's userId, so a user's timeline includes their vouchers.
+
+const HISTORY_ENTITIES = {
+  USER: 'user',
+  VOUCHER: 'voucher',
+  PACKAGE: 'package',
+  EMPLOYEE: 'employee'
+};
+
+const ENTITY_COLLECTIONS = {
+  [HISTORY_ENTITIES.USER]: 'users',
+  [HISTORY_ENTITIES.VOUCHER]: 'vouchers',
+  [HISTORY_ENTITIES.PACKAGE]: 'packages',
+  [HISTORY_ENTITIES.EMPLOYEE]: 'employees'
+};
+
+const HISTORY_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  ARCHIVE: 'archive',
+  RESTORE: 'restore',
+  PURGE: 'purge'
+};
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', 'lastUpdated', 'lastActivity'];
+
+// Recorded as changed, without their values
+const HIDDEN_FIELDS = ['password', 'passwordHash'];
+const HIDDEN_VALUE = '[hidden]';
+
+const toActor = (user) => (user ? { id: user.id || null, name: user.name, role: user.role } : null);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isEmpty = (value) => value === null || value === undefined;
+
+const sameValue = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (a instanceof ObjectId || b instanceof ObjectId) return String(a) === String(b);
+  return a === b;
+};
+
+// Document -> { 'path': value } with one entry per leaf value. Voucher months are keyed by their
+// month name rather than their position, so adding or re-sorting months does not shift them:
+// months[November 2025].paidAmount, months[November 2025].paymentHistory[0].amount
+const flatten = (value, path = '', out = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      const key = isPlainObject(item) && typeof item.month === 'string' ? item.month : index;
+      flatten(item, `${path}[${key}]`, out);
+    });
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!path && key === '_id') continue;
+      if (IGNORED_FIELDS.includes(key)) continue;
+      flatten(child, path ? `${path}.${key}` : key, out);
+    }
+  } else if (path) {
+    out[path] = value;
+  }
+  return out;
+};
+
+const isHidden = (field) => HIDDEN_FIELDS.includes(field.split(/[.[]/)[0]);
+
+// Changed fields between two versions of a document (either may be null), as [{ field, from, to }]
+function diffDocuments(before, after) {
+  const from = flatten(before || {});
+  const to = flatten(after || {});
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    const a = from[field];
+    const b = to[field];
+    if (sameValue(a, b)) continue;
+
+    changes.push(isHidden(field)
+      ? { field, from: isEmpty(a) ? null : HIDDEN_VALUE, to: isEmpty(b) ? null : HIDDEN_VALUE }
+      : { field, from: a ?? null, to: b ?? null });
+  }
+  return changes;
+}
+
+// The subscriber an entry belongs to
+const userIdOf = (entity, doc) => {
+  if (!doc) return null;
+  if (entity === HISTORY_ENTITIES.USER) return doc._id.toString();
+  if (entity === HISTORY_ENTITIES.VOUCHER && doc.userId) return doc.userId.toString();
+  return null;
+};
+
+// Build the history on top of the app's database handle (same lazy pattern as the ledger)
+function createHistory({ getDb }) {
+  const history = () => getDb().collection('history');
+  const collectionFor = (entity) => getDb().collection(ENTITY_COLLECTIONS[entity]);
+
+  // Vouchers are snapshotted with their months (voucher_months)
+  const snapshot = (entity, filter, session) => (entity === HISTORY_ENTITIES.VOUCHER
+    ? findVoucher(filter, { session })
+    : collectionFor(entity).findOne(filter, { session }));
+
+  async function initialize() {
+    await history().createIndex({ entity: 1, entityId: 1, createdAt: -1 });
+    await history().createIndex({ userId: 1, createdAt: -1 });
+  }
+
+  // Record one change. `before`/`after` are the full documents (null when created or deleted);
+  // the action defaults to create, delete or update from them. Updates that change nothing are
+  // not recorded. Returns the entry, or null.
+  async function record({ entity, entityId, before = null, after = null, action, actor = null, note, session }) {
+    const changes = diffDocuments(before, after);
+    const resolvedAction = action ||
+      (!before ? HISTORY_ACTIONS.CREATE : !after ? HISTORY_ACTIONS.DELETE : HISTORY_ACTIONS.UPDATE);
+    if (resolvedAction === HISTORY_ACTIONS.UPDATE && changes.length === 0) return null;
+
+    const doc = after || before;
+    const id = String(entityId || doc?._id);
+    const entry = {
+      entity,
+      entityId: id,
+      userId: userIdOf(entity, doc) || (entity === HISTORY_ENTITIES.USER ? id : null),
+      action: resolvedAction,
+      changes,
+      changedBy: toActor(actor),
+      ...(note && { note }),
+      createdAt: new Date()
+    };
+    await history().insertOne(entry, { session });
+    return entry;
+  }
+
+  // Record many new documents at once (bulk import)
+  async function recordCreated(entity, docs, { actor = null, note } = {}) {
+    if (docs.length === 0) return;
+    const now = new Date();
+    await history().insertMany(docs.map((doc) => ({
+      entity,
+      entityId: doc._id.toString(),
+      userId: userIdOf(entity, doc),
+      action: HISTORY_ACTIONS.CREATE,
+      changes: diffDocuments(null, doc),
+      changedBy: toActor(actor),
+      ...(note && { note }),
+      createdAt: now
+    })));
+  }
+
+  // Snapshot one document (by _id or a filter) before a write. Call `record()` on the result
+  // after the write; it reads the document again and records the difference.
+  async function track(entity, idOrFilter, actor, { session } = {}) {
+    const filter = isPlainObject(idOrFilter)
+      ? idOrFilter
+      : { _id: ObjectId.isValid(String(idOrFilter)) ? new ObjectId(String(idOrFilter)) : idOrFilter };
+    const before = await snapshot(entity, filter, session);
+
+    return {
+      before,
+      async record({ action, note } = {}) {
+        const after = await snapshot(entity, before ? { _id: before._id } : filter, session);
+        if (!before && !after) return null;
+        return record({ entity, before, after, action, actor, note, session });
+      }
+    };
+  }
+
+  // Entries matching `query`, newest first, with page/limit from the request
+  async function timeline(query, { page = 1, limit = 50 } = {}) {
+    const [entries, totalCount] = await Promise.all([
+      history().find(query).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      history().countDocuments(query)
+    ]);
+    return { entries, totalCount };
+  }
+
+  // Route handler for GET .../:id/history. `queryFor(req)` returns the entries to list.
+  const timelineHandler = (queryFor) => async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+      const { entries, totalCount } = await timeline(queryFor(req), { page, limit });
+
+      res.status(200).json({
+        success: true,
+        data: entries,
+        totalCount,
+        page,
+        limit,
+        hasMore: page * limit < totalCount
+      });
+    } catch (error) {
+      console.error('❌ Error fetching history:', error);
+      res.status(500).json({ success: false, message: 'Error fetching history', error: error.message });
+    }
+  };
+
+  return { initialize, record, recordCreated, track, timeline, timelineHandler };
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  HISTORY_ENTITIES,
+  createHistory,
+  diffDocuments
+};
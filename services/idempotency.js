@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// ============ IDEMPOTENCY KEYS ============
+// Clients on flaky connections retry requests that already went through. Payment-creating
+// endpoints accept an Idempotency-Key header: the first request with a key runs normally and
+// its response is stored; a repeat with the same key inside the window gets the stored
+// response back instead of running again.
+//
+// Keys are scoped to the logged-in employee and the route, so two collectors can never
+// collide on the same key.
+
+const IDEMPOTENCY_WINDOW_HOURS = parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequestBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+function createIdempotency({ getDb }) {
+  const keys = () => getDb().collection('idempotency_keys');
+
+  async function initialize() {
+    await keys().createIndex({ key: 1, scope: 1 }, { unique: true });
+    // Keys are removed by MongoDB automatically once the window has passed
+    await keys().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  }
+
+  // Middleware for a single route: app.post('/api/x', idempotent, handler)
+  async function idempotent(req, res, next) {
+    const key = req.get('idempotency-key');
+    if (!key) {
+      return next();
+    }
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const scope = `${req.user?.id || req.user?.name || 'anonymous'}:${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+    const now = new Date();
+
+    try {
+      await keys().insertOne({
+        key,
+        scope,
+        requestHash,
+        status: 'pending',
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        console.error('❌ Error saving idempotency key:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Error checking Idempotency-Key',
+          error: error.message
+        });
+      }
+
+      // Duplicate key: this request has been seen before
+      const existing = await keys().findOne({ key, scope }).catch(() => null);
+      if (!existing) {
+        // Expired (or unreadable) between the insert and the lookup - let the client retry
+        return res.status(409).json({ success: false, message: 'Please retry the request' });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      console.log(`🔁 Replaying response for Idempotency-Key ${key} (${scope})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Store the outcome before the response goes out (serverless functions may be frozen
+    // right after responding). Server errors are not stored so the client can retry them
+    // with the same key.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const saved = res.statusCode < 500
+        ? keys().updateOne(
+          { key, scope },
+          { $set: { status: 'completed', response: { statusCode: res.statusCode, body }, completedAt: new Date() } }
+        )
+        : keys().deleteOne({ key, scope });
+
+      saved
+        .catch(error => console.error('❌ Error storing idempotent response:', error))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  }
+
+  return { initialize, idempotent };
+}
+
+module.exports = { createIdempotency };
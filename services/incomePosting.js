@@ -0,0 +1,62 @@
+const { ledger } = require('./index');
+const { LEDGER_TYPES, ACCOUNTS, debit, credit } = require('./ledger');
+const { WALLET_PAYMENT_METHOD } = require('./wallet');
+
+// ============ INCOME POSTING ============
+// Ledger entries for voucher payments and refunds, used by the vouchers and refunds routes.
+
+// Post the payments recorded in voucher months (as saved, with their status worked out from the
+// amounts) to the ledger.
+// Every payment goes to the receiver's cashIncome (as the incomes view has always done for vouchers).
+// Payments drawn from the wallet are left out: the wallet posted them when they were drawn.
+async function postVoucherPayments(months, { userId, userName, voucherId }, actor) {
+  for (const month of months) {
+    if (month.status !== 'paid' && month.status !== 'partial') {
+      continue;
+    }
+
+    // New structure: paymentHistory entries; old structure: single receivedBy field
+    const paymentHistory = month.paymentHistory || [];
+    const payments = paymentHistory.length > 0
+      ? paymentHistory.map(payment => ({ receiver: payment.receivedBy || 'Admin', amount: parseFloat(payment.amount) || 0, paymentMethod: payment.paymentMethod }))
+      : month.receivedBy
+        ? [{ receiver: month.receivedBy, amount: parseFloat(month.paidAmount) || 0, paymentMethod: month.paymentMethod }]
+        : [];
+
+    for (const { receiver, amount, paymentMethod } of payments) {
+      if (amount <= 0 || paymentMethod === WALLET_PAYMENT_METHOD) continue;
+
+      await ledger.post({
+        type: LEDGER_TYPES.PAYMENT,
+        description: `${userName || 'Customer'} - ${month.month} (${paymentMethod || 'Cash'})`,
+        lines: [debit(ACCOUNTS.CASH, amount, receiver), credit(ACCOUNTS.REVENUE, amount)],
+        ref: { userId, voucherId, month: month.month },
+        actor
+      });
+      console.log(`💰 Income updated: ${receiver} +Rs${amount}`);
+    }
+  }
+}
+
+// Reversed months are owed back to the customer (refunds_payable) until they are paid again.
+// opening: true when a refund is recorded, false when it is cleared.
+async function postRefundToLedger({ opening, refundedMonths, userId, userName, voucherId, description }, actor, session = undefined) {
+  const amount = (refundedMonths || []).reduce((sum, m) => sum + (Number(m.refundedAmount) || 0), 0);
+  const months = (refundedMonths || []).map(m => m.month).join(', ');
+
+  return ledger.post({
+    type: LEDGER_TYPES.REFUND,
+    description: description || `${opening ? 'Refund recorded' : 'Refund cleared'} for ${userName || 'Customer'}${months ? ` (${months})` : ''}`,
+    lines: opening
+      ? [debit(ACCOUNTS.REVENUE, amount), credit(ACCOUNTS.REFUNDS_PAYABLE, amount, userName || userId)]
+      : [debit(ACCOUNTS.REFUNDS_PAYABLE, amount, userName || userId), credit(ACCOUNTS.REVENUE, amount)],
+    ref: { userId: userId || null, voucherId: voucherId || null },
+    actor,
+    session
+  });
+}
+
+module.exports = {
+  postRefundToLedger,
+  postVoucherPayments
+};
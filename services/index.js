@@ -0,0 +1,30 @@
+const { getDb } = require('../db');
+const { createAuth } = require('./auth');
+const { createLedger } = require('./ledger');
+const { createIdempotency } = require('./idempotency');
+const { createHistory } = require('./history');
+const { createPortal } = require('./portal');
+
+// Shared instances, bound to the app's database connection
+const auth = createAuth({ getDb });
+
+// Every money movement is posted here; the incomes collection is derived from it
+const ledger = createLedger({ getDb });
+
+// Idempotency-Key support for payment-creating routes (see idempotency.js)
+const idempotency = createIdempotency({ getDb });
+
+// Before/after record of every change to users, vouchers, packages and employees
+const history = createHistory({ getDb });
+
+// Customer portal login (one-time codes and customer sessions)
+const portal = createPortal({ getDb });
+
+module.exports = {
+  auth,
+  history,
+  idempotency,
+  idempotent: idempotency.idempotent,
+  ledger,
+  portal
+};
@@ -0,0 +1,199 @@
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { history } = require('./index');
+const { daysBetween, parseDate } = require('./dates');
+const { periodOf } = require('./periods');
+const { HISTORY_ENTITIES } = require('./history');
+const { settleMonth } = require('./proration');
+const { notArchivedFilter, recalculateUserStatus } = require('./status');
+const { findVouchers, saveMonths } = require('./voucherMonths');
+
+// ============ LATE FEES ============
+// Rules in the late_fee_rules collection charge a penalty on voucher months that are still owed
+// some days after the month's date. A rule is { name, type, amount, afterDays, packageName, active }:
+// - type 'flat' charges `amount` rupees; 'percentage' charges `amount` percent of the month's fee
+//   after discount (rounded to whole rupees)
+// - packageName limits it to one package; without one it applies to every package. A package with
+//   rules of its own uses only those.
+// Each rule charges a month at most once, so rules with different afterDays add up as steps.
+// The charge is a 'late_fee' line in the month's adjustments, like the package change proration.
+//
+// The daily expiry processing applies the rules. An admin can waive a month's late fees with a
+// reason: the fee lines are marked waived and a 'late_fee_waiver' credit line cancels them.
+
+const LATE_FEE_TYPES = { FLAT: 'flat', PERCENTAGE: 'percentage' };
+const LATE_FEE_LINE = 'late_fee';
+const WAIVER_LINE = 'late_fee_waiver';
+const MAX_AFTER_DAYS = 365;
+
+// Months that can be charged: something is still owed on them
+const OWED_STATUSES = ['unpaid', 'partial'];
+
+const monthStart = (month) => (month.date || month.createdAt ? parseDate(month.date || month.createdAt) : null);
+
+// Validate rule fields. With `partial` (updates) only the given fields are checked.
+// Returns { error } or { rule } with the cleaned fields.
+function validateRule(fields, { partial = false } = {}) {
+  const rule = {};
+  const has = (field) => fields[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) return { error: 'name is required' };
+    rule.name = fields.name.trim();
+  }
+  if (!partial || has('type')) {
+    if (!Object.values(LATE_FEE_TYPES).includes(fields.type)) {
+      return { error: `type must be ${Object.values(LATE_FEE_TYPES).join(' or ')}` };
+    }
+    rule.type = fields.type;
+  }
+  if (!partial || has('amount')) {
+    const amount = Number(fields.amount);
+    if (!(amount > 0)) return { error: 'amount must be a number above 0' };
+    rule.amount = amount;
+  }
+  if (!partial || has('afterDays')) {
+    const afterDays = Number(fields.afterDays);
+    if (!Number.isInteger(afterDays) || afterDays < 1 || afterDays > MAX_AFTER_DAYS) {
+      return { error: `afterDays must be a whole number of days from 1 to ${MAX_AFTER_DAYS}` };
+    }
+    rule.afterDays = afterDays;
+  }
+  if (has('packageName')) {
+    rule.packageName = typeof fields.packageName === 'string' && fields.packageName.trim()
+      ? fields.packageName.trim()
+      : null;
+  } else if (!partial) {
+    rule.packageName = null;
+  }
+  if (has('active')) {
+    rule.active = fields.active === true || fields.active === 'true';
+  } else if (!partial) {
+    rule.active = true;
+  }
+
+  const type = rule.type || fields.type;
+  if (type === LATE_FEE_TYPES.PERCENTAGE && rule.amount > 100) {
+    return { error: 'A percentage amount must be at most 100' };
+  }
+  return { rule };
+}
+
+// The rules for a package: its own rules if it has any, otherwise the global ones
+const rulesForPackage = (rules, packageName) => {
+  const own = rules.filter((rule) => rule.packageName && rule.packageName === packageName);
+  return own.length > 0 ? own : rules.filter((rule) => !rule.packageName);
+};
+
+const feeFor = (rule, month) => {
+  if (rule.type === LATE_FEE_TYPES.FLAT) return Math.round(rule.amount);
+  const fee = Number(month.packageFee || 0) - Number(month.discount || 0);
+  return Math.round(Math.max(0, fee) * rule.amount / 100);
+};
+
+// Late fee lines due on a month now (rules it has not been charged by yet)
+function dueLateFees(month, rules, now = new Date()) {
+  const start = monthStart(month);
+  if (!OWED_STATUSES.includes(month.status) || !start || Number(month.remainingAmount ?? 1) <= 0) return [];
+
+  const daysLate = daysBetween(start, now);
+  const charged = new Set((month.adjustments || [])
+    .filter((line) => line.type === LATE_FEE_LINE)
+    .map((line) => line.ruleId));
+
+  return rules
+    .filter((rule) => daysLate >= rule.afterDays && !charged.has(rule._id.toString()))
+    .map((rule) => ({ rule, amount: feeFor(rule, month) }))
+    .filter(({ amount }) => amount > 0)
+    .map(({ rule, amount }) => ({
+      id: new ObjectId().toString(),
+      type: LATE_FEE_LINE,
+      amount,
+      description: `Late fee: ${rule.name} (${daysLate} days late)`,
+      ruleId: rule._id.toString(),
+      ruleName: rule.name,
+      daysLate,
+      createdAt: now,
+      createdBy: 'System'
+    }));
+}
+
+// Charge the late fee rules on every owed month of active users. With dryRun nothing is written.
+// Returns { scanned, charged: [{ userId, userName, month, periodKey, amount, rules }], totalAmount }.
+async function applyLateFees({ dryRun = false, now = new Date() } = {}) {
+  const rules = await collections.lateFeeRules.find({ active: true }).toArray();
+  if (rules.length === 0) return { scanned: 0, charged: [], totalAmount: 0 };
+
+  // Vouchers with their owed months only
+  const vouchers = await findVouchers({}, { months: { status: { $in: OWED_STATUSES } } });
+  const activeUsers = await collections.users.find({
+    _id: { $in: vouchers.filter((voucher) => ObjectId.isValid(String(voucher.userId))).map((voucher) => new ObjectId(String(voucher.userId))) },
+    ...notArchivedFilter
+  }).project({ userName: 1, packageName: 1 }).toArray();
+  const usersById = new Map(activeUsers.map((user) => [user._id.toString(), user]));
+
+  const charged = [];
+  for (const voucher of vouchers) {
+    const user = usersById.get(String(voucher.userId));
+    if (!user || !Array.isArray(voucher.months)) continue;
+
+    let changed = false;
+    const months = voucher.months.map((month) => {
+      const lines = dueLateFees(month, rulesForPackage(rules, month.packageName || user.packageName), now);
+      if (lines.length === 0) return month;
+
+      changed = true;
+      const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+      charged.push({ userId: user._id, userName: user.userName, month: month.month, periodKey: periodOf(month)?.key || null, amount, rules: lines.map((line) => line.ruleName) });
+      return settleMonth({ ...month, adjustments: [...(month.adjustments || []), ...lines], updatedAt: now }).month;
+    });
+
+    if (changed && !dryRun) {
+      const change = await history.track(HISTORY_ENTITIES.VOUCHER, voucher._id, null);
+      await saveMonths(voucher, months);
+      await collections.vouchers.updateOne({ _id: voucher._id }, { $set: { updatedAt: now } });
+      await change.record({ note: 'Late fees' });
+      await recalculateUserStatus(user._id);
+    }
+  }
+
+  const totalAmount = charged.reduce((sum, charge) => sum + charge.amount, 0);
+  console.log(`⏰ Late fees: ${charged.length} months ${dryRun ? 'would be charged' : 'charged'} ${totalAmount} in total (${vouchers.length} vouchers checked)`);
+  return { scanned: vouchers.length, charged, totalAmount };
+}
+
+// Waive a month's late fees (all that are not waived yet, or the one with `feeId`).
+// Returns { error } or { month, waived, amount, excessCredit }: excessCredit is what a month paid
+// in full now has paid beyond what it owes, for the wallet.
+function waiveLateFees(month, { feeId, reason, actor, now = new Date() }) {
+  const open = (month.adjustments || []).filter((line) =>
+    line.type === LATE_FEE_LINE && !line.waivedAt && (!feeId || line.id === feeId));
+  if (open.length === 0) {
+    return { error: feeId ? `Late fee ${feeId} not found or already waived on ${month.month}` : `${month.month} has no late fees to waive` };
+  }
+
+  const amount = open.reduce((sum, line) => sum + Number(line.amount || 0), 0);
+  const waiver = {
+    id: new ObjectId().toString(),
+    type: WAIVER_LINE,
+    amount: -amount,
+    description: `Late fee waived: ${reason}`,
+    waives: open.map((line) => line.id),
+    reason,
+    createdAt: now,
+    createdBy: actor?.name
+  };
+  const adjustments = (month.adjustments || []).map((line) => (open.includes(line)
+    ? { ...line, waivedAt: now, waivedBy: actor?.name, waiverReason: reason }
+    : line));
+
+  const { month: settled, excessCredit } = settleMonth({ ...month, adjustments: [...adjustments, waiver], updatedAt: now });
+  return { month: settled, waived: open.map((line) => line.id), amount, excessCredit };
+}
+
+module.exports = {
+  LATE_FEE_TYPES,
+  applyLateFees,
+  validateRule,
+  waiveLateFees
+};
@@ -0,0 +1,439 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { DATE_FORMATS, dayRangeFor } = require('./dates');
+
+// ============ LEDGER ============
+// Append-only double-entry journal of every money movement: payments, transfers,
+// settlements, expenses, refunds, reversals and manual adjustments.
+//
+// Each entry has lines that debit and credit accounts; debits always equal credits.
+// Entries are never updated or deleted - a mistake is corrected by posting another entry.
+//
+// The incomes collection (cashIncome / bankIncome per person) is a derived view of the
+// "cash" and "bank" account lines grouped by holder. Every post updates it in the same
+// call, and /api/ledger/rebuild-incomes recalculates it from scratch.
+
+const LEDGER_TYPES = {
+  PAYMENT: 'payment',
+  TRANSFER: 'transfer',
+  SETTLEMENT: 'settlement',
+  EXPENSE: 'expense',
+  REFUND: 'refund',
+  REVERSAL: 'reversal',
+  ADJUSTMENT: 'adjustment',
+  WALLET: 'wallet'
+};
+
+const ACCOUNTS = {
+  CASH: 'cash',                        // money held in hand by a person (holder)
+  BANK: 'bank',                        // money received in a person's bank account (holder)
+  REVENUE: 'revenue',                  // subscription fees earned
+  EXPENSES: 'expenses',                // money spent (holder = category)
+  PAYOUTS: 'payouts',                  // who paid an expense (holder = payer, not part of incomes)
+  REFUNDS_PAYABLE: 'refunds_payable',  // reversed payments owed back to a customer (holder = customer)
+  CUSTOMER_CREDIT: 'customer_credit',  // wallet credit held for a customer (holder = customer)
+  EQUITY: 'equity'                     // opening balances and manual corrections
+};
+
+// Accounts that make up the incomes view, mapped to their incomes field
+const INCOME_FIELDS = {
+  [ACCOUNTS.CASH]: 'cashIncome',
+  [ACCOUNTS.BANK]: 'bankIncome'
+};
+
+const roundAmount = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const holderRegex = (holder) => new RegExp(`^${escapeRegex(String(holder).trim())}$`, 'i');
+
+const holderKey = (holder) => String(holder || '').trim().toLowerCase();
+
+const debit = (account, amount, holder = null) => ({ account, holder, debit: roundAmount(amount), credit: 0 });
+
+const credit = (account, amount, holder = null) => ({ account, holder, debit: 0, credit: roundAmount(amount) });
+
+// Lines for moving cash between two people (fee collector -> Admin)
+const cashMovement = (from, to, amount) => [
+  debit(ACCOUNTS.CASH, amount, to),
+  credit(ACCOUNTS.CASH, amount, from)
+];
+
+// Only the fields worth keeping from req.user
+const toActor = (user) => (user ? { id: user.id || null, name: user.name, role: user.role } : null);
+
+// Check that an entry has valid lines and that debits equal credits
+function validateLines(lines) {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('A ledger entry needs at least two lines');
+  }
+
+  let totalDebit = 0;
+  let totalCredit = 0;
+  for (const line of lines) {
+    if (!Object.values(ACCOUNTS).includes(line.account)) {
+      throw new Error(`Unknown ledger account: ${line.account}`);
+    }
+    if (INCOME_FIELDS[line.account] && !String(line.holder || '').trim()) {
+      throw new Error(`Ledger account "${line.account}" requires a holder`);
+    }
+    if (!(line.debit >= 0) || !(line.credit >= 0)) {
+      throw new Error('Ledger amounts must be positive numbers');
+    }
+    totalDebit += line.debit;
+    totalCredit += line.credit;
+  }
+
+  if (roundAmount(totalDebit) <= 0) {
+    throw new Error('A ledger entry must move a positive amount');
+  }
+  if (roundAmount(totalDebit) !== roundAmount(totalCredit)) {
+    throw new Error(`Unbalanced ledger entry: debits ${roundAmount(totalDebit)} != credits ${roundAmount(totalCredit)}`);
+  }
+
+  return roundAmount(totalDebit);
+}
+
+// Net change per holder to the incomes view: { holderKey: { name, cashIncome, bankIncome } }
+function incomeDeltas(lines) {
+  const deltas = {};
+  for (const line of lines) {
+    const field = INCOME_FIELDS[line.account];
+    if (!field) continue;
+
+    const key = holderKey(line.holder);
+    if (!deltas[key]) {
+      deltas[key] = { name: String(line.holder).trim(), cashIncome: 0, bankIncome: 0 };
+    }
+    deltas[key][field] = roundAmount(deltas[key][field] + line.debit - line.credit);
+  }
+  return deltas;
+}
+
+// Build the ledger on top of the app's database handle (same lazy pattern as auth)
+function createLedger({ getDb }) {
+  const ledger = () => getDb().collection('ledger');
+  const incomes = () => getDb().collection('incomes');
+
+  async function initialize() {
+    await ledger().createIndex({ createdAt: -1 });
+    await ledger().createIndex({ 'lines.holder': 1, createdAt: -1 });
+    await ledger().createIndex({ type: 1, createdAt: -1 });
+    await ledger().createIndex({ 'ref.userId': 1 });
+  }
+
+  // Apply an entry's cash/bank lines to the incomes view
+  async function applyToIncomes(lines, session) {
+    for (const delta of Object.values(incomeDeltas(lines))) {
+      if (delta.cashIncome === 0 && delta.bankIncome === 0) continue;
+
+      await incomes().updateOne(
+        { name: holderRegex(delta.name) },
+        {
+          $inc: { cashIncome: delta.cashIncome, bankIncome: delta.bankIncome },
+          $set: { lastUpdated: new Date() },
+          $setOnInsert: { name: delta.name, createdAt: new Date() }
+        },
+        { upsert: true, session }
+      );
+    }
+  }
+
+  // Post one entry. Pass applyToIncomes: false only when the incomes view was already changed.
+  // ref links the entry to the records it came from (userId, voucherId, month, transferId, expenseId...)
+  // Pass the session when posting inside a transaction.
+  async function post({ type, description, lines, ref = {}, actor = null, date = null, applyToIncomes: apply = true, session = undefined }) {
+    if (!Object.values(LEDGER_TYPES).includes(type)) {
+      throw new Error(`Unknown ledger entry type: ${type}`);
+    }
+
+    // Zero-amount lines carry no information; an entry made only of them is not posted
+    const entryLines = lines.filter(line => line.debit !== 0 || line.credit !== 0);
+    if (entryLines.length === 0) {
+      return null;
+    }
+    const amount = validateLines(entryLines);
+    const now = new Date();
+
+    const entry = {
+      type,
+      description: description || '',
+      amount,
+      lines: entryLines.map(line => ({
+        account: line.account,
+        holder: line.holder ? String(line.holder).trim() : null,
+        debit: line.debit,
+        credit: line.credit
+      })),
+      ref,
+      postedBy: toActor(actor),
+      date: date ? new Date(date) : now,
+      createdAt: now
+    };
+
+    const result = await ledger().insertOne(entry, { session });
+    entry._id = result.insertedId;
+
+    if (apply) {
+      await applyToIncomes(entry.lines, session);
+    }
+
+    console.log(`📒 Ledger ${type}: Rs ${amount} - ${entry.description}`);
+    return entry;
+  }
+
+  // Post an adjustment that moves a person's incomes balance to the given target values
+  async function adjustBalance({ holder, cashIncome, bankIncome, description, ref = {}, actor = null, applyToIncomes: apply = true, current = null, session = undefined }) {
+    const record = current || await incomes().findOne({ name: holderRegex(holder) }, { session }) || {};
+    const lines = [];
+
+    for (const [account, field] of Object.entries(INCOME_FIELDS)) {
+      const target = field === 'cashIncome' ? cashIncome : bankIncome;
+      if (target === undefined) continue;
+
+      const change = roundAmount(target - (record[field] || 0));
+      if (change > 0) {
+        lines.push(debit(account, change, holder), credit(ACCOUNTS.EQUITY, change));
+      } else if (change < 0) {
+        lines.push(credit(account, -change, holder), debit(ACCOUNTS.EQUITY, -change));
+      }
+    }
+
+    if (lines.length === 0) {
+      return null;
+    }
+
+    return post({ type: LEDGER_TYPES.ADJUSTMENT, description, lines, ref, actor, applyToIncomes: apply, session });
+  }
+
+  // Balances per holder of the cash/bank accounts as the ledger sees them
+  async function derivedIncomes() {
+    const rows = await ledger().aggregate([
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': { $in: Object.keys(INCOME_FIELDS) } } },
+      {
+        $group: {
+          _id: { holder: { $toLower: { $trim: { input: '$lines.holder' } } }, account: '$lines.account' },
+          name: { $first: '$lines.holder' },
+          balance: { $sum: { $subtract: ['$lines.debit', '$lines.credit'] } }
+        }
+      }
+    ]).toArray();
+
+    const balances = {};
+    for (const row of rows) {
+      const key = row._id.holder;
+      if (!balances[key]) {
+        balances[key] = { name: row.name, cashIncome: 0, bankIncome: 0 };
+      }
+      balances[key][INCOME_FIELDS[row._id.account]] = roundAmount(row.balance);
+    }
+    return balances;
+  }
+
+  // Compare the incomes view with the ledger without changing anything
+  async function reconcile() {
+    const derived = await derivedIncomes();
+    const records = await incomes().find({}).toArray();
+    const seen = new Set();
+    const differences = [];
+
+    for (const record of records) {
+      const key = holderKey(record.name);
+      seen.add(key);
+      const expected = derived[key] || { cashIncome: 0, bankIncome: 0 };
+      const cashDifference = roundAmount((record.cashIncome || 0) - expected.cashIncome);
+      const bankDifference = roundAmount((record.bankIncome || 0) - expected.bankIncome);
+
+      if (cashDifference !== 0 || bankDifference !== 0) {
+        differences.push({
+          name: record.name,
+          incomes: { cashIncome: record.cashIncome || 0, bankIncome: record.bankIncome || 0 },
+          ledger: { cashIncome: expected.cashIncome, bankIncome: expected.bankIncome },
+          cashDifference,
+          bankDifference
+        });
+      }
+    }
+
+    for (const [key, expected] of Object.entries(derived)) {
+      if (seen.has(key) || (expected.cashIncome === 0 && expected.bankIncome === 0)) continue;
+      differences.push({
+        name: expected.name,
+        incomes: null,
+        ledger: { cashIncome: expected.cashIncome, bankIncome: expected.bankIncome },
+        cashDifference: -expected.cashIncome,
+        bankDifference: -expected.bankIncome
+      });
+    }
+
+    return { inBalance: differences.length === 0, checked: records.length, differences };
+  }
+
+  // Rewrite cashIncome / bankIncome of every incomes record from the ledger
+  async function rebuildIncomes() {
+    const derived = await derivedIncomes();
+    const records = await incomes().find({}).toArray();
+    const changes = [];
+
+    for (const record of records) {
+      const key = holderKey(record.name);
+      const expected = derived[key] || { cashIncome: 0, bankIncome: 0 };
+      delete derived[key];
+
+      if ((record.cashIncome || 0) !== expected.cashIncome || (record.bankIncome || 0) !== expected.bankIncome) {
+        await incomes().updateOne(
+          { _id: record._id },
+          { $set: { cashIncome: expected.cashIncome, bankIncome: expected.bankIncome, lastUpdated: new Date() } }
+        );
+        changes.push({
+          name: record.name,
+          before: { cashIncome: record.cashIncome || 0, bankIncome: record.bankIncome || 0 },
+          after: { cashIncome: expected.cashIncome, bankIncome: expected.bankIncome }
+        });
+      }
+    }
+
+    // Holders that have ledger activity but no incomes record yet
+    for (const expected of Object.values(derived)) {
+      await incomes().insertOne({
+        name: expected.name,
+        cashIncome: expected.cashIncome,
+        bankIncome: expected.bankIncome,
+        createdAt: new Date(),
+        lastUpdated: new Date()
+      });
+      changes.push({ name: expected.name, before: null, after: { cashIncome: expected.cashIncome, bankIncome: expected.bankIncome } });
+    }
+
+    return { checked: records.length, changes };
+  }
+
+  // Post an opening-balance adjustment for every incomes record the ledger does not explain yet.
+  // Safe to run more than once: a second run finds no differences.
+  async function recordOpeningBalances(actor = null) {
+    const { differences } = await reconcile();
+    const entries = [];
+
+    for (const difference of differences) {
+      if (!difference.incomes) continue;
+
+      const entry = await adjustBalance({
+        holder: difference.name,
+        cashIncome: difference.incomes.cashIncome,
+        bankIncome: difference.incomes.bankIncome,
+        current: difference.ledger,
+        description: `Opening balance for ${difference.name}`,
+        ref: { migration: 'ledger-opening-balances' },
+        actor,
+        applyToIncomes: false
+      });
+      if (entry) entries.push(entry);
+    }
+
+    return entries;
+  }
+
+  const router = express.Router();
+
+  // GET /api/ledger - list entries (newest first) with optional filters
+  // Query: holder, type, userId, fromDate, toDate (YYYY-MM-DD, business timezone), page, limit
+  router.get('/', async (req, res) => {
+    try {
+      const { holder, type, userId, fromDate, toDate } = req.query;
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+      const query = {};
+      if (holder) query['lines.holder'] = holderRegex(holder);
+      if (type) query.type = type;
+      if (userId) query['ref.userId'] = userId;
+      if (fromDate || toDate) {
+        const fromRange = fromDate && dayRangeFor(fromDate);
+        const toRange = toDate && dayRangeFor(toDate);
+        if (fromRange === null || toRange === null) {
+          return res.status(400).json({ success: false, message: `Invalid fromDate or toDate. Use ${DATE_FORMATS}` });
+        }
+        query.date = {};
+        if (fromRange) query.date.$gte = fromRange.$gte;
+        if (toRange) query.date.$lt = toRange.$lt;
+      }
+
+      const [entries, totalCount] = await Promise.all([
+        ledger().find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        ledger().countDocuments(query)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: entries,
+        totalCount,
+        page,
+        limit,
+        hasMore: page * limit < totalCount
+      });
+    } catch (error) {
+      console.error('❌ Error fetching ledger:', error);
+      res.status(500).json({ success: false, message: 'Error fetching ledger', error: error.message });
+    }
+  });
+
+  // GET /api/ledger/reconcile - differences between the incomes view and the ledger
+  router.get('/reconcile', async (req, res) => {
+    try {
+      const result = await reconcile();
+      res.status(200).json({ success: true, data: result });
+    } catch (error) {
+      console.error('❌ Error reconciling ledger:', error);
+      res.status(500).json({ success: false, message: 'Error reconciling ledger', error: error.message });
+    }
+  });
+
+  // GET /api/ledger/:id - one entry
+  router.get('/:id', async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ success: false, message: 'Invalid ledger entry ID' });
+      }
+
+      const entry = await ledger().findOne({ _id: new ObjectId(req.params.id) });
+      if (!entry) {
+        return res.status(404).json({ success: false, message: 'Ledger entry not found' });
+      }
+
+      res.status(200).json({ success: true, data: entry });
+    } catch (error) {
+      console.error('❌ Error fetching ledger entry:', error);
+      res.status(500).json({ success: false, message: 'Error fetching ledger entry', error: error.message });
+    }
+  });
+
+  // POST /api/ledger/rebuild-incomes - recalculate every incomes balance from the ledger
+  router.post('/rebuild-incomes', async (req, res) => {
+    try {
+      console.log(`📒 Rebuilding incomes from ledger (requested by ${req.user?.name || 'unknown'})`);
+      const result = await rebuildIncomes();
+      console.log(`✅ Incomes rebuilt: ${result.changes.length} of ${result.checked} records changed`);
+
+      res.status(200).json({
+        success: true,
+        message: `Incomes rebuilt from ledger (${result.changes.length} records changed)`,
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ Error rebuilding incomes:', error);
+      res.status(500).json({ success: false, message: 'Error rebuilding incomes', error: error.message });
+    }
+  });
+
+  return { initialize, post, adjustBalance, reconcile, rebuildIncomes, recordOpeningBalances, router };
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  ACCOUNTS,
+  createLedger,
+  debit,
+  credit,
+  cashMovement
+};
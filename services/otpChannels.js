@@ -0,0 +1,38 @@
+// ============ ONE-TIME CODE CHANNELS ============
+// How customer portal login codes reach the subscriber. A channel is { send({ to, code, user,
+// expiresAt }) }, where `to` is the subscriber's WhatsApp or SIM number; it throws when the code
+// could not be sent. OTP_CHANNEL picks the channel (default "log").
+//
+// Only the local stub ships here. An SMS or WhatsApp gateway is added with:
+//
+//   registerOtpChannel('whatsapp', { send: async ({ to, code }) => gateway.send(to, `Code: ${code}`) });
+
+const channels = new Map();
+
+const registerOtpChannel = (name, channel) => {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error(`OTP channel "${name}" must have a send() function`);
+  }
+  channels.set(name, channel);
+};
+
+// The configured channel. Throws for an unknown OTP_CHANNEL so a typo is not silently ignored.
+const getOtpChannel = (name = process.env.OTP_CHANNEL || 'log') => {
+  const channel = channels.get(name);
+  if (!channel) {
+    throw new Error(`Unknown OTP channel "${name}". Available: ${[...channels.keys()].join(', ')}`);
+  }
+  return { name, ...channel };
+};
+
+// Local stub: writes the code to the server log instead of sending it (development and testing)
+registerOtpChannel('log', {
+  send: async ({ to, code, user }) => {
+    console.log(`📨 [OTP log channel] Login code for ${user.userName} (${to}): ${code}`);
+  }
+});
+
+module.exports = {
+  getOtpChannel,
+  registerOtpChannel
+};
@@ -0,0 +1,130 @@
+const { businessDate, parseDate, toBusinessYMD } = require('./dates');
+
+// ============ BILLING PERIODS ============
+// Every voucher month has a billing period that does not depend on the server locale:
+//   period: { key: '2025-10', year: 2025, month: 10, start, end }
+// month is 1-12; start and end are the first and last day of the billing cycle, stored like other
+// dates (12:00 business time). The cycle starts on the month's date when that falls in the month
+// (months billed on the expiry day), otherwise on the 1st. Sorting and matching use the key; the
+// month label ("October 2025") is what is shown and is generated with periodName.
+
+const LOCALES = ['en', 'ur'];
+const DEFAULT_LOCALE = 'en';
+
+const MONTH_NAMES = {
+  en: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+  ur: ['جنوری', 'فروری', 'مارچ', 'اپریل', 'مئی', 'جون', 'جولائی', 'اگست', 'ستمبر', 'اکتوبر', 'نومبر', 'دسمبر']
+};
+
+// Month names in either locale, and their first three letters (lower case) -> month number 1-12
+const MONTH_NUMBERS = new Map(Object.values(MONTH_NAMES).flatMap((names) => names.flatMap((name, i) => [
+  [name.toLowerCase(), i + 1],
+  [name.slice(0, 3).toLowerCase(), i + 1]
+])));
+
+const LABEL_PATTERN = /^(\S+?)[\s,]+(\d{4})$/;
+const KEY_PATTERN = /^(\d{4})-(\d{2})$/;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const periodKey = (year, month) => `${year}-${String(month).padStart(2, '0')}`;
+
+// ?locale= value -> a supported locale, English when it is not one
+const normalizeLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+// The period of `month` (1-12, may run past 12 or below 1) in `year`, its cycle starting on
+// `startDay` (moved to the last day in shorter months)
+const buildPeriod = (year, month, startDay = 1) => {
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const y = first.getUTCFullYear();
+  const m = first.getUTCMonth() + 1;
+  const next = new Date(Date.UTC(y, m, 1));
+  const nextStartDay = Math.min(startDay, daysInMonth(next.getUTCFullYear(), next.getUTCMonth() + 1));
+
+  return {
+    key: periodKey(y, m),
+    year: y,
+    month: m,
+    start: businessDate(y, m - 1, Math.min(startDay, daysInMonth(y, m))),
+    end: businessDate(next.getUTCFullYear(), next.getUTCMonth(), nextStartDay - 1)
+  };
+};
+
+// Month label ("October 2025", "Oct 2025", "اکتوبر 2025") or key ("2025-10") -> { year, month }, or
+// null when it is neither
+const parseMonthLabel = (label) => {
+  const text = String(label || '').trim();
+  const key = text.match(KEY_PATTERN);
+  if (key && Number(key[2]) >= 1 && Number(key[2]) <= 12) {
+    return { year: Number(key[1]), month: Number(key[2]) };
+  }
+
+  const named = text.match(LABEL_PATTERN);
+  const month = named && MONTH_NUMBERS.get(named[1].toLowerCase());
+  return month ? { year: Number(named[2]), month } : null;
+};
+
+// The billing period of a voucher month, from its label, or from its date when the label cannot be
+// read. null when it has neither.
+const periodOf = (voucherMonth) => {
+  const hasDate = Boolean(voucherMonth.date || voucherMonth.createdAt);
+  const date = hasDate ? toBusinessYMD(parseDate(voucherMonth.date || voucherMonth.createdAt)) : null;
+  const labelled = parseMonthLabel(voucherMonth.month);
+  const { year, month } = labelled || (date && { year: date.y, month: date.m + 1 }) || {};
+  if (!year) return null;
+
+  const startDay = voucherMonth.date && date.y === year && date.m + 1 === month ? date.d : 1;
+  return buildPeriod(year, month, startDay);
+};
+
+// The period after `period`, its cycle starting on the same day
+const nextPeriod = (period) => {
+  const { d } = toBusinessYMD(new Date(period.start));
+  return buildPeriod(period.year, period.month + 1, d);
+};
+
+// The calendar month today (business timezone)
+const currentPeriod = () => {
+  const { y, m } = toBusinessYMD(new Date());
+  return buildPeriod(y, m + 1);
+};
+
+// Sort order of period keys ('2025-10'), oldest first; months without one come first
+const comparePeriodKeys = (a, b) => {
+  if ((a || '') === (b || '')) return 0;
+  return (a || '') < (b || '') ? -1 : 1;
+};
+
+// Sort order of voucher months, oldest period first, then by date
+const compareMonths = (a, b) => comparePeriodKeys(periodOf(a)?.key, periodOf(b)?.key) ||
+  parseDate(a.date || a.createdAt) - parseDate(b.date || b.createdAt);
+
+// Whether two voucher months (or { month: label } / { month: key }) are of the same billing period.
+// A month whose period cannot be read matches only its own label.
+const samePeriod = (a, b) => {
+  const keyA = periodOf(a)?.key;
+  const keyB = periodOf(b)?.key;
+  return keyA && keyB ? keyA === keyB : Boolean(a.month) && a.month === b.month;
+};
+
+// Display name of a period, e.g. "October 2025" or "اکتوبر 2025"
+const periodName = (period, locale = DEFAULT_LOCALE) => `${MONTH_NAMES[normalizeLocale(locale)][period.month - 1]} ${period.year}`;
+
+// Voucher months with monthName in `locale` (the label for months without a period)
+const withMonthNames = (months, locale) => (months || []).map((month) => ({
+  ...month,
+  monthName: month.period ? periodName(month.period, locale) : month.month
+}));
+
+module.exports = {
+  buildPeriod,
+  compareMonths,
+  comparePeriodKeys,
+  currentPeriod,
+  nextPeriod,
+  normalizeLocale,
+  periodName,
+  periodOf,
+  samePeriod,
+  withMonthNames
+};
@@ -0,0 +1,304 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const jwt = require('jsonwebtoken');
+const { getOtpChannel } = require('./otpChannels');
+const { notArchivedFilter } = require('./status');
+
+// ============ CUSTOMER PORTAL LOGIN ============
+// Subscribers log in to the customer portal with their userId and a one-time code sent to their
+// WhatsApp (or SIM) number through an OTP channel (see otpChannels.js). A verified code opens a
+// portal session; its access token only works on /api/portal, never on the staff API, and only
+// for that subscriber's own data.
+//
+// Codes are 6 digits, valid for OTP_TTL_MINUTES, and stored as an HMAC. A code allows
+// OTP_MAX_ATTEMPTS wrong guesses; a new one can be requested after OTP_RESEND_SECONDS. Each login
+// endpoint takes LOGIN_RATE_LIMIT calls per IP and per userId in LOGIN_RATE_WINDOW_MINUTES.
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const PORTAL_TOKEN_TTL = process.env.PORTAL_TOKEN_TTL || '12h';
+const PORTAL_AUDIENCE = 'portal';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const LOGIN_RATE_LIMIT = 10;
+const LOGIN_RATE_WINDOW_MINUTES = 15;
+
+// Same answer whether or not the userId exists, so the endpoint cannot be used to find users
+const CODE_SENT_MESSAGE = 'If this user ID is registered, a login code has been sent to its phone number';
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+const hashCode = (userId, code) =>
+  crypto.createHmac('sha256', JWT_SECRET).update(`${userId}:${code}`).digest('hex');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// 03001234567 -> *******4567
+const maskNumber = (number) => String(number).replace(/\d(?=\d{4})/g, '*');
+
+// Build the portal login on top of the app's database handle (same lazy pattern as auth)
+function createPortal({ getDb }) {
+  const users = () => getDb().collection('users');
+  const otps = () => getDb().collection('portal_otps');
+  const sessions = () => getDb().collection('portal_sessions');
+  const loginCounters = () => getDb().collection('portal_login_counters');
+
+  async function initialize() {
+    // Expired codes and sessions are removed by MongoDB automatically
+    await otps().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await otps().createIndex({ userId: 1 });
+    await sessions().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await loginCounters().createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await loginCounters().createIndex({ key: 1, windowStart: 1 }, { unique: true });
+  }
+
+  // Count a call to login endpoint `action` from the request's IP and for `userId`. Returns the
+  // seconds until the window ends when either is over LOGIN_RATE_LIMIT, otherwise 0.
+  async function rateLimited(action, req, userId) {
+    const windowMs = LOGIN_RATE_WINDOW_MINUTES * 60000;
+    const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+    const expiresAt = new Date(windowStart.getTime() + windowMs);
+    const keys = [`${action}:ip:${req.ip}`, `${action}:user:${String(userId).trim()}`];
+
+    let limited = false;
+    for (const key of keys) {
+      const counter = await loginCounters().findOneAndUpdate(
+        { key, windowStart },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      if (counter.count > LOGIN_RATE_LIMIT) limited = true;
+    }
+    return limited ? Math.ceil((expiresAt.getTime() - Date.now()) / 1000) : 0;
+  }
+
+  const tooManyAttemptsResponse = (res, waitSeconds) => res.status(429).json({
+    success: false,
+    message: `Too many login attempts. Please try again in ${Math.ceil(waitSeconds / 60)} minutes`,
+    retryAfterSeconds: waitSeconds
+  });
+
+  // The one non-archived subscriber with this userId, or null (also when it is not unique)
+  async function findSubscriber(userId) {
+    const matches = await users().find({ userId: String(userId).trim(), ...notArchivedFilter }).limit(2).toArray();
+    if (matches.length > 1) {
+      console.warn(`⚠️ Portal login: userId ${userId} belongs to ${matches.length}+ users`);
+      return null;
+    }
+    return matches[0] || null;
+  }
+
+  async function issueSession(user, req) {
+    if (!JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is not set');
+    }
+
+    const sessionId = new ObjectId();
+    const accessToken = jwt.sign(
+      { sub: user._id.toString(), name: user.userName, sid: sessionId.toString() },
+      JWT_SECRET,
+      { expiresIn: PORTAL_TOKEN_TTL, audience: PORTAL_AUDIENCE }
+    );
+    const expiresAt = new Date(jwt.decode(accessToken).exp * 1000);
+
+    await sessions().insertOne({
+      _id: sessionId,
+      userId: user._id.toString(),
+      ip: req.ip,
+      userAgent: req.get('user-agent') || '',
+      createdAt: new Date(),
+      expiresAt,
+      revokedAt: null
+    });
+
+    return { accessToken, tokenType: 'Bearer', accessTokenExpiresAt: expiresAt };
+  }
+
+  // Verify a portal access token and attach req.customer ({ id, userId, userName, sessionId })
+  async function authenticate(req, res, next) {
+    try {
+      const [scheme, token] = (req.get('authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ success: false, message: 'Authentication required' });
+      }
+
+      if (!JWT_SECRET) {
+        throw new Error('JWT_SECRET environment variable is not set');
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, JWT_SECRET, { audience: PORTAL_AUDIENCE });
+      } catch (tokenError) {
+        return res.status(401).json({
+          success: false,
+          message: tokenError.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+        });
+      }
+
+      const session = ObjectId.isValid(payload.sid)
+        ? await sessions().findOne({ _id: new ObjectId(payload.sid), revokedAt: null })
+        : null;
+      const user = session && ObjectId.isValid(session.userId)
+        ? await users().findOne({ _id: new ObjectId(session.userId), ...notArchivedFilter }, { projection: { userId: 1, userName: 1 } })
+        : null;
+
+      if (!session || session.expiresAt <= new Date() || !user) {
+        return res.status(401).json({ success: false, message: 'Session has ended, please log in again' });
+      }
+
+      req.customer = {
+        id: user._id.toString(),
+        userId: user.userId,
+        userName: user.userName,
+        sessionId: session._id
+      };
+      next();
+    } catch (error) {
+      console.error('Portal authentication error:', error);
+      res.status(500).json({ success: false, message: 'Error verifying session', error: error.message });
+    }
+  }
+
+  const router = express.Router();
+
+  // POST /api/portal/login/request - send a login code. Body: { userId }
+  router.post('/login/request', async (req, res) => {
+    try {
+      const { userId } = req.body;
+      if (!userId || !String(userId).trim()) {
+        return res.status(400).json({ success: false, message: 'userId is required' });
+      }
+
+      const limitedFor = await rateLimited('request', req, userId);
+      if (limitedFor > 0) return tooManyAttemptsResponse(res, limitedFor);
+
+      const user = await findSubscriber(userId);
+      const to = user && (user.whatsappNo || user.simNo);
+      if (!to) {
+        if (user) console.warn(`⚠️ Portal login: ${user.userName} has no phone number for a code`);
+        return res.status(200).json({ success: true, message: CODE_SENT_MESSAGE });
+      }
+
+      const lastCode = await otps().findOne({ userId: user._id.toString() }, { sort: { createdAt: -1 } });
+      const waitSeconds = lastCode
+        ? Math.ceil((lastCode.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - Date.now()) / 1000)
+        : 0;
+      if (waitSeconds > 0) {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${waitSeconds} seconds before requesting another code`,
+          retryAfterSeconds: waitSeconds
+        });
+      }
+
+      const code = generateCode();
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60000);
+      const channel = getOtpChannel();
+
+      // A new code replaces any earlier one
+      await otps().deleteMany({ userId: user._id.toString() });
+      const { insertedId } = await otps().insertOne({
+        userId: user._id.toString(),
+        codeHash: hashCode(user._id.toString(), code),
+        attempts: 0,
+        channel: channel.name,
+        ip: req.ip,
+        createdAt: now,
+        expiresAt
+      });
+      try {
+        await channel.send({ to, code, user, expiresAt });
+      } catch (sendError) {
+        // Not delivered: drop it so the customer can ask again straight away
+        await otps().deleteOne({ _id: insertedId });
+        throw sendError;
+      }
+      console.log(`🔑 Portal login code sent to ${user.userName} via ${channel.name} (${maskNumber(to)})`);
+
+      res.status(200).json({ success: true, message: CODE_SENT_MESSAGE, expiresInMinutes: OTP_TTL_MINUTES });
+    } catch (error) {
+      console.error('❌ Error sending portal login code:', error);
+      res.status(500).json({ success: false, message: 'Error sending login code', error: error.message });
+    }
+  });
+
+  // POST /api/portal/login/verify - exchange a code for an access token. Body: { userId, code }
+  router.post('/login/verify', async (req, res) => {
+    try {
+      const { userId, code } = req.body;
+      if (!userId || !code) {
+        return res.status(400).json({ success: false, message: 'userId and code are required' });
+      }
+
+      const invalid = () => res.status(401).json({ success: false, message: 'Invalid or expired code' });
+
+      const limitedFor = await rateLimited('verify', req, userId);
+      if (limitedFor > 0) return tooManyAttemptsResponse(res, limitedFor);
+
+      // The attempt is counted before the code is compared, so parallel guesses cannot share one
+      const user = await findSubscriber(userId);
+      const otp = user && await otps().findOneAndUpdate(
+        { userId: user._id.toString(), attempts: { $lt: OTP_MAX_ATTEMPTS }, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { returnDocument: 'after' }
+      );
+      if (!otp) {
+        return invalid();
+      }
+
+      if (!safeEqual(hashCode(user._id.toString(), String(code).trim()), otp.codeHash)) {
+        // Too many wrong guesses use the code up
+        if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+          await otps().deleteOne({ _id: otp._id });
+          console.log(`🔒 Portal login code for ${user.userName} removed after ${OTP_MAX_ATTEMPTS} wrong attempts`);
+        }
+        return invalid();
+      }
+
+      // A code opens one session, however many requests sent it
+      const { deletedCount } = await otps().deleteOne({ _id: otp._id });
+      if (deletedCount === 0) {
+        return invalid();
+      }
+      const session = await issueSession(user, req);
+      console.log(`✅ Portal login: ${user.userName} (${user.userId}) from ${req.ip}`);
+
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        customer: { userId: user.userId, userName: user.userName },
+        ...session
+      });
+    } catch (error) {
+      console.error('❌ Error verifying portal login code:', error);
+      res.status(500).json({ success: false, message: 'Error verifying login code', error: error.message });
+    }
+  });
+
+  // POST /api/portal/logout - end the current portal session
+  router.post('/logout', authenticate, async (req, res) => {
+    try {
+      await sessions().updateOne({ _id: req.customer.sessionId }, { $set: { revokedAt: new Date() } });
+      console.log(`🔓 Portal logout: ${req.customer.userName}`);
+      res.status(200).json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+      console.error('Portal logout error:', error);
+      res.status(500).json({ success: false, message: 'Error during logout', error: error.message });
+    }
+  });
+
+  return { initialize, authenticate, router };
+}
+
+module.exports = {
+  createPortal
+};
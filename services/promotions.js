@@ -0,0 +1,361 @@
+const { collections } = require('../db');
+const { MS_PER_DAY, toStoredDate } = require('./dates');
+const { compareMonths } = require('./periods');
+const { settleMonth } = require('./proration');
+const { monthAdjustment } = require('./status');
+
+// ============ PROMOTIONS ============
+// Discounts on new voucher months, on top of the user's fixed discount:
+// - coupon: a code given when the months are created (couponCode on POST /api/vouchers and
+//   /api/vouchers/generate-next)
+// - offer: applied automatically while it runs, e.g. the first month at half price
+// - referral: "refer a neighbour". Recording a referral gives the referrer a credit that is used
+//   up on their next new months.
+// Every promotion has an expiry (it runs through the expiresAt day), a total usage limit (maxUses, none when empty) and a per-user
+// limit (maxUsesPerUser, default 1). An applied promotion is a 'promotion' credit line in the
+// month's adjustments and a promotion_redemptions record.
+//
+// A promotion never takes a month below what is already paid on it, so it is skipped on months
+// paid in full when they are created.
+
+const PROMOTION_KINDS = { COUPON: 'coupon', OFFER: 'offer', REFERRAL: 'referral' };
+const DISCOUNT_TYPES = { FLAT: 'flat', PERCENTAGE: 'percentage' };
+const PROMOTION_LINE = 'promotion';
+const DEFAULT_CREDIT_VALID_DAYS = 90;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const toDate = (value) => (value instanceof Date ? value : value ? toStoredDate(value) : null);
+
+// A promotion runs through its expiresAt day
+const endsAt = (promotion) => new Date(promotion.expiresAt.getTime() + MS_PER_DAY);
+
+// Validate promotion fields. With `existing` (updates) missing fields keep their current value.
+// Returns { error } or { promotion } with the cleaned fields.
+function validatePromotion(fields, existing = null) {
+  const merged = { ...existing, ...fields };
+  const promotion = {};
+
+  if (typeof merged.name !== 'string' || !merged.name.trim()) return { error: 'name is required' };
+  promotion.name = merged.name.trim();
+
+  if (!Object.values(PROMOTION_KINDS).includes(merged.kind)) {
+    return { error: `kind must be ${Object.values(PROMOTION_KINDS).join(', ')}` };
+  }
+  if (existing && merged.kind !== existing.kind) return { error: 'kind cannot be changed' };
+  promotion.kind = merged.kind;
+
+  if (promotion.kind === PROMOTION_KINDS.COUPON) {
+    promotion.code = normalizeCode(merged.code);
+    if (!/^[A-Z0-9_-]{3,30}$/.test(promotion.code)) {
+      return { error: 'code is required for a coupon: 3 to 30 letters, digits, - or _' };
+    }
+  } else {
+    promotion.code = null;
+  }
+
+  const discountType = merged.discountType || DISCOUNT_TYPES.FLAT;
+  if (!Object.values(DISCOUNT_TYPES).includes(discountType)) {
+    return { error: `discountType must be ${Object.values(DISCOUNT_TYPES).join(' or ')}` };
+  }
+  if (promotion.kind === PROMOTION_KINDS.REFERRAL && discountType !== DISCOUNT_TYPES.FLAT) {
+    return { error: 'A referral credit must be flat' };
+  }
+  promotion.discountType = discountType;
+
+  promotion.value = Number(merged.value);
+  if (!(promotion.value > 0)) return { error: 'value must be a number above 0' };
+  if (discountType === DISCOUNT_TYPES.PERCENTAGE && promotion.value > 100) {
+    return { error: 'A percentage value must be at most 100' };
+  }
+
+  promotion.startsAt = toDate(merged.startsAt) || new Date();
+  promotion.expiresAt = toDate(merged.expiresAt);
+  if (!promotion.expiresAt) return { error: 'expiresAt is required (a valid date)' };
+  if (endsAt(promotion) <= promotion.startsAt) return { error: 'expiresAt must not be before startsAt' };
+
+  for (const field of ['maxUses', 'maxUsesPerUser']) {
+    const value = merged[field];
+    if (value === undefined || value === null || value === '') {
+      promotion[field] = field === 'maxUsesPerUser' ? 1 : null;
+    } else if (Number.isInteger(Number(value)) && Number(value) >= 1) {
+      promotion[field] = Number(value);
+    } else {
+      return { error: `${field} must be a whole number from 1` };
+    }
+  }
+
+  promotion.packageName = typeof merged.packageName === 'string' && merged.packageName.trim()
+    ? merged.packageName.trim()
+    : null;
+  promotion.firstMonthOnly = promotion.kind !== PROMOTION_KINDS.REFERRAL &&
+    (merged.firstMonthOnly === true || merged.firstMonthOnly === 'true');
+  if (promotion.kind === PROMOTION_KINDS.REFERRAL) {
+    const days = merged.creditValidDays ?? DEFAULT_CREDIT_VALID_DAYS;
+    if (!Number.isInteger(Number(days)) || Number(days) < 1) return { error: 'creditValidDays must be a whole number from 1' };
+    promotion.creditValidDays = Number(days);
+  }
+  promotion.active = merged.active === undefined ? true : merged.active === true || merged.active === 'true';
+
+  return { promotion };
+}
+
+// Why a promotion cannot be used now on a package, or null when it can
+const unavailableReason = (promotion, { now, packageName }) => {
+  if (!promotion.active) return 'is not active';
+  if (promotion.startsAt > now) return 'has not started yet';
+  if (endsAt(promotion) <= now) return 'has expired';
+  if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) return 'has been used the maximum number of times';
+  if (promotion.packageName && promotion.packageName !== packageName) return `is only for the ${promotion.packageName} package`;
+  return null;
+};
+
+// Amount still owed on a month, before promotions
+const owedOn = (month) => Math.max(0,
+  Number(month.packageFee || 0) - Number(month.discount || 0) + monthAdjustment(month) - Number(month.paidAmount || 0));
+
+const discountFor = (promotion, month) => {
+  if (promotion.discountType === DISCOUNT_TYPES.FLAT) return Math.round(promotion.value);
+  const fee = Math.max(0, Number(month.packageFee || 0) - Number(month.discount || 0));
+  return Math.round(fee * promotion.value / 100);
+};
+
+const promotionLine = (promotion, amount, now, actor, extra = {}) => ({
+  type: PROMOTION_LINE,
+  amount: -amount,
+  description: promotion.kind === PROMOTION_KINDS.COUPON ? `Coupon ${promotion.code}: ${promotion.name}` : promotion.name,
+  promotionId: promotion._id.toString(),
+  promotionName: promotion.name,
+  kind: promotion.kind,
+  ...(promotion.code && { code: promotion.code }),
+  ...extra,
+  createdAt: now,
+  createdBy: actor?.name || 'System'
+});
+
+const countUses = async (promotionIds, userId) => {
+  if (promotionIds.length === 0) return new Map();
+  const rows = await collections.promotionRedemptions.find({
+    promotionId: { $in: promotionIds },
+    userId
+  }).project({ promotionId: 1 }).toArray();
+  const counts = new Map();
+  for (const row of rows) counts.set(row.promotionId, (counts.get(row.promotionId) || 0) + 1);
+  return counts;
+};
+
+// Work out the promotions for new voucher months of `user`. `existingMonths` are the months the
+// user already has (for first-month offers). Nothing is written: call commit({ voucherId, session })
+// on the result in the transaction that saves the months. Returns { error } when the coupon cannot be used,
+// otherwise { months, applied, commit }.
+async function planPromotions({ user, existingMonths = [], newMonths, couponCode, actor, now = new Date() }) {
+  const userId = user._id.toString();
+  const code = normalizeCode(couponCode);
+
+  const [offers, coupon, credits] = await Promise.all([
+    collections.promotions.find({ kind: PROMOTION_KINDS.OFFER, active: true }).toArray(),
+    code ? collections.promotions.findOne({ kind: PROMOTION_KINDS.COUPON, code }) : null,
+    collections.referrals.find({ referrerId: userId, status: 'available' }).sort({ createdAt: 1 }).toArray()
+  ]);
+  if (code && !coupon) return { error: `Coupon ${code} does not exist` };
+
+  const uses = await countUses([...offers, coupon].filter(Boolean).map((promotion) => promotion._id.toString()), userId);
+  const planned = new Map(); // promotionId -> uses in this batch
+  const usedBy = (promotion) => (uses.get(promotion._id.toString()) || 0) + (planned.get(promotion._id.toString()) || 0);
+  const withinLimits = (promotion) => usedBy(promotion) < promotion.maxUsesPerUser &&
+    (!promotion.maxUses || promotion.usedCount + (planned.get(promotion._id.toString()) || 0) < promotion.maxUses);
+
+  const hasEarlierMonth = existingMonths.some((month) => month.status !== 'reversed');
+  const firstNewMonth = [...newMonths].sort(compareMonths)[0];
+  const applied = [];
+  const creditUse = new Map(); // referral _id -> amount used
+  let couponError = coupon ? null : undefined;
+
+  const months = newMonths.map((original) => {
+    let month = original;
+    const packageName = month.packageName || user.packageName;
+    const isFirst = !hasEarlierMonth && month === firstNewMonth;
+    const lines = [];
+
+    const add = (promotion, wanted, extra) => {
+      const amount = Math.min(wanted, owedOn({ ...month, adjustments: [...(month.adjustments || []), ...lines] }));
+      if (amount <= 0) return 0;
+      lines.push(promotionLine(promotion, amount, now, actor, extra));
+      return amount;
+    };
+
+    // The best running offer
+    const eligibleOffers = offers
+      .filter((offer) => !unavailableReason(offer, { now, packageName }) && withinLimits(offer) && (!offer.firstMonthOnly || isFirst))
+      .sort((a, b) => discountFor(b, month) - discountFor(a, month));
+    if (eligibleOffers[0] && add(eligibleOffers[0], discountFor(eligibleOffers[0], month)) > 0) {
+      const id = eligibleOffers[0]._id.toString();
+      planned.set(id, (planned.get(id) || 0) + 1);
+      applied.push({ promotion: eligibleOffers[0], month: month.month, amount: -lines[lines.length - 1].amount });
+    }
+
+    // The coupon goes on the first month it fits
+    if (coupon && couponError !== false) {
+      const reason = unavailableReason(coupon, { now, packageName }) ||
+        (!withinLimits(coupon) ? 'has already been used by this user' : null) ||
+        (coupon.firstMonthOnly && !isFirst ? "is only for a user's first month" : null) ||
+        (owedOn(month) <= 0 ? 'cannot be used on a month that is already paid' : null);
+      if (reason) {
+        couponError = couponError || reason;
+      } else if (add(coupon, discountFor(coupon, month)) > 0) {
+        couponError = false;
+        planned.set(coupon._id.toString(), 1);
+        applied.push({ promotion: coupon, month: month.month, amount: -lines[lines.length - 1].amount });
+      }
+    }
+
+    // Referral credits, oldest first, until the month is covered
+    for (const credit of credits) {
+      const left = credit.remainingAmount - (creditUse.get(credit._id.toString()) || 0);
+      if (left <= 0 || credit.expiresAt <= now) continue;
+      const amount = add(
+        { _id: credit.promotionId, name: `Referral credit: ${credit.referredName}`, kind: PROMOTION_KINDS.REFERRAL },
+        left,
+        { referralId: credit._id.toString() }
+      );
+      if (amount > 0) {
+        creditUse.set(credit._id.toString(), (creditUse.get(credit._id.toString()) || 0) + amount);
+        applied.push({ referral: credit, month: month.month, amount });
+      }
+    }
+
+    if (lines.length > 0) {
+      month = settleMonth({ ...month, adjustments: [...(month.adjustments || []), ...lines] }).month;
+    }
+    return month;
+  });
+
+  if (coupon && couponError !== false) {
+    return { error: `Coupon ${code} ${couponError || 'cannot be used on these months'}` };
+  }
+
+  // Record the uses in the transaction session that saves the months. A promotion whose last use,
+  // or a referral credit whose amount, was taken since it was planned throws an error with status
+  // 409, so nothing is saved.
+  async function commit({ voucherId, session }) {
+    for (const use of applied) {
+      if (use.referral) {
+        const spent = await collections.referrals.findOneAndUpdate(
+          { _id: use.referral._id, status: 'available', remainingAmount: { $gte: use.amount } },
+          {
+            $inc: { remainingAmount: -use.amount },
+            $set: { updatedAt: now },
+            $push: { uses: { voucherId: String(voucherId), month: use.month, amount: use.amount, at: now } }
+          },
+          { returnDocument: 'after', session }
+        );
+        if (!spent) {
+          throw Object.assign(new Error(`Referral credit for ${use.referral.referredName} has already been used`), { status: 409 });
+        }
+        if (spent.remainingAmount <= 0) {
+          await collections.referrals.updateOne({ _id: spent._id }, { $set: { status: 'used' } }, { session });
+        }
+        continue;
+      }
+      const taken = await collections.promotions.updateOne(
+        { _id: use.promotion._id, ...(use.promotion.maxUses && { usedCount: { $lt: use.promotion.maxUses } }) },
+        { $inc: { usedCount: 1 } },
+        { session }
+      );
+      if (taken.matchedCount === 0) {
+        throw Object.assign(new Error(`Promotion "${use.promotion.name}" has been used the maximum number of times`), { status: 409 });
+      }
+      await collections.promotionRedemptions.insertOne({
+        promotionId: use.promotion._id.toString(),
+        promotionName: use.promotion.name,
+        kind: use.promotion.kind,
+        code: use.promotion.code || null,
+        userId,
+        userName: user.userName,
+        voucherId: String(voucherId),
+        month: use.month,
+        amount: use.amount,
+        createdAt: now,
+        createdBy: actor?.name || null
+      }, { session });
+    }
+    if (applied.length > 0) {
+      console.log(`🎁 Promotions for ${user.userName}: ${applied.map((use) => `${use.month} -${use.amount}`).join(', ')}`);
+    }
+  }
+
+  return {
+    months,
+    applied: applied.map((use) => ({
+      month: use.month,
+      amount: use.amount,
+      promotionId: use.promotion?._id || use.referral.promotionId,
+      name: use.promotion?.name || `Referral credit: ${use.referral.referredName}`,
+      kind: use.promotion?.kind || PROMOTION_KINDS.REFERRAL
+    })),
+    commit
+  };
+}
+
+// Record that `referrer` brought in `referred` under a referral promotion: the referrer gets a
+// credit for their next months. Returns { error } or { referral }.
+async function recordReferral({ promotion, referrer, referred, actor, now = new Date() }) {
+  if (referrer._id.equals(referred._id)) return { error: 'A user cannot refer themselves' };
+
+  const reason = unavailableReason(promotion, { now, packageName: referred.packageName });
+  if (reason) return { error: `Promotion "${promotion.name}" ${reason}` };
+
+  const [alreadyReferred, referrerCount] = await Promise.all([
+    collections.referrals.findOne({ referredId: referred._id.toString() }),
+    collections.referrals.countDocuments({ promotionId: promotion._id.toString(), referrerId: referrer._id.toString() })
+  ]);
+  if (alreadyReferred) return { error: `${referred.userName} was already referred by ${alreadyReferred.referrerName}` };
+  if (referrerCount >= promotion.maxUsesPerUser) {
+    return { error: `${referrer.userName} has already had ${promotion.maxUsesPerUser} referral credits from this promotion` };
+  }
+
+  // Take one use, unless another request took the last one first
+  const taken = await collections.promotions.updateOne(
+    { _id: promotion._id, ...(promotion.maxUses && { usedCount: { $lt: promotion.maxUses } }) },
+    { $inc: { usedCount: 1 } }
+  );
+  if (taken.matchedCount === 0) return { error: `Promotion "${promotion.name}" has been used the maximum number of times` };
+
+  const referral = {
+    promotionId: promotion._id.toString(),
+    promotionName: promotion.name,
+    referrerId: referrer._id.toString(),
+    referrerName: referrer.userName,
+    referredId: referred._id.toString(),
+    referredName: referred.userName,
+    amount: Math.round(promotion.value),
+    remainingAmount: Math.round(promotion.value),
+    status: 'available',
+    uses: [],
+    expiresAt: new Date(now.getTime() + promotion.creditValidDays * MS_PER_DAY),
+    createdAt: now,
+    createdBy: actor?.name || null
+  };
+  const result = await collections.referrals.insertOne(referral);
+  console.log(`🎁 Referral: ${referrer.userName} referred ${referred.userName} (credit ${referral.amount})`);
+  return { referral: { _id: result.insertedId, ...referral } };
+}
+
+// Mark referral credits past their expiry as expired (run with the expiry processing)
+async function expireReferralCredits(now = new Date()) {
+  const result = await collections.referrals.updateMany(
+    { status: 'available', expiresAt: { $lte: now } },
+    { $set: { status: 'expired', updatedAt: now } }
+  );
+  if (result.modifiedCount > 0) console.log(`🎁 ${result.modifiedCount} referral credits expired`);
+  return result.modifiedCount;
+}
+
+module.exports = {
+  PROMOTION_KINDS,
+  expireReferralCredits,
+  normalizeCode,
+  planPromotions,
+  recordReferral,
+  validatePromotion
+};
@@ -0,0 +1,149 @@
+const { businessDate, daysBetween, formatDate, parseDate, toBusinessYMD } = require('./dates');
+const { monthAdjustment } = require('./status');
+
+// ============ PACKAGE CHANGES ============
+// Moving a subscriber to another package part-way through a billing month. Voucher months keep
+// the price they were billed at:
+// - months before the current one are never touched
+// - the current month (the latest one that started on or before the effective date) keeps its
+//   old packageFee and gets a proration line for the days left on the new package: a debit for
+//   an upgrade, a credit for a downgrade
+// - later months with nothing paid are repriced to the new package
+// A month runs from its date to the next month's date, or to the user's expiry date for the
+// latest month.
+
+// Proration lines are whole rupees
+const roundAmount = (amount) => Math.round(amount);
+
+const monthStart = (month) => parseDate(month.date || month.createdAt);
+
+// Months in billing order, reversed (refunded) months left out
+const billedMonths = (months) => (months || [])
+  .filter((month) => month.status !== 'reversed')
+  .sort((a, b) => monthStart(a) - monthStart(b));
+
+// The month running on `date` with its start and end, or null when `date` is before every month
+function billingMonthOn(months, date, expiryDate) {
+  const ordered = billedMonths(months);
+  const index = ordered.map((month) => daysBetween(monthStart(month), date) >= 0).lastIndexOf(true);
+  if (index === -1) return null;
+
+  const month = ordered[index];
+  const start = monthStart(month);
+  let end = ordered[index + 1] ? monthStart(ordered[index + 1]) : expiryDate;
+  if (!end || daysBetween(start, end) <= 0) {
+    // No usable expiry date: the month runs one calendar month
+    const { y, m, d } = toBusinessYMD(start);
+    end = businessDate(y, m + 1, d);
+  }
+  return { month, start, end };
+}
+
+// Amount due on a month after discount and adjustments
+const monthDue = (month) =>
+  Number(month.packageFee || 0) - Number(month.discount || 0) + monthAdjustment(month);
+
+// Remaining amount and status of a month after its adjustments changed. Returns the month and
+// any amount paid beyond what is now due that has not gone to the wallet yet (creditedToWallet).
+const settleMonth = (month) => {
+  const due = monthDue(month);
+  const paid = Number(month.paidAmount || 0);
+  const settled = { ...month, remainingAmount: Math.max(0, due - paid) };
+  if (['paid', 'partial', 'unpaid'].includes(month.status)) {
+    settled.status = settled.remainingAmount === 0 ? 'paid' : paid > 0 ? 'partial' : 'unpaid';
+  }
+  return { month: settled, excessCredit: Math.max(0, paid - due - Number(month.creditedToWallet || 0)) };
+};
+
+// Months that start after `date` and have nothing paid, repriced to the new package
+function repriceLaterMonths(months, date, { packageName, amount, discount }) {
+  const repriced = [];
+  const updated = (months || []).map((month) => {
+    const unpaid = month.status === 'unpaid' && Number(month.paidAmount || 0) === 0;
+    if (!unpaid || daysBetween(monthStart(month), date) >= 0) return month;
+
+    repriced.push(month.month);
+    return settleMonth({
+      ...month,
+      packageName,
+      packageFee: amount,
+      discount
+    }).month;
+  });
+  return { months: updated, repriced };
+}
+
+// Apply a package change to a user's voucher months. `pkg` is the new { packageName, amount,
+// discount } per month; `today` guards against back-dating. Returns { error } or
+// { months, adjustment, currentMonth, billingMonth, repriced, excessCredit }: currentMonth is the
+// label of billingMonth, the voucher month the change falls in.
+function changePackage({ user, months, pkg, effectiveDate, actor, today = new Date() }) {
+  const current = billingMonthOn(months, effectiveDate, user.expiryDate);
+
+  // Past months keep their price: the change cannot start before the month running today
+  const running = billingMonthOn(months, today, user.expiryDate);
+  if (running && daysBetween(running.start, effectiveDate) < 0) {
+    return { error: `effectiveDate cannot be before the current billing month (${running.month.month}, from ${formatDate(running.start)})` };
+  }
+
+  let updated = [...(months || [])];
+  let adjustment = null;
+  let excessCredit = 0;
+
+  if (current) {
+    const daysLeft = daysBetween(effectiveDate, current.end);
+    const totalDays = daysBetween(current.start, current.end);
+    // A second change in the same month prorates from the package the first one moved to
+    const lastChange = (current.month.adjustments || []).filter((line) => line.type === 'proration').pop();
+    const oldMonthlyFee = lastChange
+      ? Number(lastChange.newMonthlyFee)
+      : Number(current.month.packageFee || 0) - Number(current.month.discount || 0);
+    const newMonthlyFee = pkg.amount - pkg.discount;
+    const amount = daysLeft > 0 ? roundAmount((newMonthlyFee - oldMonthlyFee) * daysLeft / totalDays) : 0;
+
+    if (amount !== 0) {
+      const fromPackage = lastChange ? lastChange.toPackage : (current.month.packageName || user.packageName || '');
+      adjustment = {
+        type: 'proration',
+        amount,
+        description: `${amount > 0 ? 'Upgrade' : 'Downgrade'} to ${pkg.packageName}: ${daysLeft} of ${totalDays} days`,
+        fromPackage,
+        toPackage: pkg.packageName,
+        oldMonthlyFee,
+        newMonthlyFee,
+        daysLeft,
+        totalDays,
+        effectiveDate,
+        createdAt: new Date(),
+        createdBy: actor?.name
+      };
+
+      const index = updated.indexOf(current.month);
+      const settled = settleMonth({
+        ...current.month,
+        adjustments: [...(current.month.adjustments || []), adjustment],
+        updatedAt: new Date()
+      });
+      updated[index] = settled.month;
+      excessCredit = settled.excessCredit;
+    }
+  }
+
+  const later = repriceLaterMonths(updated, current ? current.start : effectiveDate, pkg);
+  updated = later.months;
+
+  return {
+    months: updated,
+    adjustment,
+    currentMonth: current ? current.month.month : null,
+    billingMonth: current ? current.month : null,
+    repriced: later.repriced,
+    excessCredit
+  };
+}
+
+module.exports = {
+  changePackage,
+  repriceLaterMonths,
+  settleMonth
+};
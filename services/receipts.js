@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { collections } = require('../db');
+const { formatDate, parseDate } = require('./dates');
+const { periodOf, samePeriod } = require('./periods');
+const { monthAdjustment, monthPayments, monthRemaining } = require('./status');
+
+// ============ RECEIPTS AND INVOICES ============
+// Printable PDFs for voucher months:
+// - a receipt for one payment in a month's paymentHistory. The first print issues it: it gets the
+//   next sequential receipt number and a verification code, and is saved in the receipts
+//   collection with what it shows. Printing the same payment again gives the same receipt; once
+//   the payment is edited, a new receipt replaces it. Receipts of a payment are numbered by
+//   `revision` (0 for the first), unique per voucher, period and payment, so two prints at once
+//   issue one receipt.
+// - an invoice for a month that still has a balance. Invoices are not numbered or saved.
+//
+// Anyone holding a receipt can check it with GET /api/receipts/verify?code=...
+// BUSINESS_NAME, when set, is printed at the top of both.
+
+const RECEIPT_PREFIX = 'R-';
+const RECEIPT_DIGITS = 6;
+
+// One receipt per payment and revision, receipts from before revisions left out (created in db.js too)
+const REVISION_INDEX = { voucherId: 1, periodKey: 1, paymentIndex: 1, revision: 1 };
+const REVISION_INDEX_OPTIONS = { unique: true, partialFilterExpression: { periodKey: { $type: 'string' }, revision: { $type: 'number' } } };
+
+// 10 characters without 0/O and 1/I, printed as XXXXX-XXXXX
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateVerificationCode = () => {
+  const chars = Array.from(crypto.randomBytes(10), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+};
+
+// Verification codes as typed by people: any case, with or without the dash
+const normalizeVerificationCode = (code) => {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.length === 10 ? `${chars.slice(0, 5)}-${chars.slice(5)}` : null;
+};
+
+const formatMoney = (amount) => `Rs. ${Number(amount || 0).toLocaleString('en-US')}`;
+
+// A stored or legacy date as DD-MM-YYYY, or '-' when missing
+const displayDate = (value) => {
+  if (!value) return '-';
+  const date = parseDate(value);
+  return date.getTime() === 0 ? String(value) : formatDate(date);
+};
+
+// The month of the billing period named by `label` (a month label or period key) on a voucher; a
+// reversed month only when there is no other
+const findVoucherMonth = (voucher, label) => {
+  const months = (Array.isArray(voucher.months) ? voucher.months : []).filter((month) => samePeriod(month, { month: label }));
+  return months.find((month) => month.status !== 'reversed') || months[0] || null;
+};
+
+// Next number in a named sequence (1, 2, 3, ...)
+async function nextSequence(name) {
+  const counter = await collections.counters.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return counter.seq;
+}
+
+// What a month's documents show about the subscriber and the month
+const monthDetails = (voucher, user, month) => ({
+  voucherId: voucher._id.toString(),
+  userId: voucher.userId.toString(),
+  userName: user?.userName || voucher.userName,
+  subscriberId: user?.userId || '',
+  streetName: user?.streetName || '',
+  packageName: month.packageName || user?.packageName || '',
+  month: month.month,
+  periodKey: periodOf(month)?.key || null,
+  packageFee: Number(month.packageFee || 0),
+  discount: Number(month.discount || 0),
+  adjustments: monthAdjustment(month),
+  monthPaid: Number(month.paidAmount || 0),
+  remainingAmount: monthRemaining(month)
+});
+
+// Filter for the receipts of a voucher's month: by billing period, or by label for a month without one
+const receiptMonthFilter = (voucher, month) => {
+  const periodKey = periodOf(month)?.key;
+  return {
+    voucherId: voucher._id.toString(),
+    ...(periodKey ? { periodKey } : { periodKey: null, month: month.month })
+  };
+};
+
+// The receipt for payment `paymentIndex` of `month`, issuing it on first use. Returns { error }
+// when the payment does not exist, otherwise { receipt, issued }.
+async function issueReceipt({ voucher, user, month, paymentIndex, actor }) {
+  const payment = monthPayments(month)[paymentIndex];
+  if (!payment || !(Number(payment.amount) > 0)) {
+    return { error: `Payment ${paymentIndex} not found on ${month.month}` };
+  }
+
+  const paid = {
+    amountPaid: Number(payment.amount),
+    paymentDate: payment.date || null,
+    paymentMethod: payment.paymentMethod || '',
+    receivedBy: payment.receivedBy || ''
+  };
+
+  // Same payment as before (not edited since): print the receipt already issued
+  const existing = await collections.receipts.findOne(
+    { ...receiptMonthFilter(voucher, month), paymentIndex },
+    { sort: { sequence: -1 } }
+  );
+  if (existing && existing.amountPaid === paid.amountPaid &&
+    String(existing.paymentDate) === String(paid.paymentDate)) {
+    return { receipt: existing, issued: false };
+  }
+
+  const revision = existing ? Number(existing.revision || 0) + 1 : 0;
+  const sequence = await nextSequence('receipt');
+  const receipt = {
+    receiptNo: `${RECEIPT_PREFIX}${String(sequence).padStart(RECEIPT_DIGITS, '0')}`,
+    sequence,
+    verificationCode: generateVerificationCode(),
+    ...monthDetails(voucher, user, month),
+    paymentIndex,
+    revision,
+    ...paid,
+    issuedAt: new Date(),
+    issuedBy: actor?.name || null
+  };
+  try {
+    await collections.receipts.insertOne(receipt);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Another print of this payment issued it first (the number taken here is left unused)
+    const issued = await collections.receipts.findOne({ ...receiptMonthFilter(voucher, month), paymentIndex, revision });
+    if (!issued) throw error;
+    return { receipt: issued, issued: false };
+  }
+  if (existing) {
+    // The payment was edited: the old receipt still verifies, marked as replaced
+    await collections.receipts.updateOne({ _id: existing._id }, { $set: { supersededBy: receipt.receiptNo } });
+  }
+  console.log(`🧾 Receipt ${receipt.receiptNo} issued for ${receipt.userName} (${receipt.month}, ${formatMoney(receipt.amountPaid)})`);
+
+  return { receipt, issued: true };
+}
+
+// Invoice contents for a month with a balance, or { error }
+function buildInvoice({ voucher, user, month }) {
+  const details = monthDetails(voucher, user, month);
+  if (month.status === 'reversed' || details.remainingAmount <= 0) {
+    return { error: `${month.month} has nothing left to pay` };
+  }
+  const payments = monthPayments(month);
+  const lastPayment = payments[payments.length - 1];
+  return {
+    invoice: {
+      ...details,
+      dueDate: voucher.expiryDate || month.date || null,
+      receivedBy: lastPayment?.receivedBy || month.receivedBy || '',
+      paymentMethod: lastPayment?.paymentMethod || month.paymentMethod || '',
+      issuedAt: new Date()
+    }
+  };
+}
+
+// Public view of a receipt for the verification endpoint
+const verifiedReceipt = (receipt) => ({
+  receiptNo: receipt.receiptNo,
+  userName: receipt.userName,
+  month: receipt.month,
+  amountPaid: receipt.amountPaid,
+  paymentDate: receipt.paymentDate,
+  receivedBy: receipt.receivedBy,
+  issuedAt: receipt.issuedAt,
+  supersededBy: receipt.supersededBy || null
+});
+
+const findReceiptByCode = (code) => collections.receipts.findOne({ verificationCode: code });
+
+// One-time backfill of periodKey on receipts issued before it was stored, from their month label,
+// or from the period of the voucher month with that label (receipts of neither are listed), then
+// of the revision of each payment's receipts, in the order they were issued. The unique revision
+// index is built last. Returns { updated, unreadable }.
+async function backfillReceiptPeriods() {
+  const receipts = await collections.receipts.find({ periodKey: { $exists: false } }).toArray();
+  const unreadable = [];
+  const writes = [];
+
+  for (const receipt of receipts) {
+    let periodKey = periodOf({ month: receipt.month })?.key;
+    if (!periodKey) {
+      const monthDoc = await collections.voucherMonths.findOne({ voucherId: receipt.voucherId, month: receipt.month });
+      periodKey = monthDoc && (monthDoc.period?.key || periodOf(monthDoc)?.key);
+    }
+    if (!periodKey) {
+      unreadable.push({ receiptNo: receipt.receiptNo, voucherId: receipt.voucherId, month: receipt.month });
+      continue;
+    }
+    writes.push({ updateOne: { filter: { _id: receipt._id }, update: { $set: { periodKey } } } });
+  }
+  if (writes.length > 0) {
+    await collections.receipts.bulkWrite(writes);
+  }
+
+  // Payments with a receipt from before revisions are renumbered. The last issued moves first, so
+  // no two receipts of a payment hold one revision at any point.
+  const keyed = await collections.receipts.find({ periodKey: { $type: 'string' } }).sort({ sequence: 1 }).toArray();
+  const payments = new Map();
+  for (const receipt of keyed) {
+    const key = `${receipt.voucherId}|${receipt.periodKey}|${receipt.paymentIndex}`;
+    payments.set(key, [...(payments.get(key) || []), receipt]);
+  }
+  const renumbered = [...payments.values()]
+    .filter((receipts) => receipts.some((receipt) => receipt.revision === undefined))
+    .flatMap((receipts) => receipts.map((receipt, revision) => ({ receipt, revision })))
+    .filter(({ receipt, revision }) => receipt.revision !== revision)
+    .sort((a, b) => b.receipt.sequence - a.receipt.sequence);
+  for (const { receipt, revision } of renumbered) {
+    await collections.receipts.updateOne({ _id: receipt._id }, { $set: { revision } });
+  }
+  await collections.receipts.createIndex(REVISION_INDEX, REVISION_INDEX_OPTIONS);
+
+  const updated = new Set([...writes.map((write) => String(write.updateOne.filter._id)), ...renumbered.map(({ receipt }) => String(receipt._id))]).size;
+  console.log(`🧾 Receipt periods filled: ${writes.length} receipts, ${renumbered.length} renumbered (${unreadable.length} unreadable)`);
+  return { updated, unreadable };
+}
+
+// ============ PDF ============
+
+// One-page A5 document: title, reference line, label/value rows, footer lines
+function writeSlipPdf(res, { title, reference, rows, footer = [] }) {
+  const doc = new PDFDocument({ size: 'A5', margin: 36 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const labelWidth = width * 0.4;
+
+  if (process.env.BUSINESS_NAME) {
+    doc.font('Helvetica-Bold').fontSize(16).text(process.env.BUSINESS_NAME, left, doc.y, { width, align: 'center' });
+    doc.moveDown(0.3);
+  }
+  doc.font('Helvetica-Bold').fontSize(14).text(title, left, doc.y, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#555555')
+    .text(reference, left, doc.y, { width, align: 'center' })
+    .fillColor('black');
+  doc.moveDown(1);
+
+  for (const [label, value, { bold = false } = {}] of rows) {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(10).fillColor('#555555').text(label, left, y, { width: labelWidth });
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('black')
+      .text(String(value === '' || value === null || value === undefined ? '-' : value), left + labelWidth, y, { width: width - labelWidth });
+    doc.y = Math.max(doc.y, y + 16);
+    doc.moveTo(left, doc.y - 3).lineTo(left + width, doc.y - 3).lineWidth(0.3).strokeColor('#cccccc').stroke();
+  }
+
+  doc.moveDown(1);
+  for (const line of footer) {
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(line, left, doc.y, { width, align: 'center' });
+  }
+
+  doc.end();
+}
+
+const sendPdf = (res, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+};
+
+// Rows shared by receipts and invoices
+const monthRows = (details) => [
+  ['Subscriber', details.userName],
+  ['User ID', details.subscriberId],
+  ['Street', details.streetName],
+  ['Package', details.packageName],
+  ['Month', details.month],
+  ['Package fee', formatMoney(details.packageFee)],
+  ['Discount', formatMoney(details.discount)],
+  ...(details.adjustments ? [['Adjustments', formatMoney(details.adjustments)]] : [])
+];
+
+function writeReceiptPdf(res, receipt) {
+  sendPdf(res, `receipt-${receipt.receiptNo}.pdf`);
+  writeSlipPdf(res, {
+    title: 'Payment Receipt',
+    reference: `Receipt No. ${receipt.receiptNo}  |  Issued ${formatDate(receipt.issuedAt)}`,
+    rows: [
+      ...monthRows(receipt),
+      ['Amount paid', formatMoney(receipt.amountPaid), { bold: true }],
+      ['Payment date', displayDate(receipt.paymentDate)],
+      ['Payment method', receipt.paymentMethod],
+      ['Received by', receipt.receivedBy],
+      ['Paid for the month', formatMoney(receipt.monthPaid)],
+      ['Remaining balance', formatMoney(receipt.remainingAmount), { bold: true }]
+    ],
+    footer: [
+      `Verification code: ${receipt.verificationCode}`,
+      'Check this receipt at /api/receipts/verify?code=<verification code>'
+    ]
+  });
+}
+
+function writeInvoicePdf(res, invoice) {
+  sendPdf(res, `invoice-${invoice.subscriberId || invoice.userId}-${invoice.month.replace(/\s+/g, '-')}.pdf`);
+  writeSlipPdf(res, {
+    title: 'Invoice',
+    reference: `${invoice.month}  |  Issued ${formatDate(invoice.issuedAt)}`,
+    rows: [
+      ...monthRows(invoice),
+      ['Amount paid', formatMoney(invoice.monthPaid)],
+      ['Remaining balance', formatMoney(invoice.remainingAmount), { bold: true }],
+      ['Due date', displayDate(invoice.dueDate)],
+      ['Payment method', invoice.paymentMethod],
+      ['Received by', invoice.receivedBy]
+    ],
+    footer: ['Please pay the remaining balance by the due date.']
+  });
+}
+
+module.exports = {
+  backfillReceiptPeriods,
+  buildInvoice,
+  findReceiptByCode,
+  findVoucherMonth,
+  issueReceipt,
+  normalizeVerificationCode,
+  verifiedReceipt,
+  writeInvoicePdf,
+  writeReceiptPdf
+};
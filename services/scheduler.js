@@ -0,0 +1,465 @@
+const { collections, runInTransaction } = require('../db');
+const {
+  MS_PER_DAY,
+  businessDate,
+  dayRange,
+  formatDate,
+  isPastExpiryCutoff,
+  isPastReminderTime,
+  parseExpiryYMD,
+  startOfToday,
+  toBusinessTime
+} = require('./dates');
+const { buildPeriod, periodName, periodOf } = require('./periods');
+const { getSettings } = require('./settings');
+const { activeServiceFilter, notArchivedFilter, recalculateUserStatus } = require('./status');
+const { findVoucher, saveMonths } = require('./voucherMonths');
+const { planWallet } = require('./wallet');
+
+// ============ SCHEDULED TASKS ============
+
+// Function to check users expiring TOMORROW (next day) - marks them to show in expiring-soon tab
+const checkTomorrowExpiringUsers = async () => {
+  try {
+    console.log('🕐 Running scheduled task: Checking users expiring TOMORROW...');
+
+    // Business timezone
+    const nowUTC = new Date();
+    const businessNow = toBusinessTime(nowUTC);
+    const todayY = businessNow.getUTCFullYear();
+    const todayM = businessNow.getUTCMonth();
+    const todayD = businessNow.getUTCDate();
+    const currentTime = businessNow.toISOString().slice(11, 16);
+    const { expiryCutoff } = getSettings();
+
+    // CRITICAL: Only process if current time is at or after the expiry cutoff (default 12 PM)
+    // This prevents premature marking at midnight (12 AM)
+    if (!isPastExpiryCutoff(nowUTC)) {
+      console.log(`⏰ Current time is ${currentTime} (before ${expiryCutoff}) - Skipping expiring soon check`);
+      console.log(`   Expiring soon check should only run at or after the expiry cutoff (${expiryCutoff})`);
+      return;
+    }
+
+    console.log(`✅ Current time is ${currentTime} (at or after ${expiryCutoff}) - Proceeding with expiring soon check`);
+
+    // Tomorrow in the business timezone (00:00 to 24:00)
+    const tomorrowRange = dayRange(1);
+
+    console.log(`📅 Today: ${todayY}-${todayM + 1}-${todayD}, Tomorrow: ${formatDate(tomorrowRange.$gte)}`);
+
+    // Find users expiring TOMORROW (indexed range on expiryDate)
+    const expiringTomorrowUsers = await collections.users.find({
+      status: { $in: ['paid', 'partial', 'unpaid', 'pending'] },
+      expiryDate: tomorrowRange,
+      ...activeServiceFilter
+    }).toArray();
+
+    console.log(`✅ Found ${expiringTomorrowUsers.length} users expiring TOMORROW`);
+
+    if (expiringTomorrowUsers.length > 0) {
+      // Just mark users to show in Expiring Soon (don't change status or create voucher yet)
+      for (const user of expiringTomorrowUsers) {
+        console.log(`   - Marking ${user.userName} for Expiring Soon (expires tomorrow: ${formatDate(user.expiryDate)})`);
+
+        // Only set the Expiring Soon flag (status stays as paid/partial/pending)
+        await collections.users.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              showInExpiringSoon: true
+            }
+          }
+        );
+
+        console.log(`   ✅ ${user.userName} will show in Expiring Soon (status unchanged)`);
+      }
+    }
+
+  } catch (error) {
+    console.error('❌ Error in checkTomorrowExpiringUsers:', error);
+  }
+};
+
+// Function to check and update expiring users (7 days)
+const checkExpiringUsers = async () => {
+  try {
+    console.log('🕐 Running scheduled task: Checking expiring users...');
+
+    const today = startOfToday();
+
+    // Find users who are paid/partial and expiring within 7 days (today through today + 7)
+    const expiringUsers = await collections.users.find({
+      status: { $in: ['paid', 'partial'] },
+      expiryDate: dayRange(0, 8),
+      ...notArchivedFilter
+    }).toArray();
+
+    console.log(`✅ Found ${expiringUsers.length} users expiring within 7 days`);
+
+    // Optional: You can add a flag or notification here
+    if (expiringUsers.length > 0) {
+      expiringUsers.forEach(user => {
+        const daysLeft = Math.floor((user.expiryDate - today) / MS_PER_DAY);
+        console.log(`   - ${user.userName} expires in ${daysLeft} days (${formatDate(user.expiryDate)})`);
+      });
+    }
+
+  } catch (error) {
+    console.error('❌ Error in scheduled task:', error);
+  }
+};
+
+// Function to move users to unpaid on their actual expiry day and create next month voucher
+// ACTUAL RECURRING CYCLE FLOW:
+// 1. User added: 28/10/2025 (recharge) → 28/11/2025 (expiry) → Status: PAID
+// 2. On 27/11/2025 (1 day before expiry): checkTomorrowExpiringUsers() runs at 12 PM
+//    - Sets showInExpiringSoon = true (ONLY THIS, no status change)
+//    - User appears in "Expiring Soon" tab
+//    - Status remains PAID
+// 3. On 28/11/2025 (actual expiry day): moveTodayExpiredToUnpaid() runs at 12 PM
+//    - Changes status: PAID → UNPAID
+//    - Creates December voucher (unpaid month)
+//    - Updates expiry: 28/12/2025
+//    - Removes showInExpiringSoon flag
+//    - User shows in "Unpaid" tab only
+// 4. User pays December: Status → PAID, shows in paid-users
+// 5. On 27/12/2025 (1 day before): Shows in "Expiring Soon" again
+// 6. On 28/12/2025: Moves to unpaid again, creates January voucher
+// 7. Cycle repeats monthly
+const moveTodayExpiredToUnpaid = async () => {
+  try {
+    console.log('🕐 Running scheduled task: Moving TODAY/PAST expiring users to unpaid...');
+
+    // Business timezone
+    const nowUTC = new Date();
+    const currentTime = toBusinessTime(nowUTC).toISOString().slice(11, 16);
+    const { expiryCutoff } = getSettings();
+
+    // CRITICAL: Only process if current time is at or after the expiry cutoff (default 12 PM)
+    // This prevents premature processing at midnight (12 AM)
+    if (!isPastExpiryCutoff(nowUTC)) {
+      console.log(`⏰ Current time is ${currentTime} (before ${expiryCutoff}) - Skipping expiry processing`);
+      console.log(`   Expiry processing should only run at or after the expiry cutoff (${expiryCutoff})`);
+      return;
+    }
+
+    console.log(`✅ Current time is ${currentTime} (at or after ${expiryCutoff}) - Proceeding with expiry processing`);
+
+    // Users (paid/partial/unpaid/pending) whose expiry is TODAY or PAST (handles missed
+    // processing): anything before 00:00 tomorrow (business timezone)
+    const expiredUsers = await collections.users.find({
+      status: { $in: ['paid', 'partial', 'unpaid', 'pending'] },
+      expiryDate: { $lt: startOfToday(1) },
+      ...activeServiceFilter
+    }).toArray();
+
+    console.log(`✅ Found ${expiredUsers.length} users with expiry TODAY (will move to Unpaid)`);
+
+    if (expiredUsers.length > 0) {
+      // Create voucher, change status to unpaid, and remove from Expiring Soon
+      for (const user of expiredUsers) {
+        console.log(`   - Processing ${user.userName} (expiry date reached: ${formatDate(user.expiryDate)})`);
+
+        const { y, m, d } = parseExpiryYMD(user.expiryDate);
+        const currentExpiryDate = businessDate(y, m, d);
+
+        // CRITICAL: Voucher should be for the CURRENT expiry month, not next month
+        // Example: If expiry is 20 Nov, voucher should be for November (current expiry month)
+        // The next expiry date is only for updating user's expiry date for next cycle
+        const period = buildPeriod(y, m + 1, d);
+        const monthName = periodName(period);
+
+        // Calculate next month's expiry date (for updating user's expiry date)
+        const nextExpiryDate = businessDate(y, m + 1, d);
+
+        const newExpiryDateStr = formatDate(nextExpiryDate);
+
+        console.log(`   → Creating voucher for current expiry month: ${monthName}`);
+        console.log(`   → New expiry date for next cycle: ${newExpiryDateStr}`);
+
+        // Update user: change to unpaid, update expiry date, remove from Expiring Soon
+        await collections.users.updateOne(
+          { _id: user._id },
+          {
+            $set: {
+              status: 'unpaid',
+              expiryDate: nextExpiryDate,
+              showInExpiringSoon: false
+            }
+          }
+        );
+        // Unpaid days count from the first unpaid cycle; a user who never pays keeps that date
+        // (it is cleared once they are fully paid)
+        await collections.users.updateOne(
+          { _id: user._id, unpaidSince: null },
+          { $set: { unpaidSince: new Date() } }
+        );
+
+        // Find or create voucher for this user
+        const userVoucher = await findVoucher({ userId: user._id.toString() });
+
+        const packageFeePerMonth = Number(user.amount || 0);
+        const discountPerMonth = Number(user.discount || 0);
+        const remainingAfterDiscount = Math.max(0, packageFeePerMonth - discountPerMonth);
+
+        const billedMonth = {
+          month: monthName,
+          packageFee: packageFeePerMonth,
+          discount: discountPerMonth,
+          paidAmount: 0,
+          remainingAmount: remainingAfterDiscount,
+          paymentMethod: 'Pending',
+          receivedBy: '',
+          paymentType: 'later',
+          status: 'unpaid',
+          description: `${monthName} - Pending Payment`,
+          date: currentExpiryDate.toISOString(), // Use current expiry date for the month date
+          createdAt: new Date()
+        };
+
+        // Check if next month already exists
+        const monthExists = userVoucher?.months?.some(m => periodOf(m)?.key === period.key);
+
+        if (monthExists) {
+          console.log(`   ⚠️ ${monthName} voucher already exists`);
+        } else {
+          // Credit in the user's wallet pays what it can of the new month. The balance is read in the
+          // transaction that saves the month and its draw, so the draw is what the wallet holds.
+          await runInTransaction(async (session) => {
+            const current = await collections.users.findOne({ _id: user._id }, { session });
+            const planned = planWallet({ user: current, months: [billedMonth], drawMonths: [billedMonth] });
+            const [newMonth] = planned.months;
+
+            if (userVoucher) {
+              // Add new unpaid month
+              await saveMonths(userVoucher, [newMonth], { session });
+              await collections.vouchers.updateOne(
+                { _id: userVoucher._id },
+                {
+                  $set: {
+                    expiryDate: nextExpiryDate,
+                    updatedAt: new Date()
+                  }
+                },
+                { session }
+              );
+              await planned.commit({ voucherId: userVoucher._id, session });
+              console.log(`   ✅ Added ${monthName} voucher to existing record`);
+            } else {
+              // Create new voucher document
+              const newVoucher = {
+                userId: user._id.toString(),
+                userName: user.userName,
+                packageName: user.packageName,
+                rechargeDate: user.rechargeDate,
+                expiryDate: nextExpiryDate,
+                createdAt: new Date(),
+                updatedAt: new Date()
+              };
+
+              const { insertedId } = await collections.vouchers.insertOne(newVoucher, { session });
+              await saveMonths({ _id: insertedId, ...newVoucher }, [newMonth], { session });
+              await planned.commit({ voucherId: insertedId, session });
+              console.log(`   ✅ Created new voucher with ${monthName}`);
+            }
+          });
+        }
+
+        // Status and amounts from the voucher months: what the user now owes (the service status
+        // steps go by remainingAmount), and a month paid from the wallet does not leave them unpaid
+        await recalculateUserStatus(user._id);
+
+        console.log(`   ✅ ${user.userName} moved to UNPAID and removed from Expiring Soon`);
+      }
+
+      console.log(`✅ Successfully processed ${expiredUsers.length} users`);
+    }
+
+    // Check for users whose expiry date has passed (for Expired section)
+    console.log('🕐 Checking for users whose expiry date has passed...');
+
+    // Find users whose expiry date has passed (yesterday or earlier) and are not inactive
+    const pastExpiredUsers = await collections.users.find({
+      expiryDate: { $lt: startOfToday() },
+      ...activeServiceFilter
+    }).toArray();
+
+    console.log(`✅ Found ${pastExpiredUsers.length} users with expired subscriptions`);
+
+    // No need to update anything here as the expired users API endpoint will filter them automatically
+    // This is just for logging purposes
+
+  } catch (error) {
+    console.error('❌ Error in moveTodayExpiredToUnpaid task:', error);
+  }
+};
+
+// Initialize scheduled tasks (called after MongoDB connection)
+const initializeScheduledTasks = () => {
+  // ===== CRON DISABLED - Using External Cron Service (cron-job.org) =====
+  // External cron hits these endpoints:
+  // - https://techno-server-teal.vercel.app/api/admin/run-expiry-processing (12 PM daily)
+  // - https://techno-server-teal.vercel.app/api/admin/run-reminders (8 PM daily)
+
+  // IMPORTANT: Do NOT run processing on server start
+  // Only external cron (cron-job.org) should trigger at scheduled times (12 PM)
+  // This prevents premature expiry processing before 12 PM
+
+  console.log('📅 Server started - Using external cron service (cron-job.org)');
+  console.log(`   → Expiry processing will run at ${getSettings().expiryCutoff} via cron-job.org`);
+  console.log('   → Endpoint: /api/admin/run-expiry-processing');
+  console.log('   → Reminder processing endpoint: /api/admin/run-reminders');
+};
+
+// Function to check and send reminders at the reminder time (default 8 PM)
+const checkAndSendReminders = async () => {
+  try {
+    const { reminderTime } = getSettings();
+    console.log(`🔔 Checking for reminders at ${reminderTime}...`);
+
+    // Only send once today's reminder time has been reached
+    if (!isPastReminderTime()) {
+      console.log(`⏰ Current time is before ${reminderTime} - Skipping reminders`);
+      return;
+    }
+
+    // Find all reminders for today (business timezone) that haven't been sent
+    const reminders = await collections.reminders.find({
+      reminderDate: dayRange(0),
+      sent: false
+    }).toArray();
+
+    console.log(`📋 Found ${reminders.length} reminder(s) for today`);
+
+    if (reminders.length === 0) {
+      return;
+    }
+
+    // Process each reminder
+    for (const reminder of reminders) {
+      console.log(`📬 Sending reminder notification for: ${reminder.userName}`);
+      console.log(`   User ID: ${reminder.userId}`);
+      console.log(`   Amount: Rs ${reminder.amount}`);
+      console.log(`   Note: ${reminder.note || 'No note'}`);
+
+      // Mark reminder as sent
+      await collections.reminders.updateOne(
+        { _id: reminder._id },
+        {
+          $set: {
+            sent: true,
+            sentAt: new Date()
+          }
+        }
+      );
+
+      // Here you can add actual notification logic:
+      // - Push notification
+      // - Email notification
+      // - SMS notification
+      // - Desktop notification
+
+      // For now, we're just logging it
+      console.log(`✅ Reminder marked as sent for ${reminder.userName}`);
+    }
+
+    console.log(`✅ Processed ${reminders.length} reminder(s) successfully`);
+  } catch (error) {
+    console.error('❌ Error checking reminders:', error);
+  }
+};
+
+// Function to check and send missed reminders on server startup
+const checkMissedReminders = async () => {
+  try {
+    console.log('🔍 Checking for missed reminders on server startup...');
+
+    const now = new Date();
+    const { reminderTime } = getSettings();
+
+    // Midnight today in the business timezone
+    const today = startOfToday();
+
+    // If current time is past the reminder time, send today's reminders
+    if (isPastReminderTime(now)) {
+      console.log(`⏰ Current time is past ${reminderTime}, sending today's reminders...`);
+
+      const todayReminders = await collections.reminders.find({
+        reminderDate: dayRange(0),
+        sent: false
+      }).toArray();
+
+      if (todayReminders.length > 0) {
+        console.log(`📋 Found ${todayReminders.length} missed reminder(s) for today`);
+
+        for (const reminder of todayReminders) {
+          console.log(`📬 Sending missed reminder for: ${reminder.userName}`);
+          console.log(`   User ID: ${reminder.userId}`);
+          console.log(`   Amount: Rs ${reminder.amount}`);
+          console.log(`   Note: ${reminder.note || 'No note'}`);
+
+          await collections.reminders.updateOne(
+            { _id: reminder._id },
+            {
+              $set: {
+                sent: true,
+                sentAt: now
+              }
+            }
+          );
+
+          console.log(`✅ Missed reminder sent for ${reminder.userName}`);
+        }
+      } else {
+        console.log('✓ No missed reminders for today');
+      }
+    }
+
+    // Also check for any past reminders that were never sent
+    const pastReminders = await collections.reminders.find({
+      reminderDate: {
+        $lt: today
+      },
+      sent: false
+    }).toArray();
+
+    if (pastReminders.length > 0) {
+      console.log(`⚠️ Found ${pastReminders.length} old unsent reminder(s) from previous days`);
+
+      for (const reminder of pastReminders) {
+        const reminderDate = new Date(reminder.reminderDate);
+        console.log(`📬 Sending overdue reminder for: ${reminder.userName}`);
+        console.log(`   Original date: ${reminderDate.toLocaleDateString('en-GB')}`);
+        console.log(`   User ID: ${reminder.userId}`);
+        console.log(`   Amount: Rs ${reminder.amount}`);
+
+        await collections.reminders.updateOne(
+          { _id: reminder._id },
+          {
+            $set: {
+              sent: true,
+              sentAt: now
+            }
+          }
+        );
+
+        console.log(`✅ Overdue reminder sent for ${reminder.userName}`);
+      }
+    } else {
+      console.log('✓ No overdue reminders found');
+    }
+
+    console.log('✅ Missed reminders check completed');
+  } catch (error) {
+    console.error('❌ Error checking missed reminders:', error);
+  }
+};
+
+module.exports = {
+  checkAndSendReminders,
+  checkExpiringUsers,
+  checkMissedReminders,
+  checkTomorrowExpiringUsers,
+  initializeScheduledTasks,
+  moveTodayExpiredToUnpaid
+};
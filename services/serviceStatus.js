@@ -0,0 +1,150 @@
+const { collections } = require('../db');
+const { daysBetween } = require('./dates');
+const { getSettings } = require('./settings');
+const { SERVICE_STATUS, activeServiceFilter } = require('./status');
+
+// ============ SERVICE STATUS ============
+// Moves users' service (connection) between active, grace, suspended, disconnected and
+// reconnected. The daily expiry processing runs the automatic steps:
+//
+//   active / reconnected --unpaid graceAfterDays--> grace
+//   grace --unpaid suspendAfterDays--> suspended
+//   suspended --unpaid disconnectAfterDays--> disconnected
+//   grace --paid--> active
+//   suspended --paid--> reconnected
+//
+// A user is behind while they owe anything (remainingAmount > 0, partial payers too). Days are
+// counted from unpaidSince, the day they fell behind. A user more days behind moves straight to
+// the matching step. Disconnected users are only reconnected by hand.
+// Admins can set any status with a reason; the count then restarts from that day, and a status
+// set by hand is not undone automatically when the user pays.
+// Every change is written to the service_transitions collection.
+
+// Order of the automatic steps; active and reconnected are the same step
+const STEP = {
+  [SERVICE_STATUS.ACTIVE]: 0,
+  [SERVICE_STATUS.RECONNECTED]: 0,
+  [SERVICE_STATUS.GRACE]: 1,
+  [SERVICE_STATUS.SUSPENDED]: 2,
+  [SERVICE_STATUS.DISCONNECTED]: 3
+};
+const STEP_STATUSES = [SERVICE_STATUS.ACTIVE, SERVICE_STATUS.GRACE, SERVICE_STATUS.SUSPENDED, SERVICE_STATUS.DISCONNECTED];
+
+const SERVICE_SOURCES = { AUTO: 'auto', MANUAL: 'manual' };
+
+const toActor = (user) => (user ? { id: user.id || null, name: user.name, role: user.role } : null);
+
+const serviceStatusOf = (user) => user.serviceStatus || SERVICE_STATUS.ACTIVE;
+
+// Whole days the user has been behind, counted from a manual change if that came later, or null
+// when the user owes nothing
+const unpaidDays = (user, now = new Date()) => {
+  if (!(Number(user.remainingAmount) > 0) || !user.unpaidSince) return null;
+  let since = new Date(user.unpaidSince);
+  if (user.serviceStatusSource === SERVICE_SOURCES.MANUAL && user.serviceStatusSince > since) {
+    since = user.serviceStatusSince;
+  }
+  return Math.max(0, daysBetween(since, now));
+};
+
+// The automatic step a user is due for, as { to, reason, daysUnpaid }, or null to stay
+function nextServiceStatus(user, now = new Date()) {
+  const current = serviceStatusOf(user);
+  if (!(current in STEP) || current === SERVICE_STATUS.DISCONNECTED) return null;
+
+  const days = unpaidDays(user, now);
+  if (days === null) {
+    // Paid again: undo the automatic steps
+    if (user.serviceStatusSource === SERVICE_SOURCES.MANUAL) return null;
+    if (current === SERVICE_STATUS.GRACE) return { to: SERVICE_STATUS.ACTIVE, reason: 'Paid' };
+    if (current === SERVICE_STATUS.SUSPENDED) return { to: SERVICE_STATUS.RECONNECTED, reason: 'Paid' };
+    return null;
+  }
+
+  const { graceAfterDays, suspendAfterDays, disconnectAfterDays } = getSettings();
+  const step = days >= disconnectAfterDays ? 3 : days >= suspendAfterDays ? 2 : days >= graceAfterDays ? 1 : 0;
+  if (step <= STEP[current]) return null;
+  return { to: STEP_STATUSES[step], reason: `Unpaid for ${days} days`, daysUnpaid: days };
+}
+
+// Fields to $set on a user whose service status changes
+const serviceStatusFields = (to, { reason, source = SERVICE_SOURCES.MANUAL, now = new Date() }) => ({
+  serviceStatus: to,
+  serviceStatusSince: now,
+  serviceStatusSource: source,
+  serviceStatusReason: reason
+});
+
+// Write one transition of `user` (the document before the change) to the log
+async function logServiceTransition(user, to, { reason, source = SERVICE_SOURCES.MANUAL, actor = null, daysUnpaid = null, now = new Date(), session } = {}) {
+  const from = serviceStatusOf(user);
+  const transition = {
+    userId: user._id.toString(),
+    userName: user.userName,
+    from,
+    to,
+    reason,
+    source,
+    daysUnpaid,
+    changedBy: toActor(actor),
+    createdAt: now
+  };
+  await collections.serviceTransitions.insertOne(transition, { session });
+  console.log(`🔌 Service ${from} → ${to} for ${user.userName} (${source}: ${reason})`);
+  return transition;
+}
+
+// Set a user's service status and log the transition. `source` is 'auto' or 'manual'.
+async function setServiceStatus(user, to, options = {}) {
+  const now = new Date();
+  await collections.users.updateOne(
+    { _id: user._id },
+    { $set: serviceStatusFields(to, { ...options, now }) },
+    { session: options.session }
+  );
+  return logServiceTransition(user, to, { ...options, now });
+}
+
+// Run the automatic steps for every user. With dryRun nothing is written.
+// Returns { scanned, changed: [{ _id, userName, from, to, reason }] }.
+async function runServiceTransitions({ dryRun = false } = {}) {
+  const users = await collections.users.find(activeServiceFilter).project({
+    userName: 1,
+    status: 1,
+    remainingAmount: 1,
+    unpaidSince: 1,
+    serviceStatus: 1,
+    serviceStatusSince: 1,
+    serviceStatusSource: 1
+  }).toArray();
+
+  const now = new Date();
+  const changed = [];
+  for (const user of users) {
+    const next = nextServiceStatus(user, now);
+    if (!next) continue;
+
+    changed.push({ _id: user._id, userName: user.userName, from: serviceStatusOf(user), to: next.to, reason: next.reason });
+    if (!dryRun) {
+      await setServiceStatus(user, next.to, { reason: next.reason, source: SERVICE_SOURCES.AUTO, daysUnpaid: next.daysUnpaid ?? null });
+    }
+  }
+
+  console.log(`🔌 Service status: ${changed.length} of ${users.length} users ${dryRun ? 'would change' : 'changed'}`);
+  return { scanned: users.length, changed };
+}
+
+// A user's service transitions, newest first
+const serviceTransitionsFor = (userId, limit = 100) =>
+  collections.serviceTransitions.find({ userId: String(userId) }).sort({ createdAt: -1 }).limit(limit).toArray();
+
+module.exports = {
+  SERVICE_SOURCES,
+  logServiceTransition,
+  nextServiceStatus,
+  runServiceTransitions,
+  serviceStatusFields,
+  serviceStatusOf,
+  serviceTransitionsFor,
+  setServiceStatus
+};
@@ -0,0 +1,131 @@
+const { collections } = require('../db');
+
+// ============ BUSINESS SETTINGS ============
+// Business timezone, expiry cutoff time, reminder time, archive retention and the service
+// suspension days, kept in a single `settings` document.
+// The date helpers read them synchronously, so they are cached in memory: loaded when the
+// database connects, reloaded after every save, and refreshed at most once a minute per request
+// (serverless instances do not see each other's saves).
+
+const SETTINGS_ID = 'business';
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  timezone: 'Asia/Karachi', // IANA timezone name
+  expiryCutoff: '12:00', // HH:MM - expiry processing runs from this time on the expiry day
+  reminderTime: '20:00', // HH:MM - reminders are sent from this time on their day
+  archiveRetentionDays: 365, // Archived users can be purged this many days after archiving
+  // Days a user has been unpaid before the service moves to grace, suspended and disconnected
+  graceAfterDays: 1,
+  suspendAfterDays: 7,
+  disconnectAfterDays: 30
+};
+
+const MAX_DAYS = 3650;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let current = { ...DEFAULT_SETTINGS };
+let loadedAt = 0;
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+const isValidDays = (days) => Number.isInteger(days) && days >= 0 && days <= MAX_DAYS;
+
+// 'HH:MM' -> minutes after midnight
+const timeToMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const VALIDATORS = {
+  timezone: [isValidTimezone, 'timezone must be an IANA timezone name, e.g. Asia/Karachi'],
+  expiryCutoff: [isValidTime, 'expiryCutoff must be a time in HH:MM (24-hour) format'],
+  reminderTime: [isValidTime, 'reminderTime must be a time in HH:MM (24-hour) format'],
+  archiveRetentionDays: [isValidDays, `archiveRetentionDays must be a whole number of days from 0 to ${MAX_DAYS}`],
+  graceAfterDays: [isValidDays, `graceAfterDays must be a whole number of days from 0 to ${MAX_DAYS}`],
+  suspendAfterDays: [isValidDays, `suspendAfterDays must be a whole number of days from 0 to ${MAX_DAYS}`],
+  disconnectAfterDays: [isValidDays, `disconnectAfterDays must be a whole number of days from 0 to ${MAX_DAYS}`]
+};
+
+// Validation message for the first invalid setting in `updates`, or null
+const validateSettings = (updates) => {
+  for (const [key, [isValid, message]] of Object.entries(VALIDATORS)) {
+    if (updates[key] !== undefined && !isValid(updates[key])) return message;
+  }
+
+  // The service steps must stay in order; settings not in `updates` keep their saved values
+  const { graceAfterDays, suspendAfterDays, disconnectAfterDays } = { ...current, ...updates };
+  if (!(graceAfterDays <= suspendAfterDays && suspendAfterDays <= disconnectAfterDays)) {
+    return 'graceAfterDays must not be more than suspendAfterDays, nor suspendAfterDays more than disconnectAfterDays';
+  }
+  return null;
+};
+
+// The known settings in a stored document; unknown or invalid values fall back to the defaults
+const fromDocument = (doc) => {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const [key, [isValid]] of Object.entries(VALIDATORS)) {
+    if (doc && isValid(doc[key])) settings[key] = doc[key];
+  }
+  return settings;
+};
+
+const getSettings = () => current;
+
+async function loadSettings() {
+  const doc = await collections.settings.findOne({ _id: SETTINGS_ID });
+  current = fromDocument(doc);
+  loadedAt = Date.now();
+  return current;
+}
+
+// Save the given settings (already validated) and return the full settings
+async function saveSettings(updates, updatedBy) {
+  const $set = {};
+  for (const key of Object.keys(VALIDATORS)) {
+    if (updates[key] !== undefined) $set[key] = updates[key];
+  }
+
+  await collections.settings.updateOne(
+    { _id: SETTINGS_ID },
+    { $set: { ...$set, updatedAt: new Date(), updatedBy } },
+    { upsert: true }
+  );
+
+  const settings = await loadSettings();
+  console.log(`⚙️ Settings updated by ${updatedBy}: timezone ${settings.timezone}, expiry cutoff ${settings.expiryCutoff}, reminders ${settings.reminderTime}, archive retention ${settings.archiveRetentionDays} days, service grace/suspend/disconnect after ${settings.graceAfterDays}/${settings.suspendAfterDays}/${settings.disconnectAfterDays} days`);
+  return settings;
+}
+
+// Middleware: reload the cached settings when they are older than REFRESH_INTERVAL_MS
+async function refreshSettings(req, res, next) {
+  try {
+    if (Date.now() - loadedAt > REFRESH_INTERVAL_MS) {
+      await loadSettings();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  loadSettings,
+  refreshSettings,
+  saveSettings,
+  timeToMinutes,
+  validateSettings
+};
@@ -0,0 +1,322 @@
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { businessDate, expiryCutoffFor, parseExpiryYMD } = require('./dates');
+const { findVouchers, userIdsWithMonths } = require('./voucherMonths');
+
+// ============ PAYMENT STATUS ENGINE ============
+// The one place that decides a user's payment status from their voucher months. The
+// dashboard, the Paid/Unpaid/Balance lists, recalculate-status and the voucher routes all
+// go through here so their counts agree.
+//
+// Status rules, in order:
+// 1. No voucher months yet: 'pending' users stay pending, others follow their own
+//    paidAmount/remainingAmount (set when the user was added)
+// 2. Every month reversed (refunded) -> 'reversed'
+// 3. Any unpaid month -> 'unpaid'
+// 4. 'pending' users with nothing paid stay 'pending'
+// 5. Nothing remaining -> 'paid'
+// 6. Something paid, something remaining -> 'partial'
+// 7. Otherwise -> 'unpaid'
+// Reversed months are left out of the paid/remaining totals; their money is tracked in refunds.
+// Money paid ahead is in the user's credit wallet (services/wallet.js), not in a status: the
+// part of a month's payment that went to the wallet (creditedToWallet) is not counted as paid.
+
+const USER_STATUS = {
+  PAID: 'paid',
+  UNPAID: 'unpaid',
+  PARTIAL: 'partial',
+  PENDING: 'pending',
+  REVERSED: 'reversed'
+};
+
+// Statuses a user with at least one paid month can have and still show in the Paid list
+const PAID_LIST_STATUSES = [USER_STATUS.PAID, USER_STATUS.PARTIAL, USER_STATUS.UNPAID];
+
+// Users that have not been archived (deleted). Archived users keep their vouchers and payments
+// for history and reports but are left out of every active list.
+const notArchivedFilter = { archivedAt: null };
+
+// Service (connection) status, separate from the payment status. Users without one are active.
+// See services/serviceStatus.js for the transitions.
+const SERVICE_STATUS = {
+  ACTIVE: 'active',
+  GRACE: 'grace',
+  SUSPENDED: 'suspended',
+  DISCONNECTED: 'disconnected',
+  RECONNECTED: 'reconnected'
+};
+
+// Service statuses with the connection switched off. 'inactive' is the older manual switch-off.
+const SERVICE_OFF_STATUSES = [SERVICE_STATUS.SUSPENDED, SERVICE_STATUS.DISCONNECTED, 'inactive'];
+
+// Users whose service has not ended (disconnected or switched off), and not archived. Suspended
+// users are still subscribers: they keep being billed and stay in the payment lists.
+const activeServiceFilter = {
+  serviceStatus: { $nin: [SERVICE_STATUS.DISCONNECTED, 'inactive'] },
+  ...notArchivedFilter
+};
+
+// Users not flagged by the scheduler as expiring today/tomorrow (they show in Expiring Soon)
+const notExpiringSoonFilter = {
+  $or: [
+    { showInExpiringSoon: { $ne: true } },
+    { showInExpiringSoon: { $exists: false } }
+  ]
+};
+
+const toObjectId = (id) => {
+  try { return new ObjectId(id); } catch (e) { return id; }
+};
+
+// Sum of a month's credit (negative) and debit (positive) lines, e.g. package change proration
+const monthAdjustment = (month) =>
+  (Array.isArray(month.adjustments) ? month.adjustments : [])
+    .reduce((sum, line) => sum + Number(line.amount || 0), 0);
+
+// Amount still owed on one voucher month (or a legacy single-month voucher)
+const monthRemaining = (month) => {
+  if (month.remainingAmount !== undefined && month.remainingAmount !== null) {
+    return Number(month.remainingAmount);
+  }
+  const pkg = Number(month.packageFee || month.amount || 0);
+  const disc = Number(month.discount || 0);
+  return Math.max(0, pkg - disc + monthAdjustment(month) - Number(month.paidAmount || 0));
+};
+
+// Payments recorded on a month. Months saved before paymentHistory existed have one payment
+// for their paidAmount.
+const monthPayments = (month) => {
+  if (Array.isArray(month.paymentHistory) && month.paymentHistory.length > 0) return month.paymentHistory;
+  return Number(month.paidAmount || 0) > 0
+    ? [{
+        amount: Number(month.paidAmount),
+        date: month.createdAt || month.date,
+        paymentMethod: month.paymentMethod,
+        receivedBy: month.receivedBy
+      }]
+    : [];
+};
+
+// A month counts as paid once any money has been received for it
+const isPaidMonth = (month) =>
+  month.status === 'paid' || (month.status === 'partial' && Number(month.paidAmount || 0) > 0);
+
+// Whether a voucher's expiry date has passed (the expiry cutoff time on the expiry date).
+// Vouchers without a readable expiry date count as expired.
+const hasExpiryPassed = (expiryDate) => {
+  if (!expiryDate) return true; // No expiry date, include it
+
+  const ymd = parseExpiryYMD(expiryDate);
+  if (!ymd) return true;
+  return expiryCutoffFor(businessDate(ymd.y, ymd.m, ymd.d)) <= new Date();
+};
+
+// Totals and flags across all months of a user's vouchers
+const summarizeVouchers = (vouchers) => {
+  const summary = {
+    monthCount: 0,
+    reversedMonthCount: 0,
+    totalPaid: 0,
+    totalRemaining: 0,
+    hasUnpaidMonth: false,
+    hasPartialMonth: false,
+    hasPaidMonth: false
+  };
+
+  for (const v of vouchers || []) {
+    const months = Array.isArray(v.months) ? v.months : [v];
+    for (const m of months) {
+      summary.monthCount++;
+      if (m.status === 'reversed') {
+        summary.reversedMonthCount++;
+        continue;
+      }
+      if (m.status === 'unpaid') summary.hasUnpaidMonth = true;
+      if (m.status === 'partial' && monthRemaining(m) > 0) summary.hasPartialMonth = true;
+      if (isPaidMonth(m)) summary.hasPaidMonth = true;
+      summary.totalPaid += Number(m.paidAmount || 0) - Number(m.creditedToWallet || 0);
+      summary.totalRemaining += monthRemaining(m);
+    }
+  }
+
+  return summary;
+};
+
+// Status, paidAmount and remainingAmount a user should have, given all their vouchers
+const deriveUserStatus = (user, vouchers) => {
+  const summary = summarizeVouchers(vouchers);
+  const { totalPaid, totalRemaining } = summary;
+  const result = (status, paidAmount = totalPaid, remainingAmount = totalRemaining) =>
+    ({ status, paidAmount, remainingAmount, ...summary });
+
+  if (summary.monthCount === 0) {
+    const paid = Number(user.paidAmount || 0);
+    const remaining = Number(user.remainingAmount ?? user.amount ?? 0);
+    if (user.status === USER_STATUS.PENDING) return result(USER_STATUS.PENDING, paid, remaining);
+    if (remaining <= 0 && paid > 0) return result(USER_STATUS.PAID, paid, remaining);
+    return result(paid > 0 ? USER_STATUS.PARTIAL : USER_STATUS.UNPAID, paid, remaining);
+  }
+
+  if (summary.reversedMonthCount === summary.monthCount) return result(USER_STATUS.REVERSED);
+  if (summary.hasUnpaidMonth) return result(USER_STATUS.UNPAID);
+  if (user.status === USER_STATUS.PENDING && totalPaid === 0) return result(USER_STATUS.PENDING);
+  if (totalRemaining <= 0) return result(USER_STATUS.PAID);
+  if (totalPaid > 0) return result(USER_STATUS.PARTIAL);
+  return result(USER_STATUS.UNPAID);
+};
+
+// Fields to $set on the user, or null when the stored values already match
+const statusUpdateFor = (user, derived) => {
+  if (user.status === derived.status &&
+    Number(user.paidAmount || 0) === derived.paidAmount &&
+    Number(user.remainingAmount || 0) === derived.remainingAmount) {
+    return null;
+  }
+
+  const update = {
+    status: derived.status,
+    paidAmount: derived.paidAmount,
+    remainingAmount: derived.remainingAmount
+  };
+  // Same unpaidSince handling as PUT /api/users/:id: set when first unpaid or partly paid, cleared
+  // only once fully paid, so the service status steps keep counting across billing cycles
+  if ([USER_STATUS.UNPAID, USER_STATUS.PARTIAL].includes(derived.status) && !user.unpaidSince) update.unpaidSince = new Date();
+  if (derived.status === USER_STATUS.PAID && user.unpaidSince) update.unpaidSince = null;
+  return update;
+};
+
+// Outstanding amount for a user: the voucher's remaining months, or for users without a
+// voucher (e.g. new Pay Later users) the amount stored on the user
+const calculateUserOutstanding = (user, voucher) => {
+  if (voucher && Array.isArray(voucher.months)) {
+    return voucher.months.reduce((sum, month) => {
+      const rem = monthRemaining(month);
+      return rem > 0 ? sum + rem : sum;
+    }, 0);
+  }
+
+  if (user.status === 'unpaid' && user.amount) {
+    return Number(user.amount || 0);
+  }
+
+  // For partial users without vouchers, use remainingAmount
+  if (user.status === 'partial' && user.remainingAmount) {
+    return Number(user.remainingAmount || 0);
+  }
+
+  return 0;
+};
+
+// User _ids (as ObjectIds) that have a voucher month with the given status
+async function userIdsWithMonthStatus(status) {
+  const userIds = await userIdsWithMonths({ status });
+  return userIds.filter(Boolean).map(id => toObjectId(id));
+}
+
+// Users the Unpaid list shows: 'unpaid', or 'partial' with at least one unpaid month
+async function unpaidListFilter() {
+  const withUnpaidMonths = await userIdsWithMonthStatus('unpaid');
+  return {
+    $or: [
+      { status: USER_STATUS.UNPAID },
+      { $and: [{ status: USER_STATUS.PARTIAL }, { _id: { $in: withUnpaidMonths } }] }
+    ]
+  };
+}
+
+// Users the Balance list shows: 'partial' with something remaining, credit in their wallet, or
+// 'unpaid' with at least one partial month
+async function balanceListFilter() {
+  const withPartialMonths = await userIdsWithMonthStatus('partial');
+  return {
+    $or: [
+      { status: USER_STATUS.PARTIAL, remainingAmount: { $gt: 0 } },
+      { walletBalance: { $gt: 0 } },
+      { $and: [{ status: USER_STATUS.UNPAID }, { _id: { $in: withPartialMonths } }] }
+    ]
+  };
+}
+
+const vouchersForUser = (user, session) => findVouchers({
+  userId: { $in: [user._id.toString(), user._id] }
+}, { session });
+
+// Re-derive one user's status from their vouchers and save it if it changed.
+// Returns null when the user does not exist.
+async function recalculateUserStatus(userId, { session } = {}) {
+  const user = await collections.users.findOne({ _id: toObjectId(userId) }, { session });
+  if (!user) {
+    return null;
+  }
+
+  const derived = deriveUserStatus(user, await vouchersForUser(user, session));
+  const update = statusUpdateFor(user, derived);
+  if (update) {
+    await collections.users.updateOne({ _id: user._id }, { $set: update }, { session });
+    console.log(`📊 Status for ${user.userName}: ${user.status} → ${derived.status} (paid: ${derived.paidAmount}, remaining: ${derived.remainingAmount})`);
+  }
+
+  return { ...derived, previousStatus: user.status, changed: !!update };
+}
+
+// Re-derive every user's status. Reports the users whose stored values were out of date;
+// with dryRun nothing is written.
+async function recalculateAllStatuses({ dryRun = false } = {}) {
+  const vouchersByUser = new Map();
+  const vouchers = await findVouchers({});
+  for (const voucher of vouchers) {
+    if (!voucher.userId) continue;
+    const key = voucher.userId.toString();
+    if (!vouchersByUser.has(key)) vouchersByUser.set(key, []);
+    vouchersByUser.get(key).push(voucher);
+  }
+
+  const users = await collections.users.find({}).project({
+    userName: 1, userId: 1, status: 1, paidAmount: 1, remainingAmount: 1, amount: 1, unpaidSince: 1
+  }).toArray();
+
+  const changed = [];
+  const updates = [];
+  for (const user of users) {
+    const derived = deriveUserStatus(user, vouchersByUser.get(user._id.toString()));
+    const update = statusUpdateFor(user, derived);
+    if (!update) continue;
+
+    changed.push({
+      _id: user._id,
+      userName: user.userName,
+      userId: user.userId,
+      from: { status: user.status, paidAmount: user.paidAmount, remainingAmount: user.remainingAmount },
+      to: { status: derived.status, paidAmount: derived.paidAmount, remainingAmount: derived.remainingAmount }
+    });
+    updates.push({ updateOne: { filter: { _id: user._id }, update: { $set: update } } });
+  }
+
+  if (!dryRun && updates.length > 0) {
+    await collections.users.bulkWrite(updates, { ordered: false });
+  }
+
+  return { scanned: users.length, changed };
+}
+
+module.exports = {
+  PAID_LIST_STATUSES,
+  SERVICE_OFF_STATUSES,
+  SERVICE_STATUS,
+  USER_STATUS,
+  activeServiceFilter,
+  balanceListFilter,
+  calculateUserOutstanding,
+  deriveUserStatus,
+  hasExpiryPassed,
+  isPaidMonth,
+  monthAdjustment,
+  monthPayments,
+  monthRemaining,
+  notArchivedFilter,
+  notExpiringSoonFilter,
+  recalculateAllStatuses,
+  recalculateUserStatus,
+  summarizeVouchers,
+  unpaidListFilter
+};
@@ -0,0 +1,304 @@
+const ExcelJS = require('exceljs');
+const { collections } = require('../db');
+const { history } = require('./index');
+const { HISTORY_ENTITIES } = require('./history');
+const { NEW_USER_FIELDS, buildNewUser } = require('./users');
+
+// ============ USER IMPORT ============
+// Bulk subscriber import from a CSV or XLSX file. The first row holds the column names (the
+// POST /api/users field names; case, spaces and punctuation are ignored, so "User Name" works).
+// Every row is built with the same rules as POST /api/users and checked against the existing
+// packages, streets and employees. A dry run only reports; otherwise the valid rows are inserted
+// and the rest are returned with their errors.
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Other column names people use for the same fields
+const COLUMN_ALIASES = {
+  name: 'userName',
+  username: 'userName',
+  customer: 'userName',
+  customername: 'userName',
+  sim: 'simNo',
+  simnumber: 'simNo',
+  whatsapp: 'whatsappNo',
+  whatsappnumber: 'whatsappNo',
+  package: 'packageName',
+  street: 'streetName',
+  technician: 'assignTo',
+  assignedto: 'assignTo',
+  collector: 'feeCollector',
+  months: 'numberOfMonths',
+  fee: 'amount'
+};
+
+const NUMBER_FIELDS = ['amount', 'discount', 'numberOfMonths'];
+const PAYMENT_TYPES = ['now', 'later'];
+
+const normalizeColumn = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_COLUMN = Object.fromEntries(NEW_USER_FIELDS.map((field) => [normalizeColumn(field), field]));
+
+const fieldForColumn = (name) => {
+  const column = normalizeColumn(name);
+  return FIELD_BY_COLUMN[column] || COLUMN_ALIASES[column] || null;
+};
+
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and CRLF line endings
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// XLSX cell value -> string. Date cells become YYYY-MM-DD (Excel dates have no timezone).
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      values.push(cellText(row.getCell(col).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, (row) => row || []);
+};
+
+const isXlsx = (file) => /\.xlsx$/i.test(file.originalname || '') ||
+  (file.buffer.length > 1 && file.buffer[0] === 0x50 && file.buffer[1] === 0x4b); // ZIP "PK"
+
+// Uploaded file -> { columns, ignoredColumns, rows: [{ row, fields }] }, where `row` is the
+// spreadsheet row number. Throws an error with status 400 when the file cannot be used.
+async function readImportFile(file) {
+  const badFile = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (/\.xls$/i.test(file.originalname || '')) {
+    throw badFile('Old .xls files are not supported. Save the sheet as .xlsx or .csv');
+  }
+
+  const table = isXlsx(file)
+    ? await parseXlsx(file.buffer)
+    : parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+
+  const [header = [], ...body] = table;
+  const fields = header.map(fieldForColumn);
+  if (!fields.includes('userName')) {
+    throw badFile('The first row must contain the column names, including userName');
+  }
+
+  const rows = [];
+  body.forEach((values, index) => {
+    if (values.every((value) => String(value).trim() === '')) return; // Skip blank lines
+    const row = {};
+    fields.forEach((field, col) => {
+      if (!field) return;
+      const value = String(values[col] ?? '').trim();
+      if (value !== '') row[field] = value;
+    });
+    rows.push({ row: index + 2, fields: row });
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw badFile(`Too many rows (${rows.length}). Import at most ${MAX_IMPORT_ROWS} at a time`);
+  }
+
+  return {
+    columns: fields.filter(Boolean),
+    ignoredColumns: header.filter((name, col) => !fields[col] && String(name).trim() !== ''),
+    rows
+  };
+}
+
+const byLowerName = (docs) => new Map(docs.map((doc) => [String(doc.name || '').trim().toLowerCase(), doc]));
+
+// Packages, streets, employees and existing userIds the rows are checked against
+async function loadReferenceData(rows) {
+  const userIds = [...new Set(rows.map(({ fields }) => fields.userId).filter(Boolean))];
+  const [packages, streets, employees, existingUsers] = await Promise.all([
+    collections.packages.find({}).project({ name: 1, price: 1 }).toArray(),
+    collections.streets.find({}).project({ name: 1 }).toArray(),
+    collections.employees.find({}).project({ name: 1, role: 1 }).toArray(),
+    collections.users.find({ userId: { $in: userIds } }).project({ userId: 1, archivedAt: 1 }).toArray()
+  ]);
+
+  return {
+    packages: byLowerName(packages),
+    streets: byLowerName(streets),
+    employees: byLowerName(employees),
+    existingUserIds: new Set(existingUsers.map((user) => user.userId)),
+    archivedUserIds: new Set(existingUsers.filter((user) => user.archivedAt).map((user) => user.userId))
+  };
+}
+
+// Check one row and build its user document. Returns { user } or { errors }.
+const validateRow = (fields, reference, seenUserIds) => {
+  const errors = [];
+  const input = { ...fields };
+
+  for (const field of NUMBER_FIELDS) {
+    if (input[field] === undefined) continue;
+    const number = Number(input[field].replace(/,/g, ''));
+    if (Number.isNaN(number) || number < 0) {
+      errors.push(`${field} must be a number`);
+    } else {
+      input[field] = number;
+    }
+  }
+
+  if (input.paymentType) {
+    input.paymentType = input.paymentType.toLowerCase();
+    if (!PAYMENT_TYPES.includes(input.paymentType)) errors.push('paymentType must be "now" or "later"');
+  }
+  if (input.status) input.status = input.status.toLowerCase();
+
+  // Names must match existing records; use their stored spelling
+  if (input.packageName) {
+    const pkg = reference.packages.get(input.packageName.toLowerCase());
+    if (!pkg) {
+      errors.push(`Package "${input.packageName}" does not exist`);
+    } else {
+      input.packageName = pkg.name;
+      if (input.amount === undefined) input.amount = Number(pkg.price) || 0;
+    }
+  }
+  if (input.streetName) {
+    const street = reference.streets.get(input.streetName.toLowerCase());
+    if (!street) errors.push(`Street "${input.streetName}" does not exist`);
+    else input.streetName = street.name;
+  }
+  for (const field of ['feeCollector', 'assignTo']) {
+    if (!input[field]) continue;
+    const employee = reference.employees.get(input[field].toLowerCase());
+    if (!employee) errors.push(`${field} "${input[field]}" is not an employee`);
+    else input[field] = employee.name;
+  }
+
+  if (input.userId) {
+    if (reference.archivedUserIds.has(input.userId)) {
+      errors.push(`userId "${input.userId}" belongs to an archived user. Restore it instead`);
+    } else if (reference.existingUserIds.has(input.userId)) {
+      errors.push(`userId "${input.userId}" already exists`);
+    } else if (seenUserIds.has(input.userId)) {
+      errors.push(`userId "${input.userId}" appears more than once in the file`);
+    }
+    seenUserIds.add(input.userId);
+  }
+
+  const { error, user } = buildNewUser(input, { log: false });
+  if (error) errors.push(error);
+
+  return errors.length > 0 ? { errors } : { user };
+};
+
+// Validate every row and, unless dryRun, insert the valid ones. `actor` is the employee importing
+// (req.user). Returns the import report.
+async function importUsers(file, { dryRun = false, actor = null } = {}) {
+  const { columns, ignoredColumns, rows } = await readImportFile(file);
+  const reference = await loadReferenceData(rows);
+
+  const seenUserIds = new Set();
+  const results = rows.map(({ row, fields }) => {
+    const { user, errors } = validateRow(fields, reference, seenUserIds);
+    return { row, userName: fields.userName || '', userId: fields.userId || '', user, errors };
+  });
+
+  const valid = results.filter((result) => result.user);
+
+  if (!dryRun && valid.length > 0) {
+    const docs = valid.map((result) => ({ ...result.user, importedBy: actor?.name }));
+    try {
+      const { insertedIds } = await collections.users.insertMany(docs, { ordered: false });
+      valid.forEach((result, index) => { result.insertedId = insertedIds[index]; });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      // Some rows failed to insert; the others were saved
+      const failed = new Map([].concat(error.writeErrors).map((writeError) => [writeError.index, writeError.errmsg]));
+      valid.forEach((result, index) => {
+        if (failed.has(index)) {
+          result.errors = [`Could not be saved: ${failed.get(index)}`];
+          delete result.user;
+        } else {
+          result.insertedId = error.insertedIds?.[index];
+        }
+      });
+    }
+
+    const inserted = valid.map((result, index) => result.insertedId && { ...docs[index], _id: result.insertedId })
+      .filter(Boolean);
+    await history.recordCreated(HISTORY_ENTITIES.USER, inserted, { actor, note: 'Imported' });
+  }
+
+  const report = results.map(({ row, userName, userId, user, errors, insertedId }) => {
+    if (errors) return { row, userName, userId, valid: false, errors };
+    return { row, userName, userId, valid: true, status: user.status, ...(insertedId && { _id: insertedId }) };
+  });
+
+  const validCount = report.filter((row) => row.valid).length;
+  console.log(`📥 User import${dryRun ? ' (dry run)' : ''}: ${rows.length} rows, ${validCount} valid, ${rows.length - validCount} with errors`);
+
+  return {
+    dryRun,
+    totalRows: rows.length,
+    validCount,
+    invalidCount: rows.length - validCount,
+    insertedCount: dryRun ? 0 : validCount,
+    columns,
+    ignoredColumns,
+    rows: report
+  };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  importUsers
+};
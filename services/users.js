@@ -0,0 +1,347 @@
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const {
+  DATE_FORMATS,
+  invalidDateField,
+  isPastExpiryCutoff,
+  toBusinessTime,
+  toBusinessYMD,
+  toStoredDate
+} = require('./dates');
+const { notArchivedFilter } = require('./status');
+
+// ============ NEW USERS ============
+// Builds the user document for POST /api/users and the bulk import, so both apply the same
+// payment status, date and Expiring Soon rules.
+
+// Fields a new user can be created with
+const NEW_USER_FIELDS = [
+  'userName',
+  'userId',
+  'simNo',
+  'whatsappNo',
+  'packageName',
+  'discount',
+  'amount',
+  'connectionType',
+  'streetName',
+  'switchSplitter',
+  'assignTo',
+  'feeCollector',
+  'rechargeDate',
+  'expiryDate',
+  'status',
+  'paymentType',
+  'numberOfMonths'
+];
+
+// New user document from request fields. Returns { error } when a field is invalid, otherwise
+// { user }. Pass { log: false } to skip the calculation logs (bulk import).
+function buildNewUser(fields, { log = true } = {}) {
+  const {
+    userName,
+    userId,
+    simNo,
+    whatsappNo,
+    packageName,
+    discount,
+    amount,
+    connectionType,
+    streetName,
+    switchSplitter,
+    assignTo,
+    feeCollector,
+    rechargeDate,
+    expiryDate,
+    status,
+    paymentType,
+    numberOfMonths
+  } = fields;
+
+  if (!userName) {
+    return { error: 'User name is required' };
+  }
+
+  // Dates are stored as BSON dates (12:00 business time); legacy string formats are still accepted
+  const invalidDate = invalidDateField(fields);
+  if (invalidDate) {
+    return { error: `Invalid ${invalidDate}. Use ${DATE_FORMATS}` };
+  }
+  const rechargeDateValue = toStoredDate(rechargeDate);
+  const expiryDateValue = toStoredDate(expiryDate);
+
+  // Calculate total amount based on numberOfMonths
+  const packageFeePerMonth = parseFloat(amount) || 0;
+  const discountPerMonth = parseFloat(discount) || 0;
+  const monthlyFeeAfterDiscount = packageFeePerMonth - discountPerMonth;
+  const totalAmountForAllMonths = monthlyFeeAfterDiscount * (numberOfMonths || 1);
+
+  if (log) {
+    console.log('💰 User Payment Calculation:', {
+      packageFeePerMonth,
+      discountPerMonth,
+      monthlyFeeAfterDiscount,
+      numberOfMonths,
+      totalAmountForAllMonths,
+      paymentType
+    });
+  }
+
+  // Parse expiry date to check if it's future
+  const nowUTC = new Date();
+  const businessNow = toBusinessTime(nowUTC);
+  const todayY = businessNow.getUTCFullYear();
+  const todayM = businessNow.getUTCMonth();
+  const todayD = businessNow.getUTCDate();
+
+  const expiryYMD = expiryDateValue && toBusinessYMD(expiryDateValue);
+  const isFutureExpiry = expiryYMD && (
+    expiryYMD.y > todayY ||
+    (expiryYMD.y === todayY && expiryYMD.m > todayM) ||
+    (expiryYMD.y === todayY && expiryYMD.m === todayM && expiryYMD.d > todayD)
+  );
+
+  if (log) {
+    console.log('📅 Expiry Date Check:', {
+      expiryDate,
+      expiryYMD,
+      todayYMD: { y: todayY, m: todayM, d: todayD },
+      isFutureExpiry
+    });
+  }
+
+  // Determine payment status
+  let paymentStatus = 'unpaid'; // Default
+  let paidAmount = 0;
+  let remainingAmount = totalAmountForAllMonths;
+
+  // Payment status logic:
+  // - Pay Now: paid/partial (shows in Paid + Expiring Soon)
+  // - Pay Later: always unpaid (shows in Unpaid Users)
+  // - Checkbox: pending (shows in Expiring Soon only)
+  if (status === 'pending') {
+    // Explicit pending (checkbox)
+    paymentStatus = 'pending';
+    if (log) console.log('✅ Checkbox: pending status');
+  } else if (paymentType === 'now') {
+    // Pay Now: Always paid/partial (regardless of expiry date)
+    paymentStatus = numberOfMonths > 1 ? 'partial' : 'paid';
+    paidAmount = monthlyFeeAfterDiscount;
+    remainingAmount = totalAmountForAllMonths - monthlyFeeAfterDiscount;
+    if (log) console.log('✅ Pay Now: paid/partial status (shows in Paid + Expiring Soon)');
+  } else if (paymentType === 'later') {
+    // Pay Later: Always unpaid (shows in Unpaid Users)
+    paymentStatus = 'unpaid';
+    if (log) console.log('✅ Pay Later: unpaid status (shows in Unpaid Users)');
+  }
+
+  if (log) {
+    console.log('📊 Final Payment Status:', {
+      paymentStatus,
+      paidAmount,
+      remainingAmount
+    });
+  }
+
+  // Check if expiry date is TODAY (before the expiry cutoff) or TOMORROW - if yes, set showInExpiringSoon flag
+  const beforeExpiryCutoff = !isPastExpiryCutoff(nowUTC);
+
+  const tomorrowDate = new Date(Date.UTC(todayY, todayM, todayD + 1));
+  const tomorrowY = tomorrowDate.getUTCFullYear();
+  const tomorrowM = tomorrowDate.getUTCMonth();
+  const tomorrowD = tomorrowDate.getUTCDate();
+
+  const isExpiringToday = expiryYMD &&
+    expiryYMD.y === todayY &&
+    expiryYMD.m === todayM &&
+    expiryYMD.d === todayD;
+
+  const isExpiringTomorrow = expiryYMD &&
+    expiryYMD.y === tomorrowY &&
+    expiryYMD.m === tomorrowM &&
+    expiryYMD.d === tomorrowD;
+
+  // Set flag if:
+  // 1. Expires tomorrow (always)
+  // 2. Expires today BUT current time is before the expiry cutoff
+  const shouldShowInExpiringSoon = isExpiringTomorrow || (isExpiringToday && beforeExpiryCutoff);
+
+  if (log && shouldShowInExpiringSoon) {
+    if (isExpiringToday && beforeExpiryCutoff) {
+      console.log('🔔 User expires TODAY (before the expiry cutoff) - Setting showInExpiringSoon flag immediately');
+    } else if (isExpiringTomorrow) {
+      console.log('🔔 User expires TOMORROW - Setting showInExpiringSoon flag immediately');
+    }
+  }
+
+  const newUser = {
+    userName: userName.trim(),
+    userId: userId ? userId.trim() : '',
+    simNo: simNo ? simNo.trim() : '',
+    whatsappNo: whatsappNo ? whatsappNo.trim() : '',
+    packageName: packageName || '',
+    discount: discount || 0,
+    amount: amount || 0, // Single month package fee
+    totalAmount: totalAmountForAllMonths, // Total for all months
+    numberOfMonths: numberOfMonths || 1,
+    connectionType: connectionType || 'Local',
+    streetName: streetName || '',
+    switchSplitter: switchSplitter ? switchSplitter.trim() : '',
+    assignTo: assignTo ? assignTo.trim() : '',
+    feeCollector: feeCollector ? feeCollector.trim() : '',
+    rechargeDate: rechargeDateValue,
+    expiryDate: expiryDateValue,
+    status: paymentStatus, // Payment status: paid, unpaid, partial, pending
+    serviceStatus: 'active', // Service status: always active for new users
+    paidAmount: paidAmount,
+    remainingAmount: remainingAmount,
+    unpaidSince: paymentStatus === 'unpaid' ? new Date() : null,
+    showInExpiringSoon: shouldShowInExpiringSoon, // Set if expires today (before the expiry cutoff) or tomorrow
+    createdAt: new Date()
+  };
+
+  return { user: newUser };
+}
+
+// ============ USER LIST ============
+// Filters, sorting and cursor pagination for GET /api/users. Pages are sorted by one field plus
+// _id, and the cursor holds the last row's values for both, so rows added or removed between
+// requests do not shift later pages.
+
+const USER_SORT_FIELDS = ['userName', 'userId', 'expiryDate', 'rechargeDate', 'createdAt', 'amount', 'remainingAmount'];
+const DEFAULT_LIST_LIMIT = 50;
+
+// Query parameter -> user field, matched exactly (case-insensitive)
+const LIST_FILTERS = {
+  package: 'packageName',
+  street: 'streetName',
+  connectionType: 'connectionType',
+  feeCollector: 'feeCollector',
+  assignTo: 'assignTo'
+};
+
+const SEARCH_FIELDS = ['userName', 'userId', 'simNo', 'whatsappNo'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactRegex = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, 'i');
+
+// Opaque cursor for the row a page ended on
+const encodeCursor = (user, sortField) => {
+  const value = user[sortField];
+  const cursor = value instanceof Date
+    ? { v: value.toISOString(), d: 1, id: user._id.toString() }
+    : { v: value ?? null, id: user._id.toString() };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+// Cursor -> { value, id }, or null when it is not one of ours
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!ObjectId.isValid(id)) return null;
+    const value = d ? new Date(v) : v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows after the cursor in (field, _id) order. Missing and null values sort before everything
+// else, so they come first ascending and last descending.
+const afterCursor = (field, direction, { value, id }) => {
+  const idAfter = { _id: direction === 1 ? { $gt: id } : { $lt: id } };
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+  const conditions = [
+    { [field]: direction === 1 ? { $gt: value } : { $lt: value } },
+    { [field]: value, ...idAfter }
+  ];
+  if (direction === -1) conditions.push({ [field]: null });
+  return { $or: conditions };
+};
+
+// GET /api/users query string -> { filter, sort, limit, after } or { error }. `filter` excludes
+// the cursor so it can be used for the total count.
+function userListQuery(params) {
+  const { search, serviceStatus, archived, sort = 'userName', order = 'asc', limit, cursor } = params;
+
+  // ?archived=true lists only the archived users
+  const conditions = [archived === 'true' ? { archivedAt: { $ne: null } } : notArchivedFilter];
+
+  if (search && search.trim()) {
+    const regex = new RegExp(escapeRegex(search.trim()), 'i');
+    conditions.push({ $or: SEARCH_FIELDS.map((field) => ({ [field]: regex })) });
+  }
+
+  for (const [param, field] of Object.entries(LIST_FILTERS)) {
+    if (typeof params[param] === 'string' && params[param].trim()) {
+      conditions.push({ [field]: exactRegex(params[param]) });
+    }
+  }
+
+  // Users without a serviceStatus are active
+  if (serviceStatus) {
+    conditions.push(serviceStatus === 'active'
+      ? { $or: [{ serviceStatus: 'active' }, { serviceStatus: { $exists: false } }, { serviceStatus: null }] }
+      : { serviceStatus });
+  }
+
+  if (!USER_SORT_FIELDS.includes(sort)) {
+    return { error: `Invalid sort. Use ${USER_SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Invalid order. Use asc or desc' };
+  }
+  const direction = order === 'desc' ? -1 : 1;
+
+  const pageSize = limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(limit);
+  if (!(pageSize > 0)) {
+    return { error: 'limit must be a positive number' };
+  }
+
+  let after = null;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) return { error: 'Invalid cursor' };
+    after = afterCursor(sort, direction, position);
+  }
+
+  return {
+    filter: { $and: conditions },
+    sort: { [sort]: direction, _id: direction },
+    sortField: sort,
+    limit: pageSize,
+    after
+  };
+}
+
+// ============ USER REFERENCES ============
+// Complaints name their user by `userId`, which staff may fill with the user _id or the business
+// userId. customerId is always String(_id), the form the portal and merges match on.
+
+// The String(_id) of the user `value` names: a user _id, or a business userId only one user has.
+// null when it names no user.
+async function customerIdFor(value, { session } = {}) {
+  const id = String(value || '').trim();
+  if (!id) return null;
+  if (ObjectId.isValid(id) && await collections.users.findOne({ _id: new ObjectId(id) }, { projection: { _id: 1 }, session })) {
+    return id;
+  }
+  const matches = await collections.users.find({ userId: id }, { projection: { _id: 1 }, session }).limit(2).toArray();
+  return matches.length === 1 ? matches[0]._id.toString() : null;
+}
+
+module.exports = {
+  DEFAULT_LIST_LIMIT,
+  NEW_USER_FIELDS,
+  USER_SORT_FIELDS,
+  buildNewUser,
+  customerIdFor,
+  encodeCursor,
+  userListQuery
+};
@@ -0,0 +1,258 @@
+const { ObjectId } = require('mongodb');
+const { collections } = require('../db');
+const { parseDate } = require('./dates');
+const { periodOf } = require('./periods');
+
+// ============ VOUCHER MONTHS ============
+// Each billing month of a voucher is its own document in voucher_months, keyed by
+// { userId, 'period.key' }: a user has one month per billing period, whatever its label. Months
+// whose period cannot be read (period: null) are keyed by their label. The vouchers collection keeps the header (userId, userName, rechargeDate,
+// expiryDate). A month document is the month's own fields plus:
+// - voucherId, userId, userName: the voucher it belongs to
+// - monthDate: the month's date (date, or createdAt) as a Date, for date ranges
+// - period: the billing period (see services/periods.js), worked out again on every write
+//
+// Routes still see voucher.months: findVouchers/findVoucher read the months back in period order.
+// Writes go through saveMonths, which only writes the months that changed, so a payment on one
+// month no longer rewrites the whole voucher. Legacy single-month vouchers (fields at the top
+// level, no months) are left as they are.
+
+// Fields of a month document that belong to its voucher, not to the month
+const VOUCHER_FIELDS = ['_id', 'voucherId', 'userId', 'userName', 'monthDate'];
+
+const MONTH_ORDER = { 'period.key': 1, monthDate: 1, _id: 1 };
+
+// One month per user and billing period, months without a period left out (created in db.js too)
+const MONTH_KEY_INDEX = { userId: 1, 'period.key': 1 };
+const MONTH_KEY_INDEX_OPTIONS = { unique: true, partialFilterExpression: { 'period.key': { $type: 'string' } } };
+
+// Indexes from before months were keyed by period, replaced by MONTH_KEY_INDEX
+const OLD_MONTH_INDEXES = ['userId_1_month_1', 'userId_1_period.key_1'];
+
+const isSingleMonthVoucher = (voucher) => !Array.isArray(voucher.months) && voucher.status !== undefined;
+
+// Month document -> the month as routes use it
+const toMonth = (doc) => Object.fromEntries(Object.entries(doc).filter(([field]) => !VOUCHER_FIELDS.includes(field)));
+
+// Month of `voucher` -> its document
+const toDocument = (voucher, month) => ({
+  voucherId: voucher._id.toString(),
+  userId: String(voucher.userId),
+  userName: voucher.userName,
+  ...toMonth(month),
+  monthDate: parseDate(month.date || month.createdAt),
+  period: periodOf(month)
+});
+
+// What identifies a month of a user: its billing period key, or its label when it has no period.
+// Documents written before periods existed get theirs from the label.
+const monthKey = (doc) => {
+  const period = doc.period === undefined ? periodOf(doc) : doc.period;
+  return period ? period.key : `label:${doc.month}`;
+};
+
+// Filter for the document of a month of user `userId`
+const monthFilter = (userId, doc) => (doc.period
+  ? { userId, 'period.key': doc.period.key }
+  : { userId, period: null, month: doc.month });
+
+// Filter for the stored document of `month` of `voucher`
+const monthDocumentFilter = (voucher, month) => monthFilter(String(voucher.userId), { month: month.month, period: periodOf(month) });
+
+const sameDocument = (stored, doc) => {
+  const { _id, ...fields } = stored;
+  return JSON.stringify(fields) === JSON.stringify(doc);
+};
+
+// Give each voucher its months (in period order), from month documents or from voucher_months
+async function attachMonths(vouchers, { session, monthDocs } = {}) {
+  const ids = vouchers.filter((voucher) => !isSingleMonthVoucher(voucher)).map((voucher) => voucher._id.toString());
+  const docs = monthDocs || (ids.length === 0
+    ? []
+    : await collections.voucherMonths.find({ voucherId: { $in: ids } }, { session }).sort(MONTH_ORDER).toArray());
+
+  const byVoucher = new Map(ids.map((id) => [id, []]));
+  for (const doc of docs) byVoucher.get(doc.voucherId)?.push(toMonth(doc));
+
+  return vouchers.map((voucher) => (byVoucher.has(voucher._id.toString())
+    ? { ...voucher, months: byVoucher.get(voucher._id.toString()) }
+    : voucher));
+}
+
+// Vouchers matching `filter`, with their months. With `months` (a voucher_months filter) only the
+// vouchers that have matching months are returned, each with just those months.
+async function findVouchers(filter = {}, { months: monthFilter, session } = {}) {
+  if (!monthFilter) {
+    return attachMonths(await collections.vouchers.find(filter, { session }).toArray(), { session });
+  }
+
+  const monthDocs = await collections.voucherMonths.find(monthFilter, { session }).sort(MONTH_ORDER).toArray();
+  const ids = [...new Set(monthDocs.map((doc) => doc.voucherId))].map((id) => new ObjectId(id));
+  const vouchers = ids.length === 0
+    ? []
+    : await collections.vouchers.find({ $and: [filter, { _id: { $in: ids } }] }, { session }).toArray();
+  return attachMonths(vouchers, { session, monthDocs });
+}
+
+// One voucher matching `filter` with its months, or null
+async function findVoucher(filter, { session } = {}) {
+  const voucher = await collections.vouchers.findOne(filter, { session });
+  return voucher ? (await attachMonths([voucher], { session }))[0] : null;
+}
+
+// Write `months` of a voucher (its header needs _id, userId and userName): months that are new or
+// changed are written, the others are left alone. A month replaces the user's month of the same
+// billing period (see monthKey). Months of the voucher not in the list stay.
+async function saveMonths(voucher, months, { session } = {}) {
+  const userId = String(voucher.userId);
+  const stored = await collections.voucherMonths.find({ userId }, { session }).toArray();
+  const storedByKey = new Map(stored.map((doc) => [monthKey(doc), doc]));
+
+  const writes = months
+    .map((month) => toDocument(voucher, month))
+    .map((doc) => ({ doc, existing: storedByKey.get(monthKey(doc)) }))
+    .filter(({ doc, existing }) => !existing || !sameDocument(existing, doc))
+    .map(({ doc, existing }) => ({
+      replaceOne: { filter: existing ? { _id: existing._id } : monthFilter(userId, doc), replacement: doc, upsert: true }
+    }));
+
+  if (writes.length > 0) {
+    await collections.voucherMonths.bulkWrite(writes, { session });
+  }
+  return writes.length;
+}
+
+// Write `months` as the whole of a voucher's months: like saveMonths, and months of billing periods
+// not in the list are deleted
+async function replaceMonths(voucher, months, { session } = {}) {
+  const kept = new Set(months.map((month) => monthKey({ ...month, period: periodOf(month) })));
+  const stored = await collections.voucherMonths
+    .find({ voucherId: voucher._id.toString() }, { projection: { _id: 1, month: 1, period: 1, date: 1, createdAt: 1 }, session })
+    .toArray();
+  const removed = stored.filter((doc) => !kept.has(monthKey(doc))).map((doc) => doc._id);
+  if (removed.length > 0) {
+    await collections.voucherMonths.deleteMany({ _id: { $in: removed } }, { session });
+  }
+  return saveMonths(voucher, months, { session });
+}
+
+// User ids (as stored on the vouchers) with a month matching `filter`
+const userIdsWithMonths = (filter, { session } = {}) => collections.voucherMonths.distinct('userId', filter, { session });
+
+// One-time move of the months arrays on vouchers into voucher_months. A billing period is kept
+// once per user: when a voucher repeats a period (or another voucher of the user has it), the copy
+// that is not reversed is kept and the others are left on the voucher as duplicateMonths.
+// Safe to run again. Returns { moved, months, duplicates: [{ voucherId, userName, month }] }.
+async function migrateVoucherMonths() {
+  const vouchers = await collections.vouchers.find({ months: { $type: 'array' } }).toArray();
+  const duplicates = [];
+  let monthCount = 0;
+
+  for (const voucher of vouchers) {
+    const others = await collections.voucherMonths
+      .find({ userId: String(voucher.userId), voucherId: { $ne: voucher._id.toString() } })
+      .toArray();
+    const taken = new Set(others.map(monthKey));
+
+    const kept = new Map();
+    const dropped = [];
+    for (const month of voucher.months.filter(Boolean)) {
+      const key = monthKey(month);
+      const current = kept.get(key);
+      if (taken.has(key)) {
+        dropped.push(month);
+      } else if (!current) {
+        kept.set(key, month);
+      } else if (current.status === 'reversed' && month.status !== 'reversed') {
+        kept.set(key, month);
+        dropped.push(current);
+      } else {
+        dropped.push(month);
+      }
+    }
+
+    await saveMonths(voucher, [...kept.values()]);
+    await collections.vouchers.updateOne(
+      { _id: voucher._id },
+      {
+        $unset: { months: '' },
+        ...(dropped.length > 0 && { $push: { duplicateMonths: { $each: dropped } } })
+      }
+    );
+
+    monthCount += kept.size;
+    duplicates.push(...dropped.map((month) => ({ voucherId: voucher._id, userName: voucher.userName, month: month.month })));
+  }
+
+  console.log(`🗂️ Voucher months moved: ${monthCount} months from ${vouchers.length} vouchers (${duplicates.length} duplicates set aside)`);
+  return { moved: vouchers.length, months: monthCount, duplicates };
+}
+
+// One-time backfill of period on month documents written before it existed. Months whose label
+// and date cannot be read get period: null and are listed. Safe to run again.
+// Returns { updated, unreadable: [{ voucherId, userName, month }] }.
+async function backfillPeriods() {
+  const docs = await collections.voucherMonths.find({ period: { $exists: false } }).toArray();
+  const unreadable = [];
+
+  const writes = docs.map((doc) => {
+    const period = periodOf(doc);
+    if (!period) unreadable.push({ voucherId: doc.voucherId, userName: doc.userName, month: doc.month });
+    return { updateOne: { filter: { _id: doc._id }, update: { $set: { period } } } };
+  });
+  if (writes.length > 0) {
+    await collections.voucherMonths.bulkWrite(writes);
+  }
+
+  console.log(`🗓️ Voucher month periods filled: ${docs.length} months (${unreadable.length} unreadable)`);
+  return { updated: docs.length, unreadable };
+}
+
+// One-time switch of the unique month index from { userId, month } to { userId, 'period.key' }.
+// Run after backfillPeriods. When a user has two months of one period (labels such as "Oct 2025"
+// and "October 2025"), nothing is changed and the pairs are listed to be resolved by hand.
+// Safe to run again. Returns { indexed, duplicates: [{ userId, userName, periodKey, months }] }.
+async function keyMonthsByPeriod() {
+  const docs = await collections.voucherMonths
+    .find({ 'period.key': { $type: 'string' } }, { projection: { userId: 1, userName: 1, voucherId: 1, month: 1, 'period.key': 1 } })
+    .toArray();
+
+  const byKey = new Map();
+  for (const doc of docs) {
+    const key = `${doc.userId}|${doc.period.key}`;
+    byKey.set(key, [...(byKey.get(key) || []), doc]);
+  }
+  const duplicates = [...byKey.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => ({
+      userId: group[0].userId,
+      userName: group[0].userName,
+      periodKey: group[0].period.key,
+      months: group.map((doc) => ({ _id: doc._id, voucherId: doc.voucherId, month: doc.month }))
+    }));
+  if (duplicates.length > 0) {
+    console.log(`⚠️ Voucher months not re-keyed: ${duplicates.length} billing periods have more than one month`);
+    return { indexed: false, duplicates };
+  }
+
+  const existing = (await collections.voucherMonths.listIndexes().toArray()).map((index) => index.name);
+  for (const name of OLD_MONTH_INDEXES.filter((index) => existing.includes(index))) {
+    await collections.voucherMonths.dropIndex(name);
+  }
+  await collections.voucherMonths.createIndex(MONTH_KEY_INDEX, MONTH_KEY_INDEX_OPTIONS);
+
+  console.log('🗝️ Voucher months keyed by billing period');
+  return { indexed: true, duplicates };
+}
+
+module.exports = {
+  backfillPeriods,
+  findVoucher,
+  findVouchers,
+  keyMonthsByPeriod,
+  migrateVoucherMonths,
+  monthDocumentFilter,
+  replaceMonths,
+  saveMonths,
+  userIdsWithMonths
+};
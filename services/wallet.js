@@ -0,0 +1,170 @@
+const { collections } = require('../db');
+const { ledger } = require('./index');
+const { LEDGER_TYPES, ACCOUNTS, debit, credit } = require('./ledger');
+const { samePeriod } = require('./periods');
+const { settleMonth } = require('./proration');
+const { monthPayments } = require('./status');
+
+// ============ CREDIT WALLET ============
+// Money a subscriber has paid ahead. The balance is walletBalance on the user. Every movement is
+// a wallet_entries record with the balance after it and a ledger entry against customer_credit.
+// - deposit: an advance payment received in cash
+// - overpayment: paid on a voucher month beyond what it owes. The month keeps the whole payment
+//   in paidAmount; creditedToWallet is the part that went to the wallet.
+// - proration_credit: the same, when a downgrade lowers what a paid month owes
+// - draw: taken to pay a new voucher month, as a payment with paymentMethod 'Wallet'
+// - adjustment: an admin correction, with a reason
+// - superbalance: the excess of an old 'superbalance' month, moved by /api/migrate/superbalance-to-wallet
+
+const WALLET_ENTRY_TYPES = {
+  DEPOSIT: 'deposit',
+  OVERPAYMENT: 'overpayment',
+  PRORATION_CREDIT: 'proration_credit',
+  DRAW: 'draw',
+  ADJUSTMENT: 'adjustment',
+  SUPERBALANCE: 'superbalance'
+};
+
+const CREDIT_NOTES = {
+  [WALLET_ENTRY_TYPES.OVERPAYMENT]: 'Paid beyond what the month owes',
+  [WALLET_ENTRY_TYPES.PRORATION_CREDIT]: 'Package downgrade',
+  [WALLET_ENTRY_TYPES.SUPERBALANCE]: 'Superbalance month'
+};
+
+// Payments drawn from the wallet; the wallet posts their ledger entry, not postVoucherPayments
+const WALLET_PAYMENT_METHOD = 'Wallet';
+
+// Ledger lines of a movement of `amount` (positive in, negative out) for customer `holder`
+const ledgerLinesFor = (type, amount, holder, receivedBy) => {
+  const value = Math.abs(amount);
+  switch (type) {
+    case WALLET_ENTRY_TYPES.DEPOSIT:
+      return { type: LEDGER_TYPES.PAYMENT, lines: [debit(ACCOUNTS.CASH, value, receivedBy || 'Admin'), credit(ACCOUNTS.CUSTOMER_CREDIT, value, holder)] };
+    case WALLET_ENTRY_TYPES.OVERPAYMENT:
+    case WALLET_ENTRY_TYPES.PRORATION_CREDIT:
+      // The payment was posted as revenue; the excess is held for the customer instead
+      return { type: LEDGER_TYPES.WALLET, lines: [debit(ACCOUNTS.REVENUE, value), credit(ACCOUNTS.CUSTOMER_CREDIT, value, holder)] };
+    case WALLET_ENTRY_TYPES.DRAW:
+      return { type: LEDGER_TYPES.WALLET, lines: [debit(ACCOUNTS.CUSTOMER_CREDIT, value, holder), credit(ACCOUNTS.REVENUE, value)] };
+    default:
+      return {
+        type: LEDGER_TYPES.ADJUSTMENT,
+        lines: amount > 0
+          ? [debit(ACCOUNTS.EQUITY, value), credit(ACCOUNTS.CUSTOMER_CREDIT, value, holder)]
+          : [debit(ACCOUNTS.CUSTOMER_CREDIT, value, holder), credit(ACCOUNTS.EQUITY, value)]
+      };
+  }
+};
+
+// Move `amount` (positive in, negative out) in or out of a user's wallet. Money going out needs
+// the balance to cover it. Returns { error } or { entry }.
+async function recordWalletEntry({ user, type, amount, voucherId = null, month = null, paymentMethod = null, receivedBy = null, note = '', actor = null, session, now = new Date() }) {
+  const updated = await collections.users.findOneAndUpdate(
+    { _id: user._id, ...(amount < 0 && { walletBalance: { $gte: -amount } }) },
+    { $inc: { walletBalance: amount } },
+    { returnDocument: 'after', projection: { walletBalance: 1 }, session }
+  );
+  if (!updated) {
+    return { error: `${user.userName}'s wallet balance is less than ${-amount}` };
+  }
+
+  const entry = {
+    userId: user._id.toString(),
+    userName: user.userName,
+    type,
+    amount,
+    balance: updated.walletBalance,
+    voucherId: voucherId ? String(voucherId) : null,
+    month,
+    paymentMethod,
+    receivedBy,
+    note,
+    createdAt: now,
+    createdBy: actor?.name || 'System'
+  };
+  const result = await collections.walletEntries.insertOne(entry, { session });
+
+  const posting = ledgerLinesFor(type, amount, user.userName, receivedBy);
+  await ledger.post({
+    ...posting,
+    description: `Wallet ${type.replace('_', ' ')} for ${user.userName}${month ? ` (${month})` : ''}${note ? ` - ${note}` : ''}`,
+    ref: { userId: entry.userId, voucherId: entry.voucherId, month },
+    actor,
+    session
+  });
+
+  console.log(`👛 Wallet ${type} for ${user.userName}: ${amount > 0 ? '+' : ''}${amount} (balance ${entry.balance})`);
+  return { entry: { _id: result.insertedId, ...entry } };
+}
+
+// Settle voucher months against the wallet. Money paid beyond what a month of a period in
+// `creditMonths` owes goes in (all months when it is not given; old 'superbalance' months get
+// their real status), and the months of a period in `drawMonths` take what they owe from the
+// balance. Both list voucher months. Nothing is written: call commit({ voucherId, session }) on
+// the result in the transaction that saves the months. Returns { months, credits, draws, commit }.
+function planWallet({ user, months, creditMonths = null, drawMonths = [], creditType = WALLET_ENTRY_TYPES.OVERPAYMENT, actor, now = new Date() }) {
+  const credits = [];
+  const draws = [];
+  const listed = (list, month) => list.some((item) => samePeriod(item, month));
+
+  let settledMonths = (months || []).map((month) => {
+    if (month.status === 'reversed' || (creditMonths && !listed(creditMonths, month))) return month;
+    const { month: settled, excessCredit } = settleMonth(month.status === 'superbalance' ? { ...month, status: 'unpaid' } : month);
+    if (excessCredit <= 0) return month.status === 'superbalance' ? settled : month;
+
+    credits.push({ month: month.month, amount: excessCredit });
+    return { ...settled, creditedToWallet: Number(month.creditedToWallet || 0) + excessCredit, updatedAt: now };
+  });
+
+  let available = Number(user.walletBalance || 0) + credits.reduce((sum, entry) => sum + entry.amount, 0);
+  settledMonths = settledMonths.map((month) => {
+    if (!listed(drawMonths, month) || available <= 0 || month.status === 'reversed') return month;
+    const amount = Math.min(available, settleMonth(month).month.remainingAmount);
+    if (amount <= 0) return month;
+
+    available -= amount;
+    draws.push({ month: month.month, amount });
+    return settleMonth({
+      ...month,
+      paidAmount: Number(month.paidAmount || 0) + amount,
+      paymentHistory: [
+        ...monthPayments(month),
+        { amount, date: now, paymentMethod: WALLET_PAYMENT_METHOD, receivedBy: WALLET_PAYMENT_METHOD }
+      ],
+      updatedAt: now
+    }).month;
+  });
+
+  // Record the movements in the transaction session that saves the months. A draw the balance no
+  // longer covers (it was spent since the plan was made) throws an error with status 409, so the
+  // months paid from it are not saved either.
+  async function commit({ voucherId, session } = {}) {
+    for (const { month, amount } of credits) {
+      await recordWalletEntry({ user, type: creditType, amount, voucherId, month, note: CREDIT_NOTES[creditType], actor, session, now });
+    }
+    for (const { month, amount } of draws) {
+      const { error } = await recordWalletEntry({ user, type: WALLET_ENTRY_TYPES.DRAW, amount: -amount, voucherId, month, actor, session, now });
+      if (error) throw Object.assign(new Error(`Wallet draw for ${month} failed: ${error}`), { status: 409 });
+    }
+  }
+
+  return { months: settledMonths, credits, draws, commit };
+}
+
+// A user's wallet balance and movements, newest first
+async function walletStatement(user, { limit = 100 } = {}) {
+  const entries = await collections.walletEntries
+    .find({ userId: user._id.toString() })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+  return { balance: Number(user.walletBalance || 0), entries };
+}
+
+module.exports = {
+  WALLET_ENTRY_TYPES,
+  WALLET_PAYMENT_METHOD,
+  planWallet,
+  recordWalletEntry,
+  walletStatement
+};
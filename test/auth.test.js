@@ -0,0 +1,56 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { request, reset, signIn, start, stop, store } = require('./support/app');
+const { hashPassword } = require('../services/auth');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('a session with a temporary password can only change the password or log out', async () => {
+  const token = signIn({ mustChangePassword: true });
+  store.employees[0].passwordHash = await hashPassword('temporary');
+
+  const blocked = await request('GET', '/api/users', { token });
+  assert.strictEqual(blocked.status, 403);
+  assert.strictEqual(blocked.body.mustChangePassword, true);
+
+  const changed = await request('POST', '/api/auth/change-password', {
+    token,
+    body: { currentPassword: 'temporary', newPassword: 'a-new-password' }
+  });
+  assert.strictEqual(changed.status, 200);
+  assert.strictEqual(store.employees[0].mustChangePassword, false);
+
+  const allowed = await request('GET', '/api/users', { token });
+  assert.strictEqual(allowed.status, 200);
+});
+
+test('logout is allowed while the password still has to be changed', async () => {
+  const token = signIn({ mustChangePassword: true });
+
+  const response = await request('POST', '/api/auth/logout', { token });
+  assert.strictEqual(response.status, 200);
+  assert.ok(store.sessions[0].revokedAt);
+});
+
+test('sessions without a temporary password are not restricted', async () => {
+  const token = signIn();
+
+  const response = await request('GET', '/api/users', { token });
+  assert.strictEqual(response.status, 200);
+});
+
+test('technicians cannot record payments and fee collectors cannot change complaints', async () => {
+  const technician = signIn({ role: 'technician', name: 'Technician' });
+  const payment = await request('POST', '/api/vouchers', { token: technician, body: { userId: 'U-100', months: [] } });
+  assert.strictEqual(payment.status, 403);
+  const income = await request('POST', '/api/incomes', { token: technician, body: { amount: 1000 } });
+  assert.strictEqual(income.status, 403);
+
+  const collector = signIn({ role: 'fee collector', name: 'Collector' });
+  const complaint = await request('PUT', '/api/complaints/000000000000000000000000/status', { token: collector, body: { status: 'resolved' } });
+  assert.strictEqual(complaint.status, 403);
+  const stock = await request('POST', '/api/routers', { token: collector, body: {} });
+  assert.strictEqual(stock.status, 403);
+});
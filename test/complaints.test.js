@@ -0,0 +1,40 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, request, reset, signIn, signInCustomer, start, stop, store } = require('./support/app');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('complaints filed by staff with either user id show in the portal', async () => {
+  const token = signIn({ role: 'fee collector', name: 'Collector' });
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali' };
+  store.users = [user];
+
+  for (const userId of ['U-100', user._id.toString()]) {
+    const filed = await request('POST', '/api/complaints', { token, body: { userId, userName: 'Ali', message: 'No internet' } });
+    assert.strictEqual(filed.status, 200);
+  }
+  assert.deepStrictEqual(store.complaints.map((complaint) => complaint.customerId), [user._id.toString(), user._id.toString()]);
+
+  const listed = await request('GET', '/api/portal/complaints', { token: signInCustomer(user) });
+  assert.strictEqual(listed.status, 200);
+  assert.strictEqual(listed.body.data.length, 2);
+});
+
+test('POST /api/migrate/complaint-customer-ids fills customerId from userId', async () => {
+  const token = signIn();
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali' };
+  store.users = [user];
+  store.complaints = [
+    { _id: new ObjectId(), userId: 'U-100', message: 'Slow' },
+    { _id: new ObjectId(), userId: user._id, message: 'Down' },
+    { _id: new ObjectId(), userId: 'U-999', message: 'Unknown user' }
+  ];
+
+  const migrated = await request('POST', '/api/migrate/complaint-customer-ids', { token });
+  assert.strictEqual(migrated.status, 200);
+  assert.strictEqual(migrated.body.modifiedCount, 2);
+  assert.strictEqual(migrated.body.unmatchedCount, 1);
+  assert.deepStrictEqual(store.complaints.map((complaint) => complaint.customerId), [user._id.toString(), user._id.toString(), undefined]);
+});
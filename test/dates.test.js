@@ -0,0 +1,23 @@
+// The server timezone is ahead of the business one (Asia/Karachi), so local midnight falls on the
+// business day before
+process.env.TZ = 'Asia/Tokyo';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { businessDate, parseDate } = require('../services/dates');
+const { compareMonths, periodOf } = require('../services/periods');
+
+test('calendar days parse to the business day whatever the server timezone', () => {
+  assert.strictEqual(new Date(2025, 9, 20).getTimezoneOffset(), -540);
+  for (const value of ['20-10-2025', '20/10/2025', '2025-10-20']) {
+    assert.deepStrictEqual(parseDate(value), businessDate(2025, 9, 20));
+  }
+
+  // A month whose label cannot be read gets its period from the date
+  const period = periodOf({ month: 'Billing', date: '01-11-2025' });
+  assert.strictEqual(period.key, '2025-11');
+  assert.deepStrictEqual(period.start, businessDate(2025, 10, 1));
+
+  const months = [{ month: 'October 2025', date: '21-10-2025' }, { month: 'October 2025', date: '20-10-2025' }];
+  assert.deepStrictEqual(months.sort(compareMonths).map((month) => month.date), ['20-10-2025', '21-10-2025']);
+});
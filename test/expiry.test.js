@@ -0,0 +1,66 @@
+const { before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, reset, store } = require('./support/fakeMongo');
+const { connectToDatabase } = require('../db');
+const { MS_PER_DAY } = require('../services/dates');
+const { moveTodayExpiredToUnpaid } = require('../services/scheduler');
+const { runServiceTransitions } = require('../services/serviceStatus');
+const { loadSettings } = require('../services/settings');
+
+const daysAgo = (days) => new Date(Date.now() - days * MS_PER_DAY);
+
+before(connectToDatabase);
+
+beforeEach(async () => {
+  reset();
+  // Expiry processing runs from the cutoff time on; midnight lets it run whenever the test does
+  store.settings = [{ _id: 'business', expiryCutoff: '00:00' }];
+  await loadSettings();
+});
+
+test('unpaidSince is kept across expiry cycles of a user who never pays', async () => {
+  const userId = new ObjectId();
+  store.users = [{
+    _id: userId,
+    userName: 'Never Pays',
+    packageName: '10MB',
+    amount: 1500,
+    discount: 0,
+    status: 'paid',
+    expiryDate: daysAgo(40)
+  }];
+  const user = () => store.users.find((doc) => doc._id.equals(userId));
+
+  // First cycle: the user becomes unpaid
+  await moveTodayExpiredToUnpaid();
+  assert.strictEqual(user().status, 'unpaid');
+  assert.ok(user().unpaidSince instanceof Date);
+
+  // As if that cycle ran 31 days ago; the next expiry is already past too
+  const firstUnpaid = daysAgo(31);
+  user().unpaidSince = firstUnpaid;
+  await moveTodayExpiredToUnpaid();
+  assert.strictEqual(user().unpaidSince, firstUnpaid);
+  assert.strictEqual(store.voucher_months.length, 2);
+
+  // 31 unpaid days reaches the default disconnectAfterDays of 30
+  await runServiceTransitions();
+  assert.strictEqual(user().serviceStatus, 'disconnected');
+});
+
+test('a user who pays part of what they owe still moves through the steps', async () => {
+  const userId = new ObjectId();
+  store.users = [{
+    _id: userId,
+    userName: 'Pays Half',
+    status: 'partial',
+    paidAmount: 750,
+    remainingAmount: 750,
+    unpaidSince: daysAgo(10),
+    serviceStatus: 'grace',
+    serviceStatusSource: 'auto'
+  }];
+
+  await runServiceTransitions();
+  assert.strictEqual(store.users[0].serviceStatus, 'suspended');
+});
@@ -0,0 +1,36 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, request, reset, signIn, start, stop, store } = require('./support/app');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('waiving a late fee on a month paid in full credits the overpayment to the wallet', async () => {
+  const token = signIn();
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali', walletBalance: 0, status: 'paid' };
+  const voucherId = new ObjectId();
+  store.users = [user];
+  store.vouchers = [{ _id: voucherId, userId: user._id.toString(), userName: 'Ali' }];
+  store.voucher_months = [{
+    _id: new ObjectId(),
+    voucherId: voucherId.toString(),
+    userId: user._id.toString(),
+    userName: 'Ali',
+    month: 'October 2025',
+    date: '2025-10-01',
+    packageFee: 1000,
+    discount: 0,
+    adjustments: [{ id: 'fee-1', type: 'late_fee', amount: 100, ruleName: 'Late' }],
+    paidAmount: 1100,
+    remainingAmount: 0,
+    status: 'paid'
+  }];
+
+  const waived = await request('POST', `/api/vouchers/${voucherId}/months/2025-10/waive-late-fees`, { token, body: { reason: 'Goodwill' } });
+  assert.strictEqual(waived.status, 200);
+  assert.strictEqual(waived.body.data.walletCredit, 100);
+  assert.strictEqual(store.users[0].walletBalance, 100);
+  assert.strictEqual(store.voucher_months[0].creditedToWallet, 100);
+  assert.strictEqual(store.voucher_months[0].status, 'paid');
+});
@@ -0,0 +1,69 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { ObjectId, request, reset, signInCustomer, start, stop, store } = require('./support/app');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+// A subscriber with an open login code `code`
+function seedCode(code) {
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali', whatsappNo: '03001234567' };
+  store.users = [user];
+  store.portal_otps = [{
+    _id: new ObjectId(),
+    userId: user._id.toString(),
+    codeHash: crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${user._id}:${code}`).digest('hex'),
+    attempts: 0,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + 10 * 60000)
+  }];
+  return user;
+}
+
+test('parallel wrong guesses use the code up after five attempts', async () => {
+  seedCode('123456');
+
+  const guesses = await Promise.all(['000001', '000002', '000003', '000004', '000005', '000006', '000007'].map((code) =>
+    request('POST', '/api/portal/login/verify', { body: { userId: 'U-100', code } })));
+  assert.ok(guesses.every((guess) => guess.status === 401));
+
+  const right = await request('POST', '/api/portal/login/verify', { body: { userId: 'U-100', code: '123456' } });
+  assert.strictEqual(right.status, 401);
+  assert.deepStrictEqual(store.portal_otps, []);
+});
+
+test('login verify answers 429 after ten calls for one user ID', async () => {
+  seedCode('123456');
+
+  for (let i = 0; i < 10; i++) {
+    await request('POST', '/api/portal/login/verify', { body: { userId: 'U-100', code: '999999' } });
+  }
+  const limited = await request('POST', '/api/portal/login/verify', { body: { userId: 'U-100', code: '123456' } });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(limited.body.retryAfterSeconds > 0);
+});
+
+test('the portal shows a voucher stored with the user _id as an ObjectId', async () => {
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali' };
+  const voucherId = new ObjectId();
+  store.users = [user];
+  store.vouchers = [{ _id: voucherId, userId: user._id, userName: 'Ali' }];
+  store.voucher_months = [{
+    _id: new ObjectId(),
+    voucherId: voucherId.toString(),
+    userId: user._id.toString(),
+    month: 'October 2025',
+    date: '2025-10-01',
+    packageFee: 1000,
+    paidAmount: 0,
+    remainingAmount: 1000,
+    status: 'unpaid'
+  }];
+
+  const vouchers = await request('GET', '/api/portal/vouchers', { token: signInCustomer(user) });
+  assert.strictEqual(vouchers.status, 200);
+  assert.strictEqual(vouchers.body.count, 1);
+  assert.strictEqual(vouchers.body.totalRemaining, 1000);
+});
@@ -0,0 +1,68 @@
+const { before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, reset, store } = require('./support/fakeMongo');
+const { connectToDatabase } = require('../db');
+const { MS_PER_DAY } = require('../services/dates');
+const { planPromotions } = require('../services/promotions');
+
+before(connectToDatabase);
+beforeEach(reset);
+
+test('a coupon that runs out after it was planned is not used again', async () => {
+  const user = { _id: new ObjectId(), userName: 'Ali', packageName: '10MB' };
+  store.promotions = [{
+    _id: new ObjectId(),
+    kind: 'coupon',
+    code: 'WELCOME',
+    name: 'Welcome',
+    discountType: 'flat',
+    value: 200,
+    active: true,
+    startsAt: new Date(Date.now() - MS_PER_DAY),
+    expiresAt: new Date(Date.now() + MS_PER_DAY),
+    maxUses: 1,
+    maxUsesPerUser: 1,
+    usedCount: 0
+  }];
+
+  const plan = await planPromotions({
+    user,
+    newMonths: [{ month: 'October 2025', date: '2025-10-01', packageFee: 1000, discount: 0, paidAmount: 0, status: 'unpaid' }],
+    couponCode: 'welcome'
+  });
+  assert.strictEqual(plan.applied.length, 1);
+
+  // Another request took the last use in the meantime
+  store.promotions[0].usedCount = 1;
+  await assert.rejects(plan.commit({ voucherId: new ObjectId() }), { status: 409 });
+  assert.strictEqual(store.promotions[0].usedCount, 1);
+  assert.deepStrictEqual(store.promotion_redemptions || [], []);
+});
+
+test('a referral credit spent by another voucher after it was planned is not spent again', async () => {
+  const user = { _id: new ObjectId(), userName: 'Ali', packageName: '10MB' };
+  store.referrals = [{
+    _id: new ObjectId(),
+    promotionId: new ObjectId().toString(),
+    referrerId: user._id.toString(),
+    referredName: 'Bilal',
+    amount: 300,
+    remainingAmount: 300,
+    status: 'available',
+    uses: [],
+    expiresAt: new Date(Date.now() + MS_PER_DAY),
+    createdAt: new Date()
+  }];
+
+  const month = { month: 'October 2025', date: '2025-10-01', packageFee: 1000, discount: 0, paidAmount: 0, status: 'unpaid' };
+  const first = await planPromotions({ user, newMonths: [month] });
+  const second = await planPromotions({ user, newMonths: [month] });
+  assert.strictEqual(first.applied.length, 1);
+  assert.strictEqual(second.applied.length, 1);
+
+  await first.commit({ voucherId: new ObjectId() });
+  await assert.rejects(second.commit({ voucherId: new ObjectId() }), { status: 409 });
+  assert.strictEqual(store.referrals[0].remainingAmount, 0);
+  assert.strictEqual(store.referrals[0].status, 'used');
+  assert.strictEqual(store.referrals[0].uses.length, 1);
+});
@@ -0,0 +1,28 @@
+const { before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, reset, store } = require('./support/fakeMongo');
+const { connectToDatabase } = require('../db');
+const { issueReceipt } = require('../services/receipts');
+
+before(connectToDatabase);
+beforeEach(reset);
+
+test('two prints of one payment at once issue one receipt', async () => {
+  const voucher = { _id: new ObjectId(), userId: new ObjectId().toString(), userName: 'Ali' };
+  const month = {
+    month: 'October 2025',
+    date: '2025-10-01',
+    packageFee: 1000,
+    paidAmount: 500,
+    status: 'partial',
+    paymentHistory: [{ amount: 500, date: '2025-10-05', paymentMethod: 'Cash' }]
+  };
+
+  const prints = await Promise.all([
+    issueReceipt({ voucher, month, paymentIndex: 0 }),
+    issueReceipt({ voucher, month, paymentIndex: 0 })
+  ]);
+  assert.deepStrictEqual(prints.map((print) => print.issued).sort(), [false, true]);
+  assert.strictEqual(prints[0].receipt.receiptNo, prints[1].receipt.receiptNo);
+  assert.strictEqual(store.receipts.length, 1);
+});
@@ -0,0 +1,61 @@
+// Runs the app on the in-memory database for route tests
+const jwt = require('jsonwebtoken');
+const { ObjectId, reset, store } = require('./fakeMongo');
+
+const app = require('../../app');
+
+let server;
+let baseUrl;
+
+async function start() {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+const stop = () => new Promise((resolve) => server.close(resolve));
+
+// An employee with an open session, and an access token for it
+function signIn({ role = 'admin', name = 'Admin', mustChangePassword = false } = {}) {
+  const employeeId = new ObjectId();
+  const sessionId = new ObjectId();
+  store.employees = [...(store.employees || []), { _id: employeeId, name, username: name.toLowerCase(), role, isActive: true, mustChangePassword }];
+  store.sessions = [...(store.sessions || []), {
+    _id: sessionId,
+    employeeId: employeeId.toString(),
+    name,
+    role,
+    mustChangePassword,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }];
+  return jwt.sign({ sub: employeeId.toString(), name, role, sid: sessionId.toString() }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+// A portal session for the subscriber `user`, and a portal access token for it
+function signInCustomer(user) {
+  const sessionId = new ObjectId();
+  store.portal_sessions = [...(store.portal_sessions || []), {
+    _id: sessionId,
+    userId: user._id.toString(),
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }];
+  return jwt.sign({ sub: user._id.toString(), name: user.userName, sid: sessionId.toString() }, process.env.JWT_SECRET, { expiresIn: '1h', audience: 'portal' });
+}
+
+// Call the API and return { status, body }
+async function request(method, path, { token, body } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'content-type': 'application/json',
+      ...(token && { authorization: `Bearer ${token}` })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = { ObjectId, request, reset, signIn, signInCustomer, start, stop, store };
@@ -0,0 +1,225 @@
+// In-memory stand-in for the MongoDB driver, enough to run the app's routes and services in
+// tests without a database. Require it before anything that requires db.js or app.js.
+const mongodb = require('mongodb');
+const { ObjectId } = mongodb;
+
+process.env.VERCEL = '1';
+process.env.MONGODB_URI = 'mongodb://in-memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-'.repeat(4);
+
+// Collection name -> array of documents
+const store = {};
+
+// Collection name -> unique indexes ({ keys, filter }), enforced on inserts
+const uniqueIndexes = {};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => {
+  if (value == null) return value;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.flatMap((item) => (item == null ? [] : [item[key]]));
+  return value[key];
+}, doc);
+
+const comparable = (value) => (value instanceof ObjectId ? `ObjectId(${value})` : value instanceof Date ? value.getTime() : value);
+
+const equals = (actual, expected) => {
+  if (Array.isArray(actual) && !Array.isArray(expected)) return actual.some((item) => equals(item, expected));
+  if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+  if (expected === null) return actual === null || actual === undefined;
+  return comparable(actual) === comparable(expected);
+};
+
+const OPERATORS = {
+  $in: (actual, list) => list.some((item) => equals(actual, item)),
+  $nin: (actual, list) => !list.some((item) => equals(actual, item)),
+  $ne: (actual, value) => !equals(actual, value),
+  $exists: (actual, exists) => (actual !== undefined) === exists,
+  $gt: (actual, value) => actual != null && comparable(actual) > comparable(value),
+  $gte: (actual, value) => actual != null && comparable(actual) >= comparable(value),
+  $lt: (actual, value) => actual != null && comparable(actual) < comparable(value),
+  $lte: (actual, value) => actual != null && comparable(actual) <= comparable(value),
+  $regex: (actual, pattern, condition) => new RegExp(pattern, condition.$options).test(actual || ''),
+  $options: () => true,
+  $type: (actual, type) => (type === 'array' ? Array.isArray(actual) : typeof actual === type)
+};
+
+const isOperatorObject = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof ObjectId) && !(value instanceof Date) && !(value instanceof RegExp) &&
+  Object.keys(value).some((key) => key.startsWith('$'));
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    const actual = valueAt(doc, key);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([op, value]) => OPERATORS[op](actual, value, condition));
+    }
+    return equals(actual, condition);
+  });
+}
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] = target[key] || {}), doc);
+  parent[last] = value;
+};
+
+const applyUpdate = (doc, update, inserting = false) => {
+  for (const [path, value] of Object.entries(update.$set || {})) setPath(doc, path, value);
+  for (const [path, value] of Object.entries(update.$inc || {})) setPath(doc, path, (valueAt(doc, path) || 0) + value);
+  for (const [path, value] of Object.entries(update.$push || {})) {
+    const list = valueAt(doc, path) || [];
+    list.push(...(value && value.$each ? value.$each : [value]));
+    setPath(doc, path, list);
+  }
+  for (const path of Object.keys(update.$unset || {})) delete doc[path];
+  if (inserting) for (const [path, value] of Object.entries(update.$setOnInsert || {})) setPath(doc, path, value);
+};
+
+const sorter = (spec) => (a, b) => {
+  for (const [path, direction] of Object.entries(spec)) {
+    const x = comparable(valueAt(a, path));
+    const y = comparable(valueAt(b, path));
+    if (x === y) continue;
+    if (x == null) return -direction;
+    if (y == null) return direction;
+    return x < y ? -direction : direction;
+  }
+  return 0;
+};
+
+const cursor = (docs) => ({
+  sort: (spec) => cursor(spec ? [...docs].sort(sorter(spec)) : docs),
+  skip: (count) => cursor(docs.slice(count)),
+  limit: (count) => cursor(count ? docs.slice(0, count) : docs),
+  project: () => cursor(docs),
+  toArray: async () => docs
+});
+
+function collection(name) {
+  const docs = store[name] || (store[name] = []);
+  const insert = (doc) => {
+    for (const { keys, filter } of uniqueIndexes[name] || []) {
+      if (!matches(doc, filter)) continue;
+      const clash = docs.some((other) => matches(other, filter) &&
+        keys.every((key) => comparable(valueAt(other, key)) === comparable(valueAt(doc, key))));
+      if (clash) throw Object.assign(new Error(`E11000 duplicate key error collection: ${name}`), { code: 11000 });
+    }
+    doc._id = doc._id || new ObjectId();
+    docs.push(doc);
+  };
+  const upsertFrom = (filter) => Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+
+  const updateOne = async (filter, update, { upsert = false } = {}) => {
+    let doc = docs.find((item) => matches(item, filter));
+    if (!doc && upsert) {
+      doc = { _id: new ObjectId(), ...upsertFrom(filter) };
+      applyUpdate(doc, update, true);
+      docs.push(doc);
+      return { matchedCount: 0, modifiedCount: 0, upsertedId: doc._id };
+    }
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  };
+
+  return {
+    find: (filter = {}) => cursor(docs.filter((doc) => matches(doc, filter))),
+    findOne: async (filter = {}, options = {}) => {
+      const found = docs.filter((doc) => matches(doc, filter));
+      return (options.sort ? found.sort(sorter(options.sort)) : found)[0] || null;
+    },
+    countDocuments: async (filter = {}) => docs.filter((doc) => matches(doc, filter)).length,
+    distinct: async (field, filter = {}) => [...new Set(docs.filter((doc) => matches(doc, filter)).map((doc) => doc[field]))],
+    insertOne: async (doc) => {
+      insert(doc);
+      return { insertedId: doc._id };
+    },
+    insertMany: async (list) => {
+      list.forEach(insert);
+      return { insertedCount: list.length };
+    },
+    updateOne,
+    updateMany: async (filter, update) => {
+      const found = docs.filter((doc) => matches(doc, filter));
+      found.forEach((doc) => applyUpdate(doc, update));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    },
+    findOneAndUpdate: async (filter, update, { upsert = false, returnDocument = 'before' } = {}) => {
+      const existing = docs.find((doc) => matches(doc, filter));
+      const before = existing && structuredClone(existing);
+      await updateOne(filter, update, { upsert });
+      if (returnDocument === 'after') return existing || (upsert ? docs[docs.length - 1] : null);
+      return before || null;
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index >= 0) docs.splice(index, 1);
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const before = docs.length;
+      for (let i = docs.length - 1; i >= 0; i--) if (matches(docs[i], filter)) docs.splice(i, 1);
+      return { deletedCount: before - docs.length };
+    },
+    bulkWrite: async (operations) => {
+      for (const operation of operations) {
+        if (operation.updateOne) {
+          await updateOne(operation.updateOne.filter, operation.updateOne.update, operation.updateOne);
+        } else if (operation.replaceOne) {
+          const { filter, replacement, upsert } = operation.replaceOne;
+          const index = docs.findIndex((doc) => matches(doc, filter));
+          if (index >= 0) docs[index] = { _id: docs[index]._id, ...replacement };
+          else if (upsert) docs.push({ _id: new ObjectId(), ...replacement });
+        } else if (operation.deleteMany) {
+          await collection(name).deleteMany(operation.deleteMany.filter);
+        }
+      }
+      return {};
+    },
+    aggregate: () => cursor([]),
+    createIndex: async (spec, { unique = false, partialFilterExpression = {} } = {}) => {
+      if (unique) uniqueIndexes[name] = [...(uniqueIndexes[name] || []), { keys: Object.keys(spec), filter: partialFilterExpression }];
+      return name;
+    },
+    listIndexes: () => cursor([]),
+    dropIndex: async () => {}
+  };
+}
+
+const fakeDb = {
+  collection,
+  listCollections: () => cursor([]),
+  createCollection: async () => {}
+};
+
+const clone = (value) => {
+  if (value instanceof ObjectId || value instanceof RegExp) return value;
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+// Writes made in a transaction are undone when it throws
+const withTransaction = async (work) => {
+  const snapshot = Object.fromEntries(Object.entries(store).map(([name, docs]) => [name, clone(docs)]));
+  try {
+    return await work();
+  } catch (error) {
+    for (const [name, docs] of Object.entries(store)) docs.splice(0, docs.length, ...(snapshot[name] || []));
+    throw error;
+  }
+};
+
+mongodb.MongoClient.connect = async () => ({
+  db: () => fakeDb,
+  startSession: () => ({ withTransaction, endSession: async () => {} })
+});
+
+// Empty every collection
+const reset = () => {
+  for (const name of Object.keys(store)) delete store[name];
+};
+
+module.exports = { ObjectId, reset, store };
@@ -0,0 +1,22 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, request, reset, signIn, start, stop, store } = require('./support/app');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('PUT /api/users/:id does not change the service status', async () => {
+  const token = signIn({ role: 'fee collector', name: 'Collector' });
+  const userId = new ObjectId();
+  store.users = [{ _id: userId, userName: 'Ali', status: 'unpaid', serviceStatus: 'suspended' }];
+
+  const changed = await request('PUT', `/api/users/${userId}`, { token, body: { serviceStatus: 'active' } });
+  assert.strictEqual(changed.status, 400);
+  assert.strictEqual(store.users[0].serviceStatus, 'suspended');
+
+  // The user form sends the current value back with other changes
+  const unchanged = await request('PUT', `/api/users/${userId}`, { token, body: { serviceStatus: 'suspended', simNo: '03001234567' } });
+  assert.strictEqual(unchanged.status, 200);
+  assert.strictEqual(store.users[0].simNo, '03001234567');
+});
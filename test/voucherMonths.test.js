@@ -0,0 +1,40 @@
+const { before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, reset, store } = require('./support/fakeMongo');
+const { connectToDatabase } = require('../db');
+const { keyMonthsByPeriod, replaceMonths, saveMonths } = require('../services/voucherMonths');
+
+before(connectToDatabase);
+beforeEach(reset);
+
+const voucher = { _id: new ObjectId(), userId: 'user-1', userName: 'Ali' };
+const october = { month: 'October 2025', date: '2025-10-01', packageFee: 1000, paidAmount: 0, status: 'unpaid' };
+const november = { month: 'November 2025', date: '2025-11-01', packageFee: 1000, paidAmount: 0, status: 'unpaid' };
+
+test('a month is saved over the month of the same billing period, whatever its label', async () => {
+  await saveMonths(voucher, [october]);
+  await saveMonths(voucher, [{ ...october, month: 'Oct 2025', paidAmount: 1000, status: 'paid' }]);
+
+  assert.strictEqual(store.voucher_months.length, 1);
+  assert.strictEqual(store.voucher_months[0].period.key, '2025-10');
+  assert.strictEqual(store.voucher_months[0].status, 'paid');
+});
+
+test('replaceMonths keeps the months of the billing periods sent', async () => {
+  await saveMonths(voucher, [october, november]);
+  await replaceMonths(voucher, [{ ...october, month: '2025-10' }]);
+
+  assert.deepStrictEqual(store.voucher_months.map((doc) => doc.period.key), ['2025-10']);
+});
+
+test('keyMonthsByPeriod lists users with two months of one period', async () => {
+  store.voucher_months = [
+    { _id: new ObjectId(), userId: 'user-1', userName: 'Ali', voucherId: 'v1', month: 'October 2025', period: { key: '2025-10' } },
+    { _id: new ObjectId(), userId: 'user-1', userName: 'Ali', voucherId: 'v1', month: 'Oct 2025', period: { key: '2025-10' } },
+    { _id: new ObjectId(), userId: 'user-2', userName: 'Sara', voucherId: 'v2', month: 'October 2025', period: { key: '2025-10' } }
+  ];
+
+  const { indexed, duplicates } = await keyMonthsByPeriod();
+  assert.strictEqual(indexed, false);
+  assert.deepStrictEqual(duplicates.map((group) => [group.userId, group.periodKey, group.months.length]), [['user-1', '2025-10', 2]]);
+});
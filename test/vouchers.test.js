@@ -0,0 +1,125 @@
+const { after, before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, request, reset, signIn, start, stop, store } = require('./support/app');
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+const LATE_FEE = { type: 'late_fee', amount: 100, reason: 'Late payment' };
+
+// A user with one stored month: 1000, plus a 100 late fee, nothing paid
+function seedVoucher() {
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali', status: 'unpaid' };
+  const voucherId = new ObjectId();
+  store.users = [user];
+  store.vouchers = [{ _id: voucherId, userId: user._id.toString(), userName: 'Ali' }];
+  store.voucher_months = [{
+    _id: new ObjectId(),
+    voucherId: voucherId.toString(),
+    userId: user._id.toString(),
+    userName: 'Ali',
+    month: 'October 2025',
+    date: '2025-10-01',
+    packageFee: 1000,
+    discount: 0,
+    adjustments: [LATE_FEE],
+    paidAmount: 0,
+    remainingAmount: 1100,
+    status: 'unpaid'
+  }];
+  return { user, voucherId };
+}
+
+test('merged months get their status from the amounts, not from the client', async () => {
+  const token = signIn();
+  const { user, voucherId } = seedVoucher();
+
+  const posted = await request('POST', '/api/vouchers', {
+    token,
+    body: { userId: user._id.toString(), userName: 'Ali', months: [{ month: 'October 2025', paidAmount: 1000, status: 'paid' }] }
+  });
+  assert.strictEqual(posted.status, 200);
+  assert.strictEqual(store.voucher_months[0].status, 'partial');
+  assert.strictEqual(store.voucher_months[0].remainingAmount, 100);
+
+  const put = await request('PUT', `/api/vouchers/${voucherId}`, {
+    token,
+    body: { months: [{ month: 'October 2025', paidAmount: 500, status: 'paid' }] }
+  });
+  assert.strictEqual(put.status, 200);
+  assert.strictEqual(store.voucher_months[0].status, 'partial');
+  assert.strictEqual(store.voucher_months[0].remainingAmount, 600);
+});
+
+test('PUT with mode replace keeps the stored adjustments', async () => {
+  const token = signIn();
+  const { voucherId } = seedVoucher();
+
+  const put = await request('PUT', `/api/vouchers/${voucherId}`, {
+    token,
+    body: {
+      mode: 'replace',
+      months: [{ month: 'October 2025', date: '2025-10-01', packageFee: 1000, discount: 0, paidAmount: 1000, remainingAmount: 0, status: 'paid', adjustments: [] }]
+    }
+  });
+  assert.strictEqual(put.status, 200);
+  assert.deepStrictEqual(store.voucher_months[0].adjustments, [LATE_FEE]);
+  assert.strictEqual(store.voucher_months[0].status, 'partial');
+  assert.strictEqual(store.voucher_months[0].remainingAmount, 100);
+});
+
+test('an advance payment sent as a superbalance month is posted and the excess goes to the wallet', async () => {
+  const token = signIn();
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali', status: 'unpaid' };
+  store.users = [user];
+
+  const posted = await request('POST', '/api/vouchers', {
+    token,
+    body: {
+      userId: user._id.toString(),
+      userName: 'Ali',
+      months: [{ month: 'October 2025', date: '2025-10-01', packageFee: 1000, paidAmount: 1500, status: 'superbalance', receivedBy: 'Collector' }]
+    }
+  });
+  assert.strictEqual(posted.status, 201);
+  assert.strictEqual(store.voucher_months[0].status, 'paid');
+  assert.strictEqual(store.users[0].walletBalance, 500);
+  assert.ok(store.ledger.some((entry) => entry.type === 'payment' && entry.lines.some((line) => line.debit === 1500)));
+});
+
+test('a month sent with another label of its billing period pays the stored month', async () => {
+  const token = signIn();
+  const { user, voucherId } = seedVoucher();
+
+  const posted = await request('POST', '/api/vouchers', {
+    token,
+    body: { userId: user._id.toString(), userName: 'Ali', months: [{ month: 'Oct 2025', paidAmount: 1000, status: 'paid' }] }
+  });
+  assert.strictEqual(posted.status, 200);
+  assert.strictEqual(store.voucher_months.length, 1);
+  assert.strictEqual(store.voucher_months[0].month, 'October 2025');
+  assert.strictEqual(store.voucher_months[0].remainingAmount, 100);
+
+  const receipt = await request('GET', `/api/vouchers/${voucherId}/months/2025-10/payments/0/receipt?format=json`, { token });
+  assert.strictEqual(receipt.status, 201);
+  assert.strictEqual(receipt.body.data.periodKey, '2025-10');
+  const reprint = await request('GET', `/api/vouchers/${voucherId}/months/Oct%202025/payments/0/receipt?format=json`, { token });
+  assert.strictEqual(reprint.status, 200);
+  assert.strictEqual(reprint.body.data.receiptNo, receipt.body.data.receiptNo);
+});
+
+test('generate-next pays the new month from a funded wallet', async () => {
+  const token = signIn();
+  const user = { _id: new ObjectId(), userId: 'U-100', userName: 'Ali', amount: 1000, discount: 0, walletBalance: 1500, status: 'paid' };
+  store.users = [user];
+
+  const generated = await request('POST', '/api/vouchers/generate-next', {
+    token,
+    body: { userId: user._id.toString(), expiryDate: '2025-11-01' }
+  });
+  assert.strictEqual(generated.status, 200);
+  assert.strictEqual(generated.body.walletDrawn, 1000);
+  assert.strictEqual(store.voucher_months[0].status, 'paid');
+  assert.strictEqual(store.users[0].walletBalance, 500);
+});
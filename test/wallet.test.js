@@ -0,0 +1,31 @@
+const { before, beforeEach, test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId, reset, store } = require('./support/fakeMongo');
+const { connectToDatabase, runInTransaction } = require('../db');
+const { saveMonths } = require('../services/voucherMonths');
+const { planWallet } = require('../services/wallet');
+
+before(connectToDatabase);
+beforeEach(reset);
+
+test('a wallet draw the balance no longer covers saves nothing', async () => {
+  const user = { _id: new ObjectId(), userName: 'Ali', walletBalance: 1000 };
+  const voucher = { _id: new ObjectId(), userId: user._id.toString(), userName: 'Ali' };
+  store.users = [user];
+  store.vouchers = [voucher];
+
+  const month = { month: 'October 2025', date: '2025-10-01', packageFee: 1000, discount: 0, paidAmount: 0, status: 'unpaid' };
+  const wallet = planWallet({ user, months: [month], drawMonths: [month] });
+  assert.strictEqual(wallet.months[0].status, 'paid');
+
+  // The balance was spent by another request after the plan was made
+  store.users[0].walletBalance = 400;
+  await assert.rejects(runInTransaction(async (session) => {
+    await saveMonths(voucher, wallet.months, { session });
+    await wallet.commit({ voucherId: voucher._id, session });
+  }), { status: 409 });
+
+  assert.strictEqual(store.users[0].walletBalance, 400);
+  assert.deepStrictEqual(store.voucher_months, []);
+  assert.deepStrictEqual(store.wallet_entries || [], []);
+});